@@ -20,17 +20,54 @@
 
 'use strict';
 
+var arrify = require('arrify');
 var common = require('@google-cloud/common');
 var extend = require('extend');
 var is = require('is');
 var util = require('util');
 
+/**
+ * @type {module:bigquery/labels}
+ * @private
+ */
+var labelUtil = require('./labels.js');
+
 /**
  * @type {module:bigquery/table}
  * @private
  */
 var Table = require('./table.js');
 
+/**
+ * The properties of an access entry that name who is given access.
+ *
+ * @type {string[]}
+ * @private
+ */
+var ACCESS_ENTITY_TYPES = [
+  'domain',
+  'groupByEmail',
+  'specialGroup',
+  'userByEmail',
+  'view'
+];
+
+/**
+ * The roles that can be granted on a dataset.
+ *
+ * @type {string[]}
+ * @private
+ */
+var ACCESS_ROLES = ['OWNER', 'READER', 'WRITER'];
+
+/**
+ * The shortest default table expiration BigQuery accepts, in milliseconds.
+ *
+ * @type {number}
+ * @private
+ */
+var MIN_DEFAULT_TABLE_EXPIRATION_MS = 3600000;
+
 /*! Developer Documentation
  *
  * @param {module:bigquery} bigQuery - BigQuery instance.
@@ -144,6 +181,153 @@ function Dataset(bigQuery, id) {
 
 util.inherits(Dataset, common.ServiceObject);
 
+/**
+ * Validate an access entry and convert it to the format the API expects. An
+ * authorized view may be given as a Table object.
+ *
+ * @static
+ * @private
+ *
+ * @throws {Error} If the entry doesn't name exactly one entity, or the role
+ *     isn't recognized.
+ *
+ * @param {object} entry - The access entry.
+ * @return {object} An access entry in the format the API expects.
+ */
+Dataset.formatAccessEntry_ = function(entry) {
+  entry = extend({}, entry);
+
+  var entityTypes = ACCESS_ENTITY_TYPES.filter(function(entityType) {
+    return is.defined(entry[entityType]);
+  });
+
+  if (entityTypes.length !== 1) {
+    throw new Error([
+      'An access entry must have exactly one of',
+      ACCESS_ENTITY_TYPES.join(', ') + '.'
+    ].join(' '));
+  }
+
+  if (entry.view instanceof Table) {
+    entry.view = {
+      projectId: entry.view.bigQuery.projectId,
+      datasetId: entry.view.dataset.id,
+      tableId: entry.view.id
+    };
+  }
+
+  if (entry.view && entry.role) {
+    throw new Error('An authorized view can not be given a role.');
+  }
+
+  if (entry.role) {
+    entry.role = entry.role.toUpperCase();
+
+    if (ACCESS_ROLES.indexOf(entry.role) === -1) {
+      throw new Error('Access role not recognized: ' + entry.role);
+    }
+  }
+
+  return entry;
+};
+
+/**
+ * Convert the configuration of an external table to the format the API
+ * expects. Source URIs may be given as Storage File objects, and the source
+ * format as a file extension (`"csv"`).
+ *
+ * @static
+ * @private
+ *
+ * @throws {Error} If a source is neither a File object nor a `gs://` URI, or
+ *     the source format isn't recognized.
+ *
+ * @param {object} config - The `externalDataConfiguration` of a table.
+ * @return {object} The configuration in the format the API expects.
+ */
+Dataset.formatExternalDataConfiguration_ = function(config) {
+  config = extend({}, config);
+
+  config.sourceUris = arrify(config.sourceUris).map(function(source) {
+    if (common.util.isCustomType(source, 'storage/file')) {
+      return 'gs://' + source.bucket.name + '/' + source.name;
+    }
+
+    if (!is.string(source) || source.indexOf('gs://') !== 0) {
+      throw new Error('Source must be a File object or a gs:// URI.');
+    }
+
+    return source;
+  });
+
+  if (config.sourceFormat) {
+    config.sourceFormat = Table.formatSourceFormat_(config.sourceFormat);
+  }
+
+  return config;
+};
+
+/**
+ * Check if an existing access entry matches one that is granted or revoked.
+ * The role is only compared if the entry has one.
+ *
+ * @static
+ * @private
+ *
+ * @param {object} existingEntry - An access entry of the dataset.
+ * @param {object} entry - A formatted access entry.
+ * @return {boolean}
+ */
+Dataset.matchesAccessEntry_ = function(existingEntry, entry) {
+  if (entry.role && existingEntry.role !== entry.role) {
+    return false;
+  }
+
+  return ACCESS_ENTITY_TYPES.every(function(entityType) {
+    var value = entry[entityType];
+    var existingValue = existingEntry[entityType];
+
+    if (entityType === 'view' && value && existingValue) {
+      return value.projectId === existingValue.projectId &&
+        value.datasetId === existingValue.datasetId &&
+        value.tableId === existingValue.tableId;
+    }
+
+    return value === existingValue;
+  });
+};
+
+/**
+ * Allow a view in another dataset to query the tables of this dataset, without
+ * giving its users access to them. This is the same as calling
+ * {module:bigquery/dataset#grantAccess} with `{ view: view }`.
+ *
+ * @resource [Authorized views]{@link https://cloud.google.com/bigquery/docs/share-access-views}
+ *
+ * @param {module:bigquery/table} view - The view to authorize.
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * var sharedDataset = bigquery.dataset('shared_views');
+ *
+ * sharedDataset.createTable('institution_names', {
+ *   view: {
+ *     query: 'SELECT INSTNM FROM [my-project:institutions.institution_data]'
+ *   }
+ * }, function(err, view) {
+ *   if (!err) {
+ *     dataset.authorizeView(view, function(err, apiResponse) {});
+ *   }
+ * });
+ */
+Dataset.prototype.authorizeView = function(view, callback) {
+  this.grantAccess({
+    view: view
+  }, callback);
+};
+
 /**
  * Create a table given a tableId or configuration object.
  *
@@ -152,17 +336,33 @@ util.inherits(Dataset, common.ServiceObject);
  * @param {string} id - Table id.
  * @param {object=} options - See a
  *     [Table resource](https://cloud.google.com/bigquery/docs/reference/v2/tables#resource).
+ * @param {object} options.externalDataConfiguration - Create a table that
+ *     reads its data from files in Cloud Storage. The schema is detected from
+ *     the files if none is given. `sourceUris` may be File objects
+ *     ({module:storage/file}) or `gs://` URIs, which may contain a `*`
+ *     wildcard. `sourceFormat` may be "CSV", "JSON", "AVRO", "PARQUET", or
+ *     "ORC". Default: "CSV".
+ * @param {string} options.materializedView - A query, in standard SQL, whose
+ *     results BigQuery stores and keeps up to date. Provide an object in the
+ *     format of the `materializedView` property of a Tables resource for more
+ *     control.
  * @param {string|object} options.schema - A comma-separated list of name:type
  *     pairs. Valid types are "string", "integer", "float", "boolean", and
  *     "timestamp". If the type is omitted, it is assumed to be "string".
  *     Example: "name:string, age:integer". Schemas can also be specified as a
  *     JSON array of fields, which allows for nested and repeated fields. See
  *     a [Table resource](http://goo.gl/sl8Dmg) for more detailed information.
+ * @param {string|object} options.view - Create a logical view from a query, in
+ *     standard SQL. To use legacy SQL, provide an object:
+ *     `{ query: '...', useLegacySql: true }`.
  * @param {function} callback - The callback function.
  * @param {?error} callback.err - An error returned while making this request
  * @param {module:bigquery/table} callback.table - The newly created table.
  * @param {object} callback.apiResponse - The full API response.
  *
+ * @throws {Error} If an external source is neither a File object nor a
+ *     `gs://` URI, or its format isn't recognized.
+ *
  * @example
  * var tableId = 'institution_data';
  *
@@ -172,6 +372,34 @@ util.inherits(Dataset, common.ServiceObject);
  * };
  *
  * dataset.createTable(tableId, options, function(err, table, apiResponse) {});
+ *
+ * //-
+ * // Create a view.
+ * //-
+ * dataset.createTable('institutions_by_state', {
+ *   view: 'SELECT STABBR, COUNT(*) AS total ' +
+ *     'FROM institutions.institution_data GROUP BY STABBR'
+ * }, function(err, view, apiResponse) {});
+ *
+ * //-
+ * // Create a view with legacy SQL.
+ * //-
+ * dataset.createTable('institution_names', {
+ *   view: {
+ *     query: 'SELECT INSTNM FROM [institutions.institution_data]',
+ *     useLegacySql: true
+ *   }
+ * }, function(err, view, apiResponse) {});
+ *
+ * //-
+ * // Create a table over CSV files in Cloud Storage.
+ * //-
+ * dataset.createTable('institutions_2017', {
+ *   externalDataConfiguration: {
+ *     sourceUris: 'gs://institutions/2017/*.csv',
+ *     sourceFormat: 'csv'
+ *   }
+ * }, function(err, table, apiResponse) {});
  */
 Dataset.prototype.createTable = function(id, options, callback) {
   var self = this;
@@ -199,6 +427,30 @@ Dataset.prototype.createTable = function(id, options, callback) {
     };
   }
 
+  if (is.string(options.view)) {
+    body.view = {
+      query: options.view,
+      useLegacySql: false
+    };
+  }
+
+  if (is.string(options.materializedView)) {
+    body.materializedView = {
+      query: options.materializedView
+    };
+  }
+
+  if (options.externalDataConfiguration) {
+    var externalDataConfiguration = Dataset.formatExternalDataConfiguration_(
+      options.externalDataConfiguration);
+
+    if (!body.schema && !is.defined(externalDataConfiguration.autodetect)) {
+      externalDataConfiguration.autodetect = true;
+    }
+
+    body.externalDataConfiguration = externalDataConfiguration;
+  }
+
   if (body.schema && body.schema.fields) {
     body.schema.fields = body.schema.fields.map(function(field) {
       if (field.fields) {
@@ -266,6 +518,68 @@ Dataset.prototype.delete = function(options, callback) {
   }, callback);
 };
 
+/**
+ * Remove labels from the dataset.
+ *
+ * @resource [Labeling Datasets]{@link https://cloud.google.com/bigquery/docs/labeling-datasets}
+ *
+ * @param {string|string[]} keys - The keys of the labels to remove.
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * dataset.deleteLabels('env', function(err, apiResponse) {});
+ */
+Dataset.prototype.deleteLabels = function(keys, callback) {
+  labelUtil.delete(this, keys, callback);
+};
+
+/**
+ * Get the access entries of the dataset: who can read, write or own it, and
+ * which views are authorized to query it.
+ *
+ * @resource [Datasets resource]{@link https://cloud.google.com/bigquery/docs/reference/v2/datasets#resource}
+ *
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object[]} callback.access - The access entries.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * dataset.getAccess(function(err, access, apiResponse) {
+ *   // access[].role
+ *   // access[].userByEmail
+ * });
+ */
+Dataset.prototype.getAccess = function(callback) {
+  this.getMetadata(function(err, metadata, apiResponse) {
+    if (err) {
+      callback(err, null, apiResponse);
+      return;
+    }
+
+    callback(null, metadata.access || [], apiResponse);
+  });
+};
+
+/**
+ * Get the labels of the dataset.
+ *
+ * @resource [Labeling Datasets]{@link https://cloud.google.com/bigquery/docs/labeling-datasets}
+ *
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object} callback.labels - The labels, as key-value pairs.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * dataset.getLabels(function(err, labels, apiResponse) {});
+ */
+Dataset.prototype.getLabels = function(callback) {
+  labelUtil.get(this, callback);
+};
+
 /**
  * Get a list of tables.
  *
@@ -344,6 +658,70 @@ Dataset.prototype.getTables = function(query, callback) {
   });
 };
 
+/**
+ * Give a user, group, domain, special group or authorized view access to the
+ * dataset. Nothing changes if the entry already exists.
+ *
+ * The dataset's access entries are read and written back with their `etag`,
+ * so a concurrent change is never overwritten.
+ *
+ * @resource [Controlling access to datasets]{@link https://cloud.google.com/bigquery/docs/dataset-access-controls}
+ *
+ * @throws {Error} If the entry doesn't name exactly one entity, or the role is
+ *     missing or isn't recognized.
+ *
+ * @param {object} entry - The access entry.
+ * @param {string} entry.role - "READER", "WRITER" or "OWNER". Not allowed for
+ *     views.
+ * @param {string} entry.domain - Everyone with an email address in a domain.
+ * @param {string} entry.groupByEmail - The email address of a Google group.
+ * @param {string} entry.specialGroup - "projectOwners", "projectReaders",
+ *     "projectWriters" or "allAuthenticatedUsers".
+ * @param {string} entry.userByEmail - The email address of a user.
+ * @param {module:bigquery/table|object} entry.view - A view that may query
+ *     the dataset. See {module:bigquery/dataset#authorizeView}.
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * dataset.grantAccess({
+ *   role: 'READER',
+ *   userByEmail: 'analyst@example.com'
+ * }, function(err, apiResponse) {});
+ *
+ * //-
+ * // Let everyone at your company read the dataset.
+ * //-
+ * dataset.grantAccess({
+ *   role: 'READER',
+ *   domain: 'example.com'
+ * }, function(err, apiResponse) {});
+ */
+Dataset.prototype.grantAccess = function(entry, callback) {
+  entry = Dataset.formatAccessEntry_(entry);
+
+  if (!entry.view && !entry.role) {
+    throw new Error('A role is required to grant access.');
+  }
+
+  this.updateMetadata_(function(metadata) {
+    var access = metadata.access || [];
+
+    var exists = access.some(function(existingEntry) {
+      return Dataset.matchesAccessEntry_(existingEntry, entry);
+    });
+
+    if (exists) {
+      return null;
+    }
+
+    return {
+      access: access.concat(entry)
+    };
+  }, callback);
+};
+
 /**
  * Run a query scoped to your dataset.
  *
@@ -365,6 +743,116 @@ Dataset.prototype.query = function(options, callback) {
   return this.bigQuery.query(options, callback);
 };
 
+/**
+ * Take away access to the dataset. If `entry.role` is omitted, every role of
+ * the entity is revoked.
+ *
+ * The dataset's access entries are read and written back with their `etag`,
+ * so a concurrent change is never overwritten.
+ *
+ * @resource [Controlling access to datasets]{@link https://cloud.google.com/bigquery/docs/dataset-access-controls}
+ *
+ * @throws {Error} If the entry doesn't name exactly one entity, or the role
+ *     isn't recognized.
+ *
+ * @param {object} entry - The access entry. See
+ *     {module:bigquery/dataset#grantAccess}.
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * dataset.revokeAccess({
+ *   userByEmail: 'analyst@example.com'
+ * }, function(err, apiResponse) {});
+ */
+Dataset.prototype.revokeAccess = function(entry, callback) {
+  entry = Dataset.formatAccessEntry_(entry);
+
+  this.updateMetadata_(function(metadata) {
+    var access = metadata.access || [];
+
+    var remainingAccess = access.filter(function(existingEntry) {
+      return !Dataset.matchesAccessEntry_(existingEntry, entry);
+    });
+
+    if (remainingAccess.length === access.length) {
+      return null;
+    }
+
+    return {
+      access: remainingAccess
+    };
+  }, callback);
+};
+
+/**
+ * Set how long new tables in the dataset are kept. Tables that exist already
+ * are not affected.
+ *
+ * @resource [Datasets resource]{@link https://cloud.google.com/bigquery/docs/reference/v2/datasets#resource}
+ *
+ * @throws {Error} If the expiration isn't a number of milliseconds or `null`.
+ * @throws {Error} If the expiration is shorter than one hour.
+ *
+ * @param {?number} expirationMs - The lifetime of new tables, in milliseconds.
+ *     The minimum is one hour. Provide `null` to keep new tables forever.
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * //-
+ * // Delete new tables after a week.
+ * //-
+ * var oneWeek = 7 * 24 * 60 * 60 * 1000;
+ *
+ * dataset.setDefaultTableExpiration(oneWeek, function(err, apiResponse) {});
+ */
+Dataset.prototype.setDefaultTableExpiration = function(expirationMs, callback) {
+  if (expirationMs !== null && !(is.number(expirationMs) && expirationMs > 0)) {
+    throw new Error('A table expiration must be a number of milliseconds.');
+  }
+
+  if (expirationMs !== null && expirationMs < MIN_DEFAULT_TABLE_EXPIRATION_MS) {
+    throw new Error('A table expiration must be at least one hour.');
+  }
+
+  if (expirationMs !== null) {
+    expirationMs = String(expirationMs);
+  }
+
+  this.updateMetadata_(function(metadata) {
+    if ((metadata.defaultTableExpirationMs || null) === expirationMs) {
+      return null;
+    }
+
+    return {
+      defaultTableExpirationMs: expirationMs
+    };
+  }, callback);
+};
+
+/**
+ * Add labels to the dataset, or change the values of existing labels.
+ *
+ * @resource [Labeling Datasets]{@link https://cloud.google.com/bigquery/docs/labeling-datasets}
+ *
+ * @param {object} labels - The labels, as key-value pairs.
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * dataset.setLabels({
+ *   env: 'production',
+ *   team: 'reporting'
+ * }, function(err, apiResponse) {});
+ */
+Dataset.prototype.setLabels = function(labels, callback) {
+  labelUtil.set(this, labels, callback);
+};
+
 /**
  * Create a Table object.
  *
@@ -385,4 +873,13 @@ Dataset.prototype.table = function(id) {
  */
 common.streamRouter.extend(Dataset, ['getTables']);
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Dataset, {
+  exclude: ['getTables', 'query', 'table']
+});
+
 module.exports = Dataset;
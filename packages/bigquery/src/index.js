@@ -43,6 +43,12 @@ var Job = require('./job.js');
  */
 var Table = require('./table.js');
 
+/**
+ * @type {module:bigquery/types}
+ * @private
+ */
+var types = require('./types.js');
+
 /**
  * In the following examples from this page and the other modules (`Dataset`,
  * `Table`, etc.), we are going to be using a dataset from
@@ -75,6 +81,305 @@ function BigQuery(options) {
 
 util.inherits(BigQuery, common.Service);
 
+/**
+ * Legacy SQL names of types, and the standard SQL types they stand for.
+ *
+ * @private
+ */
+var TYPE_ALIASES = {
+  BOOLEAN: 'BOOL',
+  FLOAT: 'FLOAT64',
+  INTEGER: 'INT64',
+  RECORD: 'STRUCT'
+};
+
+/**
+ * The types whose values can be given as Dates, and how they're wrapped.
+ *
+ * @private
+ */
+var DATE_TYPES = {
+  DATE: types.BigQueryDate,
+  DATETIME: types.BigQueryDatetime,
+  TIME: types.BigQueryTime
+};
+
+/**
+ * Create a `DATE` value, to use as a query parameter. `DATE` values are also
+ * returned this way in rows.
+ *
+ * @param {string|Date} value - The date, e.g. `"2017-01-02"`. The UTC date of
+ *     a Date is used.
+ * @return {object} An object with the date as its `value`.
+ *
+ * @example
+ * var date = bigquery.date('2017-01-02');
+ */
+BigQuery.date = function(value) {
+  return new types.BigQueryDate(value);
+};
+
+BigQuery.prototype.date = BigQuery.date;
+
+/**
+ * Create a `DATETIME` value, to use as a query parameter. `DATETIME` values are
+ * also returned this way in rows.
+ *
+ * @param {string|Date} value - The date and time, e.g.
+ *     `"2017-01-02 03:04:05"`. The UTC date and time of a Date are used.
+ * @return {object} An object with the date and time as its `value`.
+ *
+ * @example
+ * var datetime = bigquery.datetime('2017-01-02 03:04:05');
+ */
+BigQuery.datetime = function(value) {
+  return new types.BigQueryDatetime(value);
+};
+
+BigQuery.prototype.datetime = BigQuery.datetime;
+
+/**
+ * Create a `TIME` value, to use as a query parameter. `TIME` values are also
+ * returned this way in rows.
+ *
+ * @param {string|Date} value - The time, e.g. `"03:04:05"`. The UTC time of a
+ *     Date is used.
+ * @return {object} An object with the time as its `value`.
+ *
+ * @example
+ * var time = bigquery.time('03:04:05');
+ */
+BigQuery.time = function(value) {
+  return new types.BigQueryTime(value);
+};
+
+BigQuery.prototype.time = BigQuery.time;
+
+/**
+ * Replace the `params` and `types` of a query with the `queryParameters` the
+ * API expects. Query parameters are only supported by standard SQL, so it is
+ * turned on when there are any.
+ *
+ * @private
+ *
+ * @param {object} options - The query's configuration object.
+ * @return {object} The configuration object to send to the API.
+ */
+BigQuery.formatQueryParameters_ = function(options) {
+  if (!options.params) {
+    return options;
+  }
+
+  var params = options.params;
+  var types = options.types || {};
+
+  options = extend({}, options, {
+    useLegacySql: false
+  });
+
+  delete options.params;
+  delete options.types;
+
+  if (is.array(params)) {
+    options.parameterMode = 'positional';
+    options.queryParameters = params.map(function(value, index) {
+      return BigQuery.valueToQueryParameter_(value, types[index]);
+    });
+  } else {
+    options.parameterMode = 'named';
+    options.queryParameters = Object.keys(params).map(function(name) {
+      var queryParameter =
+        BigQuery.valueToQueryParameter_(params[name], types[name]);
+      queryParameter.name = name;
+      return queryParameter;
+    });
+  }
+
+  return options;
+};
+
+/**
+ * Get the type of a query parameter. When a type isn't given, it's inferred
+ * from the value:
+ *
+ *   - `boolean` -> `BOOL`
+ *   - `number` -> `INT64` for whole numbers, `FLOAT64` otherwise
+ *   - `string` -> `STRING`
+ *   - `Date` -> `TIMESTAMP`
+ *   - {module:bigquery#date}, {module:bigquery#datetime} and
+ *     {module:bigquery#time} values -> `DATE`, `DATETIME` and `TIME`
+ *   - `Buffer` -> `BYTES`
+ *   - `Array` -> `ARRAY`, of the type of its first element
+ *   - `Object` -> `STRUCT`, with the types of its properties
+ *
+ * @private
+ *
+ * @param {*} value - The parameter's value.
+ * @param {string|array|object=} type - The type's name, e.g. `"DATE"`. An
+ *     array's element type is given as `[type]`, and a struct's property types
+ *     as `{ name: type }`.
+ * @return {object} A [`QueryParameterType`](https://cloud.google.com/bigquery/docs/reference/v2/jobs#configuration.query.queryParameters.parameterType).
+ *
+ * @throws {Error} If the type can't be inferred from the value.
+ */
+BigQuery.getType_ = function(value, type) {
+  if (is.string(type)) {
+    type = type.toUpperCase();
+
+    return {
+      type: TYPE_ALIASES[type] || type
+    };
+  }
+
+  if (is.array(type) || (!type && is.array(value))) {
+    var elementType = type && type[0];
+
+    if (!elementType && !(value && value.length > 0)) {
+      throw new Error([
+        'The type of an empty array can\'t be inferred. Set its element type',
+        'in `options.types`, e.g. `[\'STRING\']`.'
+      ].join(' '));
+    }
+
+    return {
+      type: 'ARRAY',
+      arrayType: BigQuery.getType_(value && value[0], elementType)
+    };
+  }
+
+  var typeName;
+
+  if (is.object(type)) {
+    typeName = 'STRUCT';
+  } else if (is.boolean(value)) {
+    typeName = 'BOOL';
+  } else if (is.number(value)) {
+    typeName = value % 1 === 0 ? 'INT64' : 'FLOAT64';
+  } else if (is.string(value)) {
+    typeName = 'STRING';
+  } else if (is.date(value)) {
+    typeName = 'TIMESTAMP';
+  } else if (value instanceof types.BigQueryDate) {
+    typeName = 'DATE';
+  } else if (value instanceof types.BigQueryDatetime) {
+    typeName = 'DATETIME';
+  } else if (value instanceof types.BigQueryTime) {
+    typeName = 'TIME';
+  } else if (Buffer.isBuffer(value)) {
+    typeName = 'BYTES';
+  } else if (is.object(value)) {
+    typeName = 'STRUCT';
+  }
+
+  if (typeName === 'STRUCT') {
+    // Properties of the value without a type in `type` have theirs inferred.
+    var names = Object.keys(type || {});
+
+    Object.keys(value || {}).forEach(function(name) {
+      if (names.indexOf(name) === -1) {
+        names.push(name);
+      }
+    });
+
+    return {
+      type: 'STRUCT',
+      structTypes: names.map(function(name) {
+        return {
+          name: name,
+          type: BigQuery.getType_(value && value[name], type && type[name])
+        };
+      })
+    };
+  }
+
+  if (!typeName) {
+    throw new Error([
+      'The type of `' + value + '` can\'t be inferred. Set it in',
+      '`options.types`, e.g. `\'STRING\'`.'
+    ].join(' '));
+  }
+
+  return {
+    type: typeName
+  };
+};
+
+/**
+ * Convert a value to the format the API expects for a query parameter.
+ *
+ * @private
+ *
+ * @param {*} value - The parameter's value.
+ * @param {string|array|object=} type - The parameter's type. See
+ *     {module:bigquery#getType_}.
+ * @return {object} A [`QueryParameter`](https://cloud.google.com/bigquery/docs/reference/v2/jobs#configuration.query.queryParameters).
+ */
+BigQuery.valueToQueryParameter_ = function(value, type) {
+  var parameterType = BigQuery.getType_(value, type);
+
+  return {
+    parameterType: parameterType,
+    parameterValue: BigQuery.getParameterValue_(value, parameterType)
+  };
+};
+
+/**
+ * Convert a value to a
+ * [`QueryParameterValue`](https://cloud.google.com/bigquery/docs/reference/v2/jobs#configuration.query.queryParameters.parameterValue).
+ * Dates are formatted in UTC, as the type requires, and Buffers are base64
+ * encoded.
+ *
+ * @private
+ *
+ * @param {*} value - The parameter's value.
+ * @param {object} parameterType - The parameter's `QueryParameterType`.
+ * @return {object}
+ */
+BigQuery.getParameterValue_ = function(value, parameterType) {
+  if (is.nil(value) || is.undefined(value)) {
+    // An empty value is NULL.
+    return {};
+  }
+
+  if (parameterType.type === 'ARRAY') {
+    return {
+      arrayValues: value.map(function(element) {
+        return BigQuery.getParameterValue_(element, parameterType.arrayType);
+      })
+    };
+  }
+
+  if (parameterType.type === 'STRUCT') {
+    return {
+      structValues: parameterType.structTypes.reduce(function(acc, field) {
+        var fieldValue = value[field.name];
+        acc[field.name] = BigQuery.getParameterValue_(fieldValue, field.type);
+        return acc;
+      }, {})
+    };
+  }
+
+  var DateType = DATE_TYPES[parameterType.type];
+
+  if (DateType && is.date(value)) {
+    value = new DateType(value);
+  }
+
+  if (value instanceof types.BigQueryDate ||
+      value instanceof types.BigQueryDatetime ||
+      value instanceof types.BigQueryTime) {
+    value = value.value;
+  } else if (is.date(value)) {
+    value = value.toISOString();
+  } else if (Buffer.isBuffer(value)) {
+    value = value.toString('base64');
+  }
+
+  return {
+    value: String(value)
+  };
+};
+
 /**
  * Create a dataset.
  *
@@ -341,13 +646,32 @@ BigQuery.prototype.getJobs = function(options, callback) {
  * Create a reference to an existing job.
  *
  * @param {string} id - ID of the job.
+ * @param {object=} options - How to poll for the status of the job. These
+ *     settings are also available as `job.pollingOptions`.
+ * @param {number} options.initialDelay - Milliseconds to wait before checking
+ *     the status of the job again. (default: 500)
+ * @param {number} options.multiplier - The delay is multiplied by this after
+ *     every check. (default: 1.5)
+ * @param {number} options.maxDelay - The delay will never grow beyond this
+ *     many milliseconds. (default: 10000)
+ * @param {number} options.timeout - Give up after this many milliseconds. The
+ *     job is cancelled and an error with the code `JOB_TIMEOUT` is emitted. If
+ *     the job couldn't be cancelled, that error is its `cancelError`.
+ *     (default: `Infinity`)
  * @return {module:bigquery/job}
  *
  * @example
  * var myExistingJob = bigquery.job('job-id');
+ *
+ * //-
+ * // Give up on the job if it is still running after a minute.
+ * //-
+ * var myExistingJob = bigquery.job('job-id', {
+ *   timeout: 60000
+ * });
  */
-BigQuery.prototype.job = function(id) {
-  return new Job(this, id);
+BigQuery.prototype.job = function(id, options) {
+  return new Job(this, id, options);
 };
 
 /**
@@ -362,8 +686,23 @@ BigQuery.prototype.job = function(id) {
  *     [Jobs: query request body](https://cloud.google.com/bigquery/docs/reference/v2/jobs/query#request-body).
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {string} options.integerType - How to return `INTEGER` values:
+ *     `"number"`, `"string"`, or `"bigint"`. Integers above 2^53 can't be
+ *     represented exactly as numbers. (default: `"number"`)
  * @param {number} options.maxApiCalls - Maximum number of API calls to make.
  * @param {number} options.maxResults - Maximum number of results to read.
+ * @param {object|array} options.params - Values for the query's parameters.
+ *     An object sets named parameters (`@name`), and an array sets positional
+ *     parameters (`?`). Standard SQL is used when parameters are given. The
+ *     types of the values are inferred: booleans are `BOOL`, whole numbers are
+ *     `INT64` and others `FLOAT64`, strings are `STRING`, Dates are
+ *     `TIMESTAMP`, Buffers are `BYTES`, arrays are `ARRAY`s and objects are
+ *     `STRUCT`s.
+ * @param {object|array} options.types - Types for `options.params`, in the
+ *     same shape, overriding the inferred types, e.g. `'DATE'`. The element
+ *     type of an array is set as `['INT64']`, and the types of a struct's
+ *     fields as `{ name: 'STRING' }`. A type is required for empty arrays and
+ *     `null` values.
  * @param {string} options.query - A query string, following the BigQuery query
  *     syntax, of the query to execute.
  * @param {number} options.timeoutMs - How long to wait for the query to
@@ -372,9 +711,13 @@ BigQuery.prototype.job = function(id) {
  *     will fail with a `TIMEOUT` error.
  * @param {function=} callback - The callback function.
  * @param {?error} callback.err - An error returned while making this request
- * @param {array} callback.rows - The list of results from your query.
+ * @param {array} callback.rows - The list of results from your query. See
+ *     {module:bigquery/table#getRows} for how values are returned.
  * @param {object} callback.apiResponse - The full API response.
  *
+ * @throws {Error} If `options.integerType` is `"bigint"`, but BigInts aren't
+ *     supported.
+ *
  * @example
  * var query = 'SELECT url FROM [publicdata:samples.github_nested] LIMIT 100';
  *
@@ -420,6 +763,37 @@ BigQuery.prototype.job = function(id) {
  *   .on('data', function(row) {
  *     this.end();
  *   });
+ *
+ * //-
+ * // Values can be passed to the query as named parameters...
+ * //-
+ * bigquery.query({
+ *   query: [
+ *     'SELECT url',
+ *     'FROM `publicdata.samples.github_nested`',
+ *     'WHERE repository.owner = @owner',
+ *     'LIMIT @limit'
+ *   ].join(' '),
+ *   params: {
+ *     owner: 'google',
+ *     limit: 100
+ *   }
+ * }, function(err, rows) {});
+ *
+ * //-
+ * // ...or as positional parameters. When a type can't be inferred from a
+ * // value, it can be set in `types`.
+ * //-
+ * bigquery.query({
+ *   query: [
+ *     'SELECT url',
+ *     'FROM `publicdata.samples.github_nested`',
+ *     'WHERE DATE(created_at) = ?',
+ *     'AND repository.language IN UNNEST(?)'
+ *   ].join(' '),
+ *   params: [new Date('2012-03-22'), ['JavaScript', 'Go']],
+ *   types: ['DATE']
+ * }, function(err, rows) {});
  */
 BigQuery.prototype.query = function(options, callback) {
   var self = this;
@@ -430,14 +804,25 @@ BigQuery.prototype.query = function(options, callback) {
     };
   }
 
-  options = options || {};
+  options = BigQuery.formatQueryParameters_(options || {});
+
+  if (options.integerType === 'bigint' && !is.fn(global.BigInt)) {
+    throw new Error('BigInt is not supported by this version of Node.js.');
+  }
 
   var job = options.job;
 
   var requestQuery = extend({}, options);
   delete requestQuery.job;
 
+  // `integerType` is only used to decode the rows.
+  delete requestQuery.integerType;
+
   if (job) {
+    // Parameters are only sent when the query is started.
+    delete requestQuery.parameterMode;
+    delete requestQuery.queryParameters;
+
     // Get results of the query.
     self.request({
       uri: '/queries/' + job.id,
@@ -448,7 +833,7 @@ BigQuery.prototype.query = function(options, callback) {
     self.request({
       method: 'POST',
       uri: '/queries',
-      json: options
+      json: requestQuery
     }, responseHandler);
   }
 
@@ -460,7 +845,9 @@ BigQuery.prototype.query = function(options, callback) {
 
     var rows = [];
     if (resp.schema && resp.rows) {
-      rows = Table.mergeSchemaWithRows_(resp.schema, resp.rows);
+      rows = Table.mergeSchemaWithRows_(resp.schema, resp.rows, {
+        integerType: options.integerType
+      });
     }
 
     var nextQuery = null;
@@ -496,6 +883,10 @@ BigQuery.prototype.query = function(options, callback) {
  *     string, and all other options are defaulted.
  * @param {module:bigquery/table=} options.destination - The table to save the
  *     query's results to. If omitted, a new table will be created.
+ * @param {object|array} options.params - Values for the query's parameters.
+ *     See {module:bigquery#query}.
+ * @param {object|array} options.types - Types for `options.params`. See
+ *     {module:bigquery#query}.
  * @param {string} options.query - A query string, following the BigQuery query
  *     syntax, of the query to execute.
  * @param {function} callback - The callback function.
@@ -535,6 +926,33 @@ BigQuery.prototype.query = function(options, callback) {
  *     job.getQueryResults(function(err, rows, apiResponse) {});
  *   }
  * });
+ *
+ * //-
+ * // Query parameters are passed the same way as to `query`.
+ * //-
+ * bigquery.startQuery({
+ *   query: 'SELECT url FROM `publicdata.samples.github_nested` LIMIT @limit',
+ *   params: {
+ *     limit: 100
+ *   }
+ * }, function(err, job) {});
+ *
+ * //-
+ * // Wait for the job to finish, watching its progress along the way.
+ * //-
+ * bigquery.startQuery(query, function(err, job) {
+ *   if (err) {
+ *     return;
+ *   }
+ *
+ *   job.on('progress', function(progress) {
+ *     // progress.totalBytesProcessed
+ *   });
+ *
+ *   job.promise().then(function(metadata) {
+ *     job.getQueryResults(function(err, rows) {});
+ *   });
+ * });
  */
 BigQuery.prototype.startQuery = function(options, callback) {
   var that = this;
@@ -551,6 +969,8 @@ BigQuery.prototype.startQuery = function(options, callback) {
     throw new Error('A SQL query string is required.');
   }
 
+  options = BigQuery.formatQueryParameters_(options);
+
   var defaults = {};
 
   if (options.destination) {
@@ -595,6 +1015,24 @@ BigQuery.prototype.startQuery = function(options, callback) {
  */
 common.streamRouter.extend(BigQuery, ['getDatasets', 'getJobs', 'query']);
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(BigQuery, {
+  exclude: [
+    'dataset',
+    'date',
+    'datetime',
+    'getDatasets',
+    'getJobs',
+    'job',
+    'query',
+    'time'
+  ]
+});
+
 BigQuery.Dataset = Dataset;
 BigQuery.Job = Job;
 BigQuery.Table = Table;
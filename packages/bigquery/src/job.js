@@ -22,13 +22,27 @@
 
 var common = require('@google-cloud/common');
 var events = require('events');
+var extend = require('extend');
 var is = require('is');
 var modelo = require('modelo');
 
+/**
+ * @const {object} - The default polling settings. The delay between status
+ *     checks starts at 500ms and grows by half after every check, up to 10s.
+ * @private
+ */
+var POLLING_DEFAULTS = {
+  initialDelay: 500,
+  multiplier: 1.5,
+  maxDelay: 10000,
+  timeout: Infinity
+};
+
 /*! Developer Documentation
  *
  * @param {module:bigquery} bigQuery - BigQuery instance.
  * @param {string} id - The ID of the job.
+ * @param {object=} options - See {module:bigquery#job}.
  */
 /**
  * Job objects are returned from various places in the BigQuery API:
@@ -68,6 +82,20 @@ var modelo = require('modelo');
  * });
  *
  * //-
+ * // While the job is running, a "progress" event is emitted after every status
+ * // check.
+ * //-
+ * job.on('progress', function(progress, metadata) {
+ *   // progress.state
+ *   // progress.elapsedMs
+ *   // progress.totalBytesProcessed
+ *   // progress.totalSlotMs
+ *   // progress.timeline[].elapsedMs
+ *   // progress.timeline[].completedUnits
+ *   // progress.timeline[].pendingUnits
+ * });
+ *
+ * //-
  * // To force the Job object to stop polling for updates, simply remove any
  * // "complete" listeners you've registered.
  * //
@@ -75,7 +103,7 @@ var modelo = require('modelo');
  * //-
  * job.removeAllListeners();
  */
-function Job(bigQuery, id) {
+function Job(bigQuery, id, options) {
   var methods = {
     /**
      * Check if the job exists.
@@ -131,6 +159,7 @@ function Job(bigQuery, id) {
   events.EventEmitter.call(this);
 
   this.bigQuery = bigQuery;
+  this.pollingOptions = extend({}, POLLING_DEFAULTS, options);
 
   // The API endpoint for cancel is:    .../bigquery/v2/project/projectId/...
   // The rest of the API endpoints are: .../bigquery/v2/projects/projectId/...
@@ -147,11 +176,53 @@ function Job(bigQuery, id) {
   this.completeListeners = 0;
   this.hasActiveListeners = false;
 
+  this.pollAttempt_ = 0;
+  this.pollStartTime_ = null;
+  this.pollTimeout_ = null;
+
   this.listenForEvents_();
 }
 
 modelo.inherits(Job, common.ServiceObject, events.EventEmitter);
 
+/**
+ * Stop polling for updates and cancel the job. An error with the code
+ * `JOB_ABORTED` is emitted, so that anything waiting for the job to finish,
+ * such as {module:bigquery/job#promise}, is released.
+ *
+ * @resource [Jobs: cancel API Documentation]{@link https://cloud.google.com/bigquery/docs/reference/v2/jobs/cancel}
+ *
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while cancelling the job.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * job.on('error', function(err) {
+ *   // err.code === 'JOB_ABORTED'
+ * });
+ *
+ * job.abort(function(err, apiResponse) {});
+ *
+ * //-
+ * // If the callback is omitted, we'll return a Promise.
+ * //-
+ * job.abort().then(function(data) {
+ *   var apiResponse = data[0];
+ * });
+ */
+Job.prototype.abort = function(callback) {
+  var wasPolling = this.hasActiveListeners;
+
+  this.stopPolling_();
+  this.cancel(callback);
+
+  if (wasPolling) {
+    var abortError = new Error('The job was aborted.');
+    abortError.code = 'JOB_ABORTED';
+    this.emit('error', abortError);
+  }
+};
+
 /**
  * Cancel a job. Use {module:bigquery/job#getMetadata} to see if the cancel
  * completes successfully. See an example implementation below.
@@ -188,6 +259,9 @@ Job.prototype.cancel = function(callback) {
  * @param {object=} options - Configuration object.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {string} options.integerType - How to return `INTEGER` values:
+ *     `"number"`, `"string"`, or `"bigint"`. Integers above 2^53 can't be
+ *     represented exactly as numbers. (default: `"number"`)
  * @param {number} options.maxApiCalls - Maximum number of API calls to make.
  * @param {number} options.maxResults - Maximum number of results to read.
  * @param {string} options.pageToken - Page token, returned by a previous call,
@@ -202,7 +276,8 @@ Job.prototype.cancel = function(callback) {
  *     continuously run this query until all results are in as part of a stream,
  *     do not pass a callback.
  * @param {?error} callback.err - An error returned while making this request
- * @param {array} callback.rows - The results of a job.
+ * @param {array} callback.rows - The results of a job. See
+ *     {module:bigquery/table#getRows} for how values are returned.
  * @param {?object} callback.nextQuery - If present, query with this object to
  *     check for more results.
  * @param {object} callback.apiResponse - The full API response.
@@ -263,6 +338,46 @@ Job.prototype.getQueryResults = function(options, callback) {
   return this.bigQuery.query(options, callback);
 };
 
+/**
+ * Wait for the job to finish.
+ *
+ * This registers "complete" and "error" listeners, so the job is polled as
+ * described in {module:bigquery/job}, honoring `pollingOptions.timeout`.
+ *
+ * @return {Promise} - Resolves with the metadata of the finished job, or is
+ *     rejected with the error that caused the job to fail.
+ *
+ * @example
+ * job.promise().then(function(metadata) {
+ *   // The job is complete.
+ * }, function(err) {
+ *   // The job failed, timed out or was aborted.
+ * });
+ */
+Job.prototype.promise = function() {
+  var self = this;
+
+  return new Promise(function(resolve, reject) {
+    self.on('complete', onComplete);
+    self.on('error', onError);
+
+    function onComplete(metadata) {
+      removeListeners();
+      resolve(metadata);
+    }
+
+    function onError(err) {
+      removeListeners();
+      reject(err);
+    }
+
+    function removeListeners() {
+      self.removeListener('complete', onComplete);
+      self.removeListener('error', onError);
+    }
+  });
+};
+
 /**
  * Begin listening for events on the job. This method keeps track of how many
  * "complete" listeners are registered and removed, making sure polling is
@@ -282,6 +397,8 @@ Job.prototype.listenForEvents_ = function() {
 
       if (!self.hasActiveListeners) {
         self.hasActiveListeners = true;
+        self.pollAttempt_ = 0;
+        self.pollStartTime_ = Date.now();
         self.startPolling_();
       }
     }
@@ -289,30 +406,45 @@ Job.prototype.listenForEvents_ = function() {
 
   this.on('removeListener', function(event) {
     if (event === 'complete' && --self.completeListeners === 0) {
-      self.hasActiveListeners = false;
+      self.stopPolling_();
     }
   });
 };
 
 /**
- * Poll `getMetadata` to check the operation's status. This runs a loop to ping
- * the API on an interval.
+ * Poll `getMetadata` to check the job's status. The delay between checks grows
+ * as `pollingOptions` describes. A "progress" event is emitted after every
+ * check that finds the job still running.
  *
  * Note: This method is automatically called once a "complete" event handler is
- * registered on the operation.
+ * registered on the job.
  *
  * @private
  */
 Job.prototype.startPolling_ = function() {
   var self = this;
+  var pollingOptions = this.pollingOptions;
+
+  this.pollTimeout_ = null;
 
   if (!this.hasActiveListeners) {
     return;
   }
 
   this.getMetadata(function(err, metadata, apiResponse) {
-    if (apiResponse.status && apiResponse.status.errors) {
-      err = common.util.ApiError(apiResponse.status);
+    if (!self.hasActiveListeners) {
+      return;
+    }
+
+    // A finished job can list the errors of bad records that were skipped. It
+    // only failed if `errorResult` is set.
+    var status = apiResponse && apiResponse.status;
+
+    if (status && status.errorResult) {
+      err = common.util.ApiError({
+        errors: status.errors || [status.errorResult],
+        message: status.errorResult.message
+      });
     }
 
     if (err) {
@@ -321,7 +453,36 @@ Job.prototype.startPolling_ = function() {
     }
 
     if (metadata.status.state !== 'DONE') {
-      setTimeout(self.startPolling_.bind(self), 500);
+      self.emit('progress', Job.formatProgress_(metadata), metadata);
+
+      var elapsedMs = Date.now() - self.pollStartTime_;
+
+      if (elapsedMs >= pollingOptions.timeout) {
+        self.stopPolling_();
+
+        var timeoutError = new Error([
+          'The job did not complete within',
+          pollingOptions.timeout + 'ms.'
+        ].join(' '));
+        timeoutError.code = 'JOB_TIMEOUT';
+
+        self.cancel(function(err) {
+          if (err) {
+            timeoutError.cancelError = err;
+          }
+
+          self.emit('error', timeoutError);
+        });
+        return;
+      }
+
+      var delay = pollingOptions.initialDelay *
+        Math.pow(pollingOptions.multiplier, self.pollAttempt_++);
+
+      delay = Math.min(delay, pollingOptions.maxDelay);
+      delay = Math.min(delay, pollingOptions.timeout - elapsedMs);
+
+      self.pollTimeout_ = setTimeout(self.startPolling_.bind(self), delay);
       return;
     }
 
@@ -329,4 +490,67 @@ Job.prototype.startPolling_ = function() {
   });
 };
 
+/**
+ * Stop the polling loop started by {module:bigquery/job#startPolling_}.
+ *
+ * @private
+ */
+Job.prototype.stopPolling_ = function() {
+  this.hasActiveListeners = false;
+
+  if (this.pollTimeout_) {
+    clearTimeout(this.pollTimeout_);
+    this.pollTimeout_ = null;
+  }
+};
+
+/**
+ * Pull the progress of a running job out of its metadata. BigQuery returns
+ * 64-bit integers as strings; these are converted to numbers.
+ *
+ * @private
+ *
+ * @param {object} metadata - The job's metadata.
+ * @return {object} progress - The job's state and statistics.
+ */
+Job.formatProgress_ = function(metadata) {
+  var statistics = metadata.statistics || {};
+  var queryStatistics = statistics.query || {};
+
+  var progress = {
+    state: metadata.status.state,
+    elapsedMs: null,
+    totalBytesProcessed: toNumber(queryStatistics.totalBytesProcessed),
+    totalSlotMs: toNumber(queryStatistics.totalSlotMs),
+    timeline: (queryStatistics.timeline || []).map(function(sample) {
+      return {
+        elapsedMs: toNumber(sample.elapsedMs),
+        totalSlotMs: toNumber(sample.totalSlotMs),
+        pendingUnits: toNumber(sample.pendingUnits),
+        completedUnits: toNumber(sample.completedUnits),
+        activeUnits: toNumber(sample.activeUnits)
+      };
+    })
+  };
+
+  if (statistics.startTime) {
+    progress.elapsedMs = Date.now() - toNumber(statistics.startTime);
+  }
+
+  return progress;
+
+  function toNumber(value) {
+    return is.defined(value) ? Number(value) : null;
+  }
+};
+
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Job, {
+  exclude: ['getQueryResults', 'promise']
+});
+
 module.exports = Job;
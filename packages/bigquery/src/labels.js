@@ -0,0 +1,114 @@
+/*!
+ * Copyright 2017 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*!
+ * @module bigquery/labels
+ */
+
+'use strict';
+
+var arrify = require('arrify');
+var extend = require('extend');
+
+/**
+ * The label methods of datasets and tables, which store their labels the same
+ * way.
+ *
+ * @private
+ */
+var labelUtil = module.exports;
+
+/**
+ * Remove labels from a dataset or table.
+ *
+ * @param {module:bigquery/dataset|module:bigquery/table} serviceObject - The
+ *     dataset or table.
+ * @param {string|string[]} keys - The keys of the labels to remove.
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object} callback.apiResponse - The full API response.
+ */
+labelUtil.delete = function(serviceObject, keys, callback) {
+  keys = arrify(keys);
+
+  serviceObject.updateMetadata_(function(metadata) {
+    var labels = metadata.labels || {};
+
+    var existingKeys = keys.filter(function(key) {
+      return labels.hasOwnProperty(key);
+    });
+
+    if (existingKeys.length === 0) {
+      return null;
+    }
+
+    return {
+      labels: existingKeys.reduce(function(labels, key) {
+        labels[key] = null;
+        return labels;
+      }, {})
+    };
+  }, callback);
+};
+
+/**
+ * Get the labels of a dataset or table.
+ *
+ * @param {module:bigquery/dataset|module:bigquery/table} serviceObject - The
+ *     dataset or table.
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object} callback.labels - The labels, as key-value pairs.
+ * @param {object} callback.apiResponse - The full API response.
+ */
+labelUtil.get = function(serviceObject, callback) {
+  serviceObject.getMetadata(function(err, metadata, apiResponse) {
+    if (err) {
+      callback(err, null, apiResponse);
+      return;
+    }
+
+    callback(null, metadata.labels || {}, apiResponse);
+  });
+};
+
+/**
+ * Add labels to a dataset or table, or change the values of existing labels.
+ *
+ * @param {module:bigquery/dataset|module:bigquery/table} serviceObject - The
+ *     dataset or table.
+ * @param {object} labels - The labels, as key-value pairs.
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object} callback.apiResponse - The full API response.
+ */
+labelUtil.set = function(serviceObject, labels, callback) {
+  serviceObject.updateMetadata_(function(metadata) {
+    var existingLabels = metadata.labels || {};
+
+    var changed = Object.keys(labels).some(function(key) {
+      return existingLabels[key] !== labels[key];
+    });
+
+    if (!changed) {
+      return null;
+    }
+
+    return {
+      labels: extend({}, existingLabels, labels)
+    };
+  }, callback);
+};
@@ -28,8 +28,22 @@ var format = require('string-format-obj');
 var fs = require('fs');
 var is = require('is');
 var path = require('path');
+var stream = require('stream');
 var streamEvents = require('stream-events');
 var util = require('util');
+var uuid = require('node-uuid');
+
+/**
+ * @type {module:bigquery/labels}
+ * @private
+ */
+var labelUtil = require('./labels.js');
+
+/**
+ * @type {module:bigquery/types}
+ * @private
+ */
+var types = require('./types.js');
 
 /**
  * The file formats accepted by BigQuery.
@@ -43,6 +57,46 @@ var FORMATS = {
   json: 'NEWLINE_DELIMITED_JSON'
 };
 
+/**
+ * The file formats BigQuery can load data from.
+ *
+ * @type {object}
+ * @private
+ */
+var SOURCE_FORMATS = extend({}, FORMATS, {
+  orc: 'ORC',
+  parquet: 'PARQUET'
+});
+
+/**
+ * The values accepted by the load job options that are validated before a job
+ * is created.
+ *
+ * @type {object}
+ * @private
+ */
+var LOAD_OPTION_VALUES = {
+  createDisposition: ['CREATE_IF_NEEDED', 'CREATE_NEVER'],
+  schemaUpdateOptions: ['ALLOW_FIELD_ADDITION', 'ALLOW_FIELD_RELAXATION'],
+  timePartitioning: ['DAY', 'HOUR', 'MONTH', 'YEAR'],
+  writeDisposition: ['WRITE_APPEND', 'WRITE_EMPTY', 'WRITE_TRUNCATE']
+};
+
+/**
+ * The reasons a row can fail to be inserted for that are worth retrying. A row
+ * is "stopped" when it wasn't inserted because of another row in its request.
+ *
+ * @type {string[]}
+ * @private
+ */
+var RETRYABLE_INSERT_REASONS = [
+  'backendError',
+  'internalError',
+  'rateLimitExceeded',
+  'stopped',
+  'timeout'
+];
+
 /*! Developer Documentation
  *
  * @param {module:bigquery/dataset} dataset - Dataset instance.
@@ -177,60 +231,265 @@ Table.createSchemaFromString_ = function(str) {
   });
 };
 
+/**
+ * Add a snapshot decorator to a table ID, to refer to the table as it was at
+ * a point in time.
+ *
+ * @resource [Table decorators]{@link https://cloud.google.com/bigquery/table-decorators}
+ *
+ * @static
+ * @private
+ *
+ * @throws {Error} If the time isn't a Date or a number.
+ *
+ * @param {string} id - The ID of the table.
+ * @param {date|number} snapshotTime - The point in time, as a Date or as
+ *     milliseconds since the epoch. A negative number is relative to now.
+ * @return {string} The decorated table ID, e.g. `"kittens@1483228800000"`.
+ */
+Table.formatSnapshotId_ = function(id, snapshotTime) {
+  if (is.date(snapshotTime)) {
+    snapshotTime = snapshotTime.getTime();
+  }
+
+  if (!is.number(snapshotTime)) {
+    throw new Error('A snapshot time must be a Date or a timestamp.');
+  }
+
+  return id + '@' + snapshotTime;
+};
+
+/**
+ * Convert a source format, given as a file extension (`"csv"`) or as the API
+ * value (`"CSV"`), to the API value.
+ *
+ * @static
+ * @private
+ *
+ * @throws {Error} If the format isn't recognized.
+ *
+ * @param {string} sourceFormat - The source format.
+ * @return {string} The API value of the source format.
+ */
+Table.formatSourceFormat_ = function(sourceFormat) {
+  var formattedSourceFormat = SOURCE_FORMATS[sourceFormat.toLowerCase()] ||
+    sourceFormat.toUpperCase();
+
+  var sourceFormats = Object.keys(SOURCE_FORMATS).map(function(key) {
+    return SOURCE_FORMATS[key];
+  });
+
+  if (sourceFormats.indexOf(formattedSourceFormat) === -1) {
+    throw new Error('Source format not recognized: ' + sourceFormat);
+  }
+
+  return formattedSourceFormat;
+};
+
+/**
+ * Validate the options of a load job and convert them to the format the API
+ * expects. Format names may be given as a file extension (`"csv"`) or as the
+ * API value (`"CSV"`).
+ *
+ * @static
+ * @private
+ *
+ * @param {object=} metadata - The load options. See
+ *     {module:bigquery/table#import}.
+ * @return {object} The `configuration.load` property of a Jobs resource.
+ *
+ * @throws {Error} If an option has a value that is not recognized, or is used
+ *     with a source format that does not support it.
+ */
+Table.formatLoadMetadata_ = function(metadata) {
+  metadata = extend(true, {}, metadata);
+
+  var sourceFormat = metadata.sourceFormat || metadata.format;
+  delete metadata.format;
+
+  if (sourceFormat) {
+    metadata.sourceFormat = Table.formatSourceFormat_(sourceFormat);
+  }
+
+  if (is.string(metadata.schema)) {
+    metadata.schema = Table.createSchemaFromString_(metadata.schema);
+  }
+
+  if (is.defined(metadata.autodetect) && !is.boolean(metadata.autodetect)) {
+    throw new Error('`autodetect` must be a boolean.');
+  }
+
+  ['createDisposition', 'writeDisposition'].forEach(function(option) {
+    if (metadata[option]) {
+      metadata[option] = validateValue(option, metadata[option]);
+    }
+  });
+
+  if (is.string(metadata.timePartitioning)) {
+    metadata.timePartitioning = {
+      type: metadata.timePartitioning
+    };
+  }
+
+  if (metadata.timePartitioning) {
+    metadata.timePartitioning.type = validateValue(
+      'timePartitioning',
+      metadata.timePartitioning.type || 'DAY'
+    );
+  }
+
+  if (is.string(metadata.clustering) || is.array(metadata.clustering)) {
+    metadata.clustering = {
+      fields: arrify(metadata.clustering)
+    };
+  }
+
+  if (metadata.clustering && metadata.clustering.fields.length > 4) {
+    throw new Error('A table can be clustered by at most 4 fields.');
+  }
+
+  if (metadata.schemaUpdateOptions) {
+    metadata.schemaUpdateOptions = arrify(metadata.schemaUpdateOptions)
+      .map(validateValue.bind(null, 'schemaUpdateOptions'));
+
+    var writeDisposition = metadata.writeDisposition;
+
+    if (writeDisposition !== 'WRITE_APPEND' &&
+        writeDisposition !== 'WRITE_TRUNCATE') {
+      throw new Error([
+        '`schemaUpdateOptions` requires a `writeDisposition` of',
+        '"WRITE_APPEND" or "WRITE_TRUNCATE".'
+      ].join(' '));
+    }
+  }
+
+  var skipLeadingRows = metadata.skipLeadingRows;
+
+  if (is.defined(skipLeadingRows) &&
+      !(is.integer(skipLeadingRows) && skipLeadingRows >= 0)) {
+    throw new Error('`skipLeadingRows` must be a non-negative integer.');
+  }
+
+  ['nullMarker', 'skipLeadingRows'].forEach(function(option) {
+    var isCsv = !metadata.sourceFormat || metadata.sourceFormat === 'CSV';
+
+    if (is.defined(metadata[option]) && !isCsv) {
+      throw new Error('`' + option + '` can only be used to load CSV files.');
+    }
+  });
+
+  return metadata;
+
+  function validateValue(option, value) {
+    value = value.toUpperCase();
+
+    if (LOAD_OPTION_VALUES[option].indexOf(value) === -1) {
+      throw new Error('`' + option + '` value not recognized: ' + value);
+    }
+
+    return value;
+  }
+};
+
 /**
  * Merge a rowset returned from the API with a table schema.
  *
+ * Values are decoded by their fields' types. `RECORD` fields become objects,
+ * `REPEATED` fields become arrays, `BYTES` become Buffers, `TIMESTAMP`s become
+ * Dates, and `DATE`, `DATETIME` and `TIME` values are wrapped in
+ * {module:bigquery/types} objects. `NUMERIC` values are kept as strings.
+ *
  * @static
  * @private
  *
  * @param {object} schema
  * @param {array} rows
+ * @param {object=} options - Configuration object.
+ * @param {string} options.integerType - How to return `INTEGER` values:
+ *     `"number"`, `"string"`, or `"bigint"`. Numbers can't hold integers above
+ *     2^53 exactly. (default: `"number"`)
  * @return {array} Fields using their matching names from the table's schema.
  */
-Table.mergeSchemaWithRows_ = function(schema, rows) {
-  return rows.map(mergeSchema).map(flattenRows);
+Table.mergeSchemaWithRows_ = function(schema, rows, options) {
+  options = options || {};
+
+  var integerType = options.integerType || 'number';
+
+  return rows.map(function(row) {
+    return mergeSchema(schema.fields, row);
+  });
 
-  function mergeSchema(row) {
-    return row.f.map(function(field, index) {
-      var schemaField = schema.fields[index];
+  function mergeSchema(fields, row) {
+    return row.f.reduce(function(acc, field, index) {
+      var schemaField = fields[index];
       var value = field.v;
 
-      switch (schemaField.type) {
-        case 'BOOLEAN': {
-          value = value === 'true';
-          break;
-        }
-        case 'FLOAT': {
-          if (!is.nil(value)) {
-            value = parseFloat(value);
-          }
-          break;
-        }
-        case 'INTEGER': {
-          if (!is.nil(value)) {
-            value = parseInt(value, 10);
-          }
-          break;
-        }
-        case 'TIMESTAMP': {
-          value = new Date(value * 1000);
-          break;
-        }
+      if (schemaField.mode === 'REPEATED') {
+        value = (value || []).map(function(element) {
+          return decodeValue(schemaField, element.v);
+        });
+      } else {
+        value = decodeValue(schemaField, value);
       }
 
-      var fieldObject = {};
-      fieldObject[schemaField.name] = value;
-      return fieldObject;
-    });
-  }
-
-  function flattenRows(rows) {
-    return rows.reduce(function(acc, row) {
-      var key = Object.keys(row)[0];
-      acc[key] = row[key];
+      acc[schemaField.name] = value;
       return acc;
     }, {});
   }
+
+  function decodeValue(schemaField, value) {
+    if (is.nil(value)) {
+      return value;
+    }
+
+    switch (schemaField.type) {
+      case 'BOOL':
+      case 'BOOLEAN': {
+        return value === 'true';
+      }
+      case 'BYTES': {
+        return new Buffer(value, 'base64');
+      }
+      case 'DATE': {
+        return new types.BigQueryDate(value);
+      }
+      case 'DATETIME': {
+        return new types.BigQueryDatetime(value);
+      }
+      case 'FLOAT':
+      case 'FLOAT64': {
+        return parseFloat(value);
+      }
+      case 'INT64':
+      case 'INTEGER': {
+        return decodeInteger(value);
+      }
+      case 'RECORD':
+      case 'STRUCT': {
+        return mergeSchema(schemaField.fields, value);
+      }
+      case 'TIME': {
+        return new types.BigQueryTime(value);
+      }
+      case 'TIMESTAMP': {
+        return new Date(value * 1000);
+      }
+    }
+
+    return value;
+  }
+
+  function decodeInteger(value) {
+    if (integerType === 'string') {
+      return value;
+    }
+
+    if (integerType === 'bigint') {
+      return global.BigInt(value);
+    }
+
+    return parseInt(value, 10);
+  }
 };
 
 /**
@@ -242,12 +501,17 @@ Table.mergeSchemaWithRows_ = function(schema, rows) {
  * @param {object=} metadata - Metadata to set with the copy operation. The
  *     metadata object should be in the format of the
  *     [`configuration.copy`](http://goo.gl/dKWIyS) property of a Jobs resource.
+ * @param {date|number} metadata.snapshotTime - Copy the table as it was at this
+ *     point in time, as a Date or as milliseconds since the epoch. A negative
+ *     number is relative to now. The table must have existed then, within the
+ *     last 7 days.
  * @param {function} callback - The callback function.
  * @param {?error} callback.err - An error returned while making this request
  * @param {module:bigquery/job} callback.job - The job used to copy your table.
  * @param {object} callback.apiResponse - The full API response.
  *
  * @throws {Error} If a destination other than a Table object is provided.
+ * @throws {Error} If the snapshot time isn't a Date or a number.
  *
  * @example
  * var yourTable = dataset.table('your-table');
@@ -266,6 +530,13 @@ Table.mergeSchemaWithRows_ = function(schema, rows) {
  * };
  *
  * table.copy(yourTable, metadata, function(err, job, apiResponse) {});
+ *
+ * //-
+ * // Restore the table as it was an hour ago.
+ * //-
+ * table.copy(yourTable, {
+ *   snapshotTime: -60 * 60 * 1000
+ * }, function(err, job, apiResponse) {});
  */
 Table.prototype.copy = function(destination, metadata, callback) {
   var self = this;
@@ -279,9 +550,18 @@ Table.prototype.copy = function(destination, metadata, callback) {
     metadata = {};
   }
 
+  metadata = extend({}, metadata);
+
+  var sourceTableId = this.id;
+
+  if (is.defined(metadata.snapshotTime)) {
+    sourceTableId = Table.formatSnapshotId_(this.id, metadata.snapshotTime);
+    delete metadata.snapshotTime;
+  }
+
   var body = {
     configuration: {
-      copy: extend(true, metadata || {}, {
+      copy: extend(true, metadata, {
         destinationTable: {
           datasetId: destination.dataset.id,
           projectId: destination.bigQuery.projectId,
@@ -290,7 +570,7 @@ Table.prototype.copy = function(destination, metadata, callback) {
         sourceTable: {
           datasetId: this.dataset.id,
           projectId: this.bigQuery.projectId,
-          tableId: this.id
+          tableId: sourceTableId
         }
       })
     }
@@ -313,12 +593,259 @@ Table.prototype.copy = function(destination, metadata, callback) {
   });
 };
 
+/**
+ * Create a writable stream to insert rows into your table with the streaming
+ * API, as {module:bigquery/table#insert} does.
+ *
+ * Rows are sent in batches, once enough rows or bytes are written, or after
+ * some time has passed. Every row is given an `insertId`, which BigQuery uses
+ * to ignore rows that are inserted more than once. Rows that fail to be
+ * inserted for a temporary reason, such as a backend error, are sent again.
+ * Every row that still fails is emitted with an `insertError` event.
+ *
+ * Writes wait while `maxPendingBatches` batches are being sent or retried, so
+ * a fast producer piping into the stream is slowed down to the speed of the
+ * API.
+ *
+ * The stream emits `finish` once every row has been sent.
+ *
+ * @resource [Tabledata: insertAll API Documentation]{@link https://cloud.google.com/bigquery/docs/reference/v2/tabledata/insertAll}
+ * @resource [Streaming Data into BigQuery]{@link https://cloud.google.com/bigquery/streaming-data-into-bigquery}
+ *
+ * @param {object=} options - Configuration object.
+ * @param {object} options.batching - When to send the rows that have been
+ *     written.
+ * @param {number} options.batching.maxBytes - Send the rows before the size of
+ *     a request would exceed this many bytes. (default: 5 MB)
+ * @param {number} options.batching.maxMilliseconds - Send the rows this many
+ *     milliseconds after the first of them was written. (default: 1000)
+ * @param {number} options.batching.maxRows - Send the rows once this many have
+ *     been written. (default: 500)
+ * @param {boolean} options.ignoreUnknownValues - Accept rows that contain
+ *     values that do not match the schema. The unknown values are ignored.
+ *     Default: `false`.
+ * @param {number} options.maxPendingBatches - The most batches to send or
+ *     retry at once. (default: 2)
+ * @param {number} options.maxRetries - How many times to send rows that failed
+ *     to be inserted for a temporary reason. (default: 3)
+ * @param {boolean} options.raw - If `true`, rows are expected to be formatted
+ *     as according to the
+ *     [specification](https://cloud.google.com/bigquery/docs/reference/v2/tabledata/insertAll).
+ *     Rows with an `insertId` keep it.
+ * @param {object} options.retryOptions - The delays between retries:
+ *     `initialDelay`, `multiplier`, `maxDelay` and `jitter`, in milliseconds.
+ *     See [Configuration](#/docs).
+ * @param {boolean} options.skipInvalidRows - Insert all valid rows of a
+ *     request, even if invalid rows exist. Default: `false`.
+ * @param {string} options.templateSuffix - Treat the destination table as a
+ *     base template, and insert the rows into an instance table named
+ *     "{destination}{templateSuffix}". See {module:bigquery/table#insert}.
+ * @return {WritableStream}
+ *
+ * @example
+ * var insertStream = table.createInsertStream();
+ *
+ * insertStream
+ *   .on('error', function(err) {
+ *     // A request failed. The stream is destroyed.
+ *   })
+ *   .on('insertError', function(insertError) {
+ *     // insertError.row (the row that was written)
+ *     // insertError.errors[].reason
+ *     // insertError.errors[].message
+ *   })
+ *   .on('finish', function() {
+ *     // All rows have been sent.
+ *   });
+ *
+ * insertStream.write({
+ *   INSTNM: 'Motion Picture Institute of Michigan',
+ *   CITY: 'Troy',
+ *   STABBR: 'MI'
+ * });
+ *
+ * insertStream.end();
+ *
+ * //-
+ * // Insert rows from another object stream into a table created for each
+ * // day.
+ * //-
+ * rowStream.pipe(table.createInsertStream({
+ *   templateSuffix: '_20170102'
+ * }));
+ */
+Table.prototype.createInsertStream = function(options) {
+  var self = this;
+
+  options = extend(true, {
+    batching: {
+      maxBytes: 5 * 1024 * 1024,
+      maxMilliseconds: 1000,
+      maxRows: 500
+    },
+    maxPendingBatches: 2
+  }, options);
+
+  var batching = options.batching;
+  var maxPendingBatches = options.maxPendingBatches;
+  var raw = options.raw;
+
+  var retryPolicy = common.util.createRetryPolicy({
+    maxRetries: options.maxRetries,
+    retryOptions: options.retryOptions
+  });
+
+  var json = extend({}, options);
+  delete json.batching;
+  delete json.maxPendingBatches;
+  delete json.maxRetries;
+  delete json.raw;
+  delete json.retryOptions;
+
+  var rows = [];
+  var numBytes = 0;
+  var timeout = null;
+  var pendingBatches = 0;
+  var waitingWrite = null;
+  var ending = false;
+
+  var writable = new stream.Writable({
+    objectMode: true
+  });
+
+  writable._write = function(row, encoding, next) {
+    var insertRow = raw ? extend({}, row) : { json: row };
+    insertRow.insertId = insertRow.insertId || uuid.v4();
+
+    var rowBytes = Buffer.byteLength(JSON.stringify(insertRow));
+
+    if (rows.length > 0 && numBytes + rowBytes > batching.maxBytes) {
+      sendRows();
+    }
+
+    rows.push(insertRow);
+    numBytes += rowBytes;
+
+    if (rows.length >= batching.maxRows) {
+      sendRows();
+    } else if (!timeout) {
+      timeout = setTimeout(sendRows, batching.maxMilliseconds);
+    }
+
+    if (pendingBatches >= maxPendingBatches) {
+      // Take the next row once a batch has been sent.
+      waitingWrite = next;
+      return;
+    }
+
+    next();
+  };
+
+  var insertStream = duplexify.obj(writable);
+
+  // Hold the `finish` event until every row has been sent.
+  insertStream.on('prefinish', function() {
+    insertStream.cork();
+    ending = true;
+
+    sendRows();
+    uncorkIfDone();
+  });
+
+  function sendRows() {
+    clearTimeout(timeout);
+    timeout = null;
+
+    if (rows.length === 0 || insertStream.destroyed) {
+      return;
+    }
+
+    var batch = rows;
+    rows = [];
+    numBytes = 0;
+
+    pendingBatches++;
+    insertRows(batch, 1);
+  }
+
+  function insertRows(batch, attempt) {
+    self.request({
+      method: 'POST',
+      uri: '/insertAll',
+      json: extend({}, json, {
+        rows: batch
+      })
+    }, function(err, resp) {
+      if (err) {
+        insertStream.destroy(err);
+        return;
+      }
+
+      insertStream.emit('response', resp);
+
+      var canRetry = attempt <= retryPolicy.retries;
+      var retryRows = [];
+
+      (resp.insertErrors || []).forEach(function(insertError) {
+        var insertRow = batch[insertError.index];
+
+        var retryable = canRetry && insertError.errors.every(function(error) {
+          return RETRYABLE_INSERT_REASONS.indexOf(error.reason) > -1;
+        });
+
+        if (retryable) {
+          retryRows.push(insertRow);
+          return;
+        }
+
+        insertStream.emit('insertError', {
+          errors: insertError.errors.map(function(error) {
+            return {
+              message: error.message,
+              reason: error.reason
+            };
+          }),
+          row: raw ? insertRow : insertRow.json
+        });
+      });
+
+      if (retryRows.length > 0 && !insertStream.destroyed) {
+        var delay = retryPolicy.getRetryDelay(attempt);
+        setTimeout(insertRows.bind(null, retryRows, attempt + 1), delay);
+        return;
+      }
+
+      pendingBatches--;
+      resumeWriting();
+      uncorkIfDone();
+    });
+  }
+
+  function resumeWriting() {
+    if (waitingWrite && pendingBatches < maxPendingBatches) {
+      var next = waitingWrite;
+      waitingWrite = null;
+      next();
+    }
+  }
+
+  function uncorkIfDone() {
+    if (ending && pendingBatches === 0) {
+      insertStream.uncork();
+    }
+  }
+
+  return insertStream;
+};
+
 /**
  * Create a readable stream of the rows of data in your table. This method is
  * simply a wrapper around {module:bigquery/table#getRows}.
  *
  * @resource [Tabledata: list API Documentation]{@link https://cloud.google.com/bigquery/docs/reference/v2/tabledata/list}
  *
+ * @param {object=} options - Configuration object. See
+ *     {module:bigquery/table#getRows}.
  * @return {ReadableStream}
  *
  * @example
@@ -330,9 +857,19 @@ Table.prototype.copy = function(destination, metadata, callback) {
  *     this.push(JSON.stringify(row) + '\n');
  *   }))
  *   .pipe(fs.createWriteStream('./test/testdata/testfile.json'));
+ *
+ * //-
+ * // Read the rows the table had at midnight.
+ * //-
+ * var midnight = new Date();
+ * midnight.setHours(0, 0, 0, 0);
+ *
+ * table.createReadStream({
+ *   snapshotTime: midnight
+ * });
  */
-Table.prototype.createReadStream = function() {
-  return this.getRows();
+Table.prototype.createReadStream = function(options) {
+  return this.getRows(options || {});
 };
 
 /**
@@ -344,10 +881,13 @@ Table.prototype.createReadStream = function() {
  * @param {string|object=} metadata - Metadata to set with the load operation.
  *     The metadata object should be in the format of the
  *     [`configuration.load`](http://goo.gl/BVcXk4) property of a Jobs resource.
- *     If a string is given, it will be used as the filetype.
+ *     If a string is given, it will be used as the filetype. The options
+ *     described in {module:bigquery/table#import} are accepted as well.
  * @return {WritableStream}
  *
  * @throws {Error} If source format isn't recognized.
+ * @throws {Error} If a load option is invalid. See
+ *     {module:bigquery/table#import}.
  *
  * @example
  * //-
@@ -377,25 +917,28 @@ Table.prototype.createReadStream = function() {
  * fs.createReadStream('./test/testdata/testfile.json')
  *   .pipe(table.createWriteStream('json'))
  *   .on('complete', function(job) {});
+ *
+ * //-
+ * // Append a Parquet file to a table partitioned by day.
+ * //-
+ * fs.createReadStream('./institutions.parquet')
+ *   .pipe(table.createWriteStream({
+ *     sourceFormat: 'parquet',
+ *     timePartitioning: 'DAY',
+ *     writeDisposition: 'WRITE_APPEND'
+ *   }))
+ *   .on('complete', function(job) {});
  */
 Table.prototype.createWriteStream = function(metadata) {
   var self = this;
 
-  metadata = metadata || {};
-
-  var fileTypes = Object.keys(FORMATS).map(function(key) {
-    return FORMATS[key];
-  });
-
   if (is.string(metadata)) {
     metadata = {
-      sourceFormat: FORMATS[metadata.toLowerCase()]
+      sourceFormat: metadata
     };
   }
 
-  if (is.string(metadata.schema)) {
-    metadata.schema = Table.createSchemaFromString_(metadata.schema);
-  }
+  metadata = Table.formatLoadMetadata_(metadata);
 
   extend(true, metadata, {
     destinationTable: {
@@ -405,11 +948,6 @@ Table.prototype.createWriteStream = function(metadata) {
     }
   });
 
-  if (metadata.hasOwnProperty('sourceFormat') &&
-      fileTypes.indexOf(metadata.sourceFormat) < 0) {
-    throw new Error('Source format not recognized: ' + metadata.sourceFormat);
-  }
-
   var dup = streamEvents(duplexify());
 
   dup.once('writing', function() {
@@ -422,7 +960,9 @@ Table.prototype.createWriteStream = function(metadata) {
       },
       request: {
         uri: format('{base}/{projectId}/jobs', {
-          base: 'https://www.googleapis.com/upload/bigquery/v2/projects',
+          base: self.bigQuery.resolveBaseUrl_(
+            'https://www.googleapis.com/upload/bigquery/v2/projects'
+          ),
           projectId: self.bigQuery.projectId
         })
       }
@@ -437,6 +977,23 @@ Table.prototype.createWriteStream = function(metadata) {
   return dup;
 };
 
+/**
+ * Remove labels from the table.
+ *
+ * @resource [Labeling Tables]{@link https://cloud.google.com/bigquery/docs/labeling-tables}
+ *
+ * @param {string|string[]} keys - The keys of the labels to remove.
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * table.deleteLabels(['env', 'team'], function(err, apiResponse) {});
+ */
+Table.prototype.deleteLabels = function(keys, callback) {
+  labelUtil.delete(this, keys, callback);
+};
+
 /**
  * Export table to Google Cloud Storage.
  *
@@ -563,6 +1120,23 @@ Table.prototype.export = function(destination, options, callback) {
   });
 };
 
+/**
+ * Get the labels of the table.
+ *
+ * @resource [Labeling Tables]{@link https://cloud.google.com/bigquery/docs/labeling-tables}
+ *
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object} callback.labels - The labels, as key-value pairs.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * table.getLabels(function(err, labels, apiResponse) {});
+ */
+Table.prototype.getLabels = function(callback) {
+  labelUtil.get(this, callback);
+};
+
 /**
  * Retrieves table data from a specified set of rows. The rows are returned to
  * your callback as an array of objects matching your table's schema.
@@ -572,13 +1146,31 @@ Table.prototype.export = function(destination, options, callback) {
  * @param {object=} options - The configuration object.
  * @param {boolean} options.autoPaginate - Have pagination handled
  *     automatically. Default: true.
+ * @param {string} options.integerType - How to return `INTEGER` values:
+ *     `"number"`, `"string"`, or `"bigint"`. Integers above 2^53 can't be
+ *     represented exactly as numbers. (default: `"number"`)
  * @param {number} options.maxApiCalls - Maximum number of API calls to make.
  * @param {number} options.maxResults - Maximum number of results to return.
+ * @param {date|number} options.snapshotTime - Read the rows the table had at
+ *     this point in time, as a Date or as milliseconds since the epoch. A
+ *     negative number is relative to now. Up to 7 days in the past. The rows
+ *     are decoded with the table's current schema. Columns added since then
+ *     are left out of the rows, and relaxed columns decode as before, but a
+ *     snapshot from before the schema was replaced, such as by a load job
+ *     that truncated the table, can't be decoded correctly.
  * @param {function} callback - The callback function.
  * @param {?error} callback.err - An error returned while making this request
  * @param {array} callback.rows - The table data from specified set of rows.
+ *     Nested and repeated fields are returned as objects and arrays. `DATE`,
+ *     `DATETIME` and `TIME` values are returned as objects created with
+ *     {module:bigquery#date}, {module:bigquery#datetime} and
+ *     {module:bigquery#time}, and `TIMESTAMP`s as Dates.
  * @param {object} callback.apiResponse - The full API response.
  *
+ * @throws {Error} If `options.integerType` is `"bigint"`, but BigInts aren't
+ *     supported.
+ * @throws {Error} If `options.snapshotTime` isn't a Date or a number.
+ *
  * @example
  * table.getRows(function(err, rows) {
  *   if (!err) {
@@ -619,6 +1211,13 @@ Table.prototype.export = function(destination, options, callback) {
  *   .on('data', function(row) {
  *     this.end();
  *   });
+ *
+ * //-
+ * // Get 64-bit integers without losing precision.
+ * //-
+ * table.getRows({
+ *   integerType: 'string'
+ * }, function(err, rows) {});
  */
 Table.prototype.getRows = function(options, callback) {
   var self = this;
@@ -630,9 +1229,36 @@ Table.prototype.getRows = function(options, callback) {
 
   callback = callback || common.util.noop;
 
-  this.request({
-    uri: '/data',
-    qs: options
+  if (options.integerType === 'bigint' && !is.fn(global.BigInt)) {
+    throw new Error('BigInt is not supported by this version of Node.js.');
+  }
+
+  var query = options;
+
+  if (options.integerType || is.defined(options.snapshotTime)) {
+    // `integerType` is only used to decode the rows, and `snapshotTime` to
+    // decorate the table ID.
+    query = extend({}, options);
+    delete query.integerType;
+    delete query.snapshotTime;
+  }
+
+  var request = this.request.bind(this);
+  var uri = '/data';
+
+  if (is.defined(options.snapshotTime)) {
+    // A snapshot has a different table ID, so the request is made through the
+    // dataset.
+    request = this.dataset.request.bind(this.dataset);
+    uri = format('/tables/{id}/data', {
+      id: encodeURIComponent(
+        Table.formatSnapshotId_(this.id, options.snapshotTime))
+    });
+  }
+
+  request({
+    uri: uri,
+    qs: query
   }, function(err, resp) {
     if (err) {
       onComplete(err, null, null, resp);
@@ -670,14 +1296,17 @@ Table.prototype.getRows = function(options, callback) {
       return;
     }
 
-    rows = Table.mergeSchemaWithRows_(self.metadata.schema, rows || []);
+    rows = Table.mergeSchemaWithRows_(self.metadata.schema, rows || [], {
+      integerType: options.integerType
+    });
 
     callback(null, rows, nextQuery, resp);
   }
 };
 
 /**
- * Load data from a local file or Storage file ({module:storage/file}).
+ * Load data from a local file, a readable stream or Storage file
+ * ({module:storage/file}).
  *
  * By loading data this way, you create a load job that will run your data load
  * asynchronously. If you would like instantaneous access to your data, insert
@@ -686,20 +1315,47 @@ Table.prototype.getRows = function(options, callback) {
  * Note: The file type will be inferred by the given file's extension. If you
  * wish to override this, you must provide `metadata.format`.
  *
+ * The options below are validated before the job is created. When the job is
+ * complete, its metadata holds the number of rows that were loaded
+ * (`statistics.load.outputRows`) and the errors of any bad records that were
+ * skipped (`status.errors`).
+ *
  * @resource [Jobs: insert API Documentation]{@link https://cloud.google.com/bigquery/docs/reference/v2/jobs/insert}
  *
- * @param {string|module:storage/file} source - The source file to import.
+ * @param {string|ReadableStream|module:storage/file[]} source - The source
+ *     file to import.
  * @param {object=} metadata - Metadata to set with the load operation. The
  *     metadata object should be in the format of the
  *     [`configuration.load`](http://goo.gl/BVcXk4) property of a Jobs resource.
+ * @param {boolean} metadata.autodetect - Infer the schema and format options
+ *     from the data.
+ * @param {string|string[]} metadata.clustering - Up to 4 columns to cluster
+ *     the table by.
  * @param {string} metadata.format - The format the data being imported is in.
- *     Allowed options are "CSV", "JSON", or "AVRO".
+ *     Allowed options are "CSV", "JSON", "AVRO", "PARQUET", or "ORC".
+ * @param {number} metadata.maxBadRecords - The number of bad records that may
+ *     be skipped before the job fails.
+ * @param {string} metadata.nullMarker - The string that represents a null
+ *     value. CSV only.
+ * @param {string|string[]} metadata.schemaUpdateOptions - Allow the schema of
+ *     the table to change: "ALLOW_FIELD_ADDITION" or "ALLOW_FIELD_RELAXATION".
+ *     Requires a `writeDisposition` of "WRITE_APPEND" or "WRITE_TRUNCATE".
+ * @param {number} metadata.skipLeadingRows - The number of header rows to
+ *     skip. CSV only.
+ * @param {string|object} metadata.timePartitioning - Partition the table by
+ *     "DAY", "HOUR", "MONTH" or "YEAR". Provide an object in the format of the
+ *     `timePartitioning` property of a Tables resource to partition by a column
+ *     or to expire partitions.
+ * @param {string} metadata.writeDisposition - What to do if the table has
+ *     data: "WRITE_APPEND", "WRITE_EMPTY" or "WRITE_TRUNCATE".
  * @param {function} callback - The callback function.
  * @param {?error} callback.err - An error returned while making this request
  * @param {module:bigquery/job} callback.job - The job used to import your data.
  * @param {object} callback.apiResponse - The full API response.
  *
- * @throws {Error} If the source isn't a string file name or a File instance.
+ * @throws {Error} If the source isn't a string file name, a stream or a File
+ *     instance.
+ * @throws {Error} If a load option is invalid.
  *
  * @example
  * //-
@@ -737,6 +1393,24 @@ Table.prototype.getRows = function(options, callback) {
  *   gcs.bucket('institutions').file('2011.csv'),
  *   gcs.bucket('institutions').file('2012.csv')
  * ], function(err, job, apiResponse) {});
+ *
+ * //-
+ * // Load data from a readable stream, detecting the schema, and find out how
+ * // many rows were loaded once the job is complete.
+ * //-
+ * var metadata = {
+ *   autodetect: true,
+ *   format: 'json',
+ *   maxBadRecords: 10
+ * };
+ *
+ * table.import(fs.createReadStream('./institutions.json'), metadata,
+ *   function(err, job) {
+ *     job.promise().then(function(jobMetadata) {
+ *       var outputRows = jobMetadata.statistics.load.outputRows;
+ *       var badRecordErrors = jobMetadata.status.errors;
+ *     });
+ *   });
  */
 Table.prototype.import = function(source, metadata, callback) {
   var self = this;
@@ -747,24 +1421,23 @@ Table.prototype.import = function(source, metadata, callback) {
   }
 
   callback = callback || common.util.noop;
-  metadata = metadata || {};
-
-  var format = metadata.sourceFormat || metadata.format;
-  if (format) {
-    metadata.sourceFormat = FORMATS[format.toLowerCase()];
-    delete metadata.format;
-  }
+  metadata = Table.formatLoadMetadata_(metadata);
 
   if (is.string(source)) {
     // A path to a file was given. If a sourceFormat wasn't specified, try to
     // find a match from the file's extension.
-    var detectedFormat = FORMATS[path.extname(source).substr(1).toLowerCase()];
+    var extension = path.extname(source).substr(1).toLowerCase();
+    var detectedFormat = SOURCE_FORMATS[extension];
     if (!metadata.sourceFormat && detectedFormat) {
       metadata.sourceFormat = detectedFormat;
     }
 
-    // Read the file into a new write stream.
-    return fs.createReadStream(source)
+    source = fs.createReadStream(source);
+  }
+
+  if (source && is.fn(source.pipe)) {
+    // Read the data into a new write stream.
+    return source
       .pipe(this.createWriteStream(metadata))
       .on('error', callback)
       .on('complete', function(resp) {
@@ -794,7 +1467,8 @@ Table.prototype.import = function(source, metadata, callback) {
       // If no explicit format was provided, attempt to find a match from
       // the file's extension. If no match, don't set, and default upstream
       // to CSV.
-      var format = FORMATS[path.extname(src.name).substr(1).toLowerCase()];
+      var extension = path.extname(src.name).substr(1).toLowerCase();
+      var format = SOURCE_FORMATS[extension];
       if (!metadata.sourceFormat && format) {
         body.configuration.load.sourceFormat = format;
       }
@@ -967,6 +1641,71 @@ Table.prototype.query = function(query, callback) {
   return this.dataset.query(query, callback);
 };
 
+/**
+ * Set when the table is deleted.
+ *
+ * @resource [Tables resource]{@link https://cloud.google.com/bigquery/docs/reference/v2/tables#resource}
+ *
+ * @throws {Error} If the expiration isn't a Date, a number of milliseconds
+ *     since the epoch or `null`.
+ *
+ * @param {?date|number} expirationTime - When to delete the table. Provide
+ *     `null` to keep the table forever.
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * //-
+ * // Delete the table tomorrow.
+ * //-
+ * var tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+ *
+ * table.setExpirationTime(tomorrow, function(err, apiResponse) {});
+ */
+Table.prototype.setExpirationTime = function(expirationTime, callback) {
+  if (is.date(expirationTime)) {
+    expirationTime = expirationTime.getTime();
+  }
+
+  if (expirationTime !== null && !is.number(expirationTime)) {
+    throw new Error('An expiration time must be a Date or a timestamp.');
+  }
+
+  if (expirationTime !== null) {
+    expirationTime = String(expirationTime);
+  }
+
+  this.updateMetadata_(function(metadata) {
+    if ((metadata.expirationTime || null) === expirationTime) {
+      return null;
+    }
+
+    return {
+      expirationTime: expirationTime
+    };
+  }, callback);
+};
+
+/**
+ * Add labels to the table, or change the values of existing labels.
+ *
+ * @resource [Labeling Tables]{@link https://cloud.google.com/bigquery/docs/labeling-tables}
+ *
+ * @param {object} labels - The labels, as key-value pairs.
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * table.setLabels({
+ *   env: 'production'
+ * }, function(err, apiResponse) {});
+ */
+Table.prototype.setLabels = function(labels, callback) {
+  labelUtil.set(this, labels, callback);
+};
+
 /**
  * Set the metadata on the table.
  *
@@ -1030,4 +1769,13 @@ Table.prototype.setMetadata = function(metadata, callback) {
  */
 common.streamRouter.extend(Table, ['getRows']);
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Table, {
+  exclude: ['getRows', 'query']
+});
+
 module.exports = Table;
@@ -0,0 +1,87 @@
+/*!
+ * Copyright 2017 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*!
+ * @module bigquery/types
+ */
+
+'use strict';
+
+var is = require('is');
+
+var types = module.exports;
+
+/**
+ * A `DATE` value, e.g. `"2017-01-02"`. Unlike a `TIMESTAMP`, it isn't a point
+ * in time, so it isn't returned as a `Date`.
+ *
+ * @constructor
+ * @param {string|Date} value - The date as a string, or a Date, whose UTC date
+ *     is used.
+ *
+ * @example
+ * var date = new BigQueryDate('2017-01-02');
+ */
+function BigQueryDate(value) {
+  if (is.date(value)) {
+    // "2017-01-02T03:04:05.678Z"
+    value = value.toISOString().substr(0, 10);
+  }
+
+  this.value = value;
+}
+
+types.BigQueryDate = BigQueryDate;
+
+/**
+ * A `DATETIME` value, e.g. `"2017-01-02 03:04:05.678"`.
+ *
+ * @constructor
+ * @param {string|Date} value - The date and time as a string, or a Date, whose
+ *     UTC date and time are used.
+ *
+ * @example
+ * var datetime = new BigQueryDatetime('2017-01-02 03:04:05');
+ */
+function BigQueryDatetime(value) {
+  if (is.date(value)) {
+    value = value.toISOString().substr(0, 23).replace('T', ' ');
+  }
+
+  this.value = value;
+}
+
+types.BigQueryDatetime = BigQueryDatetime;
+
+/**
+ * A `TIME` value, e.g. `"03:04:05.678"`.
+ *
+ * @constructor
+ * @param {string|Date} value - The time as a string, or a Date, whose UTC time
+ *     is used.
+ *
+ * @example
+ * var time = new BigQueryTime('03:04:05');
+ */
+function BigQueryTime(value) {
+  if (is.date(value)) {
+    value = value.toISOString().substr(11, 12);
+  }
+
+  this.value = value;
+}
+
+types.BigQueryTime = BigQueryTime;
@@ -179,6 +179,82 @@ describe('BigQuery', function() {
     });
   });
 
+  it('should decode nested, repeated and typed values', function(done) {
+    bigquery.query({
+      query: [
+        'SELECT',
+        'STRUCT(9007199254740993 AS id, [1, 2] AS values) AS record,',
+        'b\'abc\' AS bytes,',
+        'DATE \'2017-01-02\' AS date,',
+        'TIME \'03:04:05\' AS time'
+      ].join(' '),
+      useLegacySql: false,
+      integerType: 'string'
+    }, function(err, rows) {
+      assert.ifError(err);
+
+      var row = rows[0];
+
+      assert.deepEqual(row.record, {
+        id: '9007199254740993',
+        values: ['1', '2']
+      });
+      assert.deepEqual(row.bytes, new Buffer('abc'));
+      assert.deepEqual(row.date, bigquery.date('2017-01-02'));
+      assert.deepEqual(row.time, bigquery.time('03:04:05'));
+
+      done();
+    });
+  });
+
+  describe('query parameters', function() {
+    it('should query with named parameters', function(done) {
+      bigquery.query({
+        query: [
+          'SELECT url',
+          'FROM `publicdata.samples.github_nested`',
+          'WHERE repository.owner = @owner',
+          'LIMIT @limit'
+        ].join(' '),
+        params: {
+          owner: 'google',
+          limit: 10
+        }
+      }, function(err, rows) {
+        assert.ifError(err);
+        assert.equal(rows.length, 10);
+        done();
+      });
+    });
+
+    it('should query with positional parameters', function(done) {
+      bigquery.query({
+        query: 'SELECT ? AS a, ARRAY_LENGTH(?) AS b, ?.c AS c',
+        params: [true, [1, 2, 3], { c: 'd' }]
+      }, function(err, rows) {
+        assert.ifError(err);
+        assert.deepEqual(rows, [{ a: true, b: 3, c: 'd' }]);
+        done();
+      });
+    });
+
+    it('should query with typed parameters', function(done) {
+      bigquery.query({
+        query: 'SELECT ARRAY_LENGTH(@values) AS length',
+        params: {
+          values: []
+        },
+        types: {
+          values: ['STRING']
+        }
+      }, function(err, rows) {
+        assert.ifError(err);
+        assert.deepEqual(rows, [{ length: 0 }]);
+        done();
+      });
+    });
+  });
+
   it('should get a list of jobs', function(done) {
     bigquery.getJobs(function(err, jobs) {
       assert.ifError(err);
@@ -234,6 +310,47 @@ describe('BigQuery', function() {
       });
     });
 
+    it('should set, get & delete labels', function(done) {
+      dataset.setLabels({ env: 'test' }, function(err) {
+        assert.ifError(err);
+
+        dataset.getLabels(function(err, labels) {
+          assert.ifError(err);
+          assert.strictEqual(labels.env, 'test');
+
+          dataset.deleteLabels('env', function(err, metadata) {
+            assert.ifError(err);
+            assert(!(metadata.labels && metadata.labels.env));
+            done();
+          });
+        });
+      });
+    });
+
+    it('should grant & revoke access', function(done) {
+      var entry = {
+        role: 'READER',
+        specialGroup: 'projectReaders'
+      };
+
+      dataset.revokeAccess(entry, function(err) {
+        assert.ifError(err);
+
+        dataset.grantAccess(entry, function(err) {
+          assert.ifError(err);
+
+          dataset.getAccess(function(err, access) {
+            assert.ifError(err);
+            assert(access.some(function(existingEntry) {
+              return existingEntry.specialGroup === 'projectReaders' &&
+                existingEntry.role === 'READER';
+            }));
+            done();
+          });
+        });
+      });
+    });
+
     it('should get tables', function(done) {
       dataset.getTables(function(err, tables) {
         assert.ifError(err);
@@ -306,6 +423,20 @@ describe('BigQuery', function() {
         });
       });
     });
+
+    it('should create a view', function(done) {
+      var query = 'SELECT name FROM `' + dataset.bigQuery.projectId + '.' +
+        dataset.id + '.' + table.id + '`';
+
+      dataset.createTable(generateName('view'), {
+        view: query
+      }, function(err, view) {
+        assert.ifError(err);
+        assert.strictEqual(view.metadata.type, 'VIEW');
+        assert.strictEqual(view.metadata.view.query, query);
+        done();
+      });
+    });
   });
 
   describe('BigQuery/Table', function() {
@@ -347,6 +478,47 @@ describe('BigQuery', function() {
         });
     });
 
+    it('should load rows from a stream and count them', function(done) {
+      var metadata = {
+        format: 'json',
+        writeDisposition: 'WRITE_APPEND'
+      };
+
+      table.import(fs.createReadStream(TEST_DATA_JSON_PATH), metadata,
+        function(err, job) {
+          assert.ifError(err);
+
+          job.promise().then(function(jobMetadata) {
+            assert(Number(jobMetadata.statistics.load.outputRows) > 0);
+            done();
+          }, done);
+        });
+    });
+
+    it('should insert rows with an insert stream', function(done) {
+      var insertErrors = [];
+
+      var insertStream = table.createInsertStream({
+        batching: {
+          maxRows: 2
+        }
+      });
+
+      insertStream
+        .on('error', done)
+        .on('insertError', function(insertError) {
+          insertErrors.push(insertError);
+        })
+        .on('finish', function() {
+          assert.deepEqual(insertErrors, []);
+          done();
+        });
+
+      insertStream.write({ id: 1, name: 'tom', breed: 'tabby' });
+      insertStream.write({ id: 2, name: 'felix', breed: 'tuxedo' });
+      insertStream.end({ id: 3, name: 'garfield', breed: 'persian' });
+    });
+
     it('should set & get metadata', function(done) {
       table.setMetadata({
         description: 'catsandstuff'
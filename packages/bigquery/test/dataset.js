@@ -46,6 +46,20 @@ function FakeServiceObject() {
 
 nodeutil.inherits(FakeServiceObject, ServiceObject);
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class, options) {
+    if (Class.name !== 'Dataset') {
+      return;
+    }
+
+    promisified = true;
+    assert.deepEqual(options.exclude, ['getTables', 'query', 'table']);
+  }
+});
+
+var fakeLabelUtil = {};
+
 describe('BigQuery/Dataset', function() {
   var BIGQUERY = {
     projectId: 'my-project',
@@ -60,8 +74,10 @@ describe('BigQuery/Dataset', function() {
     Dataset = proxyquire('../src/dataset.js', {
       '@google-cloud/common': {
         streamRouter: fakeStreamRouter,
-        ServiceObject: FakeServiceObject
-      }
+        ServiceObject: FakeServiceObject,
+        util: fakeUtil
+      },
+      './labels.js': fakeLabelUtil
     });
     Table = require('../src/table.js');
   });
@@ -71,6 +87,10 @@ describe('BigQuery/Dataset', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should extend the correct methods', function() {
       assert(extended); // See `fakeStreamRouter.extend`
     });
@@ -103,6 +123,168 @@ describe('BigQuery/Dataset', function() {
     });
   });
 
+  describe('formatExternalDataConfiguration_', function() {
+    function Storage() {}
+
+    function File(name) {
+      this.name = name;
+      this.bucket = {
+        name: 'bucket-name'
+      };
+      this.parent = new Storage();
+    }
+
+    it('should convert File objects to gs:// URIs', function() {
+      var config = Dataset.formatExternalDataConfiguration_({
+        sourceUris: [new File('a.csv'), 'gs://bucket-name/b/*.csv']
+      });
+
+      assert.deepEqual(config.sourceUris, [
+        'gs://bucket-name/a.csv',
+        'gs://bucket-name/b/*.csv'
+      ]);
+    });
+
+    it('should accept a single source', function() {
+      var config = Dataset.formatExternalDataConfiguration_({
+        sourceUris: new File('a.csv')
+      });
+
+      assert.deepEqual(config.sourceUris, ['gs://bucket-name/a.csv']);
+    });
+
+    it('should throw if a source is not valid', function() {
+      assert.throws(function() {
+        Dataset.formatExternalDataConfiguration_({
+          sourceUris: ['/local/file.csv']
+        });
+      }, /Source must be a File object or a gs:\/\/ URI/);
+    });
+
+    it('should format the source format', function() {
+      var config = Dataset.formatExternalDataConfiguration_({
+        sourceUris: 'gs://bucket-name/a.json',
+        sourceFormat: 'json'
+      });
+
+      assert.strictEqual(config.sourceFormat, 'NEWLINE_DELIMITED_JSON');
+    });
+  });
+
+  describe('formatAccessEntry_', function() {
+    it('should not modify the original entry', function() {
+      var entry = { role: 'reader', userByEmail: 'a@b.com' };
+      Dataset.formatAccessEntry_(entry);
+      assert.deepEqual(entry, { role: 'reader', userByEmail: 'a@b.com' });
+    });
+
+    it('should upper-case the role', function() {
+      var entry = Dataset.formatAccessEntry_({
+        role: 'reader',
+        groupByEmail: 'team@b.com'
+      });
+
+      assert.deepEqual(entry, { role: 'READER', groupByEmail: 'team@b.com' });
+    });
+
+    it('should throw if the role is not recognized', function() {
+      assert.throws(function() {
+        Dataset.formatAccessEntry_({ role: 'admin', domain: 'b.com' });
+      }, /Access role not recognized: ADMIN/);
+    });
+
+    it('should throw if there is not exactly one entity', function() {
+      assert.throws(function() {
+        Dataset.formatAccessEntry_({ role: 'READER' });
+      }, /An access entry must have exactly one of/);
+
+      assert.throws(function() {
+        Dataset.formatAccessEntry_({
+          role: 'READER',
+          domain: 'b.com',
+          userByEmail: 'a@b.com'
+        });
+      }, /An access entry must have exactly one of/);
+    });
+
+    it('should format a Table as a view', function() {
+      var view = ds.table('view-id');
+
+      assert.deepEqual(Dataset.formatAccessEntry_({ view: view }), {
+        view: {
+          projectId: BIGQUERY.projectId,
+          datasetId: DATASET_ID,
+          tableId: 'view-id'
+        }
+      });
+    });
+
+    it('should throw if a view is given a role', function() {
+      assert.throws(function() {
+        Dataset.formatAccessEntry_({ role: 'READER', view: {} });
+      }, /An authorized view can not be given a role/);
+    });
+  });
+
+  describe('matchesAccessEntry_', function() {
+    var VIEW = {
+      projectId: 'project-id',
+      datasetId: 'dataset-id',
+      tableId: 'table-id'
+    };
+
+    it('should match the same entity and role', function() {
+      var entry = { role: 'READER', userByEmail: 'a@b.com' };
+      assert(Dataset.matchesAccessEntry_(extend({}, entry), entry));
+    });
+
+    it('should match any role if none is given', function() {
+      var existingEntry = { role: 'WRITER', userByEmail: 'a@b.com' };
+      var entry = { userByEmail: 'a@b.com' };
+      assert(Dataset.matchesAccessEntry_(existingEntry, entry));
+    });
+
+    it('should not match a different role', function() {
+      var existingEntry = { role: 'WRITER', userByEmail: 'a@b.com' };
+      var entry = { role: 'READER', userByEmail: 'a@b.com' };
+      assert(!Dataset.matchesAccessEntry_(existingEntry, entry));
+    });
+
+    it('should not match a different entity', function() {
+      var existingEntry = { role: 'READER', groupByEmail: 'a@b.com' };
+      var entry = { role: 'READER', userByEmail: 'a@b.com' };
+      assert(!Dataset.matchesAccessEntry_(existingEntry, entry));
+    });
+
+    it('should compare views by reference', function() {
+      var existingEntry = { view: extend({}, VIEW) };
+
+      assert(Dataset.matchesAccessEntry_(existingEntry, { view: VIEW }));
+
+      assert(!Dataset.matchesAccessEntry_(existingEntry, {
+        view: extend({}, VIEW, { tableId: 'other-table-id' })
+      }));
+
+      assert(!Dataset.matchesAccessEntry_({ domain: 'b.com' }, {
+        view: VIEW
+      }));
+    });
+  });
+
+  describe('authorizeView', function() {
+    it('should grant access to the view', function(done) {
+      var view = {};
+
+      ds.grantAccess = function(entry, callback) {
+        assert.deepEqual(entry, { view: view });
+        assert.strictEqual(entry.view, view);
+        callback(); // done()
+      };
+
+      ds.authorizeView(view, done);
+    });
+  });
+
   describe('createTable', function() {
     var SCHEMA_OBJECT = {
       fields: [
@@ -268,6 +450,91 @@ describe('BigQuery/Dataset', function() {
     });
   });
 
+  describe('createTable views and external tables', function() {
+    it('should create a view in standard SQL', function(done) {
+      ds.request = function(reqOpts) {
+        assert.deepEqual(reqOpts.json.view, {
+          query: 'SELECT 1',
+          useLegacySql: false
+        });
+        done();
+      };
+
+      ds.createTable('view-id', { view: 'SELECT 1' }, assert.ifError);
+    });
+
+    it('should pass a view object through', function(done) {
+      var view = {
+        query: 'SELECT 1',
+        useLegacySql: true
+      };
+
+      ds.request = function(reqOpts) {
+        assert.deepEqual(reqOpts.json.view, view);
+        done();
+      };
+
+      ds.createTable('view-id', { view: view }, assert.ifError);
+    });
+
+    it('should create a materialized view', function(done) {
+      ds.request = function(reqOpts) {
+        assert.deepEqual(reqOpts.json.materializedView, {
+          query: 'SELECT 1'
+        });
+        done();
+      };
+
+      ds.createTable('view-id', {
+        materializedView: 'SELECT 1'
+      }, assert.ifError);
+    });
+
+    it('should format an external table', function(done) {
+      var formattedConfig = {};
+
+      var formatExternalDataConfiguration_ =
+        Dataset.formatExternalDataConfiguration_;
+
+      Dataset.formatExternalDataConfiguration_ = function(config) {
+        Dataset.formatExternalDataConfiguration_ =
+          formatExternalDataConfiguration_;
+
+        assert.deepEqual(config, { sourceUris: 'gs://bucket-name/*.csv' });
+        return formattedConfig;
+      };
+
+      ds.request = function(reqOpts) {
+        var config = reqOpts.json.externalDataConfiguration;
+
+        assert.strictEqual(config, formattedConfig);
+        assert.strictEqual(config.autodetect, true);
+        done();
+      };
+
+      ds.createTable('external-id', {
+        externalDataConfiguration: {
+          sourceUris: 'gs://bucket-name/*.csv'
+        }
+      }, assert.ifError);
+    });
+
+    it('should not detect the schema if one is given', function(done) {
+      ds.request = function(reqOpts) {
+        var config = reqOpts.json.externalDataConfiguration;
+        assert.strictEqual(config.autodetect, undefined);
+        done();
+      };
+
+      ds.createTable('external-id', {
+        externalDataConfiguration: {
+          sourceUris: 'gs://bucket-name/*.csv'
+        },
+        schema: 'name:string'
+      }, assert.ifError);
+    });
+  });
+
   describe('delete', function() {
     it('should delete the dataset via the api', function(done) {
       ds.request = function(reqOpts) {
@@ -324,6 +591,77 @@ describe('BigQuery/Dataset', function() {
     });
   });
 
+  describe('deleteLabels', function() {
+    it('should delete the labels', function(done) {
+      var keys = ['env'];
+
+      fakeLabelUtil.delete = function(serviceObject, keys_, callback) {
+        assert.strictEqual(serviceObject, ds);
+        assert.strictEqual(keys_, keys);
+        callback(); // done()
+      };
+
+      ds.deleteLabels(keys, done);
+    });
+  });
+
+  describe('getAccess', function() {
+    it('should return the access entries', function(done) {
+      var access = [];
+      var apiResponse = { access: access };
+
+      ds.getMetadata = function(callback) {
+        callback(null, apiResponse, apiResponse);
+      };
+
+      ds.getAccess(function(err, access_, apiResponse_) {
+        assert.ifError(err);
+        assert.strictEqual(access_, access);
+        assert.strictEqual(apiResponse_, apiResponse);
+        done();
+      });
+    });
+
+    it('should default to an empty array', function(done) {
+      ds.getMetadata = function(callback) {
+        callback(null, {}, {});
+      };
+
+      ds.getAccess(function(err, access) {
+        assert.ifError(err);
+        assert.deepEqual(access, []);
+        done();
+      });
+    });
+
+    it('should return an error', function(done) {
+      var error = new Error('Error.');
+      var apiResponse = {};
+
+      ds.getMetadata = function(callback) {
+        callback(error, null, apiResponse);
+      };
+
+      ds.getAccess(function(err, access, apiResponse_) {
+        assert.strictEqual(err, error);
+        assert.strictEqual(access, null);
+        assert.strictEqual(apiResponse_, apiResponse);
+        done();
+      });
+    });
+  });
+
+  describe('getLabels', function() {
+    it('should get the labels', function(done) {
+      fakeLabelUtil.get = function(serviceObject, callback) {
+        assert.strictEqual(serviceObject, ds);
+        callback(); // done()
+      };
+
+      ds.getLabels(done);
+    });
+  });
+
   describe('getTables', function() {
     it('should get tables from the api', function(done) {
       ds.request = function(reqOpts) {
@@ -424,6 +762,72 @@ describe('BigQuery/Dataset', function() {
     });
   });
 
+  describe('grantAccess', function() {
+    var ENTRY = {
+      role: 'reader',
+      userByEmail: 'a@b.com'
+    };
+
+    it('should throw if a role is not given', function() {
+      assert.throws(function() {
+        ds.grantAccess({ userByEmail: 'a@b.com' });
+      }, /A role is required to grant access/);
+    });
+
+    it('should add the formatted entry', function(done) {
+      var existingEntry = { role: 'OWNER', specialGroup: 'projectOwners' };
+
+      ds.updateMetadata_ = function(getChanges, callback) {
+        var changes = getChanges({
+          access: [existingEntry]
+        });
+
+        assert.deepEqual(changes, {
+          access: [
+            existingEntry,
+            { role: 'READER', userByEmail: 'a@b.com' }
+          ]
+        });
+
+        callback(); // done()
+      };
+
+      ds.grantAccess(ENTRY, done);
+    });
+
+    it('should not add an entry that exists', function() {
+      ds.updateMetadata_ = function(getChanges) {
+        var changes = getChanges({
+          access: [{ role: 'READER', userByEmail: 'a@b.com' }]
+        });
+
+        assert.strictEqual(changes, null);
+      };
+
+      ds.grantAccess(ENTRY);
+    });
+
+    it('should authorize a view', function() {
+      ds.updateMetadata_ = function(getChanges) {
+        var changes = getChanges({});
+
+        assert.deepEqual(changes, {
+          access: [
+            {
+              view: {
+                projectId: BIGQUERY.projectId,
+                datasetId: DATASET_ID,
+                tableId: 'view-id'
+              }
+            }
+          ]
+        });
+      };
+
+      ds.grantAccess({ view: ds.table('view-id') });
+    });
+  });
+
   describe('query', function() {
     var options = {
       a: 'b',
@@ -499,6 +903,123 @@ describe('BigQuery/Dataset', function() {
     });
   });
 
+  describe('revokeAccess', function() {
+    var ACCESS = [
+      { role: 'OWNER', specialGroup: 'projectOwners' },
+      { role: 'READER', userByEmail: 'a@b.com' },
+      { role: 'WRITER', userByEmail: 'a@b.com' }
+    ];
+
+    it('should remove the entry', function(done) {
+      ds.updateMetadata_ = function(getChanges, callback) {
+        var changes = getChanges({
+          access: ACCESS
+        });
+
+        assert.deepEqual(changes, {
+          access: [ACCESS[0], ACCESS[2]]
+        });
+
+        callback(); // done()
+      };
+
+      ds.revokeAccess({ role: 'reader', userByEmail: 'a@b.com' }, done);
+    });
+
+    it('should remove every role without a role', function() {
+      ds.updateMetadata_ = function(getChanges) {
+        var changes = getChanges({
+          access: ACCESS
+        });
+
+        assert.deepEqual(changes, {
+          access: [ACCESS[0]]
+        });
+      };
+
+      ds.revokeAccess({ userByEmail: 'a@b.com' });
+    });
+
+    it('should not change anything if there is no entry', function() {
+      ds.updateMetadata_ = function(getChanges) {
+        assert.strictEqual(getChanges({ access: ACCESS }), null);
+        assert.strictEqual(getChanges({}), null);
+      };
+
+      ds.revokeAccess({ domain: 'b.com' });
+    });
+  });
+
+  describe('setDefaultTableExpiration', function() {
+    it('should throw if the expiration is not valid', function() {
+      [undefined, '1000', -1, 0].forEach(function(expirationMs) {
+        assert.throws(function() {
+          ds.setDefaultTableExpiration(expirationMs);
+        }, /A table expiration must be a number of milliseconds/);
+      });
+    });
+
+    it('should throw if the expiration is shorter than an hour', function() {
+      assert.throws(function() {
+        ds.setDefaultTableExpiration(3599999);
+      }, /A table expiration must be at least one hour/);
+    });
+
+    it('should set the expiration as a string', function(done) {
+      ds.updateMetadata_ = function(getChanges, callback) {
+        assert.deepEqual(getChanges({}), {
+          defaultTableExpirationMs: '3600000'
+        });
+
+        callback(); // done()
+      };
+
+      ds.setDefaultTableExpiration(3600000, done);
+    });
+
+    it('should remove the expiration', function() {
+      ds.updateMetadata_ = function(getChanges) {
+        var changes = getChanges({
+          defaultTableExpirationMs: '3600000'
+        });
+
+        assert.deepEqual(changes, {
+          defaultTableExpirationMs: null
+        });
+
+        assert.strictEqual(getChanges({}), null);
+      };
+
+      ds.setDefaultTableExpiration(null);
+    });
+
+    it('should not change an identical expiration', function() {
+      ds.updateMetadata_ = function(getChanges) {
+        var changes = getChanges({
+          defaultTableExpirationMs: '3600000'
+        });
+
+        assert.strictEqual(changes, null);
+      };
+
+      ds.setDefaultTableExpiration(3600000);
+    });
+  });
+
+  describe('setLabels', function() {
+    it('should set the labels', function(done) {
+      var labels = { env: 'prod' };
+
+      fakeLabelUtil.set = function(serviceObject, labels_, callback) {
+        assert.strictEqual(serviceObject, ds);
+        assert.strictEqual(labels_, labels);
+        callback(); // done()
+      };
+
+      ds.setLabels(labels, done);
+    });
+  });
+
   describe('table', function() {
     it('should return a Table object', function() {
       var tableId = 'tableId';
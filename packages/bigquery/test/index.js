@@ -24,9 +24,29 @@ var proxyquire = require('proxyquire');
 
 var Service = require('@google-cloud/common').Service;
 var Table = require('../src/table.js');
+var types = require('../src/types.js');
 var util = require('@google-cloud/common').util;
 
-var fakeUtil = extend({}, util);
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class, options) {
+    if (Class.name !== 'BigQuery') {
+      return;
+    }
+
+    promisified = true;
+    assert.deepEqual(options.exclude, [
+      'dataset',
+      'date',
+      'datetime',
+      'getDatasets',
+      'getJobs',
+      'job',
+      'query',
+      'time'
+    ]);
+  }
+});
 
 function FakeTable(a, b) {
   Table.call(this, a, b);
@@ -83,6 +103,10 @@ describe('BigQuery', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should extend the correct methods', function() {
       assert(extended); // See `fakeStreamRouter.extend`
     });
@@ -120,6 +144,281 @@ describe('BigQuery', function() {
     });
   });
 
+  describe('date', function() {
+    it('should be available on instances', function() {
+      assert.strictEqual(bq.date, BigQuery.date);
+    });
+
+    it('should return a BigQueryDate', function() {
+      var date = BigQuery.date('2017-01-02');
+
+      assert(date instanceof types.BigQueryDate);
+      assert.strictEqual(date.value, '2017-01-02');
+    });
+  });
+
+  describe('datetime', function() {
+    it('should be available on instances', function() {
+      assert.strictEqual(bq.datetime, BigQuery.datetime);
+    });
+
+    it('should return a BigQueryDatetime', function() {
+      var datetime = BigQuery.datetime('2017-01-02 03:04:05');
+
+      assert(datetime instanceof types.BigQueryDatetime);
+      assert.strictEqual(datetime.value, '2017-01-02 03:04:05');
+    });
+  });
+
+  describe('time', function() {
+    it('should be available on instances', function() {
+      assert.strictEqual(bq.time, BigQuery.time);
+    });
+
+    it('should return a BigQueryTime', function() {
+      var time = BigQuery.time('03:04:05');
+
+      assert(time instanceof types.BigQueryTime);
+      assert.strictEqual(time.value, '03:04:05');
+    });
+  });
+
+  describe('formatQueryParameters_', function() {
+    it('should return options without params', function() {
+      var options = { query: 'query' };
+      assert.strictEqual(BigQuery.formatQueryParameters_(options), options);
+    });
+
+    it('should format named parameters', function() {
+      var options = {
+        query: 'SELECT @a, @b',
+        params: { a: 'b', b: 3 },
+        types: { b: 'FLOAT64' }
+      };
+
+      assert.deepEqual(BigQuery.formatQueryParameters_(options), {
+        query: 'SELECT @a, @b',
+        useLegacySql: false,
+        parameterMode: 'named',
+        queryParameters: [
+          {
+            name: 'a',
+            parameterType: { type: 'STRING' },
+            parameterValue: { value: 'b' }
+          },
+          {
+            name: 'b',
+            parameterType: { type: 'FLOAT64' },
+            parameterValue: { value: '3' }
+          }
+        ]
+      });
+    });
+
+    it('should format positional parameters', function() {
+      var options = {
+        query: 'SELECT ?, ?',
+        params: [true, null],
+        types: [null, 'string']
+      };
+
+      assert.deepEqual(BigQuery.formatQueryParameters_(options), {
+        query: 'SELECT ?, ?',
+        useLegacySql: false,
+        parameterMode: 'positional',
+        queryParameters: [
+          {
+            parameterType: { type: 'BOOL' },
+            parameterValue: { value: 'true' }
+          },
+          {
+            parameterType: { type: 'STRING' },
+            parameterValue: {}
+          }
+        ]
+      });
+    });
+
+    it('should not modify the original options object', function() {
+      var options = { query: 'SELECT @a', params: { a: 1 } };
+      var originalOptions = extend(true, {}, options);
+
+      BigQuery.formatQueryParameters_(options);
+      assert.deepEqual(options, originalOptions);
+    });
+  });
+
+  describe('getType_', function() {
+    it('should infer scalar types', function() {
+      assert.deepEqual(BigQuery.getType_(true), { type: 'BOOL' });
+      assert.deepEqual(BigQuery.getType_(8), { type: 'INT64' });
+      assert.deepEqual(BigQuery.getType_(8.5), { type: 'FLOAT64' });
+      assert.deepEqual(BigQuery.getType_('8'), { type: 'STRING' });
+      assert.deepEqual(BigQuery.getType_(new Date()), { type: 'TIMESTAMP' });
+      assert.deepEqual(BigQuery.getType_(new Buffer('8')), { type: 'BYTES' });
+    });
+
+    it('should infer date and time types', function() {
+      assert.deepEqual(BigQuery.getType_(BigQuery.date('2017-01-02')), {
+        type: 'DATE'
+      });
+      assert.deepEqual(BigQuery.getType_(BigQuery.datetime('2017-01-02')), {
+        type: 'DATETIME'
+      });
+      assert.deepEqual(BigQuery.getType_(BigQuery.time('03:04')), {
+        type: 'TIME'
+      });
+    });
+
+    it('should infer the type of an array', function() {
+      assert.deepEqual(BigQuery.getType_([1, 2]), {
+        type: 'ARRAY',
+        arrayType: { type: 'INT64' }
+      });
+    });
+
+    it('should infer the type of a struct', function() {
+      assert.deepEqual(BigQuery.getType_({ a: 'b', c: [{ d: false }] }), {
+        type: 'STRUCT',
+        structTypes: [
+          {
+            name: 'a',
+            type: { type: 'STRING' }
+          },
+          {
+            name: 'c',
+            type: {
+              type: 'ARRAY',
+              arrayType: {
+                type: 'STRUCT',
+                structTypes: [
+                  {
+                    name: 'd',
+                    type: { type: 'BOOL' }
+                  }
+                ]
+              }
+            }
+          }
+        ]
+      });
+    });
+
+    it('should use the given type', function() {
+      assert.deepEqual(BigQuery.getType_('2017-01-01', 'date'), {
+        type: 'DATE'
+      });
+    });
+
+    it('should convert legacy SQL type names', function() {
+      assert.deepEqual(BigQuery.getType_(1, 'INTEGER'), { type: 'INT64' });
+      assert.deepEqual(BigQuery.getType_(1, 'FLOAT'), { type: 'FLOAT64' });
+      assert.deepEqual(BigQuery.getType_(true, 'boolean'), { type: 'BOOL' });
+    });
+
+    it('should use the given type of an empty array', function() {
+      assert.deepEqual(BigQuery.getType_([], ['STRING']), {
+        type: 'ARRAY',
+        arrayType: { type: 'STRING' }
+      });
+    });
+
+    it('should combine given and inferred struct types', function() {
+      assert.deepEqual(BigQuery.getType_({ a: 1, b: 2 }, { b: 'NUMERIC' }), {
+        type: 'STRUCT',
+        structTypes: [
+          {
+            name: 'b',
+            type: { type: 'NUMERIC' }
+          },
+          {
+            name: 'a',
+            type: { type: 'INT64' }
+          }
+        ]
+      });
+    });
+
+    it('should throw if an empty array has no type', function() {
+      assert.throws(function() {
+        BigQuery.getType_([]);
+      }, /The type of an empty array can't be inferred\./);
+    });
+
+    it('should throw if a type cannot be inferred', function() {
+      assert.throws(function() {
+        BigQuery.getType_(null);
+      }, /The type of `null` can't be inferred\./);
+
+      assert.throws(function() {
+        BigQuery.getType_({ a: undefined });
+      }, /The type of `undefined` can't be inferred\./);
+    });
+  });
+
+  describe('valueToQueryParameter_', function() {
+    it('should convert scalar values to strings', function() {
+      assert.deepEqual(BigQuery.valueToQueryParameter_(1.5), {
+        parameterType: { type: 'FLOAT64' },
+        parameterValue: { value: '1.5' }
+      });
+    });
+
+    it('should base64 encode a Buffer', function() {
+      assert.deepEqual(BigQuery.valueToQueryParameter_(new Buffer('abc')), {
+        parameterType: { type: 'BYTES' },
+        parameterValue: { value: 'YWJj' }
+      });
+    });
+
+    it('should format a Date for its type', function() {
+      var date = new Date('2017-01-02T03:04:05.678Z');
+
+      function getValue(type) {
+        return BigQuery.valueToQueryParameter_(date, type).parameterValue.value;
+      }
+
+      assert.strictEqual(getValue(), '2017-01-02T03:04:05.678Z');
+      assert.strictEqual(getValue('DATE'), '2017-01-02');
+      assert.strictEqual(getValue('DATETIME'), '2017-01-02 03:04:05.678');
+      assert.strictEqual(getValue('TIME'), '03:04:05.678');
+    });
+
+    it('should send the value of a date or time', function() {
+      var date = BigQuery.date('2017-01-02');
+
+      assert.deepEqual(BigQuery.valueToQueryParameter_(date), {
+        parameterType: { type: 'DATE' },
+        parameterValue: { value: '2017-01-02' }
+      });
+    });
+
+    it('should convert arrays and structs', function() {
+      var value = {
+        a: [1, 2],
+        b: { c: 'd' }
+      };
+
+      assert.deepEqual(BigQuery.valueToQueryParameter_(value).parameterValue, {
+        structValues: {
+          a: {
+            arrayValues: [{ value: '1' }, { value: '2' }]
+          },
+          b: {
+            structValues: {
+              c: { value: 'd' }
+            }
+          }
+        }
+      });
+    });
+
+    it('should send a NULL value', function() {
+      var queryParameter = BigQuery.valueToQueryParameter_(undefined, 'INT64');
+      assert.deepEqual(queryParameter.parameterValue, {});
+    });
+  });
+
   describe('createDataset', function() {
     var DATASET_ID = 'kittens';
 
@@ -437,6 +736,11 @@ describe('BigQuery', function() {
       assert.equal(job.id, JOB_ID);
       assert.deepEqual(job.bigQuery, bq);
     });
+
+    it('should pass the polling options to the job', function() {
+      var job = bq.job(JOB_ID, { timeout: 1000 });
+      assert.strictEqual(job.pollingOptions.timeout, 1000);
+    });
   });
 
   describe('query', function() {
@@ -459,13 +763,76 @@ describe('BigQuery', function() {
       };
 
       bq.request = function(reqOpts) {
-        assert.strictEqual(reqOpts.json, options);
+        assert.deepEqual(reqOpts.json, options);
         done();
       };
 
       bq.query(options, assert.ifError);
     });
 
+    it('should send query parameters', function(done) {
+      var options = {
+        query: 'SELECT @a',
+        params: { a: 'b' }
+      };
+
+      bq.request = function(reqOpts) {
+        assert.deepEqual(
+          reqOpts.json,
+          BigQuery.formatQueryParameters_(options)
+        );
+        assert.strictEqual(reqOpts.json.useLegacySql, false);
+        done();
+      };
+
+      bq.query(options, assert.ifError);
+    });
+
+    it('should not send query parameters for results', function(done) {
+      var options = BigQuery.formatQueryParameters_({
+        job: bq.job(JOB_ID),
+        query: 'SELECT @a',
+        params: { a: 'b' }
+      });
+
+      bq.request = function(reqOpts) {
+        assert.deepEqual(reqOpts.qs, {
+          query: 'SELECT @a',
+          useLegacySql: false
+        });
+        done();
+      };
+
+      bq.query(options, assert.ifError);
+    });
+
+    it('should not send integerType', function(done) {
+      var options = {
+        query: QUERY_STRING,
+        integerType: 'string'
+      };
+
+      bq.request = function(reqOpts) {
+        assert.deepEqual(reqOpts.json, { query: QUERY_STRING });
+        done();
+      };
+
+      bq.query(options, assert.ifError);
+    });
+
+    it('should throw if BigInts are not supported', function() {
+      var BigInt = global.BigInt;
+      global.BigInt = undefined;
+
+      try {
+        assert.throws(function() {
+          bq.query({ query: QUERY_STRING, integerType: 'bigint' }, util.noop);
+        }, /BigInt is not supported by this version of Node\.js\./);
+      } finally {
+        global.BigInt = BigInt;
+      }
+    });
+
     it('should get the results of a job if one is provided', function(done) {
       var options = {
         job: bq.job(JOB_ID),
@@ -564,10 +931,11 @@ describe('BigQuery', function() {
       var rows = [{ row: 'a' }, { row: 'b' }, { row: 'c' }];
       var schema = [{ fields: [] }];
 
-      mergeSchemaWithRowsOverride = function(s, r) {
+      mergeSchemaWithRowsOverride = function(s, r, options) {
         mergeSchemaWithRowsOverride = null;
         assert.deepEqual(s, schema);
         assert.deepEqual(r, rows);
+        assert.deepEqual(options, { integerType: 'string' });
         done();
       };
 
@@ -579,7 +947,7 @@ describe('BigQuery', function() {
         });
       };
 
-      bq.query({}, assert.ifError);
+      bq.query({ integerType: 'string' }, assert.ifError);
     });
 
     it('should pass errors to the callback', function(done) {
@@ -692,6 +1060,23 @@ describe('BigQuery', function() {
       bq.startQuery(options);
     });
 
+    it('should send query parameters', function(done) {
+      var options = {
+        query: 'SELECT ?',
+        params: [1]
+      };
+
+      bq.request = function(reqOpts) {
+        assert.deepEqual(
+          reqOpts.json.configuration.query,
+          BigQuery.formatQueryParameters_(options)
+        );
+        done();
+      };
+
+      bq.startQuery(options);
+    });
+
     it('should make the correct api request', function(done) {
       bq.request = function(reqOpts) {
         assert.equal(reqOpts.method, 'POST');
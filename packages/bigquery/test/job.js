@@ -32,6 +32,7 @@ function FakeServiceObject() {
 nodeutil.inherits(FakeServiceObject, ServiceObject);
 
 var utilOverrides = {};
+var promisified = false;
 var fakeUtil = Object.keys(util).reduce(function(fakeUtil, methodName) {
   fakeUtil[methodName] = function() {
     var method = utilOverrides[methodName] || util[methodName];
@@ -40,6 +41,15 @@ var fakeUtil = Object.keys(util).reduce(function(fakeUtil, methodName) {
   return fakeUtil;
 }, {});
 
+fakeUtil.promisifyAll = function(Class, options) {
+  if (Class.name !== 'Job') {
+    return;
+  }
+
+  promisified = true;
+  assert.deepEqual(options.exclude, ['getQueryResults', 'promise']);
+};
+
 describe('BigQuery/Job', function() {
   var BIGQUERY = {
     projectId: 'my-project'
@@ -63,6 +73,10 @@ describe('BigQuery/Job', function() {
   });
 
   describe('initialization', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should assign this.bigQuery', function() {
       assert.deepEqual(job.bigQuery, BIGQUERY);
     });
@@ -85,6 +99,32 @@ describe('BigQuery/Job', function() {
     it('should correctly initialize variables', function() {
       assert.strictEqual(job.completeListeners, 0);
       assert.strictEqual(job.hasActiveListeners, false);
+      assert.strictEqual(job.pollAttempt_, 0);
+      assert.strictEqual(job.pollStartTime_, null);
+      assert.strictEqual(job.pollTimeout_, null);
+    });
+
+    it('should default the polling options', function() {
+      assert.deepEqual(job.pollingOptions, {
+        initialDelay: 500,
+        multiplier: 1.5,
+        maxDelay: 10000,
+        timeout: Infinity
+      });
+    });
+
+    it('should accept polling options', function() {
+      var job = new Job(BIGQUERY, JOB_ID, {
+        maxDelay: 2000,
+        timeout: 60000
+      });
+
+      assert.deepEqual(job.pollingOptions, {
+        initialDelay: 500,
+        multiplier: 1.5,
+        maxDelay: 2000,
+        timeout: 60000
+      });
     });
 
     describe('request interceptor', function() {
@@ -119,6 +159,49 @@ describe('BigQuery/Job', function() {
     });
   });
 
+  describe('abort', function() {
+    beforeEach(function() {
+      job.cancel = util.noop;
+    });
+
+    it('should stop polling', function(done) {
+      job.stopPolling_ = done;
+      job.abort();
+    });
+
+    it('should cancel the job', function(done) {
+      function callback() {}
+
+      job.cancel = function(callback_) {
+        assert.strictEqual(callback_, callback);
+        done();
+      };
+
+      job.abort(callback);
+    });
+
+    it('should emit an error if the job was being polled', function(done) {
+      job.hasActiveListeners = true;
+
+      job.on('error', function(err) {
+        assert.strictEqual(err.code, 'JOB_ABORTED');
+        assert.strictEqual(err.message, 'The job was aborted.');
+        assert.strictEqual(job.hasActiveListeners, false);
+        done();
+      });
+
+      job.abort();
+    });
+
+    it('should not emit an error if the job was not polled', function() {
+      job.on('error', function() {
+        throw new Error('Should not have emitted an error.');
+      });
+
+      job.abort();
+    });
+  });
+
   describe('cancel', function() {
     it('should make the correct API request', function(done) {
       job.request = function(reqOpts) {
@@ -226,6 +309,52 @@ describe('BigQuery/Job', function() {
     });
   });
 
+  describe('promise', function() {
+    beforeEach(function() {
+      job.startPolling_ = util.noop;
+    });
+
+    it('should return a Promise', function() {
+      assert(job.promise() instanceof Promise);
+    });
+
+    it('should start polling', function() {
+      job.promise();
+      assert.strictEqual(job.hasActiveListeners, true);
+    });
+
+    it('should resolve with the metadata', function() {
+      var metadata = {};
+
+      var promise = job.promise().then(function(metadata_) {
+        assert.strictEqual(metadata_, metadata);
+        assert.strictEqual(job.listenerCount('complete'), 0);
+        assert.strictEqual(job.listenerCount('error'), 0);
+      });
+
+      job.emit('complete', metadata);
+
+      return promise;
+    });
+
+    it('should reject with the error', function() {
+      var error = new Error('Error.');
+
+      var promise = job.promise().then(function() {
+        throw new Error('Should not have resolved.');
+      }, function(err) {
+        assert.strictEqual(err, error);
+        assert.strictEqual(job.listenerCount('complete'), 0);
+        assert.strictEqual(job.listenerCount('error'), 0);
+        assert.strictEqual(job.hasActiveListeners, false);
+      });
+
+      job.emit('error', error);
+
+      return promise;
+    });
+  });
+
   describe('listenForEvents_', function() {
     beforeEach(function() {
       job.startPolling_ = util.noop;
@@ -239,6 +368,14 @@ describe('BigQuery/Job', function() {
       job.on('complete', util.noop);
     });
 
+    it('should reset the polling state', function() {
+      job.pollAttempt_ = 3;
+      job.on('complete', util.noop);
+
+      assert.strictEqual(job.pollAttempt_, 0);
+      assert(job.pollStartTime_ <= Date.now());
+    });
+
     it('should track the number of listeners', function() {
       assert.strictEqual(job.completeListeners, 0);
 
@@ -273,14 +410,23 @@ describe('BigQuery/Job', function() {
       job.removeListener('complete', util.noop);
       assert.strictEqual(job.hasActiveListeners, false);
     });
+
+    it('should stop polling when no more listeners are bound', function(done) {
+      job.on('complete', util.noop);
+
+      job.stopPolling_ = done;
+      job.removeListener('complete', util.noop);
+    });
   });
 
   describe('startPolling_', function() {
     var listenForEvents_;
+    var formatProgress_;
     var job;
 
     before(function() {
       listenForEvents_ = Job.prototype.listenForEvents_;
+      formatProgress_ = Job.formatProgress_;
     });
 
     after(function() {
@@ -295,6 +441,7 @@ describe('BigQuery/Job', function() {
 
     afterEach(function() {
       job.hasActiveListeners = false;
+      Job.formatProgress_ = formatProgress_;
     });
 
     it('should not call getMetadata if no listeners', function(done) {
@@ -340,7 +487,10 @@ describe('BigQuery/Job', function() {
       var error = new Error('Error.');
       var apiResponse = {
         status: {
-          errors: error
+          errorResult: {
+            message: 'Job failed.'
+          },
+          errors: [{}, {}]
         }
       };
 
@@ -352,7 +502,10 @@ describe('BigQuery/Job', function() {
 
       it('should detect and emit an error from the response', function(done) {
         utilOverrides.ApiError = function(body) {
-          assert.strictEqual(body, apiResponse.status);
+          assert.deepEqual(body, {
+            errors: apiResponse.status.errors,
+            message: 'Job failed.'
+          });
 
           return error;
         };
@@ -364,6 +517,56 @@ describe('BigQuery/Job', function() {
 
         job.startPolling_();
       });
+
+      it('should use errorResult if no errors are listed', function(done) {
+        var errorResult = { message: 'Job failed.' };
+
+        job.getMetadata = function(callback) {
+          var apiResponse = {
+            status: {
+              errorResult: errorResult
+            }
+          };
+
+          callback(null, apiResponse, apiResponse);
+        };
+
+        utilOverrides.ApiError = function(body) {
+          assert.deepEqual(body.errors, [errorResult]);
+          return error;
+        };
+
+        job.on('error', function(err) {
+          assert.strictEqual(err, error);
+          done();
+        });
+
+        job.startPolling_();
+      });
+    });
+
+    describe('job complete with bad records', function() {
+      var apiResponse = {
+        status: {
+          state: 'DONE',
+          errors: [{ reason: 'invalid' }]
+        }
+      };
+
+      beforeEach(function() {
+        job.getMetadata = function(callback) {
+          callback(null, apiResponse, apiResponse);
+        };
+      });
+
+      it('should emit complete with metadata', function(done) {
+        job.on('complete', function(metadata) {
+          assert.strictEqual(metadata, apiResponse);
+          done();
+        });
+
+        job.startPolling_();
+      });
     });
 
     describe('job pending', function() {
@@ -408,6 +611,151 @@ describe('BigQuery/Job', function() {
 
         job.startPolling_();
       });
+
+      it('should back off exponentially', function() {
+        var delays = [];
+
+        global.setTimeout = function(fn, timeoutMs) {
+          delays.push(timeoutMs);
+        };
+
+        for (var i = 0; i < 4; i++) {
+          job.startPolling_();
+        }
+
+        assert.deepEqual(delays, [500, 750, 1125, 1687.5]);
+      });
+
+      it('should not wait longer than maxDelay', function() {
+        var delays = [];
+
+        global.setTimeout = function(fn, timeoutMs) {
+          delays.push(timeoutMs);
+        };
+
+        job.pollingOptions.maxDelay = 1000;
+
+        for (var i = 0; i < 3; i++) {
+          job.startPolling_();
+        }
+
+        assert.deepEqual(delays, [500, 750, 1000]);
+      });
+
+      it('should not wait past the timeout', function(done) {
+        global.setTimeout = function(fn, timeoutMs) {
+          assert(timeoutMs <= 100);
+          done();
+        };
+
+        job.pollStartTime_ = Date.now();
+        job.pollingOptions.timeout = 100;
+
+        job.startPolling_();
+      });
+
+      it('should store the timer', function() {
+        var timer = {};
+
+        global.setTimeout = function() {
+          return timer;
+        };
+
+        job.startPolling_();
+        assert.strictEqual(job.pollTimeout_, timer);
+      });
+
+      it('should emit progress', function(done) {
+        var progress = {};
+
+        global.setTimeout = util.noop;
+
+        Job.formatProgress_ = function(metadata) {
+          assert.strictEqual(metadata, apiResponse);
+          return progress;
+        };
+
+        job.on('progress', function(progress_, metadata) {
+          assert.strictEqual(progress_, progress);
+          assert.strictEqual(metadata, apiResponse);
+          done();
+        });
+
+        job.startPolling_();
+      });
+
+      describe('timeout', function() {
+        beforeEach(function() {
+          job.pollStartTime_ = Date.now() - 1000;
+          job.pollingOptions.timeout = 1000;
+          job.cancel = function(callback) {
+            callback(null);
+          };
+          job.on('error', util.noop);
+        });
+
+        it('should stop polling', function(done) {
+          job.stopPolling_ = done;
+          job.startPolling_();
+        });
+
+        it('should cancel the job', function(done) {
+          job.cancel = function() {
+            done();
+          };
+
+          job.startPolling_();
+        });
+
+        it('should emit a timeout error', function(done) {
+          job.removeAllListeners('error');
+
+          job.on('error', function(err) {
+            assert.strictEqual(err.code, 'JOB_TIMEOUT');
+            assert.strictEqual(
+              err.message,
+              'The job did not complete within 1000ms.'
+            );
+            assert.strictEqual(err.cancelError, undefined);
+            done();
+          });
+
+          job.startPolling_();
+        });
+
+        it('should report an error cancelling the job', function(done) {
+          var error = new Error('Error.');
+
+          job.cancel = function(callback) {
+            callback(error);
+          };
+
+          job.removeAllListeners('error');
+
+          job.on('error', function(err) {
+            assert.strictEqual(err.code, 'JOB_TIMEOUT');
+            assert.strictEqual(err.cancelError, error);
+            done();
+          });
+
+          job.startPolling_();
+        });
+      });
+    });
+
+    describe('polling stopped', function() {
+      it('should ignore the response', function() {
+        job.getMetadata = function(callback) {
+          job.hasActiveListeners = false;
+          callback(new Error('Error.'));
+        };
+
+        job.on('error', function() {
+          throw new Error('Should not have emitted an error.');
+        });
+
+        job.startPolling_();
+      });
     });
 
     describe('job complete', function() {
@@ -433,4 +781,88 @@ describe('BigQuery/Job', function() {
       });
     });
   });
+
+  describe('stopPolling_', function() {
+    it('should mark the listeners inactive', function() {
+      job.hasActiveListeners = true;
+      job.stopPolling_();
+      assert.strictEqual(job.hasActiveListeners, false);
+    });
+
+    it('should clear the timer', function(done) {
+      var timer = setTimeout(function() {
+        done(new Error('Should have cleared the timer.'));
+      }, 10);
+
+      job.pollTimeout_ = timer;
+      job.stopPolling_();
+
+      assert.strictEqual(job.pollTimeout_, null);
+      setTimeout(done, 20);
+    });
+  });
+
+  describe('formatProgress_', function() {
+    it('should return the state and statistics', function() {
+      var metadata = {
+        status: {
+          state: 'RUNNING'
+        },
+        statistics: {
+          query: {
+            totalBytesProcessed: '1024',
+            totalSlotMs: '250',
+            timeline: [
+              {
+                elapsedMs: '100',
+                totalSlotMs: '250',
+                pendingUnits: '3',
+                completedUnits: '1',
+                activeUnits: '2'
+              }
+            ]
+          }
+        }
+      };
+
+      assert.deepEqual(Job.formatProgress_(metadata), {
+        state: 'RUNNING',
+        elapsedMs: null,
+        totalBytesProcessed: 1024,
+        totalSlotMs: 250,
+        timeline: [
+          {
+            elapsedMs: 100,
+            totalSlotMs: 250,
+            pendingUnits: 3,
+            completedUnits: 1,
+            activeUnits: 2
+          }
+        ]
+      });
+    });
+
+    it('should calculate the elapsed time', function() {
+      var progress = Job.formatProgress_({
+        status: {
+          state: 'RUNNING'
+        },
+        statistics: {
+          startTime: String(Date.now() - 1000)
+        }
+      });
+
+      assert(progress.elapsedMs >= 1000);
+    });
+
+    it('should allow missing statistics', function() {
+      assert.deepEqual(Job.formatProgress_({ status: { state: 'PENDING' } }), {
+        state: 'PENDING',
+        elapsedMs: null,
+        totalBytesProcessed: null,
+        totalSlotMs: null,
+        timeline: []
+      });
+    });
+  });
 });
@@ -0,0 +1,166 @@
+/**
+ * Copyright 2017 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var assert = require('assert');
+
+var labelUtil = require('../src/labels.js');
+
+describe('BigQuery/labels', function() {
+  var serviceObject;
+
+  beforeEach(function() {
+    serviceObject = {};
+  });
+
+  describe('delete', function() {
+    it('should set the labels to null', function(done) {
+      serviceObject.updateMetadata_ = function(getChanges, callback) {
+        var changes = getChanges({
+          labels: {
+            env: 'prod',
+            team: 'reporting',
+            owner: 'stephen'
+          }
+        });
+
+        assert.deepEqual(changes, {
+          labels: {
+            env: null,
+            team: null
+          }
+        });
+
+        callback(); // done()
+      };
+
+      labelUtil.delete(serviceObject, ['env', 'team', 'missing'], done);
+    });
+
+    it('should accept a single key', function(done) {
+      serviceObject.updateMetadata_ = function(getChanges) {
+        var changes = getChanges({
+          labels: {
+            env: 'prod'
+          }
+        });
+
+        assert.deepEqual(changes, {
+          labels: {
+            env: null
+          }
+        });
+
+        done();
+      };
+
+      labelUtil.delete(serviceObject, 'env');
+    });
+
+    it('should not change anything if the labels do not exist', function() {
+      serviceObject.updateMetadata_ = function(getChanges) {
+        assert.strictEqual(getChanges({}), null);
+      };
+
+      labelUtil.delete(serviceObject, 'env');
+    });
+  });
+
+  describe('get', function() {
+    it('should return the labels', function(done) {
+      var labels = {};
+      var apiResponse = { labels: labels };
+
+      serviceObject.getMetadata = function(callback) {
+        callback(null, apiResponse, apiResponse);
+      };
+
+      labelUtil.get(serviceObject, function(err, labels_, apiResponse_) {
+        assert.ifError(err);
+        assert.strictEqual(labels_, labels);
+        assert.strictEqual(apiResponse_, apiResponse);
+        done();
+      });
+    });
+
+    it('should default to an empty object', function(done) {
+      serviceObject.getMetadata = function(callback) {
+        callback(null, {}, {});
+      };
+
+      labelUtil.get(serviceObject, function(err, labels) {
+        assert.ifError(err);
+        assert.deepEqual(labels, {});
+        done();
+      });
+    });
+
+    it('should return an error', function(done) {
+      var error = new Error('Error.');
+      var apiResponse = {};
+
+      serviceObject.getMetadata = function(callback) {
+        callback(error, null, apiResponse);
+      };
+
+      labelUtil.get(serviceObject, function(err, labels, apiResponse_) {
+        assert.strictEqual(err, error);
+        assert.strictEqual(labels, null);
+        assert.strictEqual(apiResponse_, apiResponse);
+        done();
+      });
+    });
+  });
+
+  describe('set', function() {
+    it('should merge the labels', function(done) {
+      serviceObject.updateMetadata_ = function(getChanges, callback) {
+        var changes = getChanges({
+          labels: {
+            env: 'dev',
+            team: 'reporting'
+          }
+        });
+
+        assert.deepEqual(changes, {
+          labels: {
+            env: 'prod',
+            team: 'reporting'
+          }
+        });
+
+        callback(); // done()
+      };
+
+      labelUtil.set(serviceObject, { env: 'prod' }, done);
+    });
+
+    it('should not change identical labels', function() {
+      serviceObject.updateMetadata_ = function(getChanges) {
+        var changes = getChanges({
+          labels: {
+            env: 'prod'
+          }
+        });
+
+        assert.strictEqual(changes, null);
+      };
+
+      labelUtil.set(serviceObject, { env: 'prod' });
+    });
+  });
+});
@@ -23,13 +23,25 @@ var nodeutil = require('util');
 var prop = require('propprop');
 var proxyquire = require('proxyquire');
 var stream = require('stream');
+var uuid = require('node-uuid');
 
 var ServiceObject = require('@google-cloud/common').ServiceObject;
 var util = require('@google-cloud/common').util;
 
+var types = require('../src/types.js');
+
 var makeWritableStreamOverride;
 var isCustomTypeOverride;
+var promisified = false;
 var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class, options) {
+    if (Class.name !== 'Table') {
+      return;
+    }
+
+    promisified = true;
+    assert.deepEqual(options.exclude, ['getRows', 'query']);
+  },
   isCustomType: function() {
     return (isCustomTypeOverride || util.isCustomType).apply(null, arguments);
   },
@@ -39,6 +51,8 @@ var fakeUtil = extend({}, util, {
   }
 });
 
+var fakeLabelUtil = {};
+
 var extended = false;
 var fakeStreamRouter = {
   extend: function(Class, methods) {
@@ -69,7 +83,10 @@ describe('BigQuery/Table', function() {
       job: function(id) {
         return { id: id };
       },
-      request: util.noop
+      request: util.noop,
+      resolveBaseUrl_: function(baseUrl) {
+        return baseUrl;
+      }
     }
   };
 
@@ -101,7 +118,8 @@ describe('BigQuery/Table', function() {
         ServiceObject: FakeServiceObject,
         streamRouter: fakeStreamRouter,
         util: fakeUtil
-      }
+      },
+      './labels.js': fakeLabelUtil
     });
 
     var tableCached = extend(true, {}, Table);
@@ -129,6 +147,10 @@ describe('BigQuery/Table', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should extend the correct methods', function() {
       assert(extended); // See `fakeStreamRouter.extend`
     });
@@ -168,6 +190,234 @@ describe('BigQuery/Table', function() {
     });
   });
 
+  describe('formatSnapshotId_', function() {
+    it('should decorate the ID with a timestamp', function() {
+      var id = Table.formatSnapshotId_('kittens', 1483228800000);
+      assert.strictEqual(id, 'kittens@1483228800000');
+    });
+
+    it('should accept a Date', function() {
+      var id = Table.formatSnapshotId_('kittens', new Date(1483228800000));
+      assert.strictEqual(id, 'kittens@1483228800000');
+    });
+
+    it('should accept a relative time', function() {
+      var id = Table.formatSnapshotId_('kittens', -3600000);
+      assert.strictEqual(id, 'kittens@-3600000');
+    });
+
+    it('should throw if the time is not valid', function() {
+      assert.throws(function() {
+        Table.formatSnapshotId_('kittens', '2017-01-01');
+      }, /A snapshot time must be a Date or a timestamp/);
+    });
+  });
+
+  describe('formatSourceFormat_', function() {
+    it('should accept a file extension', function() {
+      assert.strictEqual(Table.formatSourceFormat_('json'),
+        'NEWLINE_DELIMITED_JSON');
+      assert.strictEqual(Table.formatSourceFormat_('Parquet'), 'PARQUET');
+    });
+
+    it('should accept an API value', function() {
+      assert.strictEqual(Table.formatSourceFormat_('orc'), 'ORC');
+      assert.strictEqual(Table.formatSourceFormat_('AVRO'), 'AVRO');
+    });
+
+    it('should throw if the format is not recognized', function() {
+      assert.throws(function() {
+        Table.formatSourceFormat_('zip');
+      }, /Source format not recognized: zip/);
+    });
+  });
+
+  describe('formatLoadMetadata_', function() {
+    it('should not modify the original object', function() {
+      var metadata = { format: 'csv' };
+      Table.formatLoadMetadata_(metadata);
+      assert.deepEqual(metadata, { format: 'csv' });
+    });
+
+    it('should allow no metadata', function() {
+      assert.deepEqual(Table.formatLoadMetadata_(), {});
+    });
+
+    describe('sourceFormat', function() {
+      it('should accept a file extension', function() {
+        var formats = {
+          avro: 'AVRO',
+          csv: 'CSV',
+          json: 'NEWLINE_DELIMITED_JSON',
+          orc: 'ORC',
+          parquet: 'PARQUET'
+        };
+
+        Object.keys(formats).forEach(function(format) {
+          var metadata = Table.formatLoadMetadata_({ format: format });
+          assert.deepEqual(metadata, { sourceFormat: formats[format] });
+        });
+      });
+
+      it('should accept an API value', function() {
+        var metadata = Table.formatLoadMetadata_({
+          sourceFormat: 'NEWLINE_DELIMITED_JSON'
+        });
+
+        assert.strictEqual(metadata.sourceFormat, 'NEWLINE_DELIMITED_JSON');
+      });
+
+      it('should throw if the format is not recognized', function() {
+        assert.throws(function() {
+          Table.formatLoadMetadata_({ format: 'zip' });
+        }, /Source format not recognized: zip/);
+      });
+    });
+
+    it('should format a schema', function() {
+      var schema = {};
+
+      tableOverrides.createSchemaFromString_ = function(string) {
+        assert.strictEqual(string, SCHEMA_STRING);
+        return schema;
+      };
+
+      var metadata = Table.formatLoadMetadata_({ schema: SCHEMA_STRING });
+      assert.strictEqual(metadata.schema, schema);
+    });
+
+    it('should throw if autodetect is not a boolean', function() {
+      assert.throws(function() {
+        Table.formatLoadMetadata_({ autodetect: 'yes' });
+      }, /`autodetect` must be a boolean/);
+    });
+
+    it('should validate dispositions', function() {
+      var metadata = Table.formatLoadMetadata_({
+        createDisposition: 'create_never',
+        writeDisposition: 'write_append'
+      });
+
+      assert.deepEqual(metadata, {
+        createDisposition: 'CREATE_NEVER',
+        writeDisposition: 'WRITE_APPEND'
+      });
+
+      assert.throws(function() {
+        Table.formatLoadMetadata_({ writeDisposition: 'overwrite' });
+      }, /`writeDisposition` value not recognized: OVERWRITE/);
+    });
+
+    describe('timePartitioning', function() {
+      it('should accept a type', function() {
+        var metadata = Table.formatLoadMetadata_({ timePartitioning: 'hour' });
+        assert.deepEqual(metadata.timePartitioning, { type: 'HOUR' });
+      });
+
+      it('should default the type to DAY', function() {
+        var metadata = Table.formatLoadMetadata_({
+          timePartitioning: {
+            field: 'created'
+          }
+        });
+
+        assert.deepEqual(metadata.timePartitioning, {
+          field: 'created',
+          type: 'DAY'
+        });
+      });
+
+      it('should throw if the type is not recognized', function() {
+        assert.throws(function() {
+          Table.formatLoadMetadata_({ timePartitioning: 'week' });
+        }, /`timePartitioning` value not recognized: WEEK/);
+      });
+    });
+
+    describe('clustering', function() {
+      it('should accept fields', function() {
+        var metadata = Table.formatLoadMetadata_({ clustering: 'state' });
+        assert.deepEqual(metadata.clustering, { fields: ['state'] });
+
+        metadata = Table.formatLoadMetadata_({ clustering: ['state', 'city'] });
+        assert.deepEqual(metadata.clustering, { fields: ['state', 'city'] });
+      });
+
+      it('should throw if there are more than 4 fields', function() {
+        assert.throws(function() {
+          Table.formatLoadMetadata_({ clustering: ['a', 'b', 'c', 'd', 'e'] });
+        }, /A table can be clustered by at most 4 fields/);
+      });
+    });
+
+    describe('schemaUpdateOptions', function() {
+      it('should validate the options', function() {
+        var metadata = Table.formatLoadMetadata_({
+          schemaUpdateOptions: 'allow_field_addition',
+          writeDisposition: 'WRITE_APPEND'
+        });
+
+        assert.deepEqual(metadata.schemaUpdateOptions, [
+          'ALLOW_FIELD_ADDITION'
+        ]);
+
+        assert.throws(function() {
+          Table.formatLoadMetadata_({
+            schemaUpdateOptions: ['ALLOW_FIELD_DELETION'],
+            writeDisposition: 'WRITE_APPEND'
+          });
+        }, /`schemaUpdateOptions` value not recognized/);
+      });
+
+      it('should require an append or truncate disposition', function() {
+        assert.throws(function() {
+          Table.formatLoadMetadata_({
+            schemaUpdateOptions: 'ALLOW_FIELD_ADDITION'
+          });
+        }, /requires a `writeDisposition`/);
+
+        assert.doesNotThrow(function() {
+          Table.formatLoadMetadata_({
+            schemaUpdateOptions: 'ALLOW_FIELD_RELAXATION',
+            writeDisposition: 'WRITE_TRUNCATE'
+          });
+        });
+      });
+    });
+
+    describe('CSV options', function() {
+      it('should throw if skipLeadingRows is invalid', function() {
+        [-1, 1.5, '1'].forEach(function(skipLeadingRows) {
+          assert.throws(function() {
+            Table.formatLoadMetadata_({ skipLeadingRows: skipLeadingRows });
+          }, /`skipLeadingRows` must be a non-negative integer/);
+        });
+      });
+
+      it('should allow CSV options for CSV files', function() {
+        var metadata = {
+          nullMarker: 'NULL',
+          skipLeadingRows: 1
+        };
+
+        assert.deepEqual(Table.formatLoadMetadata_(metadata), metadata);
+
+        metadata.sourceFormat = 'CSV';
+        assert.deepEqual(Table.formatLoadMetadata_(metadata), metadata);
+      });
+
+      it('should throw if used with other formats', function() {
+        assert.throws(function() {
+          Table.formatLoadMetadata_({ format: 'json', nullMarker: 'NULL' });
+        }, /`nullMarker` can only be used to load CSV files/);
+
+        assert.throws(function() {
+          Table.formatLoadMetadata_({ format: 'avro', skipLeadingRows: 1 });
+        }, /`skipLeadingRows` can only be used to load CSV files/);
+      });
+    });
+  });
+
   describe('mergeSchemaWithRows_', function() {
     it('should merge the schema and flatten the rows', function() {
       var now = new Date();
@@ -200,6 +450,158 @@ describe('BigQuery/Table', function() {
         assert.deepEqual(mergedRow, rows[index].expected);
       });
     });
+
+    it('should keep null values', function() {
+      var rawRows = [
+        {
+          f: [{ v: null }, { v: null }, { v: null }, { v: null }, { v: null }]
+        }
+      ];
+
+      assert.deepEqual(Table.mergeSchemaWithRows_(SCHEMA_OBJECT, rawRows), [
+        {
+          id: null,
+          name: null,
+          dob: null,
+          has_claws: null,
+          hair_count: null
+        }
+      ]);
+    });
+
+    it('should decode nested and repeated fields', function() {
+      var schema = {
+        fields: [
+          { name: 'tags', type: 'STRING', mode: 'REPEATED' },
+          {
+            name: 'owner',
+            type: 'RECORD',
+            fields: [
+              { name: 'name', type: 'STRING' },
+              { name: 'age', type: 'INTEGER' }
+            ]
+          },
+          {
+            name: 'toys',
+            type: 'RECORD',
+            mode: 'REPEATED',
+            fields: [
+              { name: 'name', type: 'STRING' },
+              { name: 'squeaky', type: 'BOOLEAN' }
+            ]
+          }
+        ]
+      };
+
+      var rawRows = [
+        {
+          f: [
+            { v: [{ v: 'a' }, { v: 'b' }] },
+            { v: { f: [{ v: 'Stephen' }, { v: '30' }] } },
+            {
+              v: [
+                { v: { f: [{ v: 'ball' }, { v: 'true' }] } },
+                { v: { f: [{ v: 'rope' }, { v: 'false' }] } }
+              ]
+            }
+          ]
+        },
+        {
+          f: [{ v: [] }, { v: null }, { v: [] }]
+        }
+      ];
+
+      assert.deepEqual(Table.mergeSchemaWithRows_(schema, rawRows), [
+        {
+          tags: ['a', 'b'],
+          owner: { name: 'Stephen', age: 30 },
+          toys: [
+            { name: 'ball', squeaky: true },
+            { name: 'rope', squeaky: false }
+          ]
+        },
+        {
+          tags: [],
+          owner: null,
+          toys: []
+        }
+      ]);
+    });
+
+    it('should decode bytes, dates, times and numerics', function() {
+      var schema = {
+        fields: [
+          { name: 'bytes', type: 'BYTES' },
+          { name: 'date', type: 'DATE' },
+          { name: 'datetime', type: 'DATETIME' },
+          { name: 'time', type: 'TIME' },
+          { name: 'numeric', type: 'NUMERIC' }
+        ]
+      };
+
+      var rawRows = [
+        {
+          f: [
+            { v: 'YWJj' },
+            { v: '2017-01-02' },
+            { v: '2017-01-02T03:04:05' },
+            { v: '03:04:05' },
+            { v: '1.000000001' }
+          ]
+        }
+      ];
+
+      var row = Table.mergeSchemaWithRows_(schema, rawRows)[0];
+
+      assert.deepEqual(row.bytes, new Buffer('abc'));
+      assert(row.date instanceof types.BigQueryDate);
+      assert.strictEqual(row.date.value, '2017-01-02');
+      assert(row.datetime instanceof types.BigQueryDatetime);
+      assert.strictEqual(row.datetime.value, '2017-01-02T03:04:05');
+      assert(row.time instanceof types.BigQueryTime);
+      assert.strictEqual(row.time.value, '03:04:05');
+      assert.strictEqual(row.numeric, '1.000000001');
+    });
+
+    describe('integers', function() {
+      var schema = {
+        fields: [{ name: 'id', type: 'INTEGER', mode: 'REPEATED' }]
+      };
+
+      var rawRows = [
+        {
+          f: [{ v: [{ v: '9007199254740993' }, { v: '1' }] }]
+        }
+      ];
+
+      it('should return numbers by default', function() {
+        var row = Table.mergeSchemaWithRows_(schema, rawRows)[0];
+        assert.deepEqual(row.id, [9007199254740992, 1]);
+      });
+
+      it('should return strings', function() {
+        var row = Table.mergeSchemaWithRows_(schema, rawRows, {
+          integerType: 'string'
+        })[0];
+
+        assert.deepEqual(row.id, ['9007199254740993', '1']);
+      });
+
+      it('should return BigInts', function() {
+        if (!global.BigInt) {
+          this.skip();
+          return;
+        }
+
+        var row = Table.mergeSchemaWithRows_(schema, rawRows, {
+          integerType: 'bigint'
+        })[0];
+
+        assert.strictEqual(typeof row.id[0], 'bigint');
+        assert.strictEqual(row.id[0].toString(), '9007199254740993');
+        assert.strictEqual(row.id[1].toString(), '1');
+      });
+    });
   });
 
   describe('copy', function() {
@@ -209,6 +611,29 @@ describe('BigQuery/Table', function() {
       DEST_TABLE = new Table(DATASET, 'destination-table');
     });
 
+    it('should copy a snapshot of the table', function(done) {
+      var metadata = {
+        snapshotTime: -3600000,
+        writeDisposition: 'WRITE_TRUNCATE'
+      };
+
+      table.bigQuery.request = function(reqOpts) {
+        var copy = reqOpts.json.configuration.copy;
+
+        assert.strictEqual(copy.sourceTable.tableId, table.id + '@-3600000');
+        assert.strictEqual(copy.writeDisposition, 'WRITE_TRUNCATE');
+        assert.strictEqual(copy.snapshotTime, undefined);
+        assert.deepEqual(metadata, {
+          snapshotTime: -3600000,
+          writeDisposition: 'WRITE_TRUNCATE'
+        });
+
+        done();
+      };
+
+      table.copy(DEST_TABLE, metadata, assert.ifError);
+    });
+
     it('should throw if a destination is not a Table', function() {
       assert.throws(function() {
         table.copy();
@@ -243,76 +668,470 @@ describe('BigQuery/Table', function() {
                 tableId: table.id
               }
             }
-          }
+          }
+        });
+
+        done();
+      };
+
+      table.copy(DEST_TABLE, { a: 'b', c: 'd' }, assert.ifError);
+    });
+
+    it('should create and return a Job', function(done) {
+      var jobId = 'job-id';
+
+      table.bigQuery.request = function(reqOpts, callback) {
+        callback(null, { jobReference: { jobId: jobId } });
+      };
+
+      table.copy(DEST_TABLE, function(err, job) {
+        assert.ifError(err);
+        assert.equal(job.id, jobId);
+        done();
+      });
+    });
+
+    it('should assign metadata on the job', function(done) {
+      var jobMetadata = { jobReference: { jobId: 'job-id' }, a: 'b', c: 'd' };
+
+      table.bigQuery.request = function(reqOpts, callback) {
+        callback(null, jobMetadata);
+      };
+
+      table.copy(DEST_TABLE, function(err, job) {
+        assert.ifError(err);
+        assert.deepEqual(job.metadata, jobMetadata);
+        done();
+      });
+    });
+
+    it('should accept just a destination and callback', function(done) {
+      table.bigQuery.request = function(reqOpts, callback) {
+        callback(null, { jobReference: { jobId: 'job-id' } });
+      };
+
+      table.copy(DEST_TABLE, done);
+    });
+
+    it('should pass an error to the callback', function(done) {
+      var error = new Error('Error.');
+
+      table.bigQuery.request = function(reqOpts, callback) {
+        callback(error);
+      };
+
+      table.copy(DEST_TABLE, function(err) {
+        assert.equal(err, error);
+        done();
+      });
+    });
+
+    it('should pass an apiResponse to the callback', function(done) {
+      var jobMetadata = { jobReference: { jobId: 'job-id' }, a: 'b', c: 'd' };
+
+      table.bigQuery.request = function(reqOpts, callback) {
+        callback(null, jobMetadata);
+      };
+
+      table.copy(DEST_TABLE, function(err, job, apiResponse) {
+        assert.ifError(err);
+        assert.deepEqual(apiResponse, jobMetadata);
+        done();
+      });
+    });
+  });
+
+  describe('createInsertStream', function() {
+    var OPTIONS = {
+      retryOptions: {
+        initialDelay: 0,
+        jitter: 0
+      }
+    };
+
+    var UUID_REGEX = /^[0-9a-f]{8}-([0-9a-f]{4}-){3}[0-9a-f]{12}$/;
+
+    function createInsertStream(options) {
+      return table.createInsertStream(extend(true, {}, OPTIONS, options));
+    }
+
+    it('should send rows when the stream ends', function(done) {
+      var requests = [];
+
+      table.request = function(reqOpts, callback) {
+        requests.push(reqOpts);
+        callback(null, {});
+      };
+
+      var insertStream = createInsertStream();
+
+      insertStream.on('finish', function() {
+        assert.strictEqual(requests.length, 1);
+
+        var reqOpts = requests[0];
+        assert.strictEqual(reqOpts.method, 'POST');
+        assert.strictEqual(reqOpts.uri, '/insertAll');
+        assert.deepEqual(reqOpts.json.rows.map(prop('json')), [
+          { a: 'b' },
+          { c: 'd' }
+        ]);
+
+        done();
+      });
+
+      insertStream.write({ a: 'b' });
+      insertStream.end({ c: 'd' });
+    });
+
+    it('should not finish until rows are inserted', function(done) {
+      var inserted = false;
+
+      table.request = function(reqOpts, callback) {
+        setImmediate(function() {
+          inserted = true;
+          callback(null, {});
+        });
+      };
+
+      createInsertStream()
+        .on('finish', function() {
+          assert.strictEqual(inserted, true);
+          done();
+        })
+        .end({ a: 'b' });
+    });
+
+    it('should finish without rows', function(done) {
+      table.request = function() {
+        done(new Error('Should not make a request.'));
+      };
+
+      createInsertStream()
+        .on('finish', done)
+        .end();
+    });
+
+    it('should send rows in batches of maxRows', function(done) {
+      var batches = [];
+
+      table.request = function(reqOpts, callback) {
+        batches.push(reqOpts.json.rows.map(prop('json')));
+        callback(null, {});
+      };
+
+      var insertStream = createInsertStream({ batching: { maxRows: 2 } });
+
+      insertStream.on('finish', function() {
+        assert.deepEqual(batches, [[{ a: 1 }, { a: 2 }], [{ a: 3 }]]);
+        done();
+      });
+
+      insertStream.write({ a: 1 });
+      insertStream.write({ a: 2 });
+      insertStream.end({ a: 3 });
+    });
+
+    it('should send rows before exceeding maxBytes', function(done) {
+      var batches = [];
+
+      table.request = function(reqOpts, callback) {
+        batches.push(reqOpts.json.rows.map(prop('json')));
+        callback(null, {});
+      };
+
+      var row = { a: 'b' };
+      var rowBytes = JSON.stringify({
+        json: row,
+        insertId: uuid.v4()
+      }).length;
+
+      var insertStream = createInsertStream({
+        batching: { maxBytes: rowBytes * 2 + 1 }
+      });
+
+      insertStream.on('finish', function() {
+        assert.deepEqual(batches, [[row, row], [row]]);
+        done();
+      });
+
+      insertStream.write(row);
+      insertStream.write(row);
+      insertStream.end(row);
+    });
+
+    it('should send rows after maxMilliseconds', function(done) {
+      table.request = function(reqOpts) {
+        assert.deepEqual(reqOpts.json.rows[0].json, { a: 'b' });
+        done();
+      };
+
+      var insertStream = createInsertStream({
+        batching: { maxMilliseconds: 1 }
+      });
+
+      insertStream.write({ a: 'b' });
+    });
+
+    it('should assign an insertId to every row', function(done) {
+      table.request = function(reqOpts, callback) {
+        var insertIds = reqOpts.json.rows.map(prop('insertId'));
+
+        assert(UUID_REGEX.test(insertIds[0]));
+        assert(UUID_REGEX.test(insertIds[1]));
+        assert.notEqual(insertIds[0], insertIds[1]);
+
+        callback(null, {});
+      };
+
+      var insertStream = createInsertStream().on('finish', done);
+      insertStream.write({ a: 'b' });
+      insertStream.end({ a: 'b' });
+    });
+
+    it('should keep the insertId of a raw row', function(done) {
+      var row = { insertId: 'id', json: { a: 'b' } };
+
+      table.request = function(reqOpts, callback) {
+        assert.deepEqual(reqOpts.json.rows, [
+          row,
+          { insertId: reqOpts.json.rows[1].insertId, json: { c: 'd' } }
+        ]);
+        assert(UUID_REGEX.test(reqOpts.json.rows[1].insertId));
+        callback(null, {});
+      };
+
+      var insertStream = createInsertStream({ raw: true }).on('finish', done);
+      insertStream.write(row);
+      insertStream.end({ json: { c: 'd' } });
+    });
+
+    it('should send the API options', function(done) {
+      table.request = function(reqOpts, callback) {
+        assert.deepEqual(Object.keys(reqOpts.json).sort(), [
+          'ignoreUnknownValues',
+          'rows',
+          'skipInvalidRows',
+          'templateSuffix'
+        ]);
+        assert.strictEqual(reqOpts.json.ignoreUnknownValues, true);
+        assert.strictEqual(reqOpts.json.skipInvalidRows, true);
+        assert.strictEqual(reqOpts.json.templateSuffix, '_suffix');
+        callback(null, {});
+      };
+
+      createInsertStream({
+        ignoreUnknownValues: true,
+        maxPendingBatches: 1,
+        maxRetries: 1,
+        skipInvalidRows: true,
+        templateSuffix: '_suffix'
+      })
+        .on('finish', done)
+        .end({ a: 'b' });
+    });
+
+    it('should emit the API responses', function(done) {
+      var apiResponse = {};
+
+      table.request = function(reqOpts, callback) {
+        callback(null, apiResponse);
+      };
+
+      createInsertStream()
+        .on('response', function(apiResponse_) {
+          assert.strictEqual(apiResponse_, apiResponse);
+          done();
+        })
+        .end({ a: 'b' });
+    });
+
+    it('should retry only rows that failed temporarily', function(done) {
+      var requests = [];
+      var insertErrors = [];
+
+      table.request = function(reqOpts, callback) {
+        requests.push(reqOpts.json.rows);
+
+        if (requests.length > 1) {
+          callback(null, {});
+          return;
+        }
+
+        callback(null, {
+          insertErrors: [
+            {
+              index: 0,
+              errors: [{ reason: 'backendError', message: 'Backend error.' }]
+            },
+            {
+              index: 1,
+              errors: [{ reason: 'invalid', message: 'Invalid.' }]
+            },
+            {
+              index: 2,
+              errors: [{ reason: 'stopped', message: '', location: 'a' }]
+            }
+          ]
         });
+      };
 
-        done();
+      var insertStream = createInsertStream()
+        .on('insertError', function(insertError) {
+          insertErrors.push(insertError);
+        })
+        .on('finish', function() {
+          assert.strictEqual(requests.length, 2);
+          assert.deepEqual(requests[1], [requests[0][0], requests[0][2]]);
+
+          assert.deepEqual(insertErrors, [
+            {
+              errors: [{ reason: 'invalid', message: 'Invalid.' }],
+              row: { a: 2 }
+            }
+          ]);
+
+          done();
+        });
+
+      insertStream.write({ a: 1 });
+      insertStream.write({ a: 2 });
+      insertStream.write({ a: 3 });
+      insertStream.end({ a: 4 });
+    });
+
+    it('should emit rows that failed maxRetries times', function(done) {
+      var numRequests = 0;
+      var insertErrors = [];
+
+      table.request = function(reqOpts, callback) {
+        numRequests++;
+
+        callback(null, {
+          insertErrors: [
+            {
+              index: 0,
+              errors: [{ reason: 'timeout', message: 'Timeout.' }]
+            }
+          ]
+        });
       };
 
-      table.copy(DEST_TABLE, { a: 'b', c: 'd' }, assert.ifError);
+      createInsertStream({ maxRetries: 2 })
+        .on('insertError', function(insertError) {
+          insertErrors.push(insertError);
+        })
+        .on('finish', function() {
+          assert.strictEqual(numRequests, 3);
+          assert.deepEqual(insertErrors, [
+            {
+              errors: [{ reason: 'timeout', message: 'Timeout.' }],
+              row: { a: 'b' }
+            }
+          ]);
+          done();
+        })
+        .end({ a: 'b' });
     });
 
-    it('should create and return a Job', function(done) {
-      var jobId = 'job-id';
+    it('should wait between retries', function(done) {
+      var times = [];
 
-      table.bigQuery.request = function(reqOpts, callback) {
-        callback(null, { jobReference: { jobId: jobId } });
+      table.request = function(reqOpts, callback) {
+        times.push(Date.now());
+
+        callback(null, {
+          insertErrors: times.length === 1 ? [
+            {
+              index: 0,
+              errors: [{ reason: 'backendError' }]
+            }
+          ] : []
+        });
       };
 
-      table.copy(DEST_TABLE, function(err, job) {
-        assert.ifError(err);
-        assert.equal(job.id, jobId);
-        done();
-      });
+      createInsertStream({ retryOptions: { initialDelay: 50 } })
+        .on('finish', function() {
+          assert(times[1] - times[0] >= 45);
+          done();
+        })
+        .end({ a: 'b' });
     });
 
-    it('should assign metadata on the job', function(done) {
-      var jobMetadata = { jobReference: { jobId: 'job-id' }, a: 'b', c: 'd' };
+    it('should wait for batches to be sent before taking rows', function(done) {
+      var callbacks = [];
 
-      table.bigQuery.request = function(reqOpts, callback) {
-        callback(null, jobMetadata);
+      table.request = function(reqOpts, callback) {
+        callbacks.push(callback);
       };
 
-      table.copy(DEST_TABLE, function(err, job) {
-        assert.ifError(err);
-        assert.deepEqual(job.metadata, jobMetadata);
+      var insertStream = createInsertStream({
+        batching: { maxRows: 1 },
+        maxPendingBatches: 2
+      });
+
+      insertStream.on('finish', function() {
+        assert.strictEqual(callbacks.length, 4);
         done();
       });
-    });
 
-    it('should accept just a destination and callback', function(done) {
-      table.bigQuery.request = function(reqOpts, callback) {
-        callback(null, { jobReference: { jobId: 'job-id' } });
-      };
+      [1, 2, 3, 4].forEach(function(a) {
+        insertStream.write({ a: a });
+      });
 
-      table.copy(DEST_TABLE, done);
+      insertStream.end();
+
+      setImmediate(function() {
+        // The third row waits for one of the first two batches to be sent.
+        assert.strictEqual(callbacks.length, 2);
+
+        callbacks[0](null, {});
+
+        setImmediate(function() {
+          assert.strictEqual(callbacks.length, 3);
+
+          callbacks.slice(1).forEach(function(callback) {
+            callback(null, {});
+          });
+
+          setImmediate(function() {
+            callbacks[3](null, {});
+          });
+        });
+      });
     });
 
-    it('should pass an error to the callback', function(done) {
-      var error = new Error('Error.');
+    it('should default to 2 pending batches', function(done) {
+      var numRequests = 0;
 
-      table.bigQuery.request = function(reqOpts, callback) {
-        callback(error);
+      table.request = function() {
+        numRequests++;
       };
 
-      table.copy(DEST_TABLE, function(err) {
-        assert.equal(err, error);
+      var insertStream = createInsertStream({ batching: { maxRows: 1 } });
+
+      [1, 2, 3].forEach(function(a) {
+        insertStream.write({ a: a });
+      });
+
+      setImmediate(function() {
+        assert.strictEqual(numRequests, 2);
         done();
       });
     });
 
-    it('should pass an apiResponse to the callback', function(done) {
-      var jobMetadata = { jobReference: { jobId: 'job-id' }, a: 'b', c: 'd' };
+    it('should destroy the stream if a request fails', function(done) {
+      var error = new Error('Error.');
 
-      table.bigQuery.request = function(reqOpts, callback) {
-        callback(null, jobMetadata);
+      table.request = function(reqOpts, callback) {
+        callback(error);
       };
 
-      table.copy(DEST_TABLE, function(err, job, apiResponse) {
-        assert.ifError(err);
-        assert.deepEqual(apiResponse, jobMetadata);
-        done();
-      });
+      createInsertStream()
+        .on('error', function(err) {
+          assert.strictEqual(err, error);
+          done();
+        })
+        .end({ a: 'b' });
     });
   });
 
@@ -320,13 +1139,24 @@ describe('BigQuery/Table', function() {
     it('should return table.getRows()', function() {
       var uniqueReturnValue = 'abc123';
 
-      table.getRows = function() {
-        assert.equal(arguments.length, 0);
+      table.getRows = function(options) {
+        assert.equal(arguments.length, 1);
+        assert.deepEqual(options, {});
         return uniqueReturnValue;
       };
 
       assert.equal(table.createReadStream(), uniqueReturnValue);
     });
+
+    it('should pass the options to table.getRows()', function() {
+      var options = { snapshotTime: 1483228800000 };
+
+      table.getRows = function(options_) {
+        assert.strictEqual(options_, options);
+      };
+
+      table.createReadStream(options);
+    });
   });
 
   describe('createWriteStream', function() {
@@ -360,6 +1190,45 @@ describe('BigQuery/Table', function() {
 
         table.createWriteStream('avro').emit('writing');
       });
+
+      it('should accept parquet', function(done) {
+        makeWritableStreamOverride = function(stream, options) {
+          var load = options.metadata.configuration.load;
+          assert.equal(load.sourceFormat, 'PARQUET');
+          done();
+        };
+
+        table.createWriteStream('parquet').emit('writing');
+      });
+
+      it('should accept orc', function(done) {
+        makeWritableStreamOverride = function(stream, options) {
+          var load = options.metadata.configuration.load;
+          assert.equal(load.sourceFormat, 'ORC');
+          done();
+        };
+
+        table.createWriteStream('orc').emit('writing');
+      });
+    });
+
+    it('should format the load metadata', function(done) {
+      var metadata = {};
+      var formattedMetadata = { a: 'b' };
+
+      tableOverrides.formatLoadMetadata_ = function(metadata_) {
+        assert.strictEqual(metadata_, metadata);
+        return formattedMetadata;
+      };
+
+      makeWritableStreamOverride = function(stream, options) {
+        var load = options.metadata.configuration.load;
+        assert.strictEqual(load, formattedMetadata);
+        assert.strictEqual(load.a, 'b');
+        done();
+      };
+
+      table.createWriteStream(metadata).emit('writing');
     });
 
     it('should format a schema', function(done) {
@@ -454,6 +1323,30 @@ describe('BigQuery/Table', function() {
         table.createWriteStream().emit('writing');
       });
 
+      it('should resolve the upload URL', function(done) {
+        var resolveBaseUrl_ = table.bigQuery.resolveBaseUrl_;
+
+        table.bigQuery.resolveBaseUrl_ = function(baseUrl) {
+          table.bigQuery.resolveBaseUrl_ = resolveBaseUrl_;
+          assert.strictEqual(
+            baseUrl,
+            'https://www.googleapis.com/upload/bigquery/v2/projects'
+          );
+          return 'http://localhost:8080/upload/bigquery/v2/projects';
+        };
+
+        makeWritableStreamOverride = function(stream, options) {
+          assert.strictEqual(
+            options.request.uri,
+            'http://localhost:8080/upload/bigquery/v2/projects/' +
+              table.bigQuery.projectId + '/jobs'
+          );
+          done();
+        };
+
+        table.createWriteStream().emit('writing');
+      });
+
       it('should create a job and emit it with complete', function(done) {
         var jobId = 'job-id';
         var metadata = { jobReference: { jobId: jobId }, a: 'b', c: 'd' };
@@ -477,6 +1370,20 @@ describe('BigQuery/Table', function() {
     });
   });
 
+  describe('deleteLabels', function() {
+    it('should delete the labels', function(done) {
+      var keys = ['env'];
+
+      fakeLabelUtil.delete = function(serviceObject, keys_, callback) {
+        assert.strictEqual(serviceObject, table);
+        assert.strictEqual(keys_, keys);
+        callback(); // done()
+      };
+
+      table.deleteLabels(keys, done);
+    });
+  });
+
   describe('export', function() {
     var FILE = {
       name: 'file-name.json',
@@ -666,6 +1573,17 @@ describe('BigQuery/Table', function() {
     });
   });
 
+  describe('getLabels', function() {
+    it('should get the labels', function(done) {
+      fakeLabelUtil.get = function(serviceObject, callback) {
+        assert.strictEqual(serviceObject, table);
+        callback(); // done()
+      };
+
+      table.getLabels(done);
+    });
+  });
+
   describe('getRows', function() {
     it('should accept just a callback', function(done) {
       table.request = function(reqOpts, callback) {
@@ -686,6 +1604,94 @@ describe('BigQuery/Table', function() {
       table.getRows(options, done);
     });
 
+    it('should read a snapshot through the dataset', function(done) {
+      var snapshotTime = new Date(1483228800000);
+      var options = { a: 'b', snapshotTime: snapshotTime };
+
+      table.request = function() {
+        throw new Error('Should request through the dataset.');
+      };
+
+      table.dataset.request = function(reqOpts, callback) {
+        assert.strictEqual(this, table.dataset);
+        assert.strictEqual(reqOpts.uri, '/tables/kittens%401483228800000/data');
+        assert.deepEqual(reqOpts.qs, { a: 'b' });
+        callback(null, { pageToken: 'token' });
+      };
+
+      table.getRows(options, function(err, rows, nextQuery) {
+        assert.ifError(err);
+        assert.strictEqual(nextQuery.snapshotTime, snapshotTime);
+        delete table.dataset.request;
+        done();
+      });
+    });
+
+    it('should decode a snapshot with the current schema', function(done) {
+      table.metadata.schema = {
+        fields: [
+          { name: 'name', type: 'STRING', mode: 'NULLABLE' },
+          { name: 'age', type: 'INTEGER', mode: 'NULLABLE' },
+          { name: 'added', type: 'BOOLEAN', mode: 'NULLABLE' }
+        ]
+      };
+
+      table.dataset.request = function(reqOpts, callback) {
+        // The snapshot was taken before `added` was added to the table.
+        callback(null, {
+          rows: [{ f: [{ v: 'Stephen' }, { v: '28' }] }]
+        });
+      };
+
+      table.getRows({ snapshotTime: 1483228800000 }, function(err, rows) {
+        assert.ifError(err);
+        assert.deepEqual(rows, [{ name: 'Stephen', age: 28 }]);
+        delete table.dataset.request;
+        done();
+      });
+    });
+
+    it('should not send integerType', function(done) {
+      var options = { a: 'b', integerType: 'string' };
+
+      table.request = function(reqOpts, callback) {
+        assert.deepEqual(reqOpts.qs, { a: 'b' });
+        assert.deepEqual(options, { a: 'b', integerType: 'string' });
+        callback(null, {});
+      };
+
+      table.getRows(options, done);
+    });
+
+    it('should decode rows with integerType', function(done) {
+      table.metadata = {
+        schema: { fields: [{ name: 'id', type: 'INTEGER' }] }
+      };
+
+      table.request = function(reqOpts, callback) {
+        callback(null, { rows: [{ f: [{ v: '9007199254740993' }] }] });
+      };
+
+      table.getRows({ integerType: 'string' }, function(err, rows) {
+        assert.ifError(err);
+        assert.deepEqual(rows, [{ id: '9007199254740993' }]);
+        done();
+      });
+    });
+
+    it('should throw if BigInts are not supported', function() {
+      var BigInt = global.BigInt;
+      global.BigInt = undefined;
+
+      try {
+        assert.throws(function() {
+          table.getRows({ integerType: 'bigint' }, util.noop);
+        }, /BigInt is not supported by this version of Node\.js\./);
+      } finally {
+        global.BigInt = BigInt;
+      }
+    });
+
     it('should execute callback with error & API response', function(done) {
       var apiResponse = {};
       var error = new Error('Error.');
@@ -900,6 +1906,79 @@ describe('BigQuery/Table', function() {
       table.import(FILEPATH, { sourceFormat: 'CSV' }, done);
     });
 
+    it('should infer parquet from the given filepath', function(done) {
+      var fsStream = new stream.PassThrough();
+
+      var Table_ = proxyquire('../src/table.js', {
+        '@google-cloud/common': {
+          ServiceObject: FakeServiceObject,
+          streamRouter: fakeStreamRouter,
+          util: fakeUtil
+        },
+        fs: {
+          createReadStream: function(path) {
+            assert.strictEqual(path, './institutions.parquet');
+            return fsStream;
+          }
+        }
+      });
+      var table = new Table_(DATASET, TABLE_ID);
+
+      table.createWriteStream = function(metadata) {
+        assert.equal(metadata.sourceFormat, 'PARQUET');
+        setImmediate(done);
+        return new stream.PassThrough();
+      };
+
+      table.import('./institutions.parquet');
+    });
+
+    it('should load data from a readable stream', function(done) {
+      var mockJob = { id: 'foo' };
+      var readStream = new stream.PassThrough();
+
+      table.createWriteStream = function(metadata) {
+        assert.deepEqual(metadata, { sourceFormat: 'AVRO' });
+
+        var ws = new stream.PassThrough();
+        ws.on('pipe', function(source) {
+          assert.strictEqual(source, readStream);
+          setImmediate(function() {
+            ws.emit('complete', mockJob);
+          });
+        });
+        return ws;
+      };
+
+      table.import(readStream, { format: 'avro' }, function(err, job) {
+        assert.ifError(err);
+        assert.strictEqual(job, mockJob);
+        done();
+      });
+    });
+
+    it('should format the load metadata', function(done) {
+      var metadata = {};
+
+      tableOverrides.formatLoadMetadata_ = function(metadata_) {
+        assert.strictEqual(metadata_, metadata);
+        return { a: 'b' };
+      };
+
+      table.bigQuery.request = function(reqOpts) {
+        assert.strictEqual(reqOpts.json.configuration.load.a, 'b');
+        done();
+      };
+
+      table.import(FILE, metadata, assert.ifError);
+    });
+
+    it('should throw if a load option is invalid', function() {
+      assert.throws(function() {
+        table.import(FILE, { writeDisposition: 'overwrite' });
+      }, /`writeDisposition` value not recognized/);
+    });
+
     it('should check if a destination is a File', function(done) {
       isCustomTypeOverride = function(dest, type) {
         assert.strictEqual(dest, FILE);
@@ -1174,6 +2253,70 @@ describe('BigQuery/Table', function() {
     });
   });
 
+  describe('setExpirationTime', function() {
+    it('should throw if the expiration is not valid', function() {
+      [undefined, '1000', {}].forEach(function(expirationTime) {
+        assert.throws(function() {
+          table.setExpirationTime(expirationTime);
+        }, /An expiration time must be a Date or a timestamp/);
+      });
+    });
+
+    it('should accept a Date', function(done) {
+      var date = new Date(1483228800000);
+
+      table.updateMetadata_ = function(getChanges, callback) {
+        assert.deepEqual(getChanges({}), {
+          expirationTime: '1483228800000'
+        });
+
+        callback(); // done()
+      };
+
+      table.setExpirationTime(date, done);
+    });
+
+    it('should accept a timestamp', function() {
+      table.updateMetadata_ = function(getChanges) {
+        assert.deepEqual(getChanges({}), {
+          expirationTime: '1483228800000'
+        });
+      };
+
+      table.setExpirationTime(1483228800000);
+    });
+
+    it('should remove the expiration', function() {
+      table.updateMetadata_ = function(getChanges) {
+        var changes = getChanges({
+          expirationTime: '1483228800000'
+        });
+
+        assert.deepEqual(changes, {
+          expirationTime: null
+        });
+
+        assert.strictEqual(getChanges({}), null);
+      };
+
+      table.setExpirationTime(null);
+    });
+  });
+
+  describe('setLabels', function() {
+    it('should set the labels', function(done) {
+      var labels = { env: 'prod' };
+
+      fakeLabelUtil.set = function(serviceObject, labels_, callback) {
+        assert.strictEqual(serviceObject, table);
+        assert.strictEqual(labels_, labels);
+        callback(); // done()
+      };
+
+      table.setLabels(labels, done);
+    });
+  });
+
   describe('setMetadata', function() {
     var METADATA = { a: 'b', c: 'd' };
 
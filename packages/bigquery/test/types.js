@@ -0,0 +1,58 @@
+/**
+ * Copyright 2017 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var assert = require('assert');
+
+var types = require('../src/types.js');
+
+describe('BigQuery/types', function() {
+  var DATE = new Date('2017-01-02T03:04:05.678Z');
+
+  describe('BigQueryDate', function() {
+    it('should localize the value', function() {
+      assert.strictEqual(new types.BigQueryDate('2017-01-02').value,
+        '2017-01-02');
+    });
+
+    it('should format a Date', function() {
+      assert.strictEqual(new types.BigQueryDate(DATE).value, '2017-01-02');
+    });
+  });
+
+  describe('BigQueryDatetime', function() {
+    it('should localize the value', function() {
+      assert.strictEqual(new types.BigQueryDatetime('2017-01-02 03:04').value,
+        '2017-01-02 03:04');
+    });
+
+    it('should format a Date', function() {
+      assert.strictEqual(new types.BigQueryDatetime(DATE).value,
+        '2017-01-02 03:04:05.678');
+    });
+  });
+
+  describe('BigQueryTime', function() {
+    it('should localize the value', function() {
+      assert.strictEqual(new types.BigQueryTime('03:04').value, '03:04');
+    });
+
+    it('should format a Date', function() {
+      assert.strictEqual(new types.BigQueryTime(DATE).value, '03:04:05.678');
+    });
+  });
+});
@@ -272,4 +272,11 @@ Cluster.prototype.setMetadata = function(options, callback) {
   });
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Cluster);
+
 module.exports = Cluster;
@@ -308,5 +308,12 @@ Family.prototype.setMetadata = function(metadata, callback) {
   });
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Family);
+
 module.exports = Family;
 module.exports.FamilyError = FamilyError;
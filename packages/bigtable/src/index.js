@@ -543,4 +543,13 @@ Bigtable.prototype.operation = function(name) {
  */
 common.streamRouter.extend(Bigtable, ['getInstances']);
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Bigtable, {
+  exclude: ['getInstances', 'instance', 'operation']
+});
+
 module.exports = Bigtable;
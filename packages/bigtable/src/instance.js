@@ -660,4 +660,13 @@ Instance.prototype.table = function(name) {
  */
 common.streamRouter.extend(Instance, ['getClusters', 'getTables']);
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Instance, {
+  exclude: ['cluster', 'getClusters', 'getTables', 'table']
+});
+
 module.exports = Instance;
@@ -772,5 +772,12 @@ Row.prototype.save = function(key, value, callback) {
   this.parent.mutate(mutation, callback);
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Row);
+
 module.exports = Row;
 module.exports.RowError = RowError;
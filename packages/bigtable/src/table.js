@@ -967,4 +967,13 @@ Table.prototype.sampleRowKeys = function(callback) {
     }));
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Table, {
+  exclude: ['family', 'getRows', 'insert', 'mutate', 'row', 'sampleRowKeys']
+});
+
 module.exports = Table;
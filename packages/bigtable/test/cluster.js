@@ -17,6 +17,7 @@
 'use strict';
 
 var assert = require('assert');
+var extend = require('extend');
 var format = require('string-format-obj');
 var proxyquire = require('proxyquire');
 var util = require('util');
@@ -30,6 +31,15 @@ function FakeGrpcServiceObject() {
 
 util.inherits(FakeGrpcServiceObject, GrpcServiceObject);
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class) {
+    if (Class.name === 'Cluster') {
+      promisified = true;
+    }
+  }
+});
+
 describe('Bigtable/Cluster', function() {
   var CLUSTER_NAME = 'my-cluster';
   var PROJECT_ID = 'grape-spaceship-123';
@@ -50,7 +60,8 @@ describe('Bigtable/Cluster', function() {
   before(function() {
     Cluster = proxyquire('../src/cluster.js', {
       '@google-cloud/common': {
-        GrpcServiceObject: FakeGrpcServiceObject
+        GrpcServiceObject: FakeGrpcServiceObject,
+        util: fakeUtil
       }
     });
   });
@@ -60,6 +71,10 @@ describe('Bigtable/Cluster', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should inherit from GrpcServiceObject', function() {
       assert(cluster instanceof FakeGrpcServiceObject);
 
@@ -17,6 +17,7 @@
 'use strict';
 
 var assert = require('assert');
+var extend = require('extend');
 var format = require('string-format-obj');
 var nodeutil = require('util');
 var proxyquire = require('proxyquire');
@@ -31,6 +32,15 @@ function FakeGrpcServiceObject() {
 
 nodeutil.inherits(FakeGrpcServiceObject, GrpcServiceObject);
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class) {
+    if (Class.name === 'Family') {
+      promisified = true;
+    }
+  }
+});
+
 describe('Bigtable/Family', function() {
   var FAMILY_NAME = 'family-test';
   var TABLE = {
@@ -51,7 +61,8 @@ describe('Bigtable/Family', function() {
   before(function() {
     Family = proxyquire('../src/family.js', {
       '@google-cloud/common': {
-        GrpcServiceObject: FakeGrpcServiceObject
+        GrpcServiceObject: FakeGrpcServiceObject,
+        util: fakeUtil
       }
     });
     FamilyError = Family.FamilyError;
@@ -62,6 +73,10 @@ describe('Bigtable/Family', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should inherit from GrpcServiceObject', function() {
       var config = family.calledWith_[0];
 
@@ -27,7 +27,22 @@ var common = require('@google-cloud/common');
 var Cluster = require('../src/cluster.js');
 var Instance = require('../src/instance.js');
 
-var fakeUtil = extend({}, common.util);
+var promisified = false;
+var fakeUtil = extend({}, common.util, {
+  promisifyAll: function(Class, options) {
+    if (Class.name !== 'Bigtable') {
+      return;
+    }
+
+    promisified = true;
+    assert.deepEqual(options.exclude, [
+      'getInstances',
+      'instance',
+      'operation'
+    ]);
+  }
+});
+
 var fakeStreamRouter = {
   extend: function() {
     this.calledWith_ = arguments;
@@ -76,6 +91,10 @@ describe('Bigtable', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should streamify the correct methods', function() {
       var args = fakeStreamRouter.calledWith_;
 
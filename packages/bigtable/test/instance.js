@@ -48,6 +48,23 @@ var FakeCluster = createFake(Cluster);
 var FakeFamily = createFake(Family);
 var FakeTable = createFake(Table);
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class, options) {
+    if (Class.name !== 'Instance') {
+      return;
+    }
+
+    promisified = true;
+    assert.deepEqual(options.exclude, [
+      'cluster',
+      'getClusters',
+      'getTables',
+      'table'
+    ]);
+  }
+});
+
 describe('Bigtable/Instance', function() {
   var INSTANCE_NAME = 'my-instance';
   var BIGTABLE = { projectName: 'projects/my-project' };
@@ -66,7 +83,8 @@ describe('Bigtable/Instance', function() {
     Instance = proxyquire('../src/instance.js', {
       '@google-cloud/common': {
         GrpcServiceObject: FakeGrpcServiceObject,
-        streamRouter: fakeStreamRouter
+        streamRouter: fakeStreamRouter,
+        util: fakeUtil
       },
       './cluster.js': FakeCluster,
       './family.js': FakeFamily,
@@ -79,6 +97,10 @@ describe('Bigtable/Instance', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should streamify the correct methods', function() {
       var args = fakeStreamRouter.calledWith_;
 
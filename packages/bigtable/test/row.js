@@ -17,12 +17,14 @@
 'use strict';
 
 var assert = require('assert');
+var extend = require('extend');
 var nodeutil = require('util');
 var proxyquire = require('proxyquire');
 var sinon = require('sinon').sandbox.create();
 
 var GrpcServiceObject = require('@google-cloud/common').GrpcServiceObject;
 var Mutation = require('../src/mutation.js');
+var util = require('@google-cloud/common').util;
 
 function FakeGrpcServiceObject() {
   this.calledWith_ = arguments;
@@ -64,6 +66,15 @@ var FakeFilter = {
   })
 };
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class) {
+    if (Class.name === 'Row') {
+      promisified = true;
+    }
+  }
+});
+
 describe('Bigtable/Row', function() {
   var Row;
   var row;
@@ -71,7 +82,8 @@ describe('Bigtable/Row', function() {
   before(function() {
     Row = proxyquire('../src/row.js', {
       '@google-cloud/common': {
-        GrpcServiceObject: FakeGrpcServiceObject
+        GrpcServiceObject: FakeGrpcServiceObject,
+        util: fakeUtil
       },
       './mutation.js': FakeMutation,
       './filter.js': FakeFilter
@@ -93,6 +105,10 @@ describe('Bigtable/Row', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should inherit from GrpcServiceObject', function() {
       var config = row.calledWith_[0];
 
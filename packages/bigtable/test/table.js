@@ -18,6 +18,7 @@
 
 var assert = require('assert');
 var events = require('events');
+var extend = require('extend');
 var nodeutil = require('util');
 var proxyquire = require('proxyquire');
 var pumpify = require('pumpify');
@@ -29,6 +30,7 @@ var common = require('@google-cloud/common');
 var Family = require('../src/family.js');
 var Mutation = require('../src/mutation.js');
 var Row = require('../src/row.js');
+var util = require('@google-cloud/common').util;
 
 function createFake(Class) {
   function Fake() {
@@ -72,6 +74,25 @@ var FakeFilter = {
   })
 };
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class, options) {
+    if (Class.name !== 'Table') {
+      return;
+    }
+
+    promisified = true;
+    assert.deepEqual(options.exclude, [
+      'family',
+      'getRows',
+      'insert',
+      'mutate',
+      'row',
+      'sampleRowKeys'
+    ]);
+  }
+});
+
 describe('Bigtable/Table', function() {
   var TABLE_ID = 'my-table';
   var INSTANCE = {
@@ -87,7 +108,8 @@ describe('Bigtable/Table', function() {
     Table = proxyquire('../src/table.js', {
       '@google-cloud/common': {
         GrpcService: FakeGrpcService,
-        GrpcServiceObject: FakeGrpcServiceObject
+        GrpcServiceObject: FakeGrpcServiceObject,
+        util: fakeUtil
       },
       './family.js': FakeFamily,
       './mutation.js': FakeMutation,
@@ -114,6 +136,10 @@ describe('Bigtable/Table', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should inherit from GrpcServiceObject', function() {
       var FAKE_TABLE_NAME = 'fake-table-name';
 
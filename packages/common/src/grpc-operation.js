@@ -195,4 +195,11 @@ GrpcOperation.prototype.startPolling_ = function() {
   });
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+util.promisifyAll(GrpcOperation);
+
 module.exports = GrpcOperation;
@@ -20,6 +20,7 @@
 
 'use strict';
 
+var arrify = require('arrify');
 var extend = require('extend');
 var nodeutil = require('util');
 
@@ -110,7 +111,8 @@ GrpcServiceObject.prototype.setMetadata = function(metadata, callback) {
  * @private
  */
 GrpcServiceObject.prototype.request = function() {
-  return this.parent.request.apply(this.parent, arguments);
+  var args = this.addInterceptors_(arguments);
+  return this.parent.request.apply(this.parent, args);
 };
 
 /**
@@ -119,7 +121,8 @@ GrpcServiceObject.prototype.request = function() {
  * @private
  */
 GrpcServiceObject.prototype.requestStream = function() {
-  return this.parent.requestStream.apply(this.parent, arguments);
+  var args = this.addInterceptors_(arguments);
+  return this.parent.requestStream.apply(this.parent, args);
 };
 
 /**
@@ -128,7 +131,39 @@ GrpcServiceObject.prototype.requestStream = function() {
  * @private
  */
 GrpcServiceObject.prototype.requestWritableStream = function() {
-  return this.parent.requestWritableStream.apply(this.parent, arguments);
+  var args = this.addInterceptors_(arguments);
+  return this.parent.requestWritableStream.apply(this.parent, args);
 };
 
+/**
+ * Attach this object's interceptors to the proto options of a request, after
+ * those of any child object.
+ *
+ * @private
+ *
+ * @param {arguments} args - The arguments of the request method. The first is
+ *     the proto options object.
+ * @return {array} - The arguments to pass to the parent.
+ */
+GrpcServiceObject.prototype.addInterceptors_ = function(args) {
+  args = [].slice.call(args);
+
+  if (this.interceptors.length > 0) {
+    var protoOpts = args[0];
+
+    args[0] = extend({}, protoOpts, {
+      interceptors_: arrify(protoOpts.interceptors_).concat(this.interceptors)
+    });
+  }
+
+  return args;
+};
+
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+util.promisifyAll(GrpcServiceObject);
+
 module.exports = GrpcServiceObject;
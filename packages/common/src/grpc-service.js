@@ -28,7 +28,6 @@ var grpc = require('grpc');
 var is = require('is');
 var nodeutil = require('util');
 var path = require('path');
-var retryRequest = require('retry-request');
 var through = require('through2');
 
 /**
@@ -151,6 +150,9 @@ var GRPC_ERROR_CODE_TO_HTTP = {
  * @param {object=} config.protoServices - Directly provide the required proto
  *     files. This is useful when a single class requires multiple services.
  * @param {object} options - [Configuration object](#/docs/?method=gcloud).
+ * @param {string=} options.apiEndpoint - Connect to this host instead, with
+ *     insecure credentials. This is useful for connecting to an emulator, e.g.
+ *     "localhost:8085".
  */
 function GrpcService(config, options) {
   if (global.GCLOUD_SANDBOX_ENV) {
@@ -162,7 +164,7 @@ function GrpcService(config, options) {
 
   Service.call(this, config, options);
 
-  if (config.customEndpoint) {
+  if (config.customEndpoint || options.apiEndpoint) {
     this.grpcCredentials = grpc.credentials.createInsecure();
   }
 
@@ -176,7 +178,9 @@ function GrpcService(config, options) {
     }
   }
 
+  this.autoRetry = options.autoRetry;
   this.maxRetries = options.maxRetries;
+  this.retryOptions = options.retryOptions;
   this.userAgent = util.getUserAgentFromPackageJson(config.packageJson);
 
   var apiVersion = config.apiVersion;
@@ -200,7 +204,8 @@ function GrpcService(config, options) {
 
     self.protos[name] = service;
 
-    if (protoConfig.baseUrl) {
+    // A custom API endpoint serves every service.
+    if (protoConfig.baseUrl && !options.apiEndpoint) {
       service.baseUrl = protoConfig.baseUrl;
     }
   });
@@ -216,6 +221,8 @@ nodeutil.inherits(GrpcService, Service);
  * @param {string} protoOpts.method - The method name.
  * @param {number=} protoOpts.timeout - After how many milliseconds should the
  *     request cancel.
+ * @param {object=} protoOpts.retryOptions - Override the retry policy for this
+ *     request. See `util.createRetryPolicy`.
  * @param {object} reqOpts - The request options.
  * @param {function=} callback - The callback function.
  */
@@ -245,6 +252,15 @@ GrpcService.prototype.request = function(protoOpts, reqOpts, callback) {
   delete reqOpts.autoPaginate;
   delete reqOpts.autoPaginateVal;
 
+  var requestInfo = {
+    protoOpts: protoOpts,
+    reqOpts: reqOpts
+  };
+
+  var interceptors = this.getInterceptors_(protoOpts.interceptors_);
+  var onComplete = util.interceptRequest(interceptors, requestInfo);
+  reqOpts = requestInfo.reqOpts;
+
   var service = this.getService_(protoOpts);
 
   var metadata = this.grpcMetadata;
@@ -258,9 +274,11 @@ GrpcService.prototype.request = function(protoOpts, reqOpts, callback) {
   // executed with this as the "response", we return it to the user as an error.
   var respError;
 
+  var retryPolicy = this.getRetryPolicy_(protoOpts);
+
   var retryOpts = {
-    retries: this.maxRetries,
-    shouldRetryFn: GrpcService.shouldRetryRequest_,
+    retryPolicy: retryPolicy,
+    shouldRetryFn: retryPolicy.shouldRetryFn,
 
     // retry-request determines if it should retry from the incoming HTTP
     // response status. gRPC always returns an error proto message. We pass that
@@ -287,12 +305,13 @@ GrpcService.prototype.request = function(protoOpts, reqOpts, callback) {
     }
   };
 
-  retryRequest(null, retryOpts, function(err, resp) {
+  util.retryRequest(null, retryOpts, function(err, resp) {
     if (!err && resp === respError) {
       err = respError;
       resp = null;
     }
 
+    onComplete(err, resp);
     callback(err, resp);
   });
 };
@@ -305,6 +324,8 @@ GrpcService.prototype.request = function(protoOpts, reqOpts, callback) {
  * @param {string} protoOpts.method - The method name.
  * @param {number=} protoOpts.timeout - After how many milliseconds should the
  *     request cancel.
+ * @param {object=} protoOpts.retryOptions - Override the retry policy for this
+ *     request. See `util.createRetryPolicy`.
  * @param {object} reqOpts - The request options.
  */
 GrpcService.prototype.requestStream = function(protoOpts, reqOpts) {
@@ -338,6 +359,15 @@ GrpcService.prototype.requestStream = function(protoOpts, reqOpts) {
   var objectMode = !!reqOpts.objectMode;
   delete reqOpts.objectMode;
 
+  var requestInfo = {
+    protoOpts: protoOpts,
+    reqOpts: reqOpts
+  };
+
+  var interceptors = this.getInterceptors_(protoOpts.interceptors_);
+  var onComplete = util.interceptRequest(interceptors, requestInfo);
+  reqOpts = requestInfo.reqOpts;
+
   var service = this.getService_(protoOpts);
   var grpcOpts = {};
 
@@ -345,10 +375,12 @@ GrpcService.prototype.requestStream = function(protoOpts, reqOpts) {
     grpcOpts.deadline = GrpcService.createDeadline_(protoOpts.timeout);
   }
 
+  var retryPolicy = this.getRetryPolicy_(protoOpts);
+
   var retryOpts = {
-    retries: this.maxRetries,
+    retryPolicy: retryPolicy,
     objectMode: objectMode,
-    shouldRetryFn: GrpcService.shouldRetryRequest_,
+    shouldRetryFn: retryPolicy.shouldRetryFn,
 
     request: function() {
       return service[protoOpts.method](reqOpts, self.grpcMetadata, grpcOpts)
@@ -366,10 +398,14 @@ GrpcService.prototype.requestStream = function(protoOpts, reqOpts) {
     }
   };
 
-  return retryRequest(null, retryOpts)
+  return util.retryRequest(null, retryOpts)
+    .on('response', function(resp) {
+      onComplete(null, resp);
+    })
     .on('error', function(err) {
       var grpcError = GrpcService.decorateError_(err);
 
+      onComplete(grpcError || err);
       stream.destroy(grpcError || err);
     })
     .pipe(stream);
@@ -409,6 +445,15 @@ GrpcService.prototype.requestWritableStream = function(protoOpts, reqOpts) {
     return stream;
   }
 
+  var requestInfo = {
+    protoOpts: protoOpts,
+    reqOpts: reqOpts
+  };
+
+  var interceptors = this.getInterceptors_(protoOpts.interceptors_);
+  var onComplete = util.interceptRequest(interceptors, requestInfo);
+  reqOpts = requestInfo.reqOpts;
+
   var service = this.getService_(protoOpts);
   var grpcOpts = {};
 
@@ -419,10 +464,18 @@ GrpcService.prototype.requestWritableStream = function(protoOpts, reqOpts) {
   var grpcStream = service[protoOpts.method](reqOpts, grpcOpts)
     .on('status', function(status) {
       var grcpStatus = GrpcService.decorateStatus_(status);
+
+      if (status.code === 0) {
+        // Unsuccessful statuses are followed by an error event.
+        onComplete(null, grcpStatus || status);
+      }
+
       stream.emit('response', grcpStatus || status);
     })
     .on('error', function(err) {
       var grpcError = GrpcService.decorateError_(err);
+
+      onComplete(grpcError || err);
       stream.destroy(grpcError || err);
     });
 
@@ -553,7 +606,8 @@ GrpcService.decorateError_ = function(err) {
 
 /**
  * Checks for a grpc status code and extends the supplied object with additional
- * information.
+ * information. The HTTP equivalent of the status is set as `code`, and the
+ * original gRPC status as `grpcCode`, as several statuses share an HTTP code.
  *
  * @private
  *
@@ -577,6 +631,7 @@ GrpcService.decorateGrpcResponse_ = function(obj, response) {
 
     return extend(true, obj, response, {
       code: defaultResponseDetails.code,
+      grpcCode: response.code,
       message: message
     });
   }
@@ -596,18 +651,6 @@ GrpcService.decorateStatus_ = function(status) {
   return GrpcService.decorateGrpcResponse_({}, status);
 };
 
-/**
- * Function to decide whether or not a request retry could occur.
- *
- * @private
- *
- * @param {object} response - The request response.
- * @return {boolean} shouldRetry
- */
-GrpcService.shouldRetryRequest_ = function(response) {
-  return [429, 500, 502, 503].indexOf(response.code) > -1;
-};
-
 /**
  * Convert an object to a struct.
  *
@@ -775,6 +818,23 @@ GrpcService.prototype.loadProtoFile_ = function(protoConfig, config) {
   return service[apiVersion] || service;
 };
 
+/**
+ * Create the retry policy for a request, combining the options this service was
+ * created with and those given for the request.
+ *
+ * @private
+ *
+ * @param {object} protoOpts - The proto options.
+ * @return {object} retryPolicy - The retry policy.
+ */
+GrpcService.prototype.getRetryPolicy_ = function(protoOpts) {
+  return util.createRetryPolicy({
+    autoRetry: this.autoRetry,
+    maxRetries: this.maxRetries,
+    retryOptions: extend({}, this.retryOptions, protoOpts.retryOptions)
+  });
+};
+
 /**
  * Retrieves the service object used to make the grpc requests.
  *
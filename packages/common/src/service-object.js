@@ -31,6 +31,15 @@ var is = require('is');
  */
 var util = require('./util.js');
 
+/**
+ * How many times to try a read-modify-write of an object's metadata, if others
+ * keep changing it at the same time.
+ *
+ * @const {number}
+ * @private
+ */
+var MAX_METADATA_UPDATE_ATTEMPTS = 5;
+
 /**
  * ServiceObject is a base class, meant to be inherited from by a "service
  * object," like a BigQuery dataset or Storage bucket.
@@ -77,8 +86,9 @@ function ServiceObject(config) {
     allMethodNames
       .filter(function(methodName) {
         return (
-          // All ServiceObjects need `request`.
+          // All ServiceObjects need `request` and the private helpers.
           methodName !== 'request' &&
+          !/_$/.test(methodName) &&
 
           // The ServiceObject didn't redefine the method.
           self[methodName] === ServiceObject.prototype[methodName] &&
@@ -292,6 +302,87 @@ ServiceObject.prototype.setMetadata = function(metadata, callback) {
   });
 };
 
+/**
+ * Get the request options that make a metadata update conditional on the
+ * metadata not having changed since it was read. By default, its etag has to
+ * still match.
+ *
+ * @private
+ *
+ * @param {object} metadata - The metadata that was read.
+ * @return {object} - Request options to add to the update.
+ */
+ServiceObject.prototype.getUpdatePrecondition_ = function(metadata) {
+  return {
+    headers: {
+      'If-Match': metadata.etag
+    }
+  };
+};
+
+/**
+ * Read the object's metadata, then apply changes based on it. The changes are
+ * only made if the metadata hasn't changed since it was read; see
+ * {module:common/service-object#getUpdatePrecondition_}. If it has, it's read
+ * again and the changes worked out again, up to a few times.
+ *
+ * @private
+ *
+ * @param {function} getChanges - Called with the current metadata. Returns the
+ *     metadata to patch, or `null` if nothing needs to change.
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object} callback.apiResponse - The updated metadata.
+ */
+ServiceObject.prototype.updateMetadata_ = function(getChanges, callback) {
+  var self = this;
+  var attempts = 0;
+
+  callback = callback || util.noop;
+
+  function update() {
+    attempts++;
+
+    self.getMetadata(function(err, metadata) {
+      if (err) {
+        callback(err, metadata);
+        return;
+      }
+
+      var changes = getChanges(metadata);
+
+      if (!changes) {
+        callback(null, metadata);
+        return;
+      }
+
+      var reqOpts = extend(true, {
+        method: 'PATCH',
+        uri: '',
+        json: changes
+      }, self.getUpdatePrecondition_(metadata));
+
+      self.request(reqOpts, function(err, resp) {
+        if (err) {
+          if (err.code === 412 && attempts < MAX_METADATA_UPDATE_ATTEMPTS) {
+            update();
+            return;
+          }
+
+          callback(err, resp);
+          return;
+        }
+
+        self.metadata = resp;
+
+        callback(null, resp);
+      });
+    });
+  }
+
+  update();
+};
+
 /**
  * Make an authenticated API request.
  *
@@ -332,4 +423,11 @@ ServiceObject.prototype.request = function(reqOpts, callback) {
   return this.parent.request(reqOpts, callback);
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+util.promisifyAll(ServiceObject);
+
 module.exports = ServiceObject;
@@ -40,18 +40,34 @@ var util = require('./util.js');
  *
  * @param {object} config - Configuration object.
  * @param {string} config.baseUrl - The base URL to make API requests to.
+ * @param {boolean=} config.customEndpoint - Skip authentication, because the
+ *     requests are not sent to Google.
  * @param {string[]} config.scopes - The scopes required for the request.
  * @param {object} options - [Configuration object](#/docs).
+ * @param {string=} options.apiEndpoint - Send requests to this endpoint
+ *     instead, without authentication. This is useful for connecting to an
+ *     emulator or a local fake, e.g. "http://localhost:8080".
  */
 function Service(config, options) {
+  if (options.apiEndpoint) {
+    config = extend({}, config, {
+      baseUrl: Service.resolveApiEndpoint_(config.baseUrl, options.apiEndpoint),
+      customEndpoint: true
+    });
+  }
+
   var reqCfg = extend({}, config, {
+    autoRetry: options.autoRetry,
     credentials: options.credentials,
     keyFile: options.keyFilename,
-    email: options.email
+    email: options.email,
+    maxRetries: options.maxRetries,
+    retryOptions: options.retryOptions
   });
 
   this.makeAuthenticatedRequest = util.makeAuthenticatedRequestFactory(reqCfg);
 
+  this.apiEndpoint = options.apiEndpoint;
   this.authClient = this.makeAuthenticatedRequest.authClient;
   this.baseUrl = config.baseUrl;
   this.getCredentials = this.makeAuthenticatedRequest.getCredentials;
@@ -69,7 +85,8 @@ function Service(config, options) {
  *
  * @param {object} reqOpts - Request options that are passed to `request`.
  * @param {string} reqOpts.uri - A URI relative to the baseUrl.
- * @param {function} callback - The callback function passed to `request`.
+ * @param {function=} callback - The callback function passed to `request`. If
+ *     omitted, a stream is returned.
  */
 Service.prototype.request = function(reqOpts, callback) {
   reqOpts = extend(true, {}, reqOpts);
@@ -102,16 +119,12 @@ Service.prototype.request = function(reqOpts, callback) {
     // Good: https://.../projects:list
     .replace(/\/:/g, ':');
 
-  // Interceptors should be called in the order they were assigned.
-  var combinedInterceptors = [].slice.call(this.globalInterceptors)
-    .concat(this.interceptors)
-    .concat(arrify(reqOpts.interceptors_));
+  var interceptors = this.getInterceptors_(reqOpts.interceptors_);
 
-  var interceptor;
-
-  while ((interceptor = combinedInterceptors.shift()) && interceptor.request) {
-    reqOpts = interceptor.request(reqOpts);
-  }
+  // Interceptors should be called in the order they were assigned.
+  reqOpts = interceptors.reduce(function(reqOpts, interceptor) {
+    return interceptor.request ? interceptor.request(reqOpts) : reqOpts;
+  }, reqOpts);
 
   delete reqOpts.interceptors_;
 
@@ -119,7 +132,121 @@ Service.prototype.request = function(reqOpts, callback) {
     'User-Agent': util.getUserAgentFromPackageJson(this.packageJson)
   });
 
-  return this.makeAuthenticatedRequest(reqOpts, callback);
+  var requestInfo = {
+    reqOpts: reqOpts
+  };
+
+  var onComplete = util.interceptRequest(interceptors, requestInfo);
+  reqOpts = requestInfo.reqOpts;
+
+  if (!callback) {
+    var requestStream = this.makeAuthenticatedRequest(reqOpts);
+
+    if (interceptors.length > 0) {
+      // Watch the events as they are emitted, rather than listen for them. An
+      // "error" listener would stop errors nobody else is listening for from
+      // being thrown.
+      var emit = requestStream.emit;
+
+      requestStream.emit = function(eventName, data) {
+        if (eventName === 'response') {
+          onComplete(util.parseHttpRespMessage(data).err || null, data);
+        } else if (eventName === 'error') {
+          onComplete(data);
+        }
+
+        return emit.apply(this, arguments);
+      };
+    }
+
+    return requestStream;
+  }
+
+  return this.makeAuthenticatedRequest(reqOpts, function(err, body, resp) {
+    onComplete(err, resp);
+    callback.apply(null, arguments);
+  });
+};
+
+/**
+ * Combine the global, service, and request interceptors, in the order they
+ * should be called.
+ *
+ * @private
+ *
+ * @param {object[]=} requestInterceptors - Interceptors for a single request.
+ * @return {object[]} interceptors - All interceptors that apply.
+ */
+Service.prototype.getInterceptors_ = function(requestInterceptors) {
+  return [].slice.call(this.globalInterceptors)
+    .concat(this.interceptors)
+    .concat(arrify(requestInterceptors));
+};
+
+/**
+ * Point one of the API's other base URLs, such as its upload URL, at the custom
+ * API endpoint this service was created with, if any.
+ *
+ * @private
+ *
+ * @param {string} baseUrl - The default base URL.
+ * @return {string}
+ */
+Service.prototype.resolveBaseUrl_ = function(baseUrl) {
+  if (!this.apiEndpoint) {
+    return baseUrl;
+  }
+
+  return Service.resolveApiEndpoint_(baseUrl, this.apiEndpoint);
+};
+
+/**
+ * Point a base URL at a custom API endpoint.
+ *
+ * A gRPC base URL is just a host, so the endpoint's host is used. A REST base
+ * URL keeps its path, e.g. "/storage/v1", unless the endpoint has a path of its
+ * own. REST endpoints without a protocol use HTTP, as local servers rarely
+ * support HTTPS.
+ *
+ * @private
+ *
+ * @param {string} baseUrl - The default base URL of the API.
+ * @param {string} apiEndpoint - The custom API endpoint.
+ * @return {string} - The base URL to use.
+ *
+ * @example
+ * Service.resolveApiEndpoint_(
+ *   'https://www.googleapis.com/storage/v1',
+ *   'localhost:8080'
+ * );
+ * // 'http://localhost:8080/storage/v1'
+ *
+ * Service.resolveApiEndpoint_('pubsub.googleapis.com', 'http://localhost:8085');
+ * // 'localhost:8085'
+ */
+Service.resolveApiEndpoint_ = function(baseUrl, apiEndpoint) {
+  var leadingProtocol = /^https?:\/\//;
+  var trailingSlashes = /\/*$/;
+
+  apiEndpoint = apiEndpoint.replace(trailingSlashes, '');
+
+  var host = apiEndpoint.replace(leadingProtocol, '');
+
+  if (!leadingProtocol.test(baseUrl)) {
+    return host.split('/')[0];
+  }
+
+  if (!leadingProtocol.test(apiEndpoint)) {
+    apiEndpoint = 'http://' + apiEndpoint;
+  }
+
+  if (host.indexOf('/') > -1) {
+    return apiEndpoint;
+  }
+
+  var path = baseUrl.replace(leadingProtocol, '').replace(/^[^\/]*/, '');
+
+  return apiEndpoint + path;
 };
 
 module.exports = Service;
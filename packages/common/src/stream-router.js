@@ -47,9 +47,21 @@ var util = require('./util.js');
  *
  * Methods to extend should be written to accept callbacks and return a
  * `nextQuery`. All stream logic is handled in `streamRouter.router_`.
+ *
+ * The returned stream can also be consumed with `for await`, one result at a
+ * time, or a page at a time with `stream.pages()`:
+ *
+ *   for await (let result of search.query('done=true')) {}
+ *   for await (let page of search.query('done=true').pages()) {}
  */
 var streamRouter = {};
 
+/**
+ * @const {symbol|undefined} - `Symbol.asyncIterator`, where it is supported.
+ * @private
+ */
+var ASYNC_ITERATOR = typeof Symbol === 'function' && Symbol.asyncIterator;
+
 /**
  * Cache the original method, then overwrite it on the Class's prototype.
  *
@@ -162,10 +174,175 @@ streamRouter.router_ = function(parsedArguments, originalMethod) {
       originalMethod(query, callback);
     }
   } else {
-    return this.runAsStream_(parsedArguments, originalMethod);
+    var stream = this.runAsStream_(parsedArguments, originalMethod);
+    return this.addIterators_(stream, parsedArguments, originalMethod);
   }
 };
 
+/**
+ * Make a results stream iterable with `for await`, and give it a `pages` method
+ * to iterate over the raw pages of results instead.
+ *
+ * Iterating does not use the stream itself. Each iterator makes its own API
+ * requests.
+ *
+ * @param {stream} stream - The results stream.
+ * @param {object} parsedArguments - Parsed arguments from the original method
+ *     call.
+ * @param {function} originalMethod - The cached method that accepts a callback
+ *     and returns `nextQuery` to receive more results.
+ * @return {stream} - The same stream.
+ */
+streamRouter.addIterators_ = function(stream, parsedArguments, originalMethod) {
+  stream.pages = function() {
+    return streamRouter.runAsPages_(parsedArguments, originalMethod);
+  };
+
+  if (ASYNC_ITERATOR) {
+    stream[ASYNC_ITERATOR] = function() {
+      return streamRouter.runAsIterator_(stream.pages());
+    };
+  }
+
+  return stream;
+};
+
+/**
+ * Create an async iterator over the pages of results. Each page is an object:
+ *
+ *   - `results` - The results on this page.
+ *   - `nextQuery` - The query for the next page, or `null` on the last page.
+ *   - `pageToken` - The `pageToken` of `nextQuery`, or `null`.
+ *   - `apiResponse` - The raw API response.
+ *
+ * `maxResults` and `maxApiCalls` are honored the same as in stream mode.
+ *
+ * @param {object} parsedArguments - Parsed arguments from the original method
+ *     call.
+ * @param {function} originalMethod - The cached method that accepts a callback
+ *     and returns `nextQuery` to receive more results.
+ * @return {object} - An async iterator.
+ */
+streamRouter.runAsPages_ = function(parsedArguments, originalMethod) {
+  var query = parsedArguments.query;
+  var resultsToSend = parsedArguments.maxResults;
+  var apiCallsToMake = parsedArguments.maxApiCalls;
+  var apiCallsMade = 0;
+  var finished = false;
+  var pending = Promise.resolve();
+
+  function getNextPage() {
+    if (apiCallsToMake >= 0 && apiCallsMade >= apiCallsToMake) {
+      finished = true;
+    }
+
+    if (finished) {
+      return { done: true, value: undefined };
+    }
+
+    apiCallsMade++;
+
+    return new Promise(function(resolve, reject) {
+      originalMethod(query, function(err, results, nextQuery, apiResponse) {
+        if (err) {
+          finished = true;
+          reject(err);
+          return;
+        }
+
+        results = arrify(results);
+
+        if (resultsToSend >= 0 && results.length > resultsToSend) {
+          results = results.slice(0, resultsToSend);
+        }
+
+        resultsToSend -= results.length;
+
+        query = nextQuery;
+        finished = !nextQuery || resultsToSend === 0;
+
+        resolve({
+          done: false,
+          value: {
+            results: results,
+            nextQuery: nextQuery || null,
+            pageToken: (is.object(nextQuery) && nextQuery.pageToken) || null,
+            apiResponse: apiResponse
+          }
+        });
+      });
+    });
+  }
+
+  var iterator = {
+    next: function() {
+      // Requests are made one after another, even if `next` is called again
+      // before the previous page arrived.
+      pending = pending.then(getNextPage, getNextPage);
+      return pending;
+    },
+
+    return: function() {
+      finished = true;
+      return Promise.resolve({ done: true, value: undefined });
+    }
+  };
+
+  if (ASYNC_ITERATOR) {
+    iterator[ASYNC_ITERATOR] = function() {
+      return iterator;
+    };
+  }
+
+  return iterator;
+};
+
+/**
+ * Create an async iterator over the individual results of a page iterator.
+ *
+ * @param {object} pageIterator - An iterator from `streamRouter.runAsPages_`.
+ * @return {object} - An async iterator.
+ */
+streamRouter.runAsIterator_ = function(pageIterator) {
+  var results = [];
+  var pending = Promise.resolve();
+
+  function getNextResult() {
+    if (results.length > 0) {
+      return { done: false, value: results.shift() };
+    }
+
+    return pageIterator.next().then(function(page) {
+      if (page.done) {
+        return page;
+      }
+
+      results = page.value.results.slice();
+      return getNextResult();
+    });
+  }
+
+  var iterator = {
+    next: function() {
+      pending = pending.then(getNextResult, getNextResult);
+      return pending;
+    },
+
+    return: function() {
+      results = [];
+      return pageIterator.return();
+    }
+  };
+
+  if (ASYNC_ITERATOR) {
+    iterator[ASYNC_ITERATOR] = function() {
+      return iterator;
+    };
+  }
+
+  return iterator;
+};
+
 /**
  * This method simply calls the nextQuery recursively, emitting results to a
  * stream. The stream ends when `nextQuery` is null.
@@ -23,6 +23,7 @@
 var createErrorClass = require('create-error-class');
 var duplexify = require('duplexify');
 var ent = require('ent');
+var events = require('events');
 var extend = require('extend');
 var format = require('string-format-obj');
 var googleAuth = require('google-auto-auth');
@@ -33,7 +34,6 @@ var request = require('request').defaults({
     maxSockets: Infinity
   }
 });
-var retryRequest = require('retry-request');
 var streamEvents = require('stream-events');
 var through = require('through2');
 var uniq = require('array-uniq');
@@ -54,6 +54,22 @@ var missingProjectIdError = new Error(errorMessage);
 
 util.missingProjectIdError = missingProjectIdError;
 
+/**
+ * @const {object} - The default retry policy settings. The delays match the
+ *     exponential backoff of the `retry-request` module: 2s, 4s, 8s, ...
+ *     plus up to 1s of random jitter.
+ * @private
+ */
+var RETRY_DEFAULTS = {
+  retryCodes: [429, 500, 502, 503],
+  retryReasons: ['rateLimitExceeded', 'userRateLimitExceeded'],
+  initialDelay: 2000,
+  multiplier: 2,
+  maxDelay: 64000,
+  totalTimeout: Infinity,
+  jitter: 1000
+};
+
 /**
  * No op.
  *
@@ -267,21 +283,25 @@ util.makeWritableStream = makeWritableStream;
  * related errors as well as intermittent server errors.
  *
  * @param {error} err - The API error to check if it is appropriate to retry.
+ * @param {object=} options - Configuration object.
+ * @param {number[]=} options.retryCodes - HTTP status codes that are safe to
+ *     retry. (default: `[429, 500, 502, 503]`)
+ * @param {string[]=} options.retryReasons - Error reasons that are safe to
+ *     retry. (default: `['rateLimitExceeded', 'userRateLimitExceeded']`)
  * @return {boolean} True if the API request should be retried, false otherwise.
  */
-function shouldRetryRequest(err) {
+function shouldRetryRequest(err, options) {
+  options = extend({}, RETRY_DEFAULTS, options);
+
   if (err) {
-    if ([429, 500, 502, 503].indexOf(err.code) !== -1) {
+    if (options.retryCodes.indexOf(err.code) !== -1) {
       return true;
     }
 
     if (err.errors) {
       for (var i in err.errors) {
         var reason = err.errors[i].reason;
-        if (reason === 'rateLimitExceeded') {
-          return true;
-        }
-        if (reason === 'userRateLimitExceeded') {
+        if (options.retryReasons.indexOf(reason) !== -1) {
           return true;
         }
       }
@@ -293,6 +313,233 @@ function shouldRetryRequest(err) {
 
 util.shouldRetryRequest = shouldRetryRequest;
 
+/**
+ * Create a retry policy from a service or request configuration object. The
+ * policy decides which errors are retried, how many times, and how long to wait
+ * between attempts.
+ *
+ * @param {object=} config - Configuration object.
+ * @param {boolean=} config.autoRetry - Automatically retry requests if the
+ *     response is related to rate limits or certain intermittent server errors.
+ *     (default: true)
+ * @param {number=} config.maxRetries - Maximum number of automatic retries
+ *     attempted before returning the error. `0` disables retries; it used to
+ *     mean the default. (default: 3, for REST and gRPC requests alike)
+ * @param {object=} config.retryOptions - Fine-tune the retry policy.
+ * @param {number[]=} config.retryOptions.retryCodes - HTTP status codes that
+ *     should be retried. (default: `[429, 500, 502, 503]`)
+ * @param {string[]=} config.retryOptions.retryReasons - Error reasons that
+ *     should be retried. (default:
+ *     `['rateLimitExceeded', 'userRateLimitExceeded']`)
+ * @param {function=} config.retryOptions.shouldRetryFn - Decide for yourself if
+ *     an error should be retried. It receives the error and returns a boolean.
+ *     When provided, `retryCodes` and `retryReasons` are ignored.
+ * @param {number=} config.retryOptions.maxRetries - Overrides
+ *     `config.maxRetries`.
+ * @param {number=} config.retryOptions.initialDelay - Milliseconds to wait
+ *     before the first retry. (default: 2000)
+ * @param {number=} config.retryOptions.multiplier - The delay is multiplied by
+ *     this for every following retry. (default: 2)
+ * @param {number=} config.retryOptions.maxDelay - The delay will never grow
+ *     past this many milliseconds, not counting jitter. (default: 64000)
+ * @param {number=} config.retryOptions.totalTimeout - Stop retrying once this
+ *     many milliseconds have passed since the first attempt. (default:
+ *     Infinity)
+ * @param {number=} config.retryOptions.jitter - Up to this many random
+ *     milliseconds are added to each delay. Set to `0` to disable. (default:
+ *     1000)
+ * @return {object} retryPolicy - The retry policy.
+ */
+function createRetryPolicy(config) {
+  config = config || {};
+
+  var retryOptions = extend({}, RETRY_DEFAULTS, config.retryOptions);
+
+  var retries = 3;
+
+  if (config.autoRetry === false) {
+    retries = 0;
+  } else if (is.number(retryOptions.maxRetries)) {
+    retries = retryOptions.maxRetries;
+  } else if (is.number(config.maxRetries)) {
+    retries = config.maxRetries;
+  }
+
+  var shouldRetryFn = retryOptions.shouldRetryFn || function(err) {
+    return util.shouldRetryRequest(err, retryOptions);
+  };
+
+  return {
+    retries: retries,
+    totalTimeout: retryOptions.totalTimeout,
+
+    shouldRetryFn: function(err) {
+      return !!shouldRetryFn(err);
+    },
+
+    getRetryDelay: function(retryNumber) {
+      var delay = retryOptions.initialDelay *
+        Math.pow(retryOptions.multiplier, retryNumber - 1);
+
+      delay = Math.min(delay, retryOptions.maxDelay);
+
+      return delay + Math.floor(Math.random() * retryOptions.jitter);
+    }
+  };
+}
+
+util.createRetryPolicy = createRetryPolicy;
+
+/**
+ * Make a request, retrying it as a retry policy dictates. This takes the same
+ * arguments as the `retry-request` module, but the number of retries and the
+ * time between them come from `options.retryPolicy`. That module could not be
+ * given a delay schedule or a deadline, which is why this replaces it.
+ *
+ * In stream mode, only the `error` or `response` that ends an attempt is
+ * considered for a retry. Once a response is accepted and its body is being
+ * streamed, an `error` is passed on to the returned stream as-is.
+ *
+ * @param {object} reqOpts - Options passed to `options.request`.
+ * @param {object} options - Configuration object.
+ * @param {boolean=} options.objectMode - Stream mode only: emit objects rather
+ *     than buffers.
+ * @param {function} options.request - The function that makes one attempt. In
+ *     callback mode it is passed `reqOpts` and a callback, otherwise it must
+ *     return a stream that emits a `response` event.
+ * @param {object=} options.retryPolicy - A policy from
+ *     `util.createRetryPolicy`.
+ * @param {function} options.shouldRetryFn - Given the response of an attempt,
+ *     decide if another attempt should be made.
+ * @param {function=} callback - The callback function. If omitted, a stream is
+ *     returned.
+ * @return {stream|object} - A stream, or an object with an `abort` method.
+ */
+function retryRequest(reqOpts, options, callback) {
+  var streamMode = !is.fn(callback);
+  var retryPolicy = options.retryPolicy || util.createRetryPolicy();
+  var startTime = Date.now();
+  var numAttempts = 0;
+
+  var activeRequest;
+  var delayStream;
+  var requestStream;
+  var retryStream;
+  var retryTimeout;
+
+  if (streamMode) {
+    retryStream = through({ objectMode: !!options.objectMode });
+    retryStream.abort = abort;
+  }
+
+  makeAttempt();
+
+  if (streamMode) {
+    return retryStream;
+  }
+
+  return {
+    abort: abort
+  };
+
+  function abort() {
+    clearTimeout(retryTimeout);
+
+    var activeAttempt = requestStream || activeRequest;
+
+    if (activeAttempt && activeAttempt.abort) {
+      activeAttempt.abort();
+    }
+  }
+
+  function makeAttempt() {
+    numAttempts++;
+
+    if (!streamMode) {
+      activeRequest = options.request(reqOpts, onResponse);
+      return;
+    }
+
+    var attemptStream = options.request(reqOpts);
+    var responseReceived = false;
+
+    delayStream = through({ objectMode: !!options.objectMode });
+    requestStream = attemptStream;
+
+    attemptStream
+      .on('error', function(err) {
+        if (attemptStream !== requestStream) {
+          // This attempt was discarded in favor of a retry.
+          return;
+        }
+
+        if (responseReceived) {
+          // The response was already accepted, so the body is being streamed
+          // to the user. An error at this point is not retried.
+          retryStream.emit('error', err);
+          retryStream.end();
+          return;
+        }
+
+        onResponse(err);
+      })
+      .on('response', function(response) {
+        if (responseReceived) {
+          return;
+        }
+
+        responseReceived = true;
+        onResponse(null, response);
+      })
+      .on('complete', retryStream.emit.bind(retryStream, 'complete'))
+      .pipe(delayStream);
+  }
+
+  function onResponse(err, response, body) {
+    // An error such as DNS resolution.
+    if (err) {
+      if (streamMode) {
+        retryStream.emit('error', err);
+        retryStream.end();
+      } else {
+        callback(err, response, body);
+      }
+
+      return;
+    }
+
+    var delay = retryPolicy.getRetryDelay(numAttempts);
+    var withinDeadline =
+      Date.now() + delay - startTime <= retryPolicy.totalTimeout;
+
+    if (numAttempts <= retryPolicy.retries && withinDeadline &&
+        options.shouldRetryFn(response)) {
+      if (streamMode) {
+        // Discard the unwanted response.
+        var discardedStream = requestStream;
+
+        delayStream = null;
+        requestStream = null;
+
+        discardedStream.abort();
+        discardedStream.destroy();
+      }
+
+      retryTimeout = setTimeout(makeAttempt, delay);
+      return;
+    }
+
+    if (streamMode) {
+      retryStream.emit('response', response);
+      delayStream.pipe(retryStream);
+    } else {
+      callback(err, response, body);
+    }
+  }
+}
+
+util.retryRequest = retryRequest;
+
 /**
  * Get a function for making authenticated requests.
  *
@@ -308,6 +555,8 @@ util.shouldRetryRequest = shouldRetryRequest;
  *     usage.
  * @param {number=} config.maxRetries - Maximum number of automatic retries
  *     attempted before returning the error. (default: 3)
+ * @param {object=} config.retryOptions - Fine-tune the retry policy. See
+ *     `util.createRetryPolicy`.
  * @param {string=} config.keyFile - Path to a .json, .pem, or .p12 keyfile.
  * @param {array} config.scopes - Array of scopes required for the API.
  */
@@ -320,6 +569,8 @@ function makeAuthenticatedRequestFactory(config) {
    * The returned function that will make an authenticated request.
    *
    * @param {type} reqOpts - Request options in the format `request` expects.
+   * @param {object=} reqOpts.retryOptions - Override the retry policy for this
+   *     request. See `util.createRetryPolicy`.
    * @param {object|function} options - Configuration object or callback
    *     function.
    * @param {function=} options.onAuthenticated - If provided, a request will
@@ -336,6 +587,14 @@ function makeAuthenticatedRequestFactory(config) {
       reqConfig.stream = stream;
     }
 
+    if (reqOpts.retryOptions) {
+      reqConfig.retryOptions =
+        extend({}, config.retryOptions, reqOpts.retryOptions);
+
+      reqOpts = extend({}, reqOpts);
+      delete reqOpts.retryOptions;
+    }
+
     function onAuthenticated(err, authenticatedReqOpts) {
       if (err) {
         if (stream) {
@@ -390,7 +649,7 @@ function makeAuthenticatedRequestFactory(config) {
 util.makeAuthenticatedRequestFactory = makeAuthenticatedRequestFactory;
 
 /**
- * Make a request through the `retryRequest` module with built-in error handling
+ * Make a request through `util.retryRequest` with built-in error handling
  * and exponential back off.
  *
  * @param {object} reqOpts - Request options in the format `request` expects.
@@ -401,6 +660,8 @@ util.makeAuthenticatedRequestFactory = makeAuthenticatedRequestFactory;
  *     true)
  * @param {number=} config.maxRetries - Maximum number of automatic retries
  *     attempted before returning the error. (default: 3)
+ * @param {object=} config.retryOptions - Fine-tune the retry policy. See
+ *     `util.createRetryPolicy`.
  * @param {function} callback - The callback function.
  */
 function makeRequest(reqOpts, config, callback) {
@@ -411,14 +672,16 @@ function makeRequest(reqOpts, config, callback) {
 
   config = config || {};
 
+  var retryPolicy = util.createRetryPolicy(config);
+
   var options = {
     request: request,
 
-    retries: config.autoRetry !== false ? config.maxRetries || 3 : 0,
+    retryPolicy: retryPolicy,
 
     shouldRetryFn: function(httpRespMessage) {
       var err = util.parseHttpRespMessage(httpRespMessage).err;
-      return err && util.shouldRetryRequest(err);
+      return err && retryPolicy.shouldRetryFn(err);
     }
   };
 
@@ -428,7 +691,7 @@ function makeRequest(reqOpts, config, callback) {
     var isGetRequest = (reqOpts.method || 'GET').toUpperCase() === 'GET';
 
     if (isGetRequest) {
-      requestStream = retryRequest(reqOpts, options);
+      requestStream = util.retryRequest(reqOpts, options);
       dup.setReadable(requestStream);
     } else {
       // Streaming writable HTTP requests cannot be retried.
@@ -443,8 +706,8 @@ function makeRequest(reqOpts, config, callback) {
 
     dup.abort = requestStream.abort;
   } else {
-    return retryRequest(reqOpts, options, function(err, response, body) {
-      util.handleResp(err, response, body, callback);
+    return util.retryRequest(reqOpts, options, function(err, resp, body) {
+      util.handleResp(err, resp, body, callback);
     });
   }
 }
@@ -476,6 +739,62 @@ function decorateRequest(reqOpts, config) {
 
 util.decorateRequest = decorateRequest;
 
+/**
+ * Run the `beforeRequest` hooks of the given interceptors, then return a
+ * function to report the outcome of the request with. Calling it runs the
+ * `afterResponse` hooks, or the `onError` hooks if there was an error. Only the
+ * first outcome reported is passed on, so each request calls one kind of hook.
+ *
+ * Each hook receives an object describing the request:
+ *
+ *   - `reqOpts` - The request options. Hooks may modify them.
+ *   - `protoOpts` - The proto options, for gRPC requests.
+ *   - `startTime` - When the request was started, in milliseconds.
+ *   - `endTime` - When the request completed, in milliseconds.
+ *   - `duration` - How long the request took, in milliseconds.
+ *   - `response` - The API response, if one was received.
+ *
+ * `onError` hooks receive the error first.
+ *
+ * @param {object[]} interceptors - The interceptors, in the order they should
+ *     be called.
+ * @param {object} requestInfo - The `reqOpts`, and `protoOpts` if relevant.
+ * @return {function} - Call with `(err, response)` when the request completes.
+ */
+function interceptRequest(interceptors, requestInfo) {
+  requestInfo.startTime = Date.now();
+
+  interceptors.forEach(function(interceptor) {
+    if (interceptor.beforeRequest) {
+      interceptor.beforeRequest(requestInfo);
+    }
+  });
+
+  var completed = false;
+
+  return function(err, response) {
+    if (completed) {
+      return;
+    }
+
+    completed = true;
+
+    requestInfo.endTime = Date.now();
+    requestInfo.duration = requestInfo.endTime - requestInfo.startTime;
+    requestInfo.response = response;
+
+    interceptors.forEach(function(interceptor) {
+      if (err && interceptor.onError) {
+        interceptor.onError(err, requestInfo);
+      } else if (!err && interceptor.afterResponse) {
+        interceptor.afterResponse(requestInfo);
+      }
+    });
+  };
+}
+
+util.interceptRequest = interceptRequest;
+
 /**
  * Extend a global configuration object with user options provided at the time
  * of sub-module instantiation.
@@ -630,3 +949,110 @@ function getUserAgentFromPackageJson(packageJson) {
 }
 
 util.getUserAgentFromPackageJson = getUserAgentFromPackageJson;
+
+/**
+ * Wraps a callback style function to conditionally return a promise.
+ *
+ * If the last argument given to the wrapped function is a callback, the
+ * original function is simply called. Otherwise, a callback is appended to the
+ * arguments and a native Promise is returned. The promise is rejected with the
+ * callback's error, or resolved with an array of the remaining callback
+ * arguments.
+ *
+ * @param {function} originalMethod - The method to promisify.
+ * @return {function} wrapped - The promisified method.
+ *
+ * @example
+ * var getMetadata = util.promisify(function(callback) {
+ *   callback(null, { name: 'my-object' }, apiResponse);
+ * });
+ *
+ * getMetadata().then(function(data) {
+ *   var metadata = data[0];
+ *   var apiResponse = data[1];
+ * });
+ */
+function promisify(originalMethod) {
+  if (originalMethod.promisified_) {
+    return originalMethod;
+  }
+
+  var slice = Array.prototype.slice;
+
+  var wrapper = function() {
+    var context = this;
+    var args = slice.call(arguments);
+    var hasCallback = is.fn(args[args.length - 1]);
+
+    if (hasCallback) {
+      return originalMethod.apply(context, args);
+    }
+
+    return new Promise(function(resolve, reject) {
+      args.push(function() {
+        var callbackArgs = slice.call(arguments);
+        var err = callbackArgs.shift();
+
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        resolve(callbackArgs);
+      });
+
+      originalMethod.apply(context, args);
+    });
+  };
+
+  wrapper.promisified_ = true;
+
+  return wrapper;
+}
+
+util.promisify = promisify;
+
+/**
+ * Promisify all of the public, callback style methods of a Class's prototype.
+ *
+ * Methods that are skipped:
+ *
+ *   - Private methods (`method_`) and methods that return streams
+ *     (`createReadStream`).
+ *   - `request`, which is used internally to make API requests.
+ *   - Methods inherited from `EventEmitter`, such as `on` and `emit`.
+ *   - `isInstance`, which `modelo.inherits` adds to a Class's prototype.
+ *   - Methods named in `options.exclude`. These are typically synchronous
+ *     methods, like factories (`bucket.file()`), or methods that return a
+ *     stream when a callback is omitted (`bucket.getFiles()`).
+ *
+ * @param {function} Class - The class whose prototype will be promisified.
+ * @param {object=} options - Configuration object.
+ * @param {string[]} options.exclude - Method names to leave untouched.
+ *
+ * @example
+ * function Bucket() {}
+ * Bucket.prototype.file = function(name) {};
+ * Bucket.prototype.upload = function(localPath, options, callback) {};
+ *
+ * util.promisifyAll(Bucket, {
+ *   exclude: ['file']
+ * });
+ */
+function promisifyAll(Class, options) {
+  var exclude = options && options.exclude || [];
+
+  var methods = Object.keys(Class.prototype).filter(function(methodName) {
+    return is.fn(Class.prototype[methodName]) && // is it a function?
+      !/(^_|(Stream|_)$|^request$)/.test(methodName) && // public/non-stream?
+      !(methodName in events.EventEmitter.prototype) && // not an emitter?
+      methodName !== 'isInstance' && // not added by modelo?
+      exclude.indexOf(methodName) === -1; // is it excluded?
+  });
+
+  methods.forEach(function(methodName) {
+    Class.prototype[methodName] = util.promisify(Class.prototype[methodName]);
+  });
+}
+
+util.promisifyAll = promisifyAll;
@@ -17,12 +17,22 @@
 'use strict';
 
 var assert = require('assert');
+var extend = require('extend');
 var proxyquire = require('proxyquire');
 var modelo = require('modelo');
 var EventEmitter = require('events').EventEmitter;
 var util = require('../src/util.js');
 var nodeutil = require('util');
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class) {
+    if (Class.name === 'GrpcOperation') {
+      promisified = true;
+    }
+  }
+});
+
 var GrpcServiceObject = require('../src/grpc-service-object.js');
 var GrpcService = require('../src/grpc-service.js');
 
@@ -58,7 +68,7 @@ describe('GrpcOperation', function() {
       modelo: fakeModelo,
       './grpc-service-object.js': FakeGrpcServiceObject,
       './grpc-service.js': FakeGrpcService,
-      './util.js': util
+      './util.js': fakeUtil
     });
   });
 
@@ -67,6 +77,10 @@ describe('GrpcOperation', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should extend GrpcServiceObject and EventEmitter', function() {
       var args = fakeModelo.calledWith_;
 
@@ -141,7 +155,7 @@ describe('GrpcOperation', function() {
 
     it('should use util.noop if callback is omitted', function(done) {
       grpcOperation.request = function(protoOpts, reqOpts, callback) {
-        assert.strictEqual(callback, util.noop);
+        assert.strictEqual(callback, fakeUtil.noop);
         done();
       };
 
@@ -19,6 +19,16 @@
 var assert = require('assert');
 var extend = require('extend');
 var proxyquire = require('proxyquire');
+var util = require('../src/util.js');
+
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class) {
+    if (Class.name === 'GrpcServiceObject') {
+      promisified = true;
+    }
+  }
+});
 
 function FakeServiceObject() {
   this.calledWith_ = arguments;
@@ -34,12 +44,14 @@ describe('GrpcServiceObject', function() {
 
   before(function() {
     GrpcServiceObject = proxyquire('../src/grpc-service-object.js', {
-      './service-object.js': FakeServiceObject
+      './service-object.js': FakeServiceObject,
+      './util.js': fakeUtil
     });
   });
 
   beforeEach(function() {
     grpcServiceObject = new GrpcServiceObject(CONFIG);
+    grpcServiceObject.interceptors = [];
 
     grpcServiceObject.methods = {
       delete: {
@@ -58,6 +70,10 @@ describe('GrpcServiceObject', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should inherit from ServiceObject', function() {
       assert(grpcServiceObject instanceof FakeServiceObject);
 
@@ -233,4 +249,60 @@ describe('GrpcServiceObject', function() {
       assert.strictEqual(ret, expectedReturnValue);
     });
   });
+  describe('addInterceptors_', function() {
+    it('should pass the arguments through without interceptors', function() {
+      var args = [PROTO_OPTS, REQ_OPTS];
+      var args_ = grpcServiceObject.addInterceptors_(args);
+
+      assert.notStrictEqual(args_, args);
+      assert.deepEqual(args_, args);
+      assert.strictEqual(args_[0], PROTO_OPTS);
+    });
+
+    it('should add local interceptors after child interceptors', function() {
+      var childInterceptor = {};
+      var localInterceptor = {};
+
+      var protoOpts = {
+        service: 'Service',
+        interceptors_: [childInterceptor]
+      };
+
+      grpcServiceObject.interceptors.push(localInterceptor);
+
+      var args = grpcServiceObject.addInterceptors_([protoOpts, REQ_OPTS]);
+
+      assert.notStrictEqual(args[0], protoOpts);
+      assert.strictEqual(args[0].service, 'Service');
+      assert.deepEqual(args[0].interceptors_, [
+        childInterceptor,
+        localInterceptor
+      ]);
+      assert.strictEqual(args[1], REQ_OPTS);
+
+      // The original proto options are not modified.
+      assert.deepEqual(protoOpts.interceptors_, [childInterceptor]);
+    });
+
+    it('should be used by all request methods', function() {
+      var localInterceptor = {};
+      var methods = ['request', 'requestStream', 'requestWritableStream'];
+
+      var numCalls = 0;
+
+      grpcServiceObject.interceptors.push(localInterceptor);
+      grpcServiceObject.parent = {};
+
+      methods.forEach(function(method) {
+        grpcServiceObject.parent[method] = function(protoOpts) {
+          assert.deepEqual(protoOpts.interceptors_, [localInterceptor]);
+          numCalls++;
+        };
+
+        grpcServiceObject[method]({}, REQ_OPTS);
+      });
+
+      assert.strictEqual(numCalls, methods.length);
+    });
+  });
 });
@@ -24,7 +24,6 @@ var grpc = require('grpc');
 var is = require('is');
 var path = require('path');
 var proxyquire = require('proxyquire');
-var retryRequest = require('retry-request');
 var sinon = require('sinon').sandbox.create();
 var through = require('through2');
 
@@ -35,15 +34,19 @@ function FakeService() {
   this.calledWith_ = arguments;
 }
 
+FakeService.prototype.getInterceptors_ = function() {
+  return [];
+};
+
 var googleProtoFilesOverride;
 function fakeGoogleProtoFiles() {
   return (googleProtoFilesOverride || googleProtoFiles).apply(null, arguments);
 }
 
 var retryRequestOverride;
-function fakeRetryRequest() {
-  return (retryRequestOverride || retryRequest).apply(null, arguments);
-}
+fakeUtil.retryRequest = function() {
+  return (retryRequestOverride || util.retryRequest).apply(null, arguments);
+};
 
 var GrpcMetadataOverride;
 var grpcLoadOverride;
@@ -104,7 +107,11 @@ describe('GrpcService', function() {
   };
 
   var OPTIONS = {
-    maxRetries: 3
+    autoRetry: true,
+    maxRetries: 3,
+    retryOptions: {
+      initialDelay: 100
+    }
   };
   var ROOT_DIR = '/root/dir';
   var PROTO_FILE_PATH = 'filepath.proto';
@@ -119,7 +126,6 @@ describe('GrpcService', function() {
   before(function() {
     GrpcService = proxyquire('../src/grpc-service.js', {
       'google-proto-files': fakeGoogleProtoFiles,
-      'retry-request': fakeRetryRequest,
       grpc: fakeGrpc,
       './service.js': FakeService,
       './util.js': fakeUtil
@@ -256,6 +262,12 @@ describe('GrpcService', function() {
       assert.strictEqual(grpcService.grpcCredentials.name, 'createInsecure');
     });
 
+    it('should set insecure credentials if using apiEndpoint', function() {
+      var options = extend({}, OPTIONS, { apiEndpoint: 'localhost:8085' });
+      var grpcService = new GrpcService(CONFIG, options);
+      assert.strictEqual(grpcService.grpcCredentials.name, 'createInsecure');
+    });
+
     it('should default grpcMetadata to empty metadata', function() {
       var fakeGrpcMetadata = {};
 
@@ -286,10 +298,18 @@ describe('GrpcService', function() {
       assert.strictEqual(grpcService.grpcMetadata, fakeGrpcMetadata);
     });
 
+    it('should localize autoRetry', function() {
+      assert.strictEqual(grpcService.autoRetry, OPTIONS.autoRetry);
+    });
+
     it('should localize maxRetries', function() {
       assert.strictEqual(grpcService.maxRetries, OPTIONS.maxRetries);
     });
 
+    it('should localize retryOptions', function() {
+      assert.strictEqual(grpcService.retryOptions, OPTIONS.retryOptions);
+    });
+
     it('should set the correct user-agent', function() {
       var userAgent = 'user-agent/0.0.0';
 
@@ -393,6 +413,37 @@ describe('GrpcService', function() {
       );
     });
 
+    it('should not store the baseUrl with an apiEndpoint', function() {
+      var fakeBaseUrl = 'a.googleapis.com';
+
+      grpcLoadOverride = function() {
+        return {
+          google: {
+            Service: {
+              v1: {}
+            }
+          }
+        };
+      };
+
+      var config = extend(true, {}, CONFIG, {
+        protoServices: {
+          CustomServiceName: {
+            path: '../file/path.proto',
+            baseUrl: fakeBaseUrl
+          }
+        }
+      });
+
+      var options = extend({}, OPTIONS, { apiEndpoint: 'localhost:8085' });
+      var grpcService = new GrpcService(config, options);
+
+      assert.strictEqual(
+        grpcService.protos.CustomServiceName.baseUrl,
+        undefined
+      );
+    });
+
     it('should not run in the gcloud sandbox environment', function() {
       global.GCLOUD_SANDBOX_ENV = {};
       var grpcService = new GrpcService();
@@ -734,6 +785,111 @@ describe('GrpcService', function() {
       grpcService.request(PROTO_OPTS, REQ_OPTS, assert.ifError);
     });
 
+    describe('interceptors', function() {
+      beforeEach(function() {
+        grpcService.getService_ = function() {
+          return new ProtoService();
+        };
+
+        retryRequestOverride = util.noop;
+      });
+
+      it('should run the hooks with the request details', function(done) {
+        var interceptors = [{}];
+        var protoOpts = extend({ interceptors_: [{}] }, PROTO_OPTS);
+
+        grpcService.getInterceptors_ = function(requestInterceptors) {
+          assert.strictEqual(requestInterceptors, protoOpts.interceptors_);
+          return interceptors;
+        };
+
+        fakeUtil.interceptRequest = function(interceptors_, requestInfo) {
+          fakeUtil.interceptRequest = util.interceptRequest;
+
+          assert.strictEqual(interceptors_, interceptors);
+          assert.strictEqual(requestInfo.protoOpts, protoOpts);
+          assert.strictEqual(requestInfo.reqOpts, REQ_OPTS);
+
+          done();
+          return util.noop;
+        };
+
+        grpcService.request(protoOpts, REQ_OPTS, assert.ifError);
+      });
+
+      it('should send the reqOpts from beforeRequest hooks', function(done) {
+        var newReqOpts = {};
+
+        grpcService.getInterceptors_ = function() {
+          return [{
+            beforeRequest: function(requestInfo) {
+              requestInfo.reqOpts = newReqOpts;
+            }
+          }];
+        };
+
+        ProtoService.prototype.method = function(reqOpts) {
+          ProtoService.prototype.method = util.noop;
+
+          assert.strictEqual(reqOpts, newReqOpts);
+          done();
+        };
+
+        retryRequestOverride = function(_, retryOpts) {
+          retryOpts.request(null, util.noop);
+        };
+
+        grpcService.request(PROTO_OPTS, REQ_OPTS, assert.ifError);
+      });
+
+      it('should report the response to afterResponse', function(done) {
+        var response = {};
+        var reportedResponse;
+
+        grpcService.getInterceptors_ = function() {
+          return [{
+            afterResponse: function(requestInfo) {
+              reportedResponse = requestInfo.response;
+            }
+          }];
+        };
+
+        retryRequestOverride = function(_, retryOpts, callback) {
+          callback(null, response);
+        };
+
+        grpcService.request(PROTO_OPTS, REQ_OPTS, function(err, resp) {
+          assert.ifError(err);
+          assert.strictEqual(resp, response);
+          assert.strictEqual(reportedResponse, response);
+          done();
+        });
+      });
+
+      it('should report errors to onError', function(done) {
+        var error = new Error('Error.');
+        var reportedError;
+
+        grpcService.getInterceptors_ = function() {
+          return [{
+            onError: function(err) {
+              reportedError = err;
+            }
+          }];
+        };
+
+        retryRequestOverride = function(_, retryOpts, callback) {
+          callback(error);
+        };
+
+        grpcService.request(PROTO_OPTS, REQ_OPTS, function(err) {
+          assert.strictEqual(err, error);
+          assert.strictEqual(reportedError, error);
+          done();
+        });
+      });
+    });
+
     describe('retry strategy', function() {
       var retryRequestReqOpts;
       var retryRequestOptions;
@@ -751,6 +907,26 @@ describe('GrpcService', function() {
         };
       });
 
+      it('should use the retry policy for the request', function(done) {
+        var retryPolicy = {
+          shouldRetryFn: util.noop
+        };
+
+        grpcService.getRetryPolicy_ = function(protoOpts) {
+          assert.strictEqual(protoOpts, PROTO_OPTS);
+          return retryPolicy;
+        };
+
+        grpcService.request(PROTO_OPTS, REQ_OPTS, assert.ifError);
+
+        assert.strictEqual(retryRequestOptions.retryPolicy, retryPolicy);
+        assert.strictEqual(
+          retryRequestOptions.shouldRetryFn,
+          retryPolicy.shouldRetryFn
+        );
+        done();
+      });
+
       it('should use retry-request', function(done) {
         var error = {};
         var response = {};
@@ -763,7 +939,7 @@ describe('GrpcService', function() {
 
         assert.strictEqual(retryRequestReqOpts, null);
         assert.strictEqual(
-          retryRequestOptions.retries,
+          retryRequestOptions.retryPolicy.retries,
           grpcService.maxRetries
         );
 
@@ -811,7 +987,9 @@ describe('GrpcService', function() {
 
         function onResponse(err, resp) {
           assert.strictEqual(err, null);
-          assert.deepEqual(resp, GrpcService.GRPC_ERROR_CODE_TO_HTTP[2]);
+          assert.deepEqual(resp, extend({
+            grpcCode: 2
+          }, GrpcService.GRPC_ERROR_CODE_TO_HTTP[2]));
 
           done();
         }
@@ -833,7 +1011,9 @@ describe('GrpcService', function() {
         };
 
         grpcService.request(PROTO_OPTS, REQ_OPTS, function(err, resp) {
-          assert.deepEqual(err, GrpcService.GRPC_ERROR_CODE_TO_HTTP[2]);
+          assert.deepEqual(err, extend({
+            grpcCode: 2
+          }, GrpcService.GRPC_ERROR_CODE_TO_HTTP[2]));
           assert.strictEqual(resp, null);
           done();
         });
@@ -1128,6 +1308,65 @@ describe('GrpcService', function() {
       });
     });
 
+    describe('interceptors', function() {
+      it('should run the hooks with the request details', function(done) {
+        var interceptors = [{}];
+        var protoOpts = extend({ interceptors_: [{}] }, PROTO_OPTS);
+
+        grpcService.getInterceptors_ = function(requestInterceptors) {
+          assert.strictEqual(requestInterceptors, protoOpts.interceptors_);
+          return interceptors;
+        };
+
+        fakeUtil.interceptRequest = function(interceptors_, requestInfo) {
+          fakeUtil.interceptRequest = util.interceptRequest;
+
+          assert.strictEqual(interceptors_, interceptors);
+          assert.strictEqual(requestInfo.protoOpts, protoOpts);
+          assert.strictEqual(requestInfo.reqOpts, REQ_OPTS);
+
+          done();
+          return util.noop;
+        };
+
+        grpcService.requestStream(protoOpts, REQ_OPTS);
+      });
+
+      it('should report the response to afterResponse', function(done) {
+        var response = {};
+
+        grpcService.getInterceptors_ = function() {
+          return [{
+            afterResponse: function(requestInfo) {
+              assert.strictEqual(requestInfo.response, response);
+              done();
+            }
+          }];
+        };
+
+        grpcService.requestStream(PROTO_OPTS, REQ_OPTS);
+        fakeStream.emit('response', response);
+      });
+
+      it('should report decorated errors to onError', function(done) {
+        var error = { code: 2 };
+
+        grpcService.getInterceptors_ = function() {
+          return [{
+            onError: function(err) {
+              assert.deepEqual(err, extend({
+                grpcCode: 2
+              }, GrpcService.GRPC_ERROR_CODE_TO_HTTP[2]));
+              done();
+            }
+          }];
+        };
+
+        grpcService.requestStream(PROTO_OPTS, REQ_OPTS).on('error', util.noop);
+        fakeStream.emit('error', error);
+      });
+    });
+
     describe('retry strategy', function() {
       var retryRequestReqOpts;
       var retryRequestOptions;
@@ -1157,13 +1396,13 @@ describe('GrpcService', function() {
 
         assert.strictEqual(retryRequestReqOpts, null);
         assert.strictEqual(
-          retryRequestOptions.retries,
+          retryRequestOptions.retryPolicy.retries,
           grpcService.maxRetries
         );
         assert.strictEqual(retryRequestOptions.objectMode, true);
         assert.strictEqual(
           retryRequestOptions.shouldRetryFn,
-          GrpcService.shouldRetryRequest_
+          retryRequestOptions.retryPolicy.shouldRetryFn
         );
       });
 
@@ -1181,7 +1420,9 @@ describe('GrpcService', function() {
         fakeStream
           .on('error', done)
           .on('response', function(resp) {
-            assert.deepEqual(resp, GrpcService.GRPC_ERROR_CODE_TO_HTTP[0]);
+            assert.deepEqual(resp, extend({
+              grpcCode: 0
+            }, GrpcService.GRPC_ERROR_CODE_TO_HTTP[0]));
             done();
           });
 
@@ -1194,7 +1435,9 @@ describe('GrpcService', function() {
         var requestStream = grpcService.requestStream(PROTO_OPTS, REQ_OPTS);
 
         requestStream.destroy = function(err) {
-          assert.deepEqual(err, GrpcService.GRPC_ERROR_CODE_TO_HTTP[2]);
+          assert.deepEqual(err, extend({
+            grpcCode: 2
+          }, GrpcService.GRPC_ERROR_CODE_TO_HTTP[2]));
           done();
         };
 
@@ -1435,6 +1678,76 @@ describe('GrpcService', function() {
         });
       });
     });
+
+    describe('interceptors', function() {
+      var grpcStream;
+
+      beforeEach(function() {
+        grpcStream = duplexify.obj();
+
+        ProtoService.prototype.method = function() {
+          return grpcStream;
+        };
+      });
+
+      it('should run the hooks with the request details', function(done) {
+        var interceptors = [{}];
+
+        PROTO_OPTS.interceptors_ = [{}];
+
+        grpcService.getInterceptors_ = function(requestInterceptors) {
+          assert.strictEqual(requestInterceptors, PROTO_OPTS.interceptors_);
+          return interceptors;
+        };
+
+        fakeUtil.interceptRequest = function(interceptors_, requestInfo) {
+          fakeUtil.interceptRequest = util.interceptRequest;
+
+          assert.strictEqual(interceptors_, interceptors);
+          assert.strictEqual(requestInfo.protoOpts, PROTO_OPTS);
+          assert.strictEqual(requestInfo.reqOpts, REQ_OPTS);
+
+          done();
+          return util.noop;
+        };
+
+        grpcService.requestWritableStream(PROTO_OPTS, REQ_OPTS);
+      });
+
+      it('should report a successful status to afterResponse', function(done) {
+        grpcService.getInterceptors_ = function() {
+          return [{
+            afterResponse: function(requestInfo) {
+              assert.deepEqual(requestInfo.response, extend({
+                grpcCode: 0
+              }, GrpcService.GRPC_ERROR_CODE_TO_HTTP[0]));
+              done();
+            }
+          }];
+        };
+
+        grpcService.requestWritableStream(PROTO_OPTS, REQ_OPTS);
+        grpcStream.emit('status', { code: 2 });
+        grpcStream.emit('status', { code: 0 });
+      });
+
+      it('should report decorated errors to onError', function(done) {
+        grpcService.getInterceptors_ = function() {
+          return [{
+            onError: function(err) {
+              assert.deepEqual(err, extend({
+                grpcCode: 2
+              }, GrpcService.GRPC_ERROR_CODE_TO_HTTP[2]));
+              done();
+            }
+          }];
+        };
+
+        grpcService.requestWritableStream(PROTO_OPTS, REQ_OPTS)
+          .on('error', util.noop);
+        grpcStream.emit('error', { code: 2 });
+      });
+    });
   });
 
   describe('createDeadline_', function() {
@@ -1505,11 +1818,21 @@ describe('GrpcService', function() {
         var extended = GrpcService.decorateGrpcResponse_(error, { code: code });
 
         assert.notStrictEqual(extended, errorMap[code]);
-        assert.deepEqual(extended, errorMap[code]);
+        assert.strictEqual(extended.code, errorMap[code].code);
+        assert.strictEqual(extended.message, errorMap[code].message);
+        assert.strictEqual(extended.grpcCode, code);
         assert.strictEqual(error, extended);
       });
     });
 
+    it('should keep the gRPC code of the error', function() {
+      var error = new Error();
+      var extended = GrpcService.decorateGrpcResponse_(error, { code: 6 });
+
+      assert.strictEqual(extended.code, 409);
+      assert.strictEqual(extended.grpcCode, 6);
+    });
+
     it('should use the message from the error', function() {
       var errorMessage = 'This is an error message.';
 
@@ -1569,30 +1892,6 @@ describe('GrpcService', function() {
     });
   });
 
-  describe('shouldRetryRequest_', function() {
-    it('should retry on 429, 500, 502, and 503', function() {
-      var shouldRetryFn = GrpcService.shouldRetryRequest_;
-
-      var retryErrors = [
-        { code: 429 },
-        { code: 500 },
-        { code: 502 },
-        { code: 503 }
-      ];
-
-      var nonRetryErrors = [
-        { code: 200 },
-        { code: 401 },
-        { code: 404 },
-        { code: 409 },
-        { code: 412 }
-      ];
-
-      assert.strictEqual(retryErrors.every(shouldRetryFn), true);
-      assert.strictEqual(nonRetryErrors.every(shouldRetryFn), false);
-    });
-  });
-
   describe('getGrpcCredentials_', function() {
     it('should get credentials from the auth client', function(done) {
       grpcService.authClient = {
@@ -1747,6 +2046,59 @@ describe('GrpcService', function() {
     });
   });
 
+  describe('getRetryPolicy_', function() {
+    it('should combine service and request retry options', function(done) {
+      var retryPolicy = {};
+
+      grpcService.autoRetry = false;
+      grpcService.maxRetries = 5;
+      grpcService.retryOptions = {
+        initialDelay: 100,
+        jitter: 0
+      };
+
+      var protoOpts = {
+        retryOptions: {
+          initialDelay: 200
+        }
+      };
+
+      fakeUtil.createRetryPolicy = function(config) {
+        fakeUtil.createRetryPolicy = util.createRetryPolicy;
+
+        assert.deepEqual(config, {
+          autoRetry: false,
+          maxRetries: 5,
+          retryOptions: {
+            initialDelay: 200,
+            jitter: 0
+          }
+        });
+
+        setImmediate(done);
+        return retryPolicy;
+      };
+
+      assert.strictEqual(grpcService.getRetryPolicy_(protoOpts), retryPolicy);
+    });
+
+    it('should not modify the service retry options', function() {
+      grpcService.retryOptions = {
+        initialDelay: 100
+      };
+
+      grpcService.getRetryPolicy_({
+        retryOptions: {
+          initialDelay: 200
+        }
+      });
+
+      assert.deepEqual(grpcService.retryOptions, {
+        initialDelay: 100
+      });
+    });
+  });
+
   describe('getService_', function() {
     it('should get a new service instance', function() {
       var fakeService = {};
@@ -18,10 +18,23 @@
 
 var assert = require('assert');
 var extend = require('extend');
+var proxyquire = require('proxyquire');
 
-var ServiceObject = require('../src/service-object.js');
 var util = require('../src/util.js');
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class) {
+    if (Class.name === 'ServiceObject') {
+      promisified = true;
+    }
+  }
+});
+
+var ServiceObject = proxyquire('../src/service-object.js', {
+  './util.js': fakeUtil
+});
+
 describe('ServiceObject', function() {
   var serviceObject;
   var originalRequest = ServiceObject.prototype.request;
@@ -39,6 +52,10 @@ describe('ServiceObject', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should create an empty metadata object', function() {
       assert.deepEqual(serviceObject.metadata, {});
     });
@@ -87,6 +104,16 @@ describe('ServiceObject', function() {
       assert.strictEqual(typeof serviceObject.create, 'function');
       assert.strictEqual(serviceObject.delete, undefined);
     });
+
+    it('should keep the private helpers', function() {
+      var config = extend({}, CONFIG, {
+        methods: {}
+      });
+
+      var serviceObject = new ServiceObject(config);
+
+      assert.strictEqual(typeof serviceObject.updateMetadata_, 'function');
+    });
   });
 
   describe('create', function() {
@@ -580,6 +607,174 @@ describe('ServiceObject', function() {
     });
   });
 
+  describe('getUpdatePrecondition_', function() {
+    it('should require the etag to match', function() {
+      var precondition = serviceObject.getUpdatePrecondition_({
+        etag: 'etag'
+      });
+
+      assert.deepEqual(precondition, {
+        headers: {
+          'If-Match': 'etag'
+        }
+      });
+    });
+  });
+
+  describe('updateMetadata_', function() {
+    var METADATA = {
+      etag: 'etag',
+      labels: {}
+    };
+
+    var CHANGES = {
+      labels: {
+        env: 'prod'
+      }
+    };
+
+    beforeEach(function() {
+      serviceObject.getMetadata = function(callback) {
+        callback(null, METADATA);
+      };
+    });
+
+    it('should patch with the update precondition', function(done) {
+      var apiResponse = {};
+
+      serviceObject.getUpdatePrecondition_ = function(metadata) {
+        assert.strictEqual(metadata, METADATA);
+        return {
+          qs: {
+            ifMetagenerationMatch: 1
+          }
+        };
+      };
+
+      serviceObject.request = function(reqOpts, callback) {
+        assert.deepEqual(reqOpts, {
+          method: 'PATCH',
+          uri: '',
+          qs: {
+            ifMetagenerationMatch: 1
+          },
+          json: CHANGES
+        });
+
+        callback(null, apiResponse);
+      };
+
+      serviceObject.updateMetadata_(function(metadata) {
+        assert.strictEqual(metadata, METADATA);
+        return CHANGES;
+      }, function(err, apiResponse_) {
+        assert.ifError(err);
+        assert.strictEqual(apiResponse_, apiResponse);
+        assert.strictEqual(serviceObject.metadata, apiResponse);
+        done();
+      });
+    });
+
+    it('should not patch if there are no changes', function(done) {
+      serviceObject.request = function() {
+        throw new Error('Should not patch.');
+      };
+
+      serviceObject.updateMetadata_(function() {
+        return null;
+      }, function(err, apiResponse) {
+        assert.ifError(err);
+        assert.strictEqual(apiResponse, METADATA);
+        done();
+      });
+    });
+
+    it('should not require a callback', function() {
+      serviceObject.updateMetadata_(function() {
+        return null;
+      });
+    });
+
+    it('should return an error from getMetadata', function(done) {
+      var error = new Error('Error.');
+
+      serviceObject.getMetadata = function(callback) {
+        callback(error);
+      };
+
+      serviceObject.updateMetadata_(util.noop, function(err) {
+        assert.strictEqual(err, error);
+        done();
+      });
+    });
+
+    it('should try again if the metadata changed', function(done) {
+      var error = new Error('Precondition Failed');
+      error.code = 412;
+
+      var attempts = 0;
+
+      serviceObject.request = function(reqOpts, callback) {
+        attempts++;
+
+        if (attempts < 3) {
+          callback(error);
+          return;
+        }
+
+        callback(null, {});
+      };
+
+      serviceObject.updateMetadata_(function() {
+        return CHANGES;
+      }, function(err) {
+        assert.ifError(err);
+        assert.strictEqual(attempts, 3);
+        done();
+      });
+    });
+
+    it('should stop trying after 5 attempts', function(done) {
+      var error = new Error('Precondition Failed');
+      error.code = 412;
+
+      var attempts = 0;
+
+      serviceObject.request = function(reqOpts, callback) {
+        attempts++;
+        callback(error);
+      };
+
+      serviceObject.updateMetadata_(function() {
+        return CHANGES;
+      }, function(err) {
+        assert.strictEqual(err, error);
+        assert.strictEqual(attempts, 5);
+        done();
+      });
+    });
+
+    it('should not try again after other errors', function(done) {
+      var error = new Error('Error.');
+      var apiResponse = {};
+      var attempts = 0;
+
+      serviceObject.request = function(reqOpts, callback) {
+        attempts++;
+        callback(error, apiResponse);
+      };
+
+      serviceObject.updateMetadata_(function() {
+        return CHANGES;
+      }, function(err, apiResponse_) {
+        assert.strictEqual(err, error);
+        assert.strictEqual(apiResponse_, apiResponse);
+        assert.strictEqual(attempts, 1);
+        done();
+      });
+    });
+  });
+
   describe('request', function() {
     var reqOpts;
 
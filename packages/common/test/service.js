@@ -17,7 +17,9 @@
 'use strict';
 
 var assert = require('assert');
+var events = require('events');
 var extend = require('extend');
+var is = require('is');
 var proxyquire = require('proxyquire').noPreserveCache();
 
 var util = require('../src/util.js');
@@ -47,10 +49,15 @@ describe('Service', function() {
   };
 
   var OPTIONS = {
+    autoRetry: true,
     credentials: {},
     keyFile: {},
     email: 'email',
+    maxRetries: 5,
     projectId: 'project-id',
+    retryOptions: {
+      initialDelay: 100
+    }
   };
 
   before(function() {
@@ -70,9 +77,12 @@ describe('Service', function() {
 
       makeAuthenticatedRequestFactoryOverride = function(config) {
         var expectedConfig = extend({}, CONFIG, {
+          autoRetry: OPTIONS.autoRetry,
           credentials: OPTIONS.credentials,
           keyFile: OPTIONS.keyFilename,
-          email: OPTIONS.email
+          email: OPTIONS.email,
+          maxRetries: OPTIONS.maxRetries,
+          retryOptions: OPTIONS.retryOptions
         });
 
         assert.deepEqual(config, expectedConfig);
@@ -84,6 +94,49 @@ describe('Service', function() {
       assert.strictEqual(svc.makeAuthenticatedRequest, authenticatedRequest);
     });
 
+    describe('apiEndpoint', function() {
+      var options = extend({}, OPTIONS, {
+        apiEndpoint: 'localhost:8080'
+      });
+
+      it('should resolve the baseUrl against the apiEndpoint', function() {
+        var resolveApiEndpoint = Service.resolveApiEndpoint_;
+
+        Service.resolveApiEndpoint_ = function(baseUrl, apiEndpoint) {
+          Service.resolveApiEndpoint_ = resolveApiEndpoint;
+
+          assert.strictEqual(baseUrl, CONFIG.baseUrl);
+          assert.strictEqual(apiEndpoint, options.apiEndpoint);
+
+          return 'resolved-base-url';
+        };
+
+        var service = new Service(CONFIG, options);
+        assert.strictEqual(service.baseUrl, 'resolved-base-url');
+      });
+
+      it('should not authenticate requests', function(done) {
+        makeAuthenticatedRequestFactoryOverride = function(config) {
+          assert.strictEqual(config.customEndpoint, true);
+          setImmediate(done);
+          return {};
+        };
+
+        new Service(CONFIG, options);
+      });
+
+      it('should localize the apiEndpoint', function() {
+        var service = new Service(CONFIG, options);
+        assert.strictEqual(service.apiEndpoint, options.apiEndpoint);
+      });
+
+      it('should not modify the config', function() {
+        new Service(CONFIG, options);
+        assert.strictEqual(CONFIG.baseUrl, 'base-url');
+        assert.strictEqual(CONFIG.customEndpoint, undefined);
+      });
+    });
+
     it('should localize the authClient', function() {
       var authClient = {};
 
@@ -384,6 +437,353 @@ describe('Service', function() {
 
         service.request({ uri: '' }, assert.ifError);
       });
+
+      it('should skip interceptors without a request hook', function(done) {
+        service.interceptors.push({
+          afterResponse: util.noop
+        });
+
+        service.interceptors.push({
+          request: function(reqOpts) {
+            setImmediate(done);
+            return reqOpts;
+          }
+        });
+
+        service.makeAuthenticatedRequest = util.noop;
+
+        service.request({ uri: '' }, assert.ifError);
+      });
+    });
+
+    describe('request hooks', function() {
+      var requestStream;
+
+      beforeEach(function() {
+        requestStream = new events.EventEmitter();
+
+        service.makeAuthenticatedRequest = function(reqOpts, callback) {
+          if (!callback) {
+            return requestStream;
+          }
+        };
+      });
+
+      it('should run the hooks of all interceptors', function(done) {
+        var interceptors = [{}];
+
+        service.getInterceptors_ = function(requestInterceptors) {
+          assert.deepEqual(requestInterceptors, reqOpts.interceptors_);
+          return interceptors;
+        };
+
+        var interceptRequest = util.interceptRequest;
+
+        util.interceptRequest = function(interceptors_, requestInfo) {
+          util.interceptRequest = interceptRequest;
+
+          assert.strictEqual(interceptors_, interceptors);
+          assert.strictEqual(requestInfo.reqOpts.uri, 'base-url/uri');
+          assert(requestInfo.reqOpts.headers['User-Agent']);
+          assert.strictEqual(requestInfo.reqOpts.interceptors_, undefined);
+
+          done();
+          return util.noop;
+        };
+
+        reqOpts.interceptors_ = [{}];
+        service.request(reqOpts, assert.ifError);
+      });
+
+      it('should send the reqOpts from beforeRequest hooks', function(done) {
+        var newReqOpts = {};
+
+        service.interceptors.push({
+          beforeRequest: function(requestInfo) {
+            requestInfo.reqOpts = newReqOpts;
+          }
+        });
+
+        service.makeAuthenticatedRequest = function(reqOpts) {
+          assert.strictEqual(reqOpts, newReqOpts);
+          done();
+        };
+
+        service.request(reqOpts, assert.ifError);
+      });
+
+      it('should report the response to afterResponse', function(done) {
+        var body = {};
+        var response = {};
+
+        service.makeAuthenticatedRequest = function(reqOpts, callback) {
+          callback(null, body, response);
+        };
+
+        service.interceptors.push({
+          afterResponse: function(requestInfo) {
+            assert.strictEqual(requestInfo.response, response);
+            assert(is.number(requestInfo.duration));
+          }
+        });
+
+        service.request(reqOpts, function(err, body_, response_) {
+          assert.ifError(err);
+          assert.strictEqual(body_, body);
+          assert.strictEqual(response_, response);
+          done();
+        });
+      });
+
+      it('should report errors to onError', function(done) {
+        var error = new Error('Error.');
+        var response = {};
+        var reportedError;
+
+        service.makeAuthenticatedRequest = function(reqOpts, callback) {
+          callback(error, null, response);
+        };
+
+        service.interceptors.push({
+          onError: function(err, requestInfo) {
+            reportedError = err;
+            assert.strictEqual(requestInfo.response, response);
+          }
+        });
+
+        service.request(reqOpts, function(err) {
+          assert.strictEqual(err, error);
+          assert.strictEqual(reportedError, error);
+          done();
+        });
+      });
+
+      describe('stream mode', function() {
+        it('should return the request stream', function() {
+          assert.strictEqual(service.request(reqOpts), requestStream);
+        });
+
+        it('should report the response to afterResponse', function(done) {
+          var response = { statusCode: 200 };
+
+          service.interceptors.push({
+            afterResponse: function(requestInfo) {
+              assert.strictEqual(requestInfo.response, response);
+              done();
+            },
+            onError: function() {
+              done(); // Will throw.
+            }
+          });
+
+          service.request(reqOpts);
+          requestStream.emit('response', response);
+        });
+
+        it('should report an error response to onError', function(done) {
+          var response = {
+            statusCode: 404,
+            statusMessage: 'Not Found'
+          };
+
+          service.interceptors.push({
+            afterResponse: function() {
+              done(); // Will throw.
+            },
+            onError: function(err, requestInfo) {
+              assert.strictEqual(err.code, 404);
+              assert.strictEqual(err.message, 'Not Found');
+              assert.strictEqual(requestInfo.response, response);
+              done();
+            }
+          });
+
+          service.request(reqOpts);
+          requestStream.emit('response', response);
+        });
+
+        it('should report errors to onError', function(done) {
+          var error = new Error('Error.');
+
+          service.interceptors.push({
+            onError: function(err) {
+              assert.strictEqual(err, error);
+              done();
+            }
+          });
+
+          service.request(reqOpts).on('error', util.noop);
+          requestStream.emit('error', error);
+        });
+
+        it('should only call one hook per request', function() {
+          var calls = [];
+
+          service.interceptors.push({
+            afterResponse: function() {
+              calls.push('afterResponse');
+            },
+            onError: function() {
+              calls.push('onError');
+            }
+          });
+
+          service.request(reqOpts).on('error', util.noop);
+          requestStream.emit('response', { statusCode: 500 });
+          requestStream.emit('error', new Error('Error.'));
+
+          assert.deepEqual(calls, ['onError']);
+        });
+
+        it('should still emit the events', function(done) {
+          var response = { statusCode: 200 };
+
+          service.interceptors.push({});
+
+          service.request(reqOpts).on('response', function(response_) {
+            assert.strictEqual(response_, response);
+            done();
+          });
+
+          requestStream.emit('response', response);
+        });
+
+        it('should not listen to the stream', function() {
+          service.interceptors.push({});
+          service.request(reqOpts);
+
+          assert.strictEqual(requestStream.listeners('response').length, 0);
+          assert.strictEqual(requestStream.listeners('error').length, 0);
+        });
+
+        it('should throw errors nobody is listening for', function() {
+          var error = new Error('Error.');
+
+          service.request(reqOpts);
+
+          assert.throws(function() {
+            requestStream.emit('error', error);
+          }, function(err) {
+            return err === error;
+          });
+        });
+
+        it('should throw unheard errors with interceptors', function() {
+          var error = new Error('Error.');
+          var reportedError;
+
+          service.interceptors.push({
+            onError: function(err) {
+              reportedError = err;
+            }
+          });
+
+          service.request(reqOpts);
+
+          assert.throws(function() {
+            requestStream.emit('error', error);
+          }, function(err) {
+            return err === error;
+          });
+
+          assert.strictEqual(reportedError, error);
+        });
+      });
+    });
+  });
+
+  describe('resolveBaseUrl_', function() {
+    var BASE_URL = 'https://www.googleapis.com/upload/storage/v1';
+
+    it('should return the base URL without an apiEndpoint', function() {
+      assert.strictEqual(service.resolveBaseUrl_(BASE_URL), BASE_URL);
+    });
+
+    it('should point the base URL at the apiEndpoint', function() {
+      service.apiEndpoint = 'http://localhost:8080';
+
+      assert.strictEqual(
+        service.resolveBaseUrl_(BASE_URL),
+        'http://localhost:8080/upload/storage/v1'
+      );
+    });
+  });
+
+  describe('resolveApiEndpoint_', function() {
+    var REST_BASE_URL = 'https://www.googleapis.com/storage/v1';
+    var GRPC_BASE_URL = 'pubsub.googleapis.com';
+
+    it('should keep the path of a REST base URL', function() {
+      var baseUrl = Service.resolveApiEndpoint_(
+        REST_BASE_URL,
+        'https://localhost:8080/'
+      );
+
+      assert.strictEqual(baseUrl, 'https://localhost:8080/storage/v1');
+    });
+
+    it('should default REST endpoints to HTTP', function() {
+      var baseUrl = Service.resolveApiEndpoint_(
+        REST_BASE_URL,
+        'localhost:8080'
+      );
+
+      assert.strictEqual(baseUrl, 'http://localhost:8080/storage/v1');
+    });
+
+    it('should use a REST endpoint with a path as is', function() {
+      var baseUrl = Service.resolveApiEndpoint_(
+        REST_BASE_URL,
+        'localhost:8080/fake/storage'
+      );
+
+      assert.strictEqual(baseUrl, 'http://localhost:8080/fake/storage');
+    });
+
+    it('should use the host for gRPC base URLs', function() {
+      var baseUrls = [
+        Service.resolveApiEndpoint_(GRPC_BASE_URL, 'localhost:8085'),
+        Service.resolveApiEndpoint_(GRPC_BASE_URL, 'http://localhost:8085/'),
+        Service.resolveApiEndpoint_(GRPC_BASE_URL, 'https://localhost:8085/a')
+      ];
+
+      assert.deepEqual(baseUrls, [
+        'localhost:8085',
+        'localhost:8085',
+        'localhost:8085'
+      ]);
+    });
+  });
+
+  describe('getInterceptors_', function() {
+    it('should combine interceptors in the order they apply', function() {
+      var globalInterceptor = {};
+      var serviceInterceptor = {};
+      var requestInterceptor = {};
+
+      service.globalInterceptors = [globalInterceptor];
+      service.interceptors = [serviceInterceptor];
+
+      var interceptors = service.getInterceptors_([requestInterceptor]);
+
+      assert.deepEqual(interceptors, [
+        globalInterceptor,
+        serviceInterceptor,
+        requestInterceptor
+      ]);
+
+      assert.deepEqual(service.globalInterceptors, [globalInterceptor]);
+      assert.deepEqual(service.interceptors, [serviceInterceptor]);
+    });
+
+    it('should accept a single request interceptor', function() {
+      var requestInterceptor = {};
+
+      service.globalInterceptors = [];
+
+      assert.deepEqual(service.getInterceptors_(requestInterceptor), [
+        requestInterceptor
+      ]);
     });
   });
 });
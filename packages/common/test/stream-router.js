@@ -334,6 +334,12 @@ describe('streamRouter', function() {
     });
 
     describe('stream mode', function() {
+      beforeEach(function() {
+        overrides.streamRouter.addIterators_ = function(stream) {
+          return stream;
+        };
+      });
+
       it('should call runAsStream_', function(done) {
         var parsedArguments = {
           query: { a: 'b', c: 'd' }
@@ -361,6 +367,362 @@ describe('streamRouter', function() {
         var stream_ = streamRouter.router_(parsedArguments, assert.ifError);
         assert.strictEqual(stream_, stream);
       });
+
+      it('should add iterators to the stream', function(done) {
+        var parsedArguments = {
+          query: { a: 'b', c: 'd' }
+        };
+
+        var stream = through();
+
+        overrides.streamRouter.runAsStream_ = function() {
+          return stream;
+        };
+
+        function originalMethod() {
+          done();
+        }
+
+        overrides.streamRouter.addIterators_ = function(stream_, args, fn) {
+          assert.strictEqual(stream_, stream);
+          assert.strictEqual(args, parsedArguments);
+          fn();
+          return stream_;
+        };
+
+        streamRouter.router_(parsedArguments, originalMethod);
+      });
+    });
+  });
+
+  describe('addIterators_', function() {
+    var PARSED_ARGUMENTS = {
+      query: {}
+    };
+
+    it('should add a pages method', function(done) {
+      var stream = through.obj();
+      var pageIterator = {};
+
+      function originalMethod() {}
+
+      overrides.streamRouter.runAsPages_ = function(args, fn) {
+        assert.strictEqual(args, PARSED_ARGUMENTS);
+        assert.strictEqual(fn, originalMethod);
+        setImmediate(done);
+        return pageIterator;
+      };
+
+      streamRouter.addIterators_(stream, PARSED_ARGUMENTS, originalMethod);
+      assert.strictEqual(stream.pages(), pageIterator);
+    });
+
+    it('should make the stream an async iterable', function(done) {
+      var stream = through.obj();
+      var pageIterator = {};
+      var resultIterator = {};
+
+      overrides.streamRouter.runAsPages_ = function() {
+        return pageIterator;
+      };
+
+      overrides.streamRouter.runAsIterator_ = function(pageIterator_) {
+        assert.strictEqual(pageIterator_, pageIterator);
+        setImmediate(done);
+        return resultIterator;
+      };
+
+      var stream_ = streamRouter.addIterators_(stream, PARSED_ARGUMENTS);
+      assert.strictEqual(stream_, stream);
+
+      assert.strictEqual(stream[Symbol.asyncIterator](), resultIterator);
+    });
+  });
+
+  describe('iterating an extended method', function() {
+    it('should return results from every page', function() {
+      var results = [];
+
+      FakeClass.prototype.methodToExtend = function(query, callback) {
+        if (query.pageToken) {
+          callback(null, [3], null);
+        } else {
+          callback(null, [1, 2], { pageToken: 'a' });
+        }
+      };
+
+      streamRouter.extend(FakeClass, 'methodToExtend');
+
+      var iterator = new FakeClass().methodToExtend()[Symbol.asyncIterator]();
+
+      function next() {
+        return iterator.next().then(function(item) {
+          if (item.done) {
+            return;
+          }
+
+          results.push(item.value);
+          return next();
+        });
+      }
+
+      return next().then(function() {
+        assert.deepEqual(results, [1, 2, 3]);
+      });
+    });
+  });
+
+  describe('runAsPages_', function() {
+    function collect(iterator) {
+      var values = [];
+
+      function next() {
+        return iterator.next().then(function(item) {
+          if (item.done) {
+            return values;
+          }
+
+          values.push(item.value);
+          return next();
+        });
+      }
+
+      return next();
+    }
+
+    function createOriginalMethod(pages) {
+      var queries = [];
+
+      function originalMethod(query, callback) {
+        var page = pages[queries.length];
+        queries.push(query);
+
+        setImmediate(function() {
+          callback.apply(null, page);
+        });
+      }
+
+      originalMethod.queries = queries;
+
+      return originalMethod;
+    }
+
+    it('should return every page', function() {
+      var apiResponse = {};
+
+      var originalMethod = createOriginalMethod([
+        [null, [1, 2], { pageToken: 'a' }, apiResponse],
+        [null, [3], null, apiResponse]
+      ]);
+
+      var iterator = streamRouter.runAsPages_({
+        query: { a: 'b' },
+        maxApiCalls: -1,
+        maxResults: -1
+      }, originalMethod);
+
+      assert.strictEqual(iterator[Symbol.asyncIterator](), iterator);
+
+      return collect(iterator).then(function(pages) {
+        assert.deepEqual(pages, [
+          {
+            results: [1, 2],
+            nextQuery: { pageToken: 'a' },
+            pageToken: 'a',
+            apiResponse: apiResponse
+          },
+          {
+            results: [3],
+            nextQuery: null,
+            pageToken: null,
+            apiResponse: apiResponse
+          }
+        ]);
+
+        assert.deepEqual(originalMethod.queries, [
+          { a: 'b' },
+          { pageToken: 'a' }
+        ]);
+      });
+    });
+
+    it('should respect maxResults', function() {
+      var originalMethod = createOriginalMethod([
+        [null, [1, 2], { pageToken: 'a' }],
+        [null, [3, 4], { pageToken: 'b' }],
+        [null, [5, 6], null]
+      ]);
+
+      var iterator = streamRouter.runAsPages_({
+        query: {},
+        maxApiCalls: -1,
+        maxResults: 3
+      }, originalMethod);
+
+      return collect(iterator).then(function(pages) {
+        assert.deepEqual(pages.map(function(page) {
+          return page.results;
+        }), [[1, 2], [3]]);
+
+        assert.strictEqual(originalMethod.queries.length, 2);
+      });
+    });
+
+    it('should respect maxApiCalls', function() {
+      var originalMethod = createOriginalMethod([
+        [null, [1], { pageToken: 'a' }],
+        [null, [2], { pageToken: 'b' }],
+        [null, [3], null]
+      ]);
+
+      var iterator = streamRouter.runAsPages_({
+        query: {},
+        maxApiCalls: 2,
+        maxResults: -1
+      }, originalMethod);
+
+      return collect(iterator).then(function(pages) {
+        assert.strictEqual(pages.length, 2);
+        assert.strictEqual(originalMethod.queries.length, 2);
+      });
+    });
+
+    it('should reject with an error, then finish', function() {
+      var error = new Error('Error.');
+
+      var originalMethod = createOriginalMethod([
+        [error]
+      ]);
+
+      var iterator = streamRouter.runAsPages_({
+        query: {},
+        maxApiCalls: -1,
+        maxResults: -1
+      }, originalMethod);
+
+      return iterator.next()
+        .then(function() {
+          throw new Error('Should have rejected.');
+        }, function(err) {
+          assert.strictEqual(err, error);
+          return iterator.next();
+        })
+        .then(function(item) {
+          assert.strictEqual(item.done, true);
+          assert.strictEqual(originalMethod.queries.length, 1);
+        });
+    });
+
+    it('should request pages one at a time', function() {
+      var originalMethod = createOriginalMethod([
+        [null, [1], { pageToken: 'a' }],
+        [null, [2], null]
+      ]);
+
+      var iterator = streamRouter.runAsPages_({
+        query: {},
+        maxApiCalls: -1,
+        maxResults: -1
+      }, originalMethod);
+
+      var first = iterator.next();
+      var second = iterator.next();
+
+      assert.strictEqual(originalMethod.queries.length, 0);
+
+      return Promise.all([first, second]).then(function(pages) {
+        assert.deepEqual(pages[0].value.results, [1]);
+        assert.deepEqual(pages[1].value.results, [2]);
+      });
+    });
+
+    it('should stop when returned', function() {
+      var originalMethod = createOriginalMethod([
+        [null, [1], { pageToken: 'a' }],
+        [null, [2], null]
+      ]);
+
+      var iterator = streamRouter.runAsPages_({
+        query: {},
+        maxApiCalls: -1,
+        maxResults: -1
+      }, originalMethod);
+
+      return iterator.next()
+        .then(function() {
+          return iterator.return();
+        })
+        .then(function(item) {
+          assert.strictEqual(item.done, true);
+          return iterator.next();
+        })
+        .then(function(item) {
+          assert.strictEqual(item.done, true);
+          assert.strictEqual(originalMethod.queries.length, 1);
+        });
+    });
+  });
+
+  describe('runAsIterator_', function() {
+    function createPageIterator(pages) {
+      return {
+        next: function() {
+          var page = pages.shift();
+
+          if (!page) {
+            return Promise.resolve({ done: true });
+          }
+
+          return Promise.resolve({
+            done: false,
+            value: { results: page }
+          });
+        },
+
+        return: function() {
+          pages = [];
+          return Promise.resolve({ done: true });
+        }
+      };
+    }
+
+    it('should return each result of every page', function() {
+      var pageIterator = createPageIterator([[1, 2], [], [3]]);
+      var iterator = streamRouter.runAsIterator_(pageIterator);
+      var results = [];
+
+      assert.strictEqual(iterator[Symbol.asyncIterator](), iterator);
+
+      function next() {
+        return iterator.next().then(function(item) {
+          if (item.done) {
+            return;
+          }
+
+          results.push(item.value);
+          return next();
+        });
+      }
+
+      return next().then(function() {
+        assert.deepEqual(results, [1, 2, 3]);
+      });
+    });
+
+    it('should stop the page iterator when returned', function() {
+      var pageIterator = createPageIterator([[1, 2], [3]]);
+      var iterator = streamRouter.runAsIterator_(pageIterator);
+
+      return iterator.next()
+        .then(function() {
+          return iterator.return();
+        })
+        .then(function() {
+          return iterator.next();
+        })
+        .then(function(item) {
+          assert.strictEqual(item.done, true);
+        });
     });
   });
 
@@ -21,12 +21,13 @@ var duplexify;
 var extend = require('extend');
 var format = require('string-format-obj');
 var googleAuth = require('google-auto-auth');
+var http = require('http');
 var is = require('is');
 var proxyquire = require('proxyquire');
 var request = require('request');
-var retryRequest = require('retry-request');
 var stream = require('stream');
 var streamEvents = require('stream-events');
+var through = require('through2');
 
 var googleAutoAuthOverride;
 function fakeGoogleAutoAuth() {
@@ -45,11 +46,6 @@ fakeRequest.defaults = function(defaultConfiguration) {
   return fakeRequest;
 };
 
-var retryRequestOverride;
-function fakeRetryRequest() {
-  return (retryRequestOverride || retryRequest).apply(null, arguments);
-}
-
 var streamEventsOverride;
 function fakeStreamEvents() {
   return (streamEventsOverride || streamEvents).apply(null, arguments);
@@ -63,7 +59,6 @@ describe('common/util', function() {
     util = proxyquire('../src/util', {
       'google-auto-auth': fakeGoogleAutoAuth,
       request: fakeRequest,
-      'retry-request': fakeRetryRequest,
       'stream-events': fakeStreamEvents
     });
     var utilCached = extend(true, {}, util);
@@ -87,7 +82,6 @@ describe('common/util', function() {
   beforeEach(function() {
     googleAutoAuthOverride = null;
     requestOverride = null;
-    retryRequestOverride = null;
     streamEventsOverride = null;
     utilOverrides = {};
   });
@@ -708,6 +702,38 @@ describe('common/util', function() {
 
         makeAuthenticatedRequest(reqOpts, assert.ifError);
       });
+
+      it('should apply retry options given with the request', function(done) {
+        makeAuthenticatedRequest = util.makeAuthenticatedRequestFactory({
+          customEndpoint: true,
+          retryOptions: {
+            initialDelay: 100,
+            jitter: 0
+          }
+        });
+
+        var reqOpts = {
+          a: 'b',
+          retryOptions: {
+            initialDelay: 200
+          }
+        };
+
+        utilOverrides.makeRequest = function(rOpts, config) {
+          assert.deepEqual(rOpts, { a: 'b' });
+          assert.deepEqual(config.retryOptions, {
+            initialDelay: 200,
+            jitter: 0
+          });
+
+          // The original request options are not modified.
+          assert.deepEqual(reqOpts.retryOptions, { initialDelay: 200 });
+
+          done();
+        };
+
+        makeAuthenticatedRequest(reqOpts, assert.ifError);
+      });
     });
 
     describe('needs authentication', function() {
@@ -915,6 +941,471 @@ describe('common/util', function() {
 
       assert.strictEqual(util.shouldRetryRequest(rateLimitError), true);
     });
+
+    it('should allow custom codes', function() {
+      var options = { retryCodes: [404] };
+
+      var notFoundError = new Error('404');
+      notFoundError.code = 404;
+
+      var serverError = new Error('500');
+      serverError.code = 500;
+
+      assert.strictEqual(util.shouldRetryRequest(notFoundError, options), true);
+      assert.strictEqual(util.shouldRetryRequest(serverError, options), false);
+    });
+
+    it('should allow custom reasons', function() {
+      var options = { retryReasons: ['backendError'] };
+
+      var backendError = new Error('Backend error without code.');
+      backendError.errors = [{ reason: 'backendError' }];
+
+      var rateLimitError = new Error('Rate limit error without code.');
+      rateLimitError.errors = [{ reason: 'rateLimitExceeded' }];
+
+      var shouldRetryRequest = util.shouldRetryRequest;
+
+      assert.strictEqual(shouldRetryRequest(backendError, options), true);
+      assert.strictEqual(shouldRetryRequest(rateLimitError, options), false);
+    });
+  });
+
+  describe('createRetryPolicy', function() {
+    it('should retry 3 times by default', function() {
+      assert.strictEqual(util.createRetryPolicy().retries, 3);
+    });
+
+    it('should not retry if autoRetry is false', function() {
+      var retryPolicy = util.createRetryPolicy({
+        autoRetry: false,
+        maxRetries: 5
+      });
+
+      assert.strictEqual(retryPolicy.retries, 0);
+    });
+
+    it('should honor maxRetries', function() {
+      var retryPolicy = util.createRetryPolicy({ maxRetries: 0 });
+      assert.strictEqual(retryPolicy.retries, 0);
+    });
+
+    it('should prefer maxRetries from the retry options', function() {
+      var retryPolicy = util.createRetryPolicy({
+        maxRetries: 5,
+        retryOptions: {
+          maxRetries: 1
+        }
+      });
+
+      assert.strictEqual(retryPolicy.retries, 1);
+    });
+
+    it('should not have a deadline by default', function() {
+      assert.strictEqual(util.createRetryPolicy().totalTimeout, Infinity);
+    });
+
+    it('should localize the deadline', function() {
+      var retryPolicy = util.createRetryPolicy({
+        retryOptions: {
+          totalTimeout: 1000
+        }
+      });
+
+      assert.strictEqual(retryPolicy.totalTimeout, 1000);
+    });
+
+    describe('shouldRetryFn', function() {
+      it('should use shouldRetryRequest with the options', function(done) {
+        var error = new Error('Error.');
+        var retryOptions = { retryCodes: [404] };
+
+        utilOverrides.shouldRetryRequest = function(err, options) {
+          assert.strictEqual(err, error);
+          assert.deepEqual(options.retryCodes, retryOptions.retryCodes);
+          done();
+        };
+
+        util.createRetryPolicy({ retryOptions: retryOptions })
+          .shouldRetryFn(error);
+      });
+
+      it('should allow a custom predicate', function() {
+        var error = new Error('Error.');
+
+        var retryPolicy = util.createRetryPolicy({
+          retryOptions: {
+            shouldRetryFn: function(err) {
+              assert.strictEqual(err, error);
+              return 'truthy';
+            }
+          }
+        });
+
+        assert.strictEqual(retryPolicy.shouldRetryFn(error), true);
+      });
+    });
+
+    describe('getRetryDelay', function() {
+      it('should match the default exponential backoff', function() {
+        var retryPolicy = util.createRetryPolicy();
+
+        [2000, 4000, 8000].forEach(function(minDelay, index) {
+          var delay = retryPolicy.getRetryDelay(index + 1);
+
+          assert(delay >= minDelay);
+          assert(delay < minDelay + 1000);
+        });
+      });
+
+      it('should honor the initial delay and multiplier', function() {
+        var retryPolicy = util.createRetryPolicy({
+          retryOptions: {
+            initialDelay: 100,
+            multiplier: 3,
+            jitter: 0
+          }
+        });
+
+        assert.strictEqual(retryPolicy.getRetryDelay(1), 100);
+        assert.strictEqual(retryPolicy.getRetryDelay(2), 300);
+        assert.strictEqual(retryPolicy.getRetryDelay(3), 900);
+      });
+
+      it('should not exceed the max delay', function() {
+        var retryPolicy = util.createRetryPolicy({
+          retryOptions: {
+            initialDelay: 100,
+            maxDelay: 150,
+            jitter: 0
+          }
+        });
+
+        assert.strictEqual(retryPolicy.getRetryDelay(1), 100);
+        assert.strictEqual(retryPolicy.getRetryDelay(2), 150);
+        assert.strictEqual(retryPolicy.getRetryDelay(3), 150);
+      });
+
+      it('should add jitter', function() {
+        var random = Math.random;
+
+        Math.random = function() {
+          return 0.5;
+        };
+
+        var retryPolicy = util.createRetryPolicy({
+          retryOptions: {
+            initialDelay: 100,
+            jitter: 50
+          }
+        });
+
+        var delay = retryPolicy.getRetryDelay(1);
+        Math.random = random;
+
+        assert.strictEqual(delay, 125);
+      });
+    });
+  });
+
+  describe('retryRequest', function() {
+    var server;
+    var serverUrl;
+    var statusCodes;
+    var numRequests;
+
+    // The server replies with the next status code in `statusCodes` for each
+    // request it receives, repeating the final one when it runs out.
+    before(function(done) {
+      server = http.createServer(function(req, res) {
+        var lastIndex = statusCodes.length - 1;
+        var statusCode = statusCodes[Math.min(numRequests, lastIndex)];
+        numRequests++;
+
+        res.statusCode = statusCode;
+        res.end('attempt ' + numRequests + ': ' + statusCode);
+      });
+
+      server.listen(0, '127.0.0.1', function() {
+        serverUrl = 'http://127.0.0.1:' + server.address().port;
+        done();
+      });
+    });
+
+    after(function(done) {
+      server.close(done);
+    });
+
+    beforeEach(function() {
+      statusCodes = [200];
+      numRequests = 0;
+    });
+
+    function createOptions(retryOptions) {
+      return {
+        request: request,
+        retryPolicy: util.createRetryPolicy({
+          retryOptions: extend({ initialDelay: 1, jitter: 0 }, retryOptions)
+        }),
+        shouldRetryFn: function(resp) {
+          return resp.statusCode !== 200 && resp.statusCode !== 404;
+        }
+      };
+    }
+
+    describe('callback mode', function() {
+      it('should retry until a request succeeds', function(done) {
+        statusCodes = [503, 500, 200];
+
+        var options = createOptions();
+
+        util.retryRequest(serverUrl, options, function(err, resp, body) {
+          assert.ifError(err);
+          assert.strictEqual(resp.statusCode, 200);
+          assert.strictEqual(body, 'attempt 3: 200');
+          assert.strictEqual(numRequests, 3);
+          done();
+        });
+      });
+
+      it('should return the last response after all retries', function(done) {
+        statusCodes = [503];
+
+        var options = createOptions({ maxRetries: 2 });
+
+        util.retryRequest(serverUrl, options, function(err, resp, body) {
+          assert.ifError(err);
+          assert.strictEqual(resp.statusCode, 503);
+          assert.strictEqual(body, 'attempt 3: 503');
+          assert.strictEqual(numRequests, 3);
+          done();
+        });
+      });
+
+      it('should not retry when the predicate declines', function(done) {
+        statusCodes = [404, 200];
+
+        util.retryRequest(serverUrl, createOptions(), function(err, resp) {
+          assert.ifError(err);
+          assert.strictEqual(resp.statusCode, 404);
+          assert.strictEqual(numRequests, 1);
+          done();
+        });
+      });
+
+      it('should wait between attempts', function(done) {
+        statusCodes = [503, 503, 200];
+
+        var options = createOptions({
+          initialDelay: 20,
+          multiplier: 2
+        });
+
+        var startTime = Date.now();
+
+        util.retryRequest(serverUrl, options, function(err, resp) {
+          assert.ifError(err);
+          assert.strictEqual(resp.statusCode, 200);
+          assert(Date.now() - startTime >= 60);
+          done();
+        });
+      });
+
+      it('should stop retrying at the deadline', function(done) {
+        statusCodes = [503, 503, 200];
+
+        var options = createOptions({
+          initialDelay: 50,
+          totalTimeout: 75
+        });
+
+        util.retryRequest(serverUrl, options, function(err, resp) {
+          assert.ifError(err);
+          assert.strictEqual(resp.statusCode, 503);
+          assert.strictEqual(numRequests, 2);
+          done();
+        });
+      });
+
+      it('should not retry connection errors', function(done) {
+        var attempts = 0;
+        var error = new Error('Error.');
+
+        var options = createOptions();
+        options.request = function(reqOpts, callback) {
+          attempts++;
+          callback(error);
+        };
+
+        util.retryRequest(serverUrl, options, function(err) {
+          assert.strictEqual(err, error);
+          assert.strictEqual(attempts, 1);
+          done();
+        });
+      });
+
+      it('should cancel a scheduled retry on abort', function(done) {
+        statusCodes = [503, 200];
+
+        var requestInstance;
+
+        var options = createOptions({ initialDelay: 50 });
+        options.shouldRetryFn = function() {
+          setImmediate(function() {
+            requestInstance.abort();
+
+            setTimeout(function() {
+              assert.strictEqual(numRequests, 1);
+              done();
+            }, 100);
+          });
+
+          return true;
+        };
+
+        requestInstance = util.retryRequest(serverUrl, options, done);
+      });
+    });
+
+    describe('stream mode', function() {
+      it('should only emit the successful response', function(done) {
+        statusCodes = [500, 502, 200];
+
+        var responses = [];
+        var body = '';
+
+        util.retryRequest(serverUrl, createOptions())
+          .on('error', done)
+          .on('response', function(resp) {
+            responses.push(resp.statusCode);
+          })
+          .on('data', function(chunk) {
+            body += chunk;
+          })
+          .on('end', function() {
+            assert.deepEqual(responses, [200]);
+            assert.strictEqual(body, 'attempt 3: 200');
+            done();
+          });
+      });
+
+      it('should emit connection errors', function(done) {
+        var error = new Error('Error.');
+
+        var options = createOptions();
+        options.request = function() {
+          var requestStream = through();
+
+          setImmediate(function() {
+            requestStream.emit('error', error);
+          });
+
+          return requestStream;
+        };
+
+        util.retryRequest(serverUrl, options)
+          .on('error', function(err) {
+            assert.strictEqual(err, error);
+            done();
+          });
+      });
+
+      it('should emit errors from the body without a retry', function(done) {
+        var error = new Error('Error.');
+        var numAttempts = 0;
+
+        var options = createOptions();
+        options.request = function() {
+          var requestStream = through();
+          numAttempts++;
+
+          setImmediate(function() {
+            requestStream.emit('response', { statusCode: 200 });
+            requestStream.write('partial');
+            requestStream.emit('error', error);
+          });
+
+          return requestStream;
+        };
+
+        util.retryRequest(serverUrl, options)
+          .on('error', function(err) {
+            assert.strictEqual(err, error);
+            assert.strictEqual(numAttempts, 1);
+            done();
+          });
+      });
+
+      it('should ignore errors from discarded attempts', function(done) {
+        var numAttempts = 0;
+
+        var options = createOptions();
+        options.request = function() {
+          var requestStream = through();
+          var attempt = ++numAttempts;
+
+          requestStream.abort = function() {
+            requestStream.emit('error', new Error('Aborted.'));
+          };
+
+          setImmediate(function() {
+            requestStream.emit('response', {
+              statusCode: attempt === 1 ? 503 : 200
+            });
+            requestStream.end('attempt ' + attempt);
+          });
+
+          return requestStream;
+        };
+
+        var body = '';
+
+        util.retryRequest(serverUrl, options)
+          .on('error', done)
+          .on('data', function(chunk) {
+            body += chunk;
+          })
+          .on('end', function() {
+            assert.strictEqual(numAttempts, 2);
+            assert.strictEqual(body, 'attempt 2');
+            done();
+          });
+      });
+    });
+
+    describe('with makeRequest', function() {
+      it('should retry API errors with a custom policy', function(done) {
+        statusCodes = [404, 404, 200];
+
+        util.makeRequest({ uri: serverUrl }, {
+          retryOptions: {
+            retryCodes: [404],
+            initialDelay: 1,
+            jitter: 0
+          }
+        }, function(err, body) {
+          assert.ifError(err);
+          assert.strictEqual(body, 'attempt 3: 200');
+          done();
+        });
+      });
+
+      it('should give up after maxRetries', function(done) {
+        statusCodes = [503];
+
+        util.makeRequest({ uri: serverUrl }, {
+          maxRetries: 1,
+          retryOptions: {
+            initialDelay: 1,
+            jitter: 0
+          }
+        }, function(err) {
+          assert.strictEqual(err.code, 503);
+          assert.strictEqual(numRequests, 2);
+          done();
+        });
+      });
+    });
   });
 
   describe('makeRequest', function() {
@@ -922,10 +1413,27 @@ describe('common/util', function() {
       method: 'GET'
     };
 
+    it('should create a retry policy from the config', function(done) {
+      var config = { maxRetries: 5 };
+      var retryPolicy = {};
+
+      utilOverrides.createRetryPolicy = function(config_) {
+        assert.strictEqual(config_, config);
+        return retryPolicy;
+      };
+
+      utilOverrides.retryRequest = function(reqOpts, options) {
+        assert.strictEqual(options.retryPolicy, retryPolicy);
+        done();
+      };
+
+      util.makeRequest(reqOpts, config, assert.ifError);
+    });
+
     function testDefaultRetryRequestConfig(done) {
       return function(reqOpts_, config) {
         assert.strictEqual(reqOpts_, reqOpts);
-        assert.equal(config.retries, 3);
+        assert.equal(config.retryPolicy.retries, 3);
         assert.strictEqual(config.request, fakeRequest);
 
         var error = new Error('Error.');
@@ -944,7 +1452,7 @@ describe('common/util', function() {
     var noRetryRequestConfig = { autoRetry: false };
     function testNoRetryRequestConfig(done) {
       return function(reqOpts, config) {
-        assert.strictEqual(config.retries, 0);
+        assert.strictEqual(config.retryPolicy.retries, 0);
         done();
       };
     }
@@ -952,31 +1460,34 @@ describe('common/util', function() {
     var customRetryRequestConfig = { maxRetries: 10 };
     function testCustomRetryRequestConfig(done) {
       return function(reqOpts, config) {
-        assert.strictEqual(config.retries, customRetryRequestConfig.maxRetries);
+        assert.strictEqual(
+          config.retryPolicy.retries,
+          customRetryRequestConfig.maxRetries
+        );
         done();
       };
     }
 
     describe('callback mode', function() {
       it('should pass the default options to retryRequest', function(done) {
-        retryRequestOverride = testDefaultRetryRequestConfig(done);
+        utilOverrides.retryRequest = testDefaultRetryRequestConfig(done);
         util.makeRequest(reqOpts, {});
       });
 
       it('should allow turning off retries to retryRequest', function(done) {
-        retryRequestOverride = testNoRetryRequestConfig(done);
+        utilOverrides.retryRequest = testNoRetryRequestConfig(done);
         util.makeRequest(reqOpts, noRetryRequestConfig);
       });
 
       it('should override number of retries to retryRequest', function(done) {
-        retryRequestOverride = testCustomRetryRequestConfig(done);
+        utilOverrides.retryRequest = testCustomRetryRequestConfig(done);
         util.makeRequest(reqOpts, customRetryRequestConfig);
       });
 
       it('should return the instance of retryRequest', function() {
         var requestInstance = {};
 
-        retryRequestOverride = function() {
+        utilOverrides.retryRequest = function() {
           return requestInstance;
         };
 
@@ -1008,7 +1519,7 @@ describe('common/util', function() {
             done();
           });
 
-        retryRequestOverride = function() {
+        utilOverrides.retryRequest = function() {
           setImmediate(function() {
             requestStream.emit('error', error);
           });
@@ -1023,7 +1534,7 @@ describe('common/util', function() {
         it('should use retryRequest', function(done) {
           var userStream = duplexify();
 
-          retryRequestOverride = function(reqOpts_) {
+          utilOverrides.retryRequest = function(reqOpts_) {
             assert.strictEqual(reqOpts_, reqOpts);
             setImmediate(done);
             return new stream.Stream();
@@ -1036,7 +1547,7 @@ describe('common/util', function() {
           var userStream = duplexify();
           var retryRequestStream = new stream.Stream();
 
-          retryRequestOverride = function() {
+          utilOverrides.retryRequest = function() {
             return retryRequestStream;
           };
 
@@ -1051,7 +1562,7 @@ describe('common/util', function() {
         it('should expose the abort method from retryRequest', function(done) {
           var userStream = duplexify();
 
-          retryRequestOverride = function() {
+          utilOverrides.retryRequest = function() {
             var requestStream = new stream.Stream();
             requestStream.abort = done;
             return requestStream;
@@ -1069,7 +1580,7 @@ describe('common/util', function() {
             method: 'POST'
           };
 
-          retryRequestOverride = done; // will throw.
+          utilOverrides.retryRequest = done; // will throw.
           requestOverride = function(reqOpts_) {
             assert.strictEqual(reqOpts_, reqOpts);
             setImmediate(done);
@@ -1112,22 +1623,22 @@ describe('common/util', function() {
 
     describe('callback mode', function() {
       it('should optionally accept config', function(done) {
-        retryRequestOverride = testDefaultRetryRequestConfig(done);
+        utilOverrides.retryRequest = testDefaultRetryRequestConfig(done);
         util.makeRequest(reqOpts, assert.ifError);
       });
 
       it('should pass the default options to retryRequest', function(done) {
-        retryRequestOverride = testDefaultRetryRequestConfig(done);
+        utilOverrides.retryRequest = testDefaultRetryRequestConfig(done);
         util.makeRequest(reqOpts, {}, assert.ifError);
       });
 
       it('should allow turning off retries to retryRequest', function(done) {
-        retryRequestOverride = testNoRetryRequestConfig(done);
+        utilOverrides.retryRequest = testNoRetryRequestConfig(done);
         util.makeRequest(reqOpts, noRetryRequestConfig, assert.ifError);
       });
 
       it('should override number of retries to retryRequest', function(done) {
-        retryRequestOverride = testCustomRetryRequestConfig(done);
+        utilOverrides.retryRequest = testCustomRetryRequestConfig(done);
         util.makeRequest(reqOpts, customRetryRequestConfig, assert.ifError);
       });
 
@@ -1194,6 +1705,112 @@ describe('common/util', function() {
     });
   });
 
+  describe('interceptRequest', function() {
+    var requestInfo;
+
+    beforeEach(function() {
+      requestInfo = {
+        reqOpts: {}
+      };
+    });
+
+    it('should call beforeRequest hooks in order', function() {
+      var calls = [];
+
+      var interceptors = [
+        {
+          beforeRequest: function(requestInfo_) {
+            assert.strictEqual(requestInfo_, requestInfo);
+            assert(is.number(requestInfo_.startTime));
+            calls.push(1);
+          }
+        },
+        {},
+        {
+          beforeRequest: function() {
+            calls.push(2);
+          }
+        }
+      ];
+
+      util.interceptRequest(interceptors, requestInfo);
+      assert.deepEqual(calls, [1, 2]);
+    });
+
+    it('should allow beforeRequest to replace the reqOpts', function() {
+      var reqOpts = {};
+
+      util.interceptRequest([{
+        beforeRequest: function(requestInfo) {
+          requestInfo.reqOpts = reqOpts;
+        }
+      }], requestInfo);
+
+      assert.strictEqual(requestInfo.reqOpts, reqOpts);
+    });
+
+    it('should call afterResponse hooks with timings', function(done) {
+      var response = {};
+
+      var onComplete = util.interceptRequest([{
+        afterResponse: function(requestInfo_) {
+          assert.strictEqual(requestInfo_, requestInfo);
+          assert.strictEqual(requestInfo_.response, response);
+          assert(requestInfo_.endTime >= requestInfo_.startTime);
+          assert.strictEqual(
+            requestInfo_.duration,
+            requestInfo_.endTime - requestInfo_.startTime
+          );
+          done();
+        },
+        onError: function() {
+          done(); // Will throw.
+        }
+      }], requestInfo);
+
+      onComplete(null, response);
+    });
+
+    it('should call onError hooks with the error', function(done) {
+      var error = new Error('Error.');
+      var response = {};
+
+      var onComplete = util.interceptRequest([{
+        afterResponse: function() {
+          done(); // Will throw.
+        },
+        onError: function(err, requestInfo_) {
+          assert.strictEqual(err, error);
+          assert.strictEqual(requestInfo_, requestInfo);
+          assert.strictEqual(requestInfo_.response, response);
+          assert(is.number(requestInfo_.duration));
+          done();
+        }
+      }], requestInfo);
+
+      onComplete(error, response);
+    });
+
+    it('should only report the first outcome', function() {
+      var calls = [];
+
+      var onComplete = util.interceptRequest([{
+        afterResponse: function() {
+          calls.push('afterResponse');
+        },
+        onError: function() {
+          calls.push('onError');
+        }
+      }], requestInfo);
+
+      onComplete(null, {});
+      onComplete(new Error('Error.'));
+      onComplete(null, {});
+
+      assert.deepEqual(calls, ['afterResponse']);
+    });
+  });
+
   describe('normalizeArguments', function() {
     var fakeContext = {
       config_: {
@@ -1374,4 +1991,110 @@ describe('common/util', function() {
       assert.strictEqual(userAgent, 'gcloud-node-storage/0.1.0');
     });
   });
+
+  describe('promisifyAll', function() {
+    var FakeClass;
+
+    beforeEach(function() {
+      FakeClass = function() {};
+
+      FakeClass.prototype.methodName = function(callback) {
+        callback(null);
+      };
+
+      FakeClass.prototype.method_ = util.noop;
+      FakeClass.prototype._method = util.noop;
+      FakeClass.prototype.methodStream = util.noop;
+      FakeClass.prototype.request = util.noop;
+      FakeClass.prototype.on = util.noop;
+      FakeClass.prototype.factory = util.noop;
+      FakeClass.prototype.isInstance = util.noop;
+
+      util.promisifyAll(FakeClass, {
+        exclude: ['factory']
+      });
+    });
+
+    it('should promisify the correct methods', function() {
+      assert(FakeClass.prototype.methodName.promisified_);
+
+      assert.strictEqual(FakeClass.prototype.method_, util.noop);
+      assert.strictEqual(FakeClass.prototype._method, util.noop);
+      assert.strictEqual(FakeClass.prototype.methodStream, util.noop);
+      assert.strictEqual(FakeClass.prototype.request, util.noop);
+      assert.strictEqual(FakeClass.prototype.on, util.noop);
+      assert.strictEqual(FakeClass.prototype.factory, util.noop);
+      assert.strictEqual(FakeClass.prototype.isInstance, util.noop);
+    });
+
+    it('should not re-promisify methods', function() {
+      var method = FakeClass.prototype.methodName;
+
+      util.promisifyAll(FakeClass);
+
+      assert.strictEqual(FakeClass.prototype.methodName, method);
+    });
+  });
+
+  describe('promisify', function() {
+    var fakeContext = {};
+    var func;
+    var fakeArgs = [null, 1, 2, 3];
+
+    beforeEach(function() {
+      func = util.promisify(function(callback) {
+        callback.apply(this, fakeArgs);
+      });
+    });
+
+    it('should not re-promisify the function', function() {
+      var original = func;
+
+      func = util.promisify(func);
+
+      assert.strictEqual(original, func);
+    });
+
+    it('should not return a promise in callback mode', function(done) {
+      var returnVal = func.call(fakeContext, function() {
+        var args = [].slice.call(arguments);
+
+        assert.deepEqual(args, fakeArgs);
+        assert.strictEqual(this, fakeContext);
+        assert(!returnVal);
+        done();
+      });
+    });
+
+    it('should return a promise when the callback is omitted', function() {
+      return func().then(function(args) {
+        assert.deepEqual(args, fakeArgs.slice(1));
+      });
+    });
+
+    it('should reject the promise on a failed request', function() {
+      var error = new Error('err');
+
+      func = util.promisify(function(callback) {
+        callback(error);
+      });
+
+      return func().then(function() {
+        throw new Error('Promise must not be resolved');
+      }, function(err) {
+        assert.strictEqual(err, error);
+      });
+    });
+
+    it('should pass the arguments and context through', function() {
+      func = util.promisify(function(a, b, callback) {
+        assert.strictEqual(this, fakeContext);
+        callback(null, a + b);
+      });
+
+      return func.call(fakeContext, 1, 2).then(function(args) {
+        assert.deepEqual(args, [3]);
+      });
+    });
+  });
 });
@@ -162,4 +162,11 @@ Address.prototype.delete = function(callback) {
   });
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Address);
+
 module.exports = Address;
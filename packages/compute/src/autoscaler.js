@@ -217,4 +217,11 @@ Autoscaler.prototype.setMetadata = function(metadata, callback) {
   });
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Autoscaler);
+
 module.exports = Autoscaler;
@@ -263,4 +263,13 @@ Disk.prototype.snapshot = function(name) {
   return new Snapshot(this, name);
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Disk, {
+  exclude: ['snapshot']
+});
+
 module.exports = Disk;
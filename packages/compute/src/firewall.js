@@ -211,4 +211,11 @@ Firewall.prototype.setMetadata = function(metadata, callback) {
   });
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Firewall);
+
 module.exports = Firewall;
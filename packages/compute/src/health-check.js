@@ -225,4 +225,11 @@ HealthCheck.prototype.setMetadata = function(metadata, callback) {
   });
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(HealthCheck);
+
 module.exports = HealthCheck;
@@ -2472,6 +2472,41 @@ common.streamRouter.extend(Compute, [
   'getZones'
 ]);
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Compute, {
+  exclude: [
+    'firewall',
+    'getAddresses',
+    'getAutoscalers',
+    'getDisks',
+    'getFirewalls',
+    'getHealthChecks',
+    'getInstanceGroups',
+    'getMachineTypes',
+    'getNetworks',
+    'getOperations',
+    'getRegions',
+    'getRules',
+    'getServices',
+    'getSnapshots',
+    'getSubnetworks',
+    'getVMs',
+    'getZones',
+    'healthCheck',
+    'network',
+    'operation',
+    'region',
+    'rule',
+    'service',
+    'snapshot',
+    'zone'
+  ]
+});
+
 Compute.Firewall = Firewall;
 Compute.HealthCheck = HealthCheck;
 Compute.Network = Network;
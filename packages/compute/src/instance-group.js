@@ -453,4 +453,13 @@ InstanceGroup.prototype.setPorts = function(ports, callback) {
  */
 common.streamRouter.extend(InstanceGroup, ['getVMs']);
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(InstanceGroup, {
+  exclude: ['getVMs']
+});
+
 module.exports = InstanceGroup;
@@ -100,4 +100,11 @@ function MachineType(zone, name) {
 
 util.inherits(MachineType, common.ServiceObject);
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(MachineType);
+
 module.exports = MachineType;
@@ -461,4 +461,13 @@ Network.prototype.getFirewalls = function(options, callback) {
   return this.compute.getFirewalls(options, callback);
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Network, {
+  exclude: ['firewall', 'getFirewalls', 'getSubnetworks']
+});
+
 module.exports = Network;
@@ -273,4 +273,11 @@ Operation.prototype.startPolling_ = function() {
   });
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Operation);
+
 module.exports = Operation;
@@ -804,4 +804,22 @@ common.streamRouter.extend(Region, [
   'getSubnetworks'
 ]);
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Region, {
+  exclude: [
+    'address',
+    'getAddresses',
+    'getOperations',
+    'getRules',
+    'getSubnetworks',
+    'operation',
+    'rule',
+    'subnetwork'
+  ]
+});
+
 module.exports = Region;
@@ -227,4 +227,11 @@ Rule.prototype.setTarget = function(target, callback) {
   });
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Rule);
+
 module.exports = Rule;
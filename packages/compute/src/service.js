@@ -211,7 +211,7 @@ Service.prototype.delete = function(callback) {
 Service.prototype.getHealth = function(group, callback) {
   if (!is.string(group)) {
     group = format('{baseUrl}/projects/{p}/zones/{z}/instanceGroups/{n}', {
-      baseUrl: 'https://www.googleapis.com/compute/v1',
+      baseUrl: this.parent.baseUrl,
       p: this.parent.projectId,
       z: group.zone.name || group.zone,
       n: group.name
@@ -279,4 +279,11 @@ Service.prototype.setMetadata = function(metadata, callback) {
   });
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Service);
+
 module.exports = Service;
@@ -174,4 +174,11 @@ Snapshot.prototype.delete = function(callback) {
   });
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Snapshot);
+
 module.exports = Snapshot;
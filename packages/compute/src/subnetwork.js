@@ -168,4 +168,11 @@ Subnetwork.prototype.delete = function(callback) {
   });
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Subnetwork);
+
 module.exports = Subnetwork;
@@ -69,9 +69,9 @@ function VM(zone, name) {
   this.name = name.replace(/.*\/([^/]+)$/, '$1'); // Just the instance name.
   this.zone = zone;
 
-  this.url = format('{base}/{project}/zones/{zone}/instances/{name}', {
-    base: 'https://www.googleapis.com/compute/v1/projects',
-    project: zone.compute.projectId,
+  this.url = format('{base}/projects/{p}/zones/{zone}/instances/{name}', {
+    base: zone.compute.baseUrl,
+    p: zone.compute.projectId,
     zone: zone.name,
     name: this.name
   });
@@ -287,7 +287,7 @@ VM.prototype.detachDisk = function(disk, callback) {
     }
 
     var deviceName;
-    var baseUrl = 'https://www.googleapis.com/compute/v1/';
+    var baseUrl = self.zone.compute.baseUrl + '/';
     var disks = metadata.disks || [];
 
     // Try to find the deviceName by matching the source of the attached disks
@@ -680,4 +680,11 @@ VM.prototype.request = function(reqOpts, callback) {
   });
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(VM);
+
 module.exports = VM;
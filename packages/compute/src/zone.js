@@ -225,7 +225,8 @@ Zone.prototype.createAutoscaler = function(name, config, callback) {
 
   if (!/^https*:/.test(json.target)) {
     json.target = [
-      'https://content.googleapis.com/compute/v1/projects/',
+      this.compute.baseUrl,
+      '/projects/',
       this.compute.projectId,
       '/zones/',
       this.name,
@@ -1378,4 +1379,26 @@ common.streamRouter.extend(Zone, [
   'getVMs'
 ]);
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Zone, {
+  exclude: [
+    'autoscaler',
+    'disk',
+    'getAutoscalers',
+    'getDisks',
+    'getInstanceGroups',
+    'getMachineTypes',
+    'getOperations',
+    'getVMs',
+    'instanceGroup',
+    'machineType',
+    'operation',
+    'vm'
+  ]
+});
+
 module.exports = Zone;
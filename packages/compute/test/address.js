@@ -30,6 +30,15 @@ function FakeServiceObject() {
 
 nodeutil.inherits(FakeServiceObject, ServiceObject);
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class) {
+    if (Class.name === 'Address') {
+      promisified = true;
+    }
+  }
+});
+
 describe('Address', function() {
   var Address;
   var address;
@@ -42,7 +51,8 @@ describe('Address', function() {
   before(function() {
     Address = proxyquire('../src/address.js', {
       '@google-cloud/common': {
-        ServiceObject: FakeServiceObject
+        ServiceObject: FakeServiceObject,
+        util: fakeUtil
       }
     });
   });
@@ -52,6 +62,10 @@ describe('Address', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should localize the region', function() {
       assert.strictEqual(address.region, REGION);
     });
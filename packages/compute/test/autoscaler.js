@@ -30,6 +30,15 @@ function FakeServiceObject() {
 
 nodeutil.inherits(FakeServiceObject, ServiceObject);
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class) {
+    if (Class.name === 'Autoscaler') {
+      promisified = true;
+    }
+  }
+});
+
 describe('Autoscaler', function() {
   var Autoscaler;
   var autoscaler;
@@ -46,7 +55,8 @@ describe('Autoscaler', function() {
   before(function() {
     Autoscaler = proxyquire('../src/autoscaler.js', {
       '@google-cloud/common': {
-        ServiceObject: FakeServiceObject
+        ServiceObject: FakeServiceObject,
+        util: fakeUtil
       }
     });
   });
@@ -56,6 +66,10 @@ describe('Autoscaler', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should localize the zone', function() {
       assert.strictEqual(autoscaler.zone, ZONE);
     });
@@ -35,6 +35,18 @@ function FakeServiceObject() {
 
 nodeutil.inherits(FakeServiceObject, ServiceObject);
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class, options) {
+    if (Class.name !== 'Disk') {
+      return;
+    }
+
+    promisified = true;
+    assert.deepEqual(options.exclude, ['snapshot']);
+  }
+});
+
 describe('Disk', function() {
   var Disk;
   var disk;
@@ -59,7 +71,8 @@ describe('Disk', function() {
   before(function() {
     Disk = proxyquire('../src/disk.js', {
       '@google-cloud/common': {
-        ServiceObject: FakeServiceObject
+        ServiceObject: FakeServiceObject,
+        util: fakeUtil
       },
       './snapshot.js': FakeSnapshot
     });
@@ -70,6 +83,10 @@ describe('Disk', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should localize the zone', function() {
       assert.strictEqual(disk.zone, ZONE);
     });
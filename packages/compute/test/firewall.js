@@ -30,6 +30,15 @@ function FakeServiceObject() {
 
 nodeutil.inherits(FakeServiceObject, ServiceObject);
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class) {
+    if (Class.name === 'Firewall') {
+      promisified = true;
+    }
+  }
+});
+
 describe('Firewall', function() {
   var Firewall;
   var firewall;
@@ -44,7 +53,8 @@ describe('Firewall', function() {
   before(function() {
     Firewall = proxyquire('../src/firewall.js', {
       '@google-cloud/common': {
-        ServiceObject: FakeServiceObject
+        ServiceObject: FakeServiceObject,
+        util: fakeUtil
       }
     });
   });
@@ -54,6 +64,10 @@ describe('Firewall', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should localize compute instance', function() {
       assert.strictEqual(firewall.compute, COMPUTE);
     });
@@ -29,6 +29,15 @@ function FakeServiceObject() {
 
 nodeutil.inherits(FakeServiceObject, ServiceObject);
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class) {
+    if (Class.name === 'HealthCheck') {
+      promisified = true;
+    }
+  }
+});
+
 describe('HealthCheck', function() {
   var HealthCheck;
   var healthCheck;
@@ -42,7 +51,8 @@ describe('HealthCheck', function() {
   before(function() {
     HealthCheck = proxyquire('../src/health-check.js', {
       '@google-cloud/common': {
-        ServiceObject: FakeServiceObject
+        ServiceObject: FakeServiceObject,
+        util: fakeUtil
       }
     });
   });
@@ -56,6 +66,10 @@ describe('HealthCheck', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should inherit from ServiceObject', function() {
       assert(healthCheck instanceof FakeServiceObject);
 
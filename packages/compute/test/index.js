@@ -27,7 +27,42 @@ var util = require('@google-cloud/common').util;
 
 var slice = Array.prototype.slice;
 
+var promisified = false;
 var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class, options) {
+    if (Class.name !== 'Compute') {
+      return;
+    }
+
+    promisified = true;
+    assert.deepEqual(options.exclude, [
+      'firewall',
+      'getAddresses',
+      'getAutoscalers',
+      'getDisks',
+      'getFirewalls',
+      'getHealthChecks',
+      'getInstanceGroups',
+      'getMachineTypes',
+      'getNetworks',
+      'getOperations',
+      'getRegions',
+      'getRules',
+      'getServices',
+      'getSnapshots',
+      'getSubnetworks',
+      'getVMs',
+      'getZones',
+      'healthCheck',
+      'network',
+      'operation',
+      'region',
+      'rule',
+      'service',
+      'snapshot',
+      'zone'
+    ]);
+  },
   makeAuthenticatedRequestFactory: util.noop
 });
 
@@ -141,6 +176,10 @@ describe('Compute', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     var options = {
       projectId: PROJECT_ID,
       credentials: 'credentials',
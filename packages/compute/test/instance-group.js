@@ -46,6 +46,18 @@ var fakeStreamRouter = {
   }
 };
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class, options) {
+    if (Class.name !== 'InstanceGroup') {
+      return;
+    }
+
+    promisified = true;
+    assert.deepEqual(options.exclude, ['getVMs']);
+  }
+});
+
 describe('InstanceGroup', function() {
   var InstanceGroup;
   var instanceGroup;
@@ -62,7 +74,8 @@ describe('InstanceGroup', function() {
     InstanceGroup = proxyquire('../src/instance-group.js', {
       '@google-cloud/common': {
         ServiceObject: FakeServiceObject,
-        streamRouter: fakeStreamRouter
+        streamRouter: fakeStreamRouter,
+        util: fakeUtil
       }
     });
     staticMethods.formatPorts_ = InstanceGroup.formatPorts_;
@@ -74,6 +87,10 @@ describe('InstanceGroup', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should extend the correct methods', function() {
       assert(extended); // See `fakeStreamRouter.extend`
     });
@@ -17,9 +17,11 @@
 'use strict';
 
 var assert = require('assert');
+var extend = require('extend');
 var nodeutil = require('util');
 var proxyquire = require('proxyquire');
 var ServiceObject = require('@google-cloud/common').ServiceObject;
+var util = require('@google-cloud/common').util;
 
 function FakeServiceObject() {
   this.calledWith_ = arguments;
@@ -28,6 +30,15 @@ function FakeServiceObject() {
 
 nodeutil.inherits(FakeServiceObject, ServiceObject);
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class) {
+    if (Class.name === 'MachineType') {
+      promisified = true;
+    }
+  }
+});
+
 describe('MachineType', function() {
   var MachineType;
   var machineType;
@@ -41,7 +52,8 @@ describe('MachineType', function() {
   before(function() {
     MachineType = proxyquire('../src/machine-type.js', {
       '@google-cloud/common': {
-        ServiceObject: FakeServiceObject
+        ServiceObject: FakeServiceObject,
+        util: fakeUtil
       }
     });
   });
@@ -51,6 +63,10 @@ describe('MachineType', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should localize the zone', function() {
       assert.strictEqual(machineType.zone, ZONE);
     });
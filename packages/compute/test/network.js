@@ -31,6 +31,22 @@ function FakeServiceObject() {
 
 nodeutil.inherits(FakeServiceObject, ServiceObject);
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class, options) {
+    if (Class.name !== 'Network') {
+      return;
+    }
+
+    promisified = true;
+    assert.deepEqual(options.exclude, [
+      'firewall',
+      'getFirewalls',
+      'getSubnetworks'
+    ]);
+  }
+});
+
 describe('Network', function() {
   var Network;
   var network;
@@ -53,7 +69,7 @@ describe('Network', function() {
     Network = proxyquire('../src/network.js', {
       '@google-cloud/common': {
         ServiceObject: FakeServiceObject,
-        util: util
+        util: fakeUtil
       }
     });
 
@@ -66,6 +82,10 @@ describe('Network', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should localize the compute instance', function() {
       assert.strictEqual(network.compute, COMPUTE);
     });
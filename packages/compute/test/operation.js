@@ -31,7 +31,13 @@ function FakeServiceObject() {
 nodeutil.inherits(FakeServiceObject, ServiceObject);
 
 var parseHttpRespBodyOverride = null;
+var promisified = false;
 var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class) {
+    if (Class.name === 'Operation') {
+      promisified = true;
+    }
+  },
   parseHttpRespBody: function() {
     if (parseHttpRespBodyOverride) {
       return parseHttpRespBodyOverride.apply(null, arguments);
@@ -67,6 +73,10 @@ describe('Operation', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should localize the name', function() {
       assert.strictEqual(operation.name, OPERATION_NAME);
     });
@@ -23,6 +23,7 @@ var is = require('is');
 var nodeutil = require('util');
 var proxyquire = require('proxyquire');
 var ServiceObject = require('@google-cloud/common').ServiceObject;
+var util = require('@google-cloud/common').util;
 
 function FakeAddress() {
   this.calledWith_ = [].slice.call(arguments);
@@ -70,6 +71,27 @@ var fakeStreamRouter = {
   }
 };
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class, options) {
+    if (Class.name !== 'Region') {
+      return;
+    }
+
+    promisified = true;
+    assert.deepEqual(options.exclude, [
+      'address',
+      'getAddresses',
+      'getOperations',
+      'getRules',
+      'getSubnetworks',
+      'operation',
+      'rule',
+      'subnetwork'
+    ]);
+  }
+});
+
 describe('Region', function() {
   var Region;
   var region;
@@ -83,7 +105,8 @@ describe('Region', function() {
     Region = proxyquire('../src/region.js', {
       '@google-cloud/common': {
         ServiceObject: FakeServiceObject,
-        streamRouter: fakeStreamRouter
+        streamRouter: fakeStreamRouter,
+        util: fakeUtil
       },
       './address.js': FakeAddress,
       './network.js': FakeNetwork,
@@ -98,6 +121,10 @@ describe('Region', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should extend the correct methods', function() {
       assert(extended); // See `fakeStreamRouter.extend`
     });
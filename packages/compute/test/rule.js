@@ -25,6 +25,15 @@ function FakeServiceObject() {
   this.calledWith_ = arguments;
 }
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class) {
+    if (Class.name === 'Rule') {
+      promisified = true;
+    }
+  }
+});
+
 describe('Rule', function() {
   var Rule;
   var rule;
@@ -40,7 +49,8 @@ describe('Rule', function() {
   before(function() {
     Rule = proxyquire('../src/rule.js', {
       '@google-cloud/common': {
-        ServiceObject: FakeServiceObject
+        ServiceObject: FakeServiceObject,
+        util: fakeUtil
       }
     });
   });
@@ -50,6 +60,10 @@ describe('Rule', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should inherit from ServiceObject', function() {
       var computeInstance = new Compute();
       var bindMethod = {};
@@ -30,6 +30,15 @@ function FakeServiceObject() {
 
 nodeutil.inherits(FakeServiceObject, ServiceObject);
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class) {
+    if (Class.name === 'Service') {
+      promisified = true;
+    }
+  }
+});
+
 describe('Service', function() {
   var Service;
   var service;
@@ -37,6 +46,7 @@ describe('Service', function() {
   var SERVICE_NAME = 'service-name';
 
   var COMPUTE = {
+    baseUrl: 'https://www.googleapis.com/compute/v1',
     projectId: 'project-id',
     createService: util.noop
   };
@@ -44,7 +54,8 @@ describe('Service', function() {
   before(function() {
     Service = proxyquire('../src/service.js', {
       '@google-cloud/common': {
-        ServiceObject: FakeServiceObject
+        ServiceObject: FakeServiceObject,
+        util: fakeUtil
       }
     });
   });
@@ -54,6 +65,10 @@ describe('Service', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should localize the Compute instance', function() {
       assert.strictEqual(service.compute, COMPUTE);
     });
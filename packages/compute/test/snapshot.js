@@ -17,9 +17,11 @@
 'use strict';
 
 var assert = require('assert');
+var extend = require('extend');
 var nodeutil = require('util');
 var proxyquire = require('proxyquire');
 var ServiceObject = require('@google-cloud/common').ServiceObject;
+var util = require('@google-cloud/common').util;
 
 function FakeServiceObject() {
   this.calledWith_ = arguments;
@@ -28,6 +30,15 @@ function FakeServiceObject() {
 
 nodeutil.inherits(FakeServiceObject, ServiceObject);
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class) {
+    if (Class.name === 'Snapshot') {
+      promisified = true;
+    }
+  }
+});
+
 describe('Snapshot', function() {
   var Snapshot;
   var snapshot;
@@ -38,7 +49,8 @@ describe('Snapshot', function() {
   before(function() {
     Snapshot = proxyquire('../src/snapshot.js', {
       '@google-cloud/common': {
-        ServiceObject: FakeServiceObject
+        ServiceObject: FakeServiceObject,
+        util: fakeUtil
       }
     });
   });
@@ -48,6 +60,10 @@ describe('Snapshot', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should localize the compute instance', function() {
       assert.strictEqual(snapshot.compute, COMPUTE);
     });
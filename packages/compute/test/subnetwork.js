@@ -30,6 +30,15 @@ function FakeServiceObject() {
 
 nodeutil.inherits(FakeServiceObject, ServiceObject);
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class) {
+    if (Class.name === 'Subnetwork') {
+      promisified = true;
+    }
+  }
+});
+
 describe('Subnetwork', function() {
   var Subnetwork;
   var subnetwork;
@@ -44,7 +53,8 @@ describe('Subnetwork', function() {
   before(function() {
     Subnetwork = proxyquire('../src/subnetwork.js', {
       '@google-cloud/common': {
-        ServiceObject: FakeServiceObject
+        ServiceObject: FakeServiceObject,
+        util: fakeUtil
       }
     });
   });
@@ -54,6 +64,10 @@ describe('Subnetwork', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should localize the name', function() {
       assert.strictEqual(subnetwork.name, SUBNETWORK_NAME);
     });
@@ -30,6 +30,15 @@ function FakeServiceObject() {
 
 nodeutil.inherits(FakeServiceObject, ServiceObject);
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class) {
+    if (Class.name === 'VM') {
+      promisified = true;
+    }
+  }
+});
+
 describe('VM', function() {
   var VM;
   var vm;
@@ -37,7 +46,10 @@ describe('VM', function() {
   var Disk;
   var DISK;
 
-  var COMPUTE = { projectId: 'project-id' };
+  var COMPUTE = {
+    baseUrl: 'https://www.googleapis.com/compute/v1',
+    projectId: 'project-id'
+  };
   var ZONE = {
     compute: COMPUTE,
     name: 'us-central1-a',
@@ -54,7 +66,8 @@ describe('VM', function() {
     Disk = require('../src/disk.js');
     VM = proxyquire('../src/vm.js', {
       '@google-cloud/common': {
-        ServiceObject: FakeServiceObject
+        ServiceObject: FakeServiceObject,
+        util: fakeUtil
       }
     });
   });
@@ -65,6 +78,10 @@ describe('VM', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should localize the zone', function() {
       assert.strictEqual(vm.zone, ZONE);
     });
@@ -89,6 +106,19 @@ describe('VM', function() {
       ].join('/'));
     });
 
+    it('should use the base URL of Compute for the URL', function() {
+      var zone = extend({}, ZONE, {
+        compute: extend({}, COMPUTE, {
+          baseUrl: 'http://localhost:8080/compute/v1'
+        })
+      });
+
+      var vm = new VM(zone, VM_NAME);
+
+      var expectedUrlPrefix = 'http://localhost:8080/compute/v1/projects/';
+      assert.strictEqual(vm.url.indexOf(expectedUrlPrefix), 0);
+    });
+
     it('should inherit from ServiceObject', function(done) {
       var zoneInstance = extend({}, ZONE, {
         createVM: {
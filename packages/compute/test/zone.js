@@ -87,12 +87,38 @@ var fakeStreamRouter = {
   }
 };
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class, options) {
+    if (Class.name !== 'Zone') {
+      return;
+    }
+
+    promisified = true;
+    assert.deepEqual(options.exclude, [
+      'autoscaler',
+      'disk',
+      'getAutoscalers',
+      'getDisks',
+      'getInstanceGroups',
+      'getMachineTypes',
+      'getOperations',
+      'getVMs',
+      'instanceGroup',
+      'machineType',
+      'operation',
+      'vm'
+    ]);
+  }
+});
+
 describe('Zone', function() {
   var Zone;
   var zone;
 
   var COMPUTE = {
     authClient: {},
+    baseUrl: 'https://www.googleapis.com/compute/v1',
     projectId: 'project-id'
   };
   var ZONE_NAME = 'us-central1-a';
@@ -102,7 +128,8 @@ describe('Zone', function() {
       'gce-images': fakeGceImages,
       '@google-cloud/common': {
         ServiceObject: FakeServiceObject,
-        streamRouter: fakeStreamRouter
+        streamRouter: fakeStreamRouter,
+        util: fakeUtil
       },
       './autoscaler.js': FakeAutoscaler,
       './disk.js': FakeDisk,
@@ -120,6 +147,10 @@ describe('Zone', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should extend the correct methods', function() {
       assert(extended); // See `fakeStreamRouter.extend`
     });
@@ -250,7 +281,7 @@ describe('Zone', function() {
 
         zone.request = function(reqOpts) {
           var expectedTarget = [
-            'https://content.googleapis.com/compute/v1/projects/',
+            'https://www.googleapis.com/compute/v1/projects/',
             COMPUTE.projectId,
             '/zones/',
             zone.name,
@@ -135,6 +135,29 @@ function Key(options) {
 
 entity.Key = Key;
 
+/**
+ * Convert a URL-safe cursor token back to the base64-encoded cursor that
+ * Datastore expects.
+ *
+ * @param {string} token - The URL-safe cursor token.
+ * @return {string}
+ *
+ * @example
+ * decodeCursor('CgwSBmZvby1-');
+ * // 'CgwSBmZvby1+'
+ */
+function decodeCursor(token) {
+  var cursor = token.replace(/-/g, '+').replace(/_/g, '/');
+
+  while (cursor.length % 4 !== 0) {
+    cursor += '=';
+  }
+
+  return cursor;
+}
+
+entity.decodeCursor = decodeCursor;
+
 /**
  * Convert a protobuf Value message to its native value.
  *
@@ -202,6 +225,30 @@ function decodeValueProto(valueProto) {
 
 entity.decodeValueProto = decodeValueProto;
 
+/**
+ * Convert a cursor returned from Datastore to a token that can be safely used
+ * in a URL, such as a query string parameter.
+ *
+ * @param {string|buffer} cursor - The base64-encoded cursor, or its raw bytes.
+ * @return {string}
+ *
+ * @example
+ * encodeCursor('CgwSBmZvby1+');
+ * // 'CgwSBmZvby1-'
+ */
+function encodeCursor(cursor) {
+  if (!is.string(cursor)) {
+    cursor = cursor.toString('base64');
+  }
+
+  return cursor
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+entity.encodeCursor = encodeCursor;
+
 /**
  * Convert any native value to a protobuf Value message object.
  *
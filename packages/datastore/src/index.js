@@ -22,6 +22,7 @@
 
 var arrify = require('arrify');
 var common = require('@google-cloud/common');
+var extend = require('extend');
 var is = require('is');
 var modelo = require('modelo');
 
@@ -49,6 +50,31 @@ var Query = require('./query.js');
  */
 var Transaction = require('./transaction.js');
 
+/**
+ * The gRPC status Datastore reports a transaction's contention with.
+ *
+ * @type {number}
+ * @private
+ */
+var GRPC_ABORTED = 10;
+
+/**
+ * How {module:datastore#runInTransaction} waits between attempts. Only
+ * contention errors, which Datastore reports as `ABORTED`, are retried. Other
+ * errors that share their `409`, such as `ALREADY_EXISTS`, are not.
+ *
+ * @type {object}
+ * @private
+ */
+var TRANSACTION_RETRY_OPTIONS = {
+  initialDelay: 100,
+  maxDelay: 10000,
+  jitter: 100,
+  shouldRetryFn: function(err) {
+    return err.grpcCode === GRPC_ABORTED;
+  }
+};
+
 /**
  * @constructor
  * @alias module:datastore
@@ -172,28 +198,20 @@ var Transaction = require('./transaction.js');
  *   var query = datastore.createQuery('Contacts')
  *     .limit(NUM_RESULTS_PER_PAGE);
  *
- *   if (req.query.nextPageCursor) {
- *     query.start(req.query.nextPageCursor);
- *   }
- *
- *   datastore.runQuery(query, function(err, entities, info) {
+ *   query.runPage(req.query.cursor, function(err, page) {
  *     if (err) {
  *       // Error handling omitted.
  *       return;
  *     }
  *
- *     // Respond to the front end with the contacts and the cursoring token
- *     // from the query we just ran.
- *     var frontEndResponse = {
- *       contacts: entities
- *     };
- *
- *     // Check if  more results may exist.
- *     if (info.moreResults !== datastore.NO_MORE_RESULTS) {
- *       frontEndResponse.nextPageCursor = info.endCursor;
- *     }
- *
- *     res.render('contacts', frontEndResponse);
+ *     // Respond to the front end with the contacts and the URL-safe cursors
+ *     // for the pages before and after this one. Either cursor is `null` if
+ *     // there is no such page.
+ *     res.render('contacts', {
+ *       contacts: page.entities,
+ *       nextPageCursor: page.nextCursor,
+ *       prevPageCursor: page.prevCursor
+ *     });
  *   });
  * });
  *
@@ -299,6 +317,34 @@ var Transaction = require('./transaction.js');
  *     });
  *   });
  * });
+ *
+ * //-
+ * // {module:datastore#runInTransaction} takes care of beginning and committing
+ * // the transaction for you, and runs it again if it collides with another.
+ * //-
+ * datastore.runInTransaction(function(transaction, done) {
+ *   var key = datastore.key(['Company', 'Google']);
+ *
+ *   transaction.get(key, function(err, data) {
+ *     if (err) {
+ *       done(err);
+ *       return;
+ *     }
+ *
+ *     data.symbol = 'GOOG';
+ *
+ *     transaction.save({
+ *       key: key,
+ *       data: data
+ *     });
+ *
+ *     done();
+ *   });
+ * }, function(err) {
+ *   if (!err) {
+ *     // Transaction committed successfully.
+ *   }
+ * });
  */
 function Datastore(options) {
   if (!(this instanceof Datastore)) {
@@ -378,6 +424,39 @@ Datastore.prototype.int = Datastore.int = function(value) {
   return new entity.Int(value);
 };
 
+/**
+ * Convert a URL-safe cursor token, created with
+ * {module:datastore#encodeCursor}, back to a cursor that can be used with
+ * {module:datastore/query#start} and {module:datastore/query#end}.
+ *
+ * @param {string} token - The URL-safe cursor token.
+ * @return {string}
+ *
+ * @example
+ * var query = datastore.createQuery('Company')
+ *   .start(datastore.decodeCursor(req.query.cursor));
+ */
+Datastore.prototype.decodeCursor = Datastore.decodeCursor = function(token) {
+  return entity.decodeCursor(token);
+};
+
+/**
+ * Convert the `endCursor` returned from a query to a token that is safe to use
+ * in a URL. Use {module:datastore#decodeCursor} to turn it back into a cursor.
+ *
+ * @param {string|buffer} cursor - The cursor to encode.
+ * @return {string}
+ *
+ * @example
+ * datastore.runQuery(query, function(err, entities, info) {
+ *   var nextPageUrl = '/companies?cursor=' +
+ *     datastore.encodeCursor(info.endCursor);
+ * });
+ */
+Datastore.prototype.encodeCursor = Datastore.encodeCursor = function(cursor) {
+  return entity.encodeCursor(cursor);
+};
+
 /**
  * This is one of three values which may be returned from
  * {module:datastore#runQuery}, {module:transaction#runQuery}, and
@@ -484,6 +563,190 @@ Datastore.prototype.key = function(options) {
   return new entity.Key(options);
 };
 
+/**
+ * Run a function within a transaction, then commit it.
+ *
+ * A new transaction is begun and given to `fn`, which performs its reads and
+ * queues its writes, then calls `done`. If `done` is given an error, or `fn`
+ * throws one, the transaction is rolled back and the error is returned.
+ * Otherwise the transaction is committed.
+ *
+ * When the transaction fails because of contention with another transaction,
+ * the whole function is run again in a new transaction, waiting a little
+ * longer before each attempt. Because of this, `fn` should not have side
+ * effects outside of the transaction.
+ *
+ * @resource [Transactions Reference]{@link https://cloud.google.com/datastore/docs/concepts/transactions}
+ *
+ * @param {function} fn - The function to run within the transaction.
+ * @param {module:datastore/transaction} fn.transaction - The transaction.
+ * @param {function} fn.done - Call when finished, with an error to roll back
+ *     the transaction. If `fn` returns a Promise instead, its outcome is used.
+ * @param {object=} options - Configuration object.
+ * @param {number} options.maxAttempts - The most times to run `fn` before
+ *     giving up on a contended transaction. Default: `5`.
+ * @param {boolean} options.readOnly - Run `fn` in a read-only transaction. It
+ *     only allows reads, but never conflicts with other transactions. Default:
+ *     `false`.
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error returned while beginning or
+ *     committing the transaction, or the error `fn` failed with.
+ * @param {object} callback.apiResponse - The full API response from the
+ *     commit.
+ *
+ * @example
+ * var key = datastore.key(['Account', 'savings']);
+ *
+ * datastore.runInTransaction(function(transaction, done) {
+ *   transaction.get(key, function(err, account) {
+ *     if (err) {
+ *       done(err);
+ *       return;
+ *     }
+ *
+ *     account.balance -= 100;
+ *
+ *     transaction.save({
+ *       key: key,
+ *       data: account
+ *     });
+ *
+ *     done();
+ *   });
+ * }, function(err, apiResponse) {});
+ *
+ * //-
+ * // Read from a consistent snapshot in a read-only transaction.
+ * //-
+ * var options = {
+ *   readOnly: true
+ * };
+ *
+ * datastore.runInTransaction(function(transaction, done) {
+ *   transaction.get(keys, function(err, entities) {
+ *     done(err);
+ *   });
+ * }, options, function(err) {});
+ *
+ * //-
+ * // If the callback is omitted, we'll return a Promise.
+ * //-
+ * datastore.runInTransaction(function(transaction) {
+ *   return transaction.get(key).then(function(data) {
+ *     var account = data[0];
+ *
+ *     account.balance -= 100;
+ *
+ *     transaction.save({
+ *       key: key,
+ *       data: account
+ *     });
+ *   });
+ * }).then(function(data) {
+ *   var apiResponse = data[0];
+ * });
+ */
+Datastore.prototype.runInTransaction = function(fn, options, callback) {
+  var self = this;
+
+  if (is.fn(options)) {
+    callback = options;
+    options = {};
+  }
+
+  if (!callback) {
+    return new Promise(function(resolve, reject) {
+      self.runInTransaction(fn, options, function(err, apiResponse) {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        resolve([apiResponse]);
+      });
+    });
+  }
+
+  options = extend({
+    maxAttempts: 5
+  }, options);
+
+  var retryPolicy = common.util.createRetryPolicy({
+    maxRetries: options.maxAttempts - 1,
+    retryOptions: TRANSACTION_RETRY_OPTIONS
+  });
+
+  var attempt = 0;
+
+  runAttempt();
+
+  function runAttempt() {
+    var transaction = self.transaction();
+    var finished = false;
+
+    attempt++;
+
+    transaction.run({ readOnly: options.readOnly }, function(err) {
+      if (err) {
+        retryOrFail(err);
+        return;
+      }
+
+      var result;
+
+      try {
+        result = fn(transaction, done);
+      } catch (e) {
+        done(e);
+        return;
+      }
+
+      if (result && is.fn(result.then)) {
+        result.then(function() {
+          done();
+        }, function(err) {
+          done(err || new Error('The transaction function was rejected.'));
+        });
+      }
+    });
+
+    function done(err) {
+      if (finished) {
+        return;
+      }
+
+      finished = true;
+
+      if (err) {
+        transaction.rollback(function() {
+          // A failed rollback is not reported, the original error is.
+          retryOrFail(err);
+        });
+        return;
+      }
+
+      // A failed commit is rolled back by the transaction itself.
+      transaction.commit(function(err, apiResponse) {
+        if (err) {
+          retryOrFail(err);
+          return;
+        }
+
+        callback(null, apiResponse);
+      });
+    }
+  }
+
+  function retryOrFail(err) {
+    if (attempt <= retryPolicy.retries && retryPolicy.shouldRetryFn(err)) {
+      setTimeout(runAttempt, retryPolicy.getRetryDelay(attempt));
+      return;
+    }
+
+    callback(err);
+  }
+};
+
 /**
  * Create a new Transaction object.
  *
@@ -521,6 +784,25 @@ Datastore.prototype.determineBaseUrl_ = function(customApiEndpoint) {
     .replace(trailingSlashes, '');
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Datastore, {
+  exclude: [
+    'createQuery',
+    'decodeCursor',
+    'double',
+    'encodeCursor',
+    'geoPoint',
+    'int',
+    'key',
+    'runInTransaction',
+    'transaction'
+  ]
+});
+
 Datastore.DatastoreRequest = DatastoreRequest;
 Datastore.Query = Query;
 Datastore.Transaction = Transaction;
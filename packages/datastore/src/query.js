@@ -21,6 +21,42 @@
 'use strict';
 
 var arrify = require('arrify');
+var common = require('@google-cloud/common');
+var extend = require('extend');
+var is = require('is');
+
+/**
+ * @type {module:datastore/entity}
+ * @private
+ */
+var entity = require('./entity.js');
+
+/**
+ * A cursor returned from {module:datastore/query#runPage} is the list of
+ * positions each page started from, joined by this separator. It is not used
+ * by URL-safe base64.
+ *
+ * @type {string}
+ * @private
+ */
+var PAGE_CURSOR_SEPARATOR = '.';
+
+/**
+ * The position of the first page, which starts wherever the query itself does.
+ *
+ * @type {string}
+ * @private
+ */
+var FIRST_PAGE_POSITION = '~';
+
+/**
+ * How many page positions a cursor returned from
+ * {module:datastore/query#runPage} keeps, which bounds its length.
+ *
+ * @type {number}
+ * @private
+ */
+var MAX_PAGE_CURSOR_POSITIONS = 10;
 
 /*! Developer Documentation
  *
@@ -334,4 +370,128 @@ Query.prototype.run = function() {
   return this.scope.runQuery.apply(this.scope, args);
 };
 
+/**
+ * Run the query and get a single page of results, along with cursors to the
+ * pages before and after it.
+ *
+ * Set the size of a page with {module:datastore/query#limit}. An
+ * {module:datastore/query#offset} only skips results before the first page.
+ * The cursors are URL-safe, so they can be handed to a front end as-is and
+ * given back to this method to fetch the next or previous page. A cursor
+ * remembers where the last 10 pages started, which is what allows paging
+ * backwards: up to 9 pages back from any page. This keeps cursors to a few
+ * kilobytes at most.
+ *
+ * @param {string=} cursor - A `nextCursor` or `prevCursor` from a previous
+ *     page. If omitted, the first page is returned.
+ * @param {object=} options - Optional configuration. See
+ *     {module:datastore/query#run}.
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request
+ * @param {object} callback.page - The page of results.
+ * @param {object[]} callback.page.entities - A list of entities.
+ * @param {?string} callback.page.nextCursor - A cursor to the next page, or
+ *     `null` if there are no more results.
+ * @param {?string} callback.page.prevCursor - A cursor to the previous page,
+ *     or `null` if this is the first page or the earliest page the cursor
+ *     remembers.
+ * @param {string} callback.page.moreResults - The `moreResults` value
+ *     Datastore responded with. See {module:datastore/query#run}.
+ *
+ * @example
+ * var query = datastore.createQuery('Company').limit(10);
+ *
+ * query.runPage(function(err, page) {
+ *   // page.entities = The first 10 entities.
+ *
+ *   query.runPage(page.nextCursor, function(err, page) {
+ *     // page.entities = The next 10 entities.
+ *
+ *     query.runPage(page.prevCursor, function(err, page) {
+ *       // page.entities = The first 10 entities again.
+ *     });
+ *   });
+ * });
+ *
+ * //-
+ * // If the callback is omitted, we'll return a Promise.
+ * //-
+ * query.runPage(req.query.cursor).then(function(data) {
+ *   var page = data[0];
+ * });
+ */
+Query.prototype.runPage = function(cursor, options, callback) {
+  if (is.fn(cursor)) {
+    callback = cursor;
+    options = {};
+    cursor = null;
+  } else if (is.fn(options)) {
+    callback = options;
+    options = {};
+  }
+
+  var positions = cursor ?
+    cursor.split(PAGE_CURSOR_SEPARATOR) : [FIRST_PAGE_POSITION];
+  var startPosition = positions[positions.length - 1];
+
+  var query = extend(true, new Query(), this);
+
+  if (startPosition !== FIRST_PAGE_POSITION) {
+    query.start(entity.decodeCursor(startPosition));
+
+    // The cursor is past the offset already, which only applies to the first
+    // page.
+    query.offsetVal = -1;
+  }
+
+  this.scope.runQuery(query, options, function(err, entities, info) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    var page = {
+      entities: entities,
+      nextCursor: null,
+      prevCursor: null,
+      moreResults: info.moreResults
+    };
+
+    if (info.endCursor && info.moreResults === 'MORE_RESULTS_AFTER_LIMIT') {
+      page.nextCursor = positions
+        .concat(entity.encodeCursor(info.endCursor))
+        .slice(-MAX_PAGE_CURSOR_POSITIONS)
+        .join(PAGE_CURSOR_SEPARATOR);
+    }
+
+    if (positions.length > 1) {
+      page.prevCursor = positions
+        .slice(0, -1)
+        .join(PAGE_CURSOR_SEPARATOR);
+    }
+
+    callback(null, page);
+  });
+};
+
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Query, {
+  exclude: [
+    'end',
+    'filter',
+    'groupBy',
+    'hasAncestor',
+    'limit',
+    'offset',
+    'order',
+    'run',
+    'select',
+    'start'
+  ]
+});
+
 module.exports = Query;
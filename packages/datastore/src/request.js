@@ -942,4 +942,13 @@ DatastoreRequest.prototype.request_ = function(protoOpts, reqOpts, callback) {
   this.request(protoOpts, reqOpts, callback);
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(DatastoreRequest, {
+  exclude: ['get', 'runQuery']
+});
+
 module.exports = DatastoreRequest;
@@ -23,6 +23,7 @@
 var arrify = require('arrify');
 var common = require('@google-cloud/common');
 var flatten = require('lodash.flatten');
+var is = require('is');
 var prop = require('propprop');
 var util = require('util');
 
@@ -322,6 +323,10 @@ Transaction.prototype.rollback = function(callback) {
  * Begin a remote transaction. In the callback provided, run your transactional
  * commands.
  *
+ * @param {object=} options - Configuration object.
+ * @param {boolean} options.readOnly - Begin a read-only transaction. It only
+ *     allows reads, but never conflicts with other transactions. Default:
+ *     `false`.
  * @param {function} callback - The function to execute within the context of
  *     a transaction.
  * @param {?error} callback.err - An error returned while making this request.
@@ -349,10 +354,25 @@ Transaction.prototype.rollback = function(callback) {
  *     });
  *   });
  * });
+ *
+ * //-
+ * // Read several entities from a consistent snapshot, without locking them.
+ * //-
+ * transaction.run({ readOnly: true }, function(err, transaction) {
+ *   transaction.get(keys, function(err, entities) {
+ *     transaction.commit(function(err) {});
+ *   });
+ * });
  */
-Transaction.prototype.run = function(callback) {
+Transaction.prototype.run = function(options, callback) {
   var self = this;
 
+  if (is.fn(options)) {
+    callback = options;
+    options = {};
+  }
+
+  options = options || {};
   callback = callback || common.util.noop;
 
   var protoOpts = {
@@ -360,7 +380,15 @@ Transaction.prototype.run = function(callback) {
     method: 'beginTransaction'
   };
 
-  this.request_(protoOpts, function(err, resp) {
+  var reqOpts = {};
+
+  if (options.readOnly) {
+    reqOpts.transactionOptions = {
+      readOnly: {}
+    };
+  }
+
+  this.request_(protoOpts, reqOpts, function(err, resp) {
     if (err) {
       callback(err, null, resp);
       return;
@@ -497,4 +525,13 @@ Transaction.prototype.save = function(entities) {
   });
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Transaction, {
+  exclude: ['createQuery', 'delete', 'save']
+});
+
 module.exports = Transaction;
@@ -640,6 +640,39 @@ describe('Datastore', function() {
       });
     });
 
+    it('should page forwards and backwards', function(done) {
+      var q = datastore.createQuery('Character')
+        .hasAncestor(ancestor)
+        .limit(3)
+        .order('appearances');
+
+      q.runPage(function(err, firstPage) {
+        assert.ifError(err);
+        assert.strictEqual(firstPage.entities.length, 3);
+        assert.strictEqual(firstPage.entities[2].data.name, 'Robb');
+        assert.strictEqual(firstPage.prevCursor, null);
+
+        q.runPage(firstPage.nextCursor, function(err, secondPage) {
+          assert.ifError(err);
+          assert.strictEqual(secondPage.entities.length, 3);
+          assert.strictEqual(secondPage.entities[0].data.name, 'Bran');
+
+          q.runPage(secondPage.nextCursor, function(err, thirdPage) {
+            assert.ifError(err);
+            assert.strictEqual(thirdPage.entities.length, 2);
+            assert.strictEqual(thirdPage.entities[1].data.name, 'Arya');
+
+            q.runPage(thirdPage.prevCursor, function(err, page) {
+              assert.ifError(err);
+              assert.strictEqual(page.entities[0].data.name, 'Bran');
+              assert.strictEqual(page.prevCursor, secondPage.prevCursor);
+              done();
+            });
+          });
+        });
+      });
+    });
+
     it('should group queries', function(done) {
       var q = datastore.createQuery('Character')
         .hasAncestor(ancestor)
@@ -689,6 +722,41 @@ describe('Datastore', function() {
       });
     });
 
+    it('should run a function in a transaction', function(done) {
+      var key = datastore.key(['Company', 'Google']);
+      var obj = {
+        url: 'www.google.com'
+      };
+
+      datastore.runInTransaction(function(transaction, done) {
+        transaction.get(key, function(err) {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          transaction.save({ key: key, data: obj });
+          done();
+        });
+      }, function(err) {
+        assert.ifError(err);
+
+        datastore.get(key, function(err, entity) {
+          assert.ifError(err);
+          assert.deepEqual(entity.data, obj);
+          done();
+        });
+      });
+    });
+
+    it('should read in a read-only transaction', function(done) {
+      var key = datastore.key(['Company', 'Google']);
+
+      datastore.runInTransaction(function(transaction, done) {
+        transaction.get(key, done);
+      }, { readOnly: true }, done);
+    });
+
     it('should commit all saves and deletes at the end', function(done) {
       var deleteKey = datastore.key(['Company', 'Subway']);
       var key = datastore.key(['Company', 'Google']);
@@ -113,6 +113,25 @@ describe('entity', function() {
     });
   });
 
+  describe('decodeCursor', function() {
+    it('should convert URL-safe characters back to base64', function() {
+      assert.strictEqual(entity.decodeCursor('ab-_cd=='), 'ab+/cd==');
+    });
+
+    it('should restore the padding', function() {
+      assert.strictEqual(entity.decodeCursor('YQ'), 'YQ==');
+      assert.strictEqual(entity.decodeCursor('YWI'), 'YWI=');
+      assert.strictEqual(entity.decodeCursor('YWJj'), 'YWJj');
+    });
+
+    it('should reverse encodeCursor', function() {
+      var cursor = new Buffer([251, 255, 191, 0, 1]).toString('base64');
+      var token = entity.encodeCursor(cursor);
+
+      assert.strictEqual(entity.decodeCursor(token), cursor);
+    });
+  });
+
   describe('decodeValueProto', function() {
     it('should decode arrays', function() {
       var expectedValue = [{}];
@@ -243,6 +262,21 @@ describe('entity', function() {
     });
   });
 
+  describe('encodeCursor', function() {
+    it('should replace characters that are not URL-safe', function() {
+      assert.strictEqual(entity.encodeCursor('ab+/cd'), 'ab-_cd');
+    });
+
+    it('should remove the padding', function() {
+      assert.strictEqual(entity.encodeCursor('YQ=='), 'YQ');
+    });
+
+    it('should encode a buffer', function() {
+      var buffer = new Buffer([251, 255, 191]);
+      assert.strictEqual(entity.encodeCursor(buffer), '-_-_');
+    });
+  });
+
   describe('encodeValue', function() {
     it('should encode a boolean', function() {
       var value = true;
@@ -33,10 +33,37 @@ var fakeEntity = {
   },
   Key: function() {
     this.calledWith_ = arguments;
-  }
+  },
+  decodeCursor: function() {},
+  encodeCursor: function() {}
 };
 
-var fakeUtil = extend({}, util);
+// test/request.js overrides the shared util methods, once it's loaded.
+var promisifyAll = util.promisifyAll;
+
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class, options) {
+    if (Class.name !== 'Datastore') {
+      return;
+    }
+
+    promisified = true;
+    assert.deepEqual(options.exclude, [
+      'createQuery',
+      'decodeCursor',
+      'double',
+      'encodeCursor',
+      'geoPoint',
+      'int',
+      'key',
+      'runInTransaction',
+      'transaction'
+    ]);
+
+    promisifyAll(Class, options);
+  }
+});
 
 function FakeGrpcService() {
   this.calledWith_ = arguments;
@@ -86,6 +113,10 @@ describe('Datastore', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should normalize the arguments', function() {
       var normalizeArguments = fakeUtil.normalizeArguments;
       var normalizeArgumentsCalled = false;
@@ -198,6 +229,42 @@ describe('Datastore', function() {
     });
   });
 
+  describe('decodeCursor', function() {
+    it('should decode the token with entity.decodeCursor', function() {
+      var token = 'token';
+      var cursor = 'cursor';
+
+      fakeEntity.decodeCursor = function(token_) {
+        assert.strictEqual(token_, token);
+        return cursor;
+      };
+
+      assert.strictEqual(Datastore.decodeCursor(token), cursor);
+    });
+
+    it('should also be on the prototype', function() {
+      assert.strictEqual(datastore.decodeCursor, Datastore.decodeCursor);
+    });
+  });
+
+  describe('encodeCursor', function() {
+    it('should encode the cursor with entity.encodeCursor', function() {
+      var cursor = 'cursor';
+      var token = 'token';
+
+      fakeEntity.encodeCursor = function(cursor_) {
+        assert.strictEqual(cursor_, cursor);
+        return token;
+      };
+
+      assert.strictEqual(Datastore.encodeCursor(cursor), token);
+    });
+
+    it('should also be on the prototype', function() {
+      assert.strictEqual(datastore.encodeCursor, Datastore.encodeCursor);
+    });
+  });
+
   describe('MORE_RESULTS_AFTER_CURSOR', function() {
     it('should expose a MORE_RESULTS_AFTER_CURSOR helper', function() {
       assert.strictEqual(
@@ -280,6 +347,397 @@ describe('Datastore', function() {
     });
   });
 
+  describe('runInTransaction', function() {
+    var createRetryPolicy = fakeUtil.createRetryPolicy;
+
+    var transaction;
+    var contentionError;
+
+    beforeEach(function() {
+      contentionError = new Error('Contention.');
+      contentionError.code = 409;
+      contentionError.grpcCode = 10;
+
+      transaction = {
+        run: function(options, callback) {
+          callback(null, transaction);
+        },
+        commit: function(callback) {
+          callback(null, {});
+        },
+        rollback: function(callback) {
+          callback();
+        }
+      };
+
+      datastore.transaction = function() {
+        return transaction;
+      };
+
+      fakeUtil.createRetryPolicy = function(config) {
+        var retryPolicy = createRetryPolicy(config);
+        retryPolicy.getRetryDelay = function() {
+          return 0;
+        };
+        return retryPolicy;
+      };
+    });
+
+    afterEach(function() {
+      fakeUtil.createRetryPolicy = createRetryPolicy;
+    });
+
+    it('should create a retry policy from maxAttempts', function(done) {
+      fakeUtil.createRetryPolicy = function(config) {
+        assert.strictEqual(config.maxRetries, 2);
+        assert.strictEqual(config.retryOptions.shouldRetryFn(contentionError),
+          true);
+        assert.strictEqual(config.retryOptions.shouldRetryFn(new Error()),
+          false);
+        assert.strictEqual(config.retryOptions.shouldRetryFn({
+          code: 409,
+          grpcCode: 6
+        }), false);
+        done();
+        return createRetryPolicy(config);
+      };
+
+      datastore.runInTransaction(function() {}, { maxAttempts: 3 });
+    });
+
+    it('should return a Promise without a callback', function() {
+      var apiResponse = {};
+
+      transaction.commit = function(callback) {
+        callback(null, apiResponse);
+      };
+
+      return datastore.runInTransaction(function(transaction, done) {
+        done();
+      }).then(function(data) {
+        assert.strictEqual(data[0], apiResponse);
+      });
+    });
+
+    it('should reject the Promise with an error', function() {
+      var error = new Error('Error.');
+
+      return datastore.runInTransaction(function() {
+        return Promise.reject(error);
+      }, {}).then(function() {
+        throw new Error('Should have been rejected.');
+      }, function(err) {
+        assert.strictEqual(err, error);
+      });
+    });
+
+    it('should default to 5 attempts', function(done) {
+      fakeUtil.createRetryPolicy = function(config) {
+        assert.strictEqual(config.maxRetries, 4);
+        done();
+        return createRetryPolicy(config);
+      };
+
+      datastore.runInTransaction(function() {});
+    });
+
+    it('should begin a read-write transaction by default', function(done) {
+      transaction.run = function(options) {
+        assert.deepEqual(options, { readOnly: undefined });
+        done();
+      };
+
+      datastore.runInTransaction(function() {}, assert.ifError);
+    });
+
+    it('should begin a read-only transaction', function(done) {
+      transaction.run = function(options) {
+        assert.deepEqual(options, { readOnly: true });
+        done();
+      };
+
+      datastore.runInTransaction(function() {}, {
+        readOnly: true
+      }, assert.ifError);
+    });
+
+    it('should return an error from beginning the transaction', function(done) {
+      var error = new Error('Error.');
+
+      transaction.run = function(options, callback) {
+        callback(error);
+      };
+
+      datastore.runInTransaction(function() {
+        throw new Error('Should not have been called.');
+      }, function(err) {
+        assert.strictEqual(err, error);
+        done();
+      });
+    });
+
+    it('should commit and return the API response', function(done) {
+      var apiResponse = {};
+
+      transaction.commit = function(callback) {
+        callback(null, apiResponse);
+      };
+
+      datastore.runInTransaction(function(transaction_, done) {
+        assert.strictEqual(transaction_, transaction);
+        done();
+      }, function(err, apiResponse_) {
+        assert.ifError(err);
+        assert.strictEqual(apiResponse_, apiResponse);
+        done();
+      });
+    });
+
+    it('should roll back when done is given an error', function(done) {
+      var error = new Error('Error.');
+      var rolledBack = false;
+
+      transaction.commit = function() {
+        throw new Error('Should not have committed.');
+      };
+
+      transaction.rollback = function(callback) {
+        rolledBack = true;
+        callback(new Error('Rollback error.'));
+      };
+
+      datastore.runInTransaction(function(transaction, done) {
+        done(error);
+      }, function(err) {
+        assert.strictEqual(err, error);
+        assert.strictEqual(rolledBack, true);
+        done();
+      });
+    });
+
+    it('should roll back when the function throws', function(done) {
+      var error = new Error('Error.');
+      var rolledBack = false;
+
+      transaction.rollback = function(callback) {
+        rolledBack = true;
+        callback();
+      };
+
+      datastore.runInTransaction(function() {
+        throw error;
+      }, function(err) {
+        assert.strictEqual(err, error);
+        assert.strictEqual(rolledBack, true);
+        done();
+      });
+    });
+
+    it('should only finish the transaction once', function(done) {
+      var numCommits = 0;
+
+      transaction.commit = function(callback) {
+        numCommits++;
+        callback(null, {});
+      };
+
+      datastore.runInTransaction(function(transaction, done) {
+        done();
+        done();
+      }, function(err) {
+        assert.ifError(err);
+        assert.strictEqual(numCommits, 1);
+        done();
+      });
+    });
+
+    describe('promises', function() {
+      it('should commit when the promise resolves', function(done) {
+        var committed = false;
+
+        transaction.commit = function(callback) {
+          committed = true;
+          callback(null, {});
+        };
+
+        datastore.runInTransaction(function() {
+          return Promise.resolve();
+        }, function(err) {
+          assert.ifError(err);
+          assert.strictEqual(committed, true);
+          done();
+        });
+      });
+
+      it('should roll back when the promise rejects', function(done) {
+        var error = new Error('Error.');
+        var rolledBack = false;
+
+        transaction.rollback = function(callback) {
+          rolledBack = true;
+          callback();
+        };
+
+        datastore.runInTransaction(function() {
+          return Promise.reject(error);
+        }, function(err) {
+          assert.strictEqual(err, error);
+          assert.strictEqual(rolledBack, true);
+          done();
+        });
+      });
+    });
+
+    describe('contention', function() {
+      it('should run the function again after a commit fails', function(done) {
+        var numCalls = 0;
+
+        transaction.commit = function(callback) {
+          if (numCalls < 3) {
+            callback(contentionError);
+            return;
+          }
+
+          callback(null, {});
+        };
+
+        datastore.runInTransaction(function(transaction, done) {
+          numCalls++;
+          done();
+        }, function(err) {
+          assert.ifError(err);
+          assert.strictEqual(numCalls, 3);
+          done();
+        });
+      });
+
+      it('should use a new transaction for each attempt', function(done) {
+        var transactions = [];
+
+        datastore.transaction = function() {
+          var transaction_ = extend({}, transaction);
+          transactions.push(transaction_);
+          return transaction_;
+        };
+
+        transaction.commit = function(callback) {
+          if (transactions.length === 1) {
+            callback(contentionError);
+            return;
+          }
+
+          callback(null, {});
+        };
+
+        var seen = [];
+
+        datastore.runInTransaction(function(transaction, done) {
+          seen.push(transaction);
+          done();
+        }, function(err) {
+          assert.ifError(err);
+          assert.strictEqual(seen.length, 2);
+          assert.strictEqual(seen[0], transactions[0]);
+          assert.strictEqual(seen[1], transactions[1]);
+          done();
+        });
+      });
+
+      it('should retry contention reported by the function', function(done) {
+        var numCalls = 0;
+
+        datastore.runInTransaction(function(transaction, done) {
+          numCalls++;
+          done(numCalls === 1 ? contentionError : null);
+        }, function(err) {
+          assert.ifError(err);
+          assert.strictEqual(numCalls, 2);
+          done();
+        });
+      });
+
+      it('should give up after maxAttempts', function(done) {
+        var numCalls = 0;
+
+        transaction.commit = function(callback) {
+          callback(contentionError);
+        };
+
+        datastore.runInTransaction(function(transaction, done) {
+          numCalls++;
+          done();
+        }, { maxAttempts: 2 }, function(err) {
+          assert.strictEqual(err, contentionError);
+          assert.strictEqual(numCalls, 2);
+          done();
+        });
+      });
+
+      it('should not retry other errors', function(done) {
+        var error = new Error('Error.');
+        var numCalls = 0;
+
+        transaction.commit = function(callback) {
+          callback(error);
+        };
+
+        datastore.runInTransaction(function(transaction, done) {
+          numCalls++;
+          done();
+        }, function(err) {
+          assert.strictEqual(err, error);
+          assert.strictEqual(numCalls, 1);
+          done();
+        });
+      });
+
+      it('should not retry an ALREADY_EXISTS error', function(done) {
+        var error = new Error('Entity already exists.');
+        error.code = 409;
+        error.grpcCode = 6;
+
+        var numCalls = 0;
+
+        transaction.commit = function(callback) {
+          callback(error);
+        };
+
+        datastore.runInTransaction(function(transaction, done) {
+          numCalls++;
+          done();
+        }, function(err) {
+          assert.strictEqual(err, error);
+          assert.strictEqual(numCalls, 1);
+          done();
+        });
+      });
+
+      it('should wait between attempts', function(done) {
+        var delays = [];
+
+        fakeUtil.createRetryPolicy = function(config) {
+          var retryPolicy = createRetryPolicy(config);
+          retryPolicy.getRetryDelay = function(attempt) {
+            delays.push(attempt);
+            return 0;
+          };
+          return retryPolicy;
+        };
+
+        transaction.commit = function(callback) {
+          callback(contentionError);
+        };
+
+        datastore.runInTransaction(function(transaction, done) {
+          done();
+        }, { maxAttempts: 3 }, function() {
+          assert.deepEqual(delays, [1, 2]);
+          done();
+        });
+      });
+    });
+  });
+
   describe('transaction', function() {
     it('should return a Transaction object', function() {
       var transaction = datastore.transaction();
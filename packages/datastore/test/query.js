@@ -17,21 +17,61 @@
 'use strict';
 
 var assert = require('assert');
-
-var Query = require('../src/query.js');
+var extend = require('extend');
+var proxyquire = require('proxyquire');
+var util = require('@google-cloud/common').util;
+
+var entity = require('../src/entity.js');
+
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class, options) {
+    if (Class.name !== 'Query') {
+      return;
+    }
+
+    promisified = true;
+    assert.deepEqual(options.exclude, [
+      'end',
+      'filter',
+      'groupBy',
+      'hasAncestor',
+      'limit',
+      'offset',
+      'order',
+      'run',
+      'select',
+      'start'
+    ]);
+  }
+});
 
 describe('Query', function() {
   var SCOPE = {};
   var NAMESPACE = 'Namespace';
   var KINDS = 'Kind';
 
+  var Query;
   var query;
 
+  before(function() {
+    Query = proxyquire('../src/query.js', {
+      '@google-cloud/common': {
+        util: fakeUtil
+      },
+      './entity.js': entity
+    });
+  });
+
   beforeEach(function() {
     query = new Query(SCOPE, NAMESPACE, KINDS);
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should localize the scope', function() {
       assert.strictEqual(query.scope, SCOPE);
     });
@@ -305,4 +345,199 @@ describe('Query', function() {
       assert.strictEqual(results, runQueryReturnValue);
     });
   });
+
+  describe('runPage', function() {
+    var ENTITIES = [{}];
+
+    beforeEach(function() {
+      query = new Query(SCOPE, NAMESPACE, KINDS).limit(1);
+    });
+
+    it('should run a copy of the query', function(done) {
+      var options = {};
+
+      query.scope.runQuery = function(query_, options_) {
+        assert.notStrictEqual(query_, query);
+        assert.deepEqual(query_.kinds, KINDS);
+        assert.strictEqual(query_.limitVal, 1);
+        assert.strictEqual(query_.startVal, null);
+        assert.strictEqual(options_, options);
+        done();
+      };
+
+      query.runPage(null, options, assert.ifError);
+    });
+
+    it('should not require a cursor or options', function(done) {
+      query.scope.runQuery = function(query_, options, callback) {
+        assert.deepEqual(options, {});
+        callback(null, ENTITIES, {
+          moreResults: 'NO_MORE_RESULTS'
+        });
+      };
+
+      query.runPage(function(err, page) {
+        assert.ifError(err);
+        assert.strictEqual(page.entities, ENTITIES);
+        done();
+      });
+    });
+
+    it('should start the query from the cursor', function(done) {
+      query.scope.runQuery = function(query_) {
+        assert.strictEqual(query_.startVal, 'ab+/cd==');
+        assert.strictEqual(query.startVal, null);
+        done();
+      };
+
+      query.runPage('~.ab-_cd', assert.ifError);
+    });
+
+    it('should apply the offset to the first page', function(done) {
+      query.offset(5);
+
+      query.scope.runQuery = function(query_) {
+        assert.strictEqual(query_.offsetVal, 5);
+        done();
+      };
+
+      query.runPage(assert.ifError);
+    });
+
+    it('should not apply the offset after a cursor', function(done) {
+      query.offset(5);
+
+      query.scope.runQuery = function(query_) {
+        assert.strictEqual(query_.startVal, 'ab+/cd==');
+        assert.strictEqual(query_.offsetVal, -1);
+        assert.strictEqual(query.offsetVal, 5);
+        done();
+      };
+
+      query.runPage('~.ab-_cd', assert.ifError);
+    });
+
+    it('should apply the offset back on the first page', function(done) {
+      query.offset(5);
+
+      query.scope.runQuery = function(query_) {
+        assert.strictEqual(query_.startVal, null);
+        assert.strictEqual(query_.offsetVal, 5);
+        done();
+      };
+
+      query.runPage('~', assert.ifError);
+    });
+
+    it('should execute callback with error', function(done) {
+      var error = new Error('Error.');
+
+      query.scope.runQuery = function(query_, options, callback) {
+        callback(error);
+      };
+
+      query.runPage(function(err) {
+        assert.strictEqual(err, error);
+        done();
+      });
+    });
+
+    it('should return the first page', function(done) {
+      query.scope.runQuery = function(query_, options, callback) {
+        callback(null, ENTITIES, {
+          endCursor: 'ab+/cd==',
+          moreResults: 'MORE_RESULTS_AFTER_LIMIT'
+        });
+      };
+
+      query.runPage(function(err, page) {
+        assert.ifError(err);
+        assert.deepEqual(page, {
+          entities: ENTITIES,
+          nextCursor: '~.ab-_cd',
+          prevCursor: null,
+          moreResults: 'MORE_RESULTS_AFTER_LIMIT'
+        });
+        done();
+      });
+    });
+
+    it('should return a cursor to the previous page', function(done) {
+      query.scope.runQuery = function(query_, options, callback) {
+        assert.strictEqual(query_.startVal, 'Yw==');
+        callback(null, ENTITIES, {
+          endCursor: 'ZA==',
+          moreResults: 'MORE_RESULTS_AFTER_LIMIT'
+        });
+      };
+
+      query.runPage('~.YQ.Yg.Yw', function(err, page) {
+        assert.ifError(err);
+        assert.strictEqual(page.nextCursor, '~.YQ.Yg.Yw.ZA');
+        assert.strictEqual(page.prevCursor, '~.YQ.Yg');
+        done();
+      });
+    });
+
+    it('should only remember the last 10 pages', function(done) {
+      var positions = [
+        '~', 'YQ', 'Yg', 'Yw', 'ZA', 'ZQ', 'Zg', 'Zw', 'aA', 'aQ'
+      ];
+
+      query.scope.runQuery = function(query_, options, callback) {
+        callback(null, ENTITIES, {
+          endCursor: 'ag==',
+          moreResults: 'MORE_RESULTS_AFTER_LIMIT'
+        });
+      };
+
+      query.runPage(positions.join('.'), function(err, page) {
+        assert.ifError(err);
+        assert.strictEqual(
+          page.nextCursor,
+          positions.slice(1).concat('ag').join('.')
+        );
+
+        query.runPage(page.nextCursor, function(err, page) {
+          assert.ifError(err);
+          assert.strictEqual(page.nextCursor.split('.').length, 10);
+          assert.strictEqual(page.prevCursor.split('.').length, 9);
+          done();
+        });
+      });
+    });
+
+    it('should use the query start for the first page', function(done) {
+      query.start('start');
+
+      query.scope.runQuery = function(query_, options, callback) {
+        assert.strictEqual(query_.startVal, 'start');
+        callback(null, ENTITIES, {
+          moreResults: 'MORE_RESULTS_AFTER_LIMIT'
+        });
+      };
+
+      query.runPage('~', function(err, page) {
+        assert.ifError(err);
+        assert.strictEqual(page.prevCursor, null);
+        done();
+      });
+    });
+
+    it('should not return a next cursor without more results', function(done) {
+      query.scope.runQuery = function(query_, options, callback) {
+        callback(null, ENTITIES, {
+          endCursor: 'ZA==',
+          moreResults: 'NO_MORE_RESULTS'
+        });
+      };
+
+      query.runPage('~.YQ', function(err, page) {
+        assert.ifError(err);
+        assert.strictEqual(page.nextCursor, null);
+        assert.strictEqual(page.prevCursor, '~');
+        done();
+      });
+    });
+  });
 });
@@ -60,6 +60,16 @@ function resetOverrides() {
 override('entity', entity);
 override('util', util);
 
+var promisified = false;
+overrides.util.promisifyAll = function(Class, options) {
+  if (Class.name !== 'DatastoreRequest') {
+    return;
+  }
+
+  promisified = true;
+  assert.deepEqual(options.exclude, ['get', 'runQuery']);
+};
+
 function FakeQuery() {
   this.calledWith_ = arguments;
 }
@@ -94,6 +104,12 @@ describe('Request', function() {
     request = new Request();
   });
 
+  describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+  });
+
   describe('allocateIds', function() {
     var incompleteKey;
     var apiResponse = {
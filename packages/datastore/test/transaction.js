@@ -19,6 +19,7 @@
 var arrify = require('arrify');
 var assert = require('assert');
 var entity = require('../src/entity.js');
+var extend = require('extend');
 var proxyquire = require('proxyquire');
 var util = require('@google-cloud/common').util;
 
@@ -45,6 +46,18 @@ var FakeDatastoreRequest = {
   }
 };
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class, options) {
+    if (Class.name !== 'Transaction') {
+      return;
+    }
+
+    promisified = true;
+    assert.deepEqual(options.exclude, ['createQuery', 'delete', 'save']);
+  }
+});
+
 describe('Transaction', function() {
   var Transaction;
   var transaction;
@@ -62,6 +75,9 @@ describe('Transaction', function() {
 
   before(function() {
     Transaction = proxyquire('../src/transaction.js', {
+      '@google-cloud/common': {
+        util: fakeUtil
+      },
       './request.js': FakeDatastoreRequest
     });
   });
@@ -71,6 +87,10 @@ describe('Transaction', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should localize the datastore instance', function() {
       assert.strictEqual(transaction.datastore, DATASTORE);
     });
@@ -401,12 +421,34 @@ describe('Transaction', function() {
       transaction.run(assert.ifError);
     });
 
+    it('should begin a read-write transaction by default', function(done) {
+      transaction.request_ = function(protoOpts, reqOpts) {
+        assert.deepEqual(reqOpts, {});
+        done();
+      };
+
+      transaction.run(assert.ifError);
+    });
+
+    it('should begin a read-only transaction', function(done) {
+      transaction.request_ = function(protoOpts, reqOpts) {
+        assert.deepEqual(reqOpts, {
+          transactionOptions: {
+            readOnly: {}
+          }
+        });
+        done();
+      };
+
+      transaction.run({ readOnly: true }, assert.ifError);
+    });
+
     describe('error', function() {
       var error = new Error('Error.');
       var apiResponse = {};
 
       beforeEach(function() {
-        transaction.request_ = function(protoOpts, callback) {
+        transaction.request_ = function(protoOpts, reqOpts, callback) {
           callback(error, apiResponse);
         };
       });
@@ -427,7 +469,7 @@ describe('Transaction', function() {
       };
 
       beforeEach(function() {
-        transaction.request_ = function(protoOpts, callback) {
+        transaction.request_ = function(protoOpts, reqOpts, callback) {
           callback(null, apiResponse);
         };
       });
@@ -139,4 +139,11 @@ Change.prototype.create = function(config, callback) {
   });
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Change);
+
 module.exports = Change;
@@ -228,6 +228,15 @@ DNS.prototype.zone = function(name) {
  */
 common.streamRouter.extend(DNS, 'getZones');
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(DNS, {
+  exclude: ['getZones', 'zone']
+});
+
 DNS.Zone = Zone;
 
 module.exports = DNS;
@@ -21,6 +21,7 @@
 'use strict';
 
 var arrify = require('arrify');
+var common = require('@google-cloud/common');
 var extend = require('extend');
 var format = require('string-format-obj');
 
@@ -156,4 +157,13 @@ Record.prototype.toString = function() {
   }).join('\n');
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Record, {
+  exclude: ['toJSON', 'toString']
+});
+
 module.exports = Record;
@@ -864,4 +864,13 @@ Zone.prototype.deleteRecordsByType_ = function(recordTypes, callback) {
  */
 common.streamRouter.extend(Zone, ['getChanges', 'getRecords']);
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Zone, {
+  exclude: ['change', 'getChanges', 'getRecords', 'record']
+});
+
 module.exports = Zone;
@@ -45,7 +45,16 @@ function FakeService() {
 
 nodeutil.inherits(FakeService, Service);
 
+var promisified = false;
 var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class, options) {
+    if (Class.name !== 'DNS') {
+      return;
+    }
+
+    promisified = true;
+    assert.deepEqual(options.exclude, ['getZones', 'zone']);
+  },
   makeAuthenticatedRequestFactory: util.noop
 });
 
@@ -77,6 +86,10 @@ describe('DNS', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should extend the correct methods', function() {
       assert(extended); // See `fakeStreamRouter.extend`
     });
@@ -76,6 +76,23 @@ var fakeStreamRouter = {
   }
 };
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class, options) {
+    if (Class.name !== 'Zone') {
+      return;
+    }
+
+    promisified = true;
+    assert.deepEqual(options.exclude, [
+      'change',
+      'getChanges',
+      'getRecords',
+      'record'
+    ]);
+  }
+});
+
 describe('Zone', function() {
   var Zone;
   var zone;
@@ -91,7 +108,8 @@ describe('Zone', function() {
       fs: fakeFs,
       '@google-cloud/common': {
         ServiceObject: FakeServiceObject,
-        streamRouter: fakeStreamRouter
+        streamRouter: fakeStreamRouter,
+        util: fakeUtil
       },
       './change.js': FakeChange,
       './record.js': FakeRecord
@@ -106,6 +124,10 @@ describe('Zone', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should extend the correct methods', function() {
       assert(extended); // See `fakeStreamRouter.extend`
     });
@@ -350,9 +350,19 @@ var apis = {
  * #### Interceptors
  *
  * All of the returned modules hold a special `interceptors` array you can use
- * to have control over the flow of the internal operations of this library. As
- * of now, we support a request interceptor, allowing you to tweak all of the
- * API request options before the HTTP request is sent.
+ * to have control over the flow of the internal operations of this library. An
+ * interceptor is an object with any of these hooks:
+ *
+ *   - `request(requestOptions)` - Tweak the API request options before the
+ *     HTTP request is sent. Return the request options to use.
+ *   - `beforeRequest(requestInfo)` - Called before any API request is made,
+ *     including gRPC requests.
+ *   - `afterResponse(requestInfo)` - Called when an API request succeeds.
+ *   - `onError(err, requestInfo)` - Called when an API request fails.
+ *
+ * `requestInfo` holds the request options (`reqOpts`), the gRPC proto options
+ * (`protoOpts`), the `response`, and the timings of the request: `startTime`,
+ * `endTime`, and `duration`, in milliseconds.
  *
  * Note: If you are using the `maxApiCalls` option with a method, your request
  * interceptor will still be called, even if the `maxApiCalls` limit was
@@ -379,7 +389,32 @@ var apis = {
  *     We will exponentially backoff subsequent requests by default. (default:
  *     true)
  * @param {number=} config.maxRetries - Maximum number of automatic retries
- *     attempted before returning the error. (default: 3)
+ *     attempted before returning the error. Set to `0` to disable retries.
+ *     (default: 3)
+ * @param {object=} config.retryOptions - Fine-tune how requests are retried.
+ * @param {number[]=} config.retryOptions.retryCodes - HTTP status codes that
+ *     should be retried. (default: `[429, 500, 502, 503]`)
+ * @param {string[]=} config.retryOptions.retryReasons - Error reasons that
+ *     should be retried. (default:
+ *     `['rateLimitExceeded', 'userRateLimitExceeded']`)
+ * @param {function=} config.retryOptions.shouldRetryFn - Decide for yourself if
+ *     an error should be retried. It receives the error and returns a boolean.
+ * @param {number=} config.retryOptions.initialDelay - Milliseconds to wait
+ *     before the first retry. (default: 2000)
+ * @param {number=} config.retryOptions.multiplier - The delay is multiplied by
+ *     this for every following retry. (default: 2)
+ * @param {number=} config.retryOptions.maxDelay - The longest delay between
+ *     retries in milliseconds, not counting jitter. (default: 64000)
+ * @param {number=} config.retryOptions.totalTimeout - Stop retrying once this
+ *     many milliseconds have passed since the first attempt. (default:
+ *     Infinity)
+ * @param {number=} config.retryOptions.jitter - Up to this many random
+ *     milliseconds are added to each delay. (default: 1000)
+ * @param {string=} config.apiEndpoint - Send requests to this endpoint instead
+ *     of the Google API, without authentication. This is useful for pointing a
+ *     service at an emulator or a local fake, e.g. "localhost:8080". Requests
+ *     use HTTP unless the endpoint says otherwise, and gRPC services connect
+ *     with insecure credentials.
  *
  * @example
  * var gcloud = require('google-cloud')({
@@ -450,6 +485,19 @@ var apis = {
  * bucket.getMetadata(function() {
  *   // This HTTP request was sent with the 'I win!' header specified above.
  * });
+ *
+ * //-
+ * // Use the `afterResponse` and `onError` hooks to log the latency of every
+ * // request.
+ * //-
+ * gcloud.interceptors.push({
+ *   afterResponse: function(requestInfo) {
+ *     console.log('Request took ' + requestInfo.duration + 'ms.');
+ *   },
+ *   onError: function(err, requestInfo) {
+ *     console.log('Request failed after ' + requestInfo.duration + 'ms.');
+ *   }
+ * });
  */
 function gcloud(config) {
   config = extend(true, { interceptors_: [] }, config);
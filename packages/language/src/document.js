@@ -748,5 +748,12 @@ Document.sortByProperty_ = function(propertyName) {
   };
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Document);
+
 module.exports = Document;
 
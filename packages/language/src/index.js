@@ -431,5 +431,14 @@ Language.prototype.text = function(content, options) {
   return this.document(options);
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Language, {
+  exclude: ['document', 'html', 'text']
+});
+
 module.exports = Language;
 module.exports.v1beta1 = require('./v1beta1');
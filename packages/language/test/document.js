@@ -23,7 +23,13 @@ var proxyquire = require('proxyquire');
 var util = require('@google-cloud/common').util;
 
 var isCustomTypeOverride;
+var promisified = false;
 var fakeUtil = extend(true, {}, util, {
+  promisifyAll: function(Class) {
+    if (Class.name === 'Document') {
+      promisified = true;
+    }
+  },
   isCustomType: function() {
     if (isCustomTypeOverride) {
       return isCustomTypeOverride.apply(null, arguments);
@@ -66,6 +72,10 @@ describe('Document', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should set the correct reqOpts for inline content', function() {
       assert.deepEqual(document.reqOpts, {
         document: {
@@ -22,7 +22,17 @@ var googleProtoFiles = require('google-proto-files');
 var proxyquire = require('proxyquire');
 var util = require('@google-cloud/common').util;
 
-var fakeUtil = extend(true, {}, util);
+var promisified = false;
+var fakeUtil = extend(true, {}, util, {
+  promisifyAll: function(Class, options) {
+    if (Class.name !== 'Language') {
+      return;
+    }
+
+    promisified = true;
+    assert.deepEqual(options.exclude, ['document', 'html', 'text']);
+  }
+});
 
 function FakeDocument() {
   this.calledWith_ = arguments;
@@ -53,6 +63,10 @@ describe('Language', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should normalize the arguments', function() {
       var options = {
         projectId: 'project-id',
@@ -562,6 +562,15 @@ Logging.prototype.setAclForTopic_ = function(name, config, callback) {
  */
 common.streamRouter.extend(Logging, ['getEntries', 'getSinks']);
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Logging, {
+  exclude: ['entry', 'getEntries', 'getSinks', 'log', 'sink']
+});
+
 Logging.Entry = Entry;
 Logging.Log = Log;
 Logging.Logging = Logging;
@@ -499,4 +499,13 @@ Log.prototype.formatEntryForApi_ = function(entry) {
   return formattedEntry;
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Log, {
+  exclude: ['entry', 'getEntries']
+});
+
 module.exports = Log;
@@ -40,7 +40,22 @@ var fakeStreamRouter = {
 };
 
 var isCustomTypeOverride;
+var promisified = false;
 var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class, options) {
+    if (Class.name !== 'Logging') {
+      return;
+    }
+
+    promisified = true;
+    assert.deepEqual(options.exclude, [
+      'entry',
+      'getEntries',
+      'getSinks',
+      'log',
+      'sink'
+    ]);
+  },
   isCustomType: function() {
     if (isCustomTypeOverride) {
       return isCustomTypeOverride.apply(null, arguments);
@@ -100,6 +115,10 @@ describe('Logging', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should extend the correct methods', function() {
       assert(extended); // See `fakeStreamRouter.extend`
     });
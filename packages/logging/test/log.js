@@ -29,6 +29,18 @@ function FakeGrpcServiceObject() {
   this.parent = {};
 }
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class, options) {
+    if (Class.name !== 'Log') {
+      return;
+    }
+
+    promisified = true;
+    assert.deepEqual(options.exclude, ['entry', 'getEntries']);
+  }
+});
+
 describe('Log', function() {
   var Log;
   var log;
@@ -55,7 +67,8 @@ describe('Log', function() {
     Log = proxyquire('../src/log.js', {
       './entry.js': Entry,
       '@google-cloud/common': {
-        GrpcServiceObject: FakeGrpcServiceObject
+        GrpcServiceObject: FakeGrpcServiceObject,
+        util: fakeUtil
       }
     });
     var assignSeverityToEntries_ = Log.assignSeverityToEntries_;
@@ -72,6 +85,10 @@ describe('Log', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should localize the escaped name', function() {
       assert.strictEqual(log.name, LOG_NAME_ENCODED);
     });
@@ -25,6 +25,15 @@ function FakeGrpcServiceObject() {
   this.calledWith_ = arguments;
 }
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class) {
+    if (Class.name === 'Sink') {
+      promisified = true;
+    }
+  }
+});
+
 describe('Sink', function() {
   var Sink;
   var sink;
@@ -38,7 +47,8 @@ describe('Sink', function() {
   before(function() {
     Sink = proxyquire('../src/sink.js', {
       '@google-cloud/common': {
-        GrpcServiceObject: FakeGrpcServiceObject
+        GrpcServiceObject: FakeGrpcServiceObject,
+        util: fakeUtil
       }
     });
   });
@@ -48,6 +58,10 @@ describe('Sink', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should inherit from GrpcServiceObject', function() {
       var loggingInstance = extend({}, LOGGING, {
         createSink: {
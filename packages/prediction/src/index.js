@@ -300,6 +300,15 @@ Prediction.prototype.model = function(id) {
  */
 common.streamRouter.extend(Prediction, 'getModels');
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Prediction, {
+  exclude: ['getModels', 'model']
+});
+
 Prediction.Model = Model;
 
 module.exports = Prediction;
@@ -373,4 +373,11 @@ Model.prototype.train = function(label, input, callback) {
   }, callback);
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Model);
+
 module.exports = Model;
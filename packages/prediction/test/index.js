@@ -50,7 +50,16 @@ var fakeStreamRouter = {
 };
 
 
+var promisified = false;
 var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class, options) {
+    if (Class.name !== 'Prediction') {
+      return;
+    }
+
+    promisified = true;
+    assert.deepEqual(options.exclude, ['getModels', 'model']);
+  },
   makeAuthenticatedRequestFactory: util.noop
 });
 
@@ -78,6 +87,10 @@ describe('Prediction', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should extend the correct methods', function() {
       assert(extended); // See `fakeStreamRouter.extend`
     });
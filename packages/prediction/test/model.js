@@ -33,6 +33,7 @@ function FakeServiceObject() {
 nodeutil.inherits(FakeServiceObject, ServiceObject);
 
 var utilOverrides = {};
+var promisified = false;
 var fakeUtil = Object.keys(util).reduce(function(fakeUtil, methodName) {
   fakeUtil[methodName] = function() {
     var method = utilOverrides[methodName] || util[methodName];
@@ -41,6 +42,12 @@ var fakeUtil = Object.keys(util).reduce(function(fakeUtil, methodName) {
   return fakeUtil;
 }, {});
 
+fakeUtil.promisifyAll = function(Class) {
+  if (Class.name === 'Model') {
+    promisified = true;
+  }
+};
+
 describe('Index', function() {
   var Model;
   var model;
@@ -66,6 +73,10 @@ describe('Index', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should inherit from ServiceObject', function() {
       var createMethodBound = false;
       var predictionInstance = extend({}, PREDICTION, {
@@ -244,4 +244,11 @@ IAM.prototype.testPermissions = function(permissions, callback) {
   });
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(IAM);
+
 module.exports = IAM;
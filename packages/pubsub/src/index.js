@@ -569,6 +569,15 @@ PubSub.prototype.determineBaseUrl_ = function() {
  */
 common.streamRouter.extend(PubSub, ['getSubscriptions', 'getTopics']);
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(PubSub, {
+  exclude: ['getSubscriptions', 'getTopics', 'subscription', 'topic']
+});
+
 PubSub.Subscription = Subscription;
 PubSub.Topic = Topic;
 
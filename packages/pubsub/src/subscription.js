@@ -713,4 +713,11 @@ Subscription.prototype.startPulling_ = function() {
   });
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Subscription);
+
 module.exports = Subscription;
@@ -437,4 +437,13 @@ Topic.prototype.subscription = function(name, options) {
   return this.pubsub.subscription(name, options);
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Topic, {
+  exclude: ['getSubscriptions', 'subscription']
+});
+
 module.exports = Topic;
@@ -17,6 +17,7 @@
 'use strict';
 
 var assert = require('assert');
+var extend = require('extend');
 var GrpcService = require('@google-cloud/common').GrpcService;
 var nodeutil = require('util');
 var proxyquire = require('proxyquire');
@@ -29,6 +30,15 @@ function FakeGrpcService() {
 
 nodeutil.inherits(FakeGrpcService, GrpcService);
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class) {
+    if (Class.name === 'IAM') {
+      promisified = true;
+    }
+  }
+});
+
 describe('IAM', function() {
   var IAM;
   var iam;
@@ -42,7 +52,8 @@ describe('IAM', function() {
   before(function() {
     IAM = proxyquire('../src/iam.js', {
       '@google-cloud/common': {
-        GrpcService: FakeGrpcService
+        GrpcService: FakeGrpcService,
+        util: fakeUtil
       }
     });
   });
@@ -52,6 +63,10 @@ describe('IAM', function() {
   });
 
   describe('initialization', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should inherit from GrpcService', function() {
       assert(iam instanceof GrpcService);
 
@@ -32,7 +32,22 @@ function Subscription(a, b) {
   return new OverrideFn(a, b);
 }
 
-var fakeUtil = extend({}, util);
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class, options) {
+    if (Class.name !== 'PubSub') {
+      return;
+    }
+
+    promisified = true;
+    assert.deepEqual(options.exclude, [
+      'getSubscriptions',
+      'getTopics',
+      'subscription',
+      'topic'
+    ]);
+  }
+});
 
 function FakeGrpcService() {
   this.calledWith_ = arguments;
@@ -86,6 +101,10 @@ describe('PubSub', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should extend the correct methods', function() {
       assert(extended); // See `fakeStreamRouter.extend`
     });
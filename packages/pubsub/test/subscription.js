@@ -36,6 +36,15 @@ function FakeIAM() {
 
 var formatMessageOverride;
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class) {
+    if (Class.name === 'Subscription') {
+      promisified = true;
+    }
+  }
+});
+
 describe('Subscription', function() {
   var Subscription;
   var subscription;
@@ -72,7 +81,8 @@ describe('Subscription', function() {
   before(function() {
     Subscription = proxyquire('../src/subscription.js', {
       '@google-cloud/common': {
-        GrpcServiceObject: FakeGrpcServiceObject
+        GrpcServiceObject: FakeGrpcServiceObject,
+        util: fakeUtil
       },
       './iam.js': FakeIAM
     });
@@ -92,6 +102,10 @@ describe('Subscription', function() {
   });
 
   describe('initialization', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should format name', function(done) {
       var formatName_ = Subscription.formatName_;
       Subscription.formatName_ = function() {
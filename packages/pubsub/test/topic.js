@@ -34,6 +34,18 @@ function FakeIAM() {
   this.calledWith_ = [].slice.call(arguments);
 }
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class, options) {
+    if (Class.name !== 'Topic') {
+      return;
+    }
+
+    promisified = true;
+    assert.deepEqual(options.exclude, ['getSubscriptions', 'subscription']);
+  }
+});
+
 describe('Topic', function() {
   var Topic;
   var topic;
@@ -50,7 +62,8 @@ describe('Topic', function() {
     Topic = proxyquire('../src/topic.js', {
       './iam.js': FakeIAM,
       '@google-cloud/common': {
-        GrpcServiceObject: FakeGrpcServiceObject
+        GrpcServiceObject: FakeGrpcServiceObject,
+        util: fakeUtil
       }
     });
   });
@@ -60,6 +73,10 @@ describe('Topic', function() {
   });
 
   describe('initialization', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should inherit from GrpcServiceObject', function() {
       var pubsubInstance = extend({}, PUBSUB, {
         createTopic: {
@@ -257,6 +257,15 @@ Resource.prototype.project = function(id) {
  */
 common.streamRouter.extend(Resource, ['getProjects']);
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Resource, {
+  exclude: ['getProjects', 'project']
+});
+
 Resource.Project = Project;
 
 module.exports = Resource;
@@ -202,4 +202,11 @@ Project.prototype.restore = function(callback) {
   });
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Project);
+
 module.exports = Project;
@@ -50,7 +50,16 @@ var fakeStreamRouter = {
 };
 
 var makeAuthenticatedRequestFactoryOverride;
+var promisified = false;
 var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class, options) {
+    if (Class.name !== 'Resource') {
+      return;
+    }
+
+    promisified = true;
+    assert.deepEqual(options.exclude, ['getProjects', 'project']);
+  },
   makeAuthenticatedRequestFactory: function() {
     if (makeAuthenticatedRequestFactoryOverride) {
       return makeAuthenticatedRequestFactoryOverride.apply(null, arguments);
@@ -86,6 +95,10 @@ describe('Resource', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should extend the correct methods', function() {
       assert(extended); // See `fakeStreamRouter.extend`
     });
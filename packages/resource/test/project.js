@@ -30,6 +30,15 @@ function FakeServiceObject() {
 
 nodeutil.inherits(FakeServiceObject, ServiceObject);
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class) {
+    if (Class.name === 'Project') {
+      promisified = true;
+    }
+  }
+});
+
 describe('Project', function() {
   var Project;
   var project;
@@ -42,7 +51,8 @@ describe('Project', function() {
   before(function() {
     Project = proxyquire('../src/project.js', {
       '@google-cloud/common': {
-        ServiceObject: FakeServiceObject
+        ServiceObject: FakeServiceObject,
+        util: fakeUtil
       }
     });
   });
@@ -52,6 +62,10 @@ describe('Project', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should inherit from ServiceObject', function(done) {
       var resourceInstance = extend({}, RESOURCE, {
         createProject: {
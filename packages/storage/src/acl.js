@@ -21,6 +21,7 @@
 'use strict';
 
 var arrify = require('arrify');
+var common = require('@google-cloud/common');
 var is = require('is');
 var util = require('util');
 
@@ -463,6 +464,13 @@ Acl.prototype.request = function(reqOpts, callback) {
   this.request_(reqOpts, callback);
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Acl);
+
 module.exports = Acl;
 
 /**
@@ -526,7 +534,7 @@ AclRoleAccessorMethods.prototype._assignAccessMethods = function(role) {
 
       // Wrap the parent accessor method (e.g. `add` or `delete`) to avoid the
       // more complex API of specifying an `entity` and `role`.
-      acc[method] = function(entityId, callback) {
+      acc[method] = common.util.promisify(function(entityId, callback) {
         var apiEntity;
 
         if (isPrefix) {
@@ -543,7 +551,7 @@ AclRoleAccessorMethods.prototype._assignAccessMethods = function(role) {
           entity: apiEntity,
           role: role
         }, callback);
-      };
+      });
     });
 
     return acc;
@@ -23,11 +23,14 @@
 var arrify = require('arrify');
 var async = require('async');
 var common = require('@google-cloud/common');
+var crypto = require('crypto');
 var extend = require('extend');
 var fs = require('fs');
 var is = require('is');
 var mime = require('mime-types');
 var path = require('path');
+var once = require('once');
+var through = require('through2');
 var util = require('util');
 
 /**
@@ -36,12 +39,60 @@ var util = require('util');
  */
 var Acl = require('./acl.js');
 
+/**
+ * @type {module:storage/crc32c}
+ * @private
+ */
+var crc32c = require('./crc32c.js');
+
 /**
  * @type {module:storage/file}
  * @private
  */
 var File = require('./file.js');
 
+/**
+ * @type {module:storage/notification}
+ * @private
+ */
+var Notification = require('./notification.js');
+
+/**
+ * The most source objects a single compose request accepts.
+ *
+ * @const {number}
+ * @private
+ */
+var MAX_COMPOSE_COMPONENTS = 32;
+
+/**
+ * The custom metadata key that holds the modification time of a synced local
+ * file, in seconds. `gsutil rsync` uses the same key.
+ *
+ * @const {string}
+ * @private
+ */
+var MTIME_METADATA_KEY = 'goog-reserved-file-mtime';
+
+/**
+ * The preconditions a request that changes a bucket can be made with.
+ *
+ * @const {string[]}
+ * @private
+ */
+var PRECONDITIONS = [
+  'ifMetagenerationMatch',
+  'ifMetagenerationNotMatch'
+];
+
+/**
+ * The Cloud Pub/Sub role that allows publishing messages to a topic.
+ *
+ * @const {string}
+ * @private
+ */
+var PUBSUB_PUBLISHER_ROLE = 'roles/pubsub.publisher';
+
 /**
  * The size of a file (in bytes) must be greater than this number to
  * automatically trigger a resumable upload.
@@ -84,21 +135,6 @@ function Bucket(storage, name) {
      */
     create: true,
 
-    /**
-     * Delete the bucket.
-     *
-     * @resource [Buckets: delete API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/buckets/delete}
-     *
-     * @param {function=} callback - The callback function.
-     * @param {?error} callback.err - An error returned while making this
-     *     request.
-     * @param {object} callback.apiResponse - The full API response.
-     *
-     * @example
-     * bucket.delete(function(err, apiResponse) {});
-     */
-    delete: true,
-
     /**
      * Check if the bucket exists.
      *
@@ -147,40 +183,7 @@ function Bucket(storage, name) {
      * @example
      * bucket.getMetadata(function(err, metadata, apiResponse) {});
      */
-    getMetadata: true,
-
-    /**
-     * Set the bucket's metadata.
-     *
-     * @resource [Buckets: patch API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/buckets/patch}
-     *
-     * @param {object} metadata - The metadata you wish to set.
-     * @param {function=} callback - The callback function.
-     * @param {?error} callback.err - An error returned while making this
-     *     request.
-     * @param {object} callback.apiResponse - The full API response.
-     *
-     * @example
-     * //-
-     * // Set website metadata field on the bucket.
-     * //-
-     * bucket.setMetadata({
-     *   website: {
-     *     mainPageSuffix: 'http://example.com',
-     *     notFoundPage: 'http://example.com/404.html'
-     *   }
-     * }, function(err, apiResponse) {});
-     *
-     * //-
-     * // Enable versioning for your bucket.
-     * //-
-     * bucket.setMetadata({
-     *   versioning: {
-     *     enabled: true
-     *   }
-     * }, function(err, apiResponse) {});
-     */
-    setMetadata: true
+    getMetadata: true
   };
 
   common.ServiceObject.call(this, {
@@ -252,6 +255,378 @@ function Bucket(storage, name) {
 
 util.inherits(Bucket, common.ServiceObject);
 
+/**
+ * Check if a local file has the same contents as a remote file. Files of the
+ * same size with the same modification time are assumed to match; otherwise,
+ * the local file is hashed and compared with the remote MD5 hash, or the CRC32C
+ * checksum for files without one (such as composite objects).
+ *
+ * @private
+ *
+ * @param {object} localFile - A file from `Bucket.readDirectory_`.
+ * @param {object} metadata - The remote file's metadata.
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error reading the local file.
+ * @param {boolean} callback.isSame - Whether the files match.
+ */
+Bucket.compareFile_ = function(localFile, metadata, callback) {
+  if (parseInt(metadata.size, 10) !== localFile.size) {
+    callback(null, false);
+    return;
+  }
+
+  var customMetadata = metadata.metadata || {};
+
+  if (parseInt(customMetadata[MTIME_METADATA_KEY], 10) === localFile.mtime) {
+    callback(null, true);
+    return;
+  }
+
+  Bucket.hashFile_(localFile.path, function(err, hashes) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    if (metadata.md5Hash) {
+      callback(null, hashes.md5Hash === metadata.md5Hash);
+      return;
+    }
+
+    callback(null, hashes.crc32c === metadata.crc32c);
+  });
+};
+
+/**
+ * Format a lifecycle rule the way the API expects it.
+ *
+ * @private
+ *
+ * @throws {Error} if the rule has no condition, or an unknown action.
+ *
+ * @param {object} rule - See `addLifecycleRule`.
+ * @return {object}
+ */
+Bucket.formatLifecycleRule_ = function(rule) {
+  if (!is.object(rule) || !is.object(rule.condition)) {
+    throw new Error('A lifecycle rule must have a condition.');
+  }
+
+  var action = rule.action;
+
+  if (is.string(action)) {
+    action = {
+      delete: { type: 'Delete' },
+      setstorageclass: { type: 'SetStorageClass' }
+    }[action.toLowerCase()];
+
+    if (action && action.type === 'SetStorageClass') {
+      action.storageClass = rule.storageClass;
+    }
+  }
+
+  if (!is.object(action) || !action.type) {
+    throw new Error('A lifecycle rule must have an action.');
+  }
+
+  action = extend({}, action);
+
+  if (action.type === 'SetStorageClass') {
+    if (!action.storageClass) {
+      throw new Error('A storage class must be given to change to.');
+    }
+
+    action.storageClass = Bucket.formatStorageClass_(action.storageClass);
+  }
+
+  var condition = extend({}, rule.condition);
+
+  if (is.date(condition.createdBefore)) {
+    // Dates are given as YYYY-MM-DD.
+    var createdBefore = condition.createdBefore.toISOString();
+    condition.createdBefore = createdBefore.substr(0, 10);
+  }
+
+  if (condition.matchesStorageClass) {
+    condition.matchesStorageClass =
+      arrify(condition.matchesStorageClass).map(Bucket.formatStorageClass_);
+  }
+
+  return {
+    action: action,
+    condition: condition
+  };
+};
+
+/**
+ * Format a storage class the way the API expects it, e.g. `coldline` or
+ * `multi-regional` become `COLDLINE` and `MULTI_REGIONAL`.
+ *
+ * @private
+ *
+ * @param {string} storageClass - The storage class.
+ * @return {string}
+ */
+Bucket.formatStorageClass_ = function(storageClass) {
+  return storageClass.toUpperCase().replace(/-/g, '_');
+};
+
+/**
+ * Format a Cloud Pub/Sub topic as a full resource name, e.g.
+ * `projects/grape-spaceship-123/topics/my-topic`.
+ *
+ * @private
+ *
+ * @param {string|object} topic - The topic name, or a
+ *     `@google-cloud/pubsub` Topic object.
+ * @param {string} projectId - The project of topics given by name only.
+ * @return {string}
+ */
+Bucket.formatTopicName_ = function(topic, projectId) {
+  var name = is.string(topic) ? topic : topic.name;
+
+  name = name.replace(/^\/\/pubsub\.googleapis\.com\//, '');
+
+  if (name.indexOf('/') === -1) {
+    name = 'projects/' + projectId + '/topics/' + name;
+  }
+
+  return name;
+};
+
+/**
+ * Pick the preconditions out of a method's options, to send as query
+ * parameters.
+ *
+ * @private
+ *
+ * @param {object} options - The options the method was called with.
+ * @param {string[]=} names - The preconditions to look for. (default:
+ *     `ifMetagenerationMatch` and `ifMetagenerationNotMatch`)
+ * @return {object}
+ */
+Bucket.getPreconditions_ = function(options, names) {
+  var preconditions = {};
+
+  (names || PRECONDITIONS).forEach(function(name) {
+    if (is.defined(options[name])) {
+      preconditions[name] = options[name];
+    }
+  });
+
+  return preconditions;
+};
+
+/**
+ * Calculate the hashes of a local file, encoded the way they are in a remote
+ * file's metadata.
+ *
+ * @private
+ *
+ * @param {string} filePath - The path of the local file.
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error reading the file.
+ * @param {object} callback.hashes - The `md5Hash` and `crc32c` of the file.
+ */
+Bucket.hashFile_ = function(filePath, callback) {
+  var md5 = crypto.createHash('md5');
+  var crc = 0;
+
+  callback = once(callback);
+
+  fs.createReadStream(filePath)
+    .on('error', callback)
+    .on('data', function(chunk) {
+      md5.update(chunk);
+      crc = crc32c.calculate(chunk, crc);
+    })
+    .on('end', function() {
+      callback(null, {
+        md5Hash: md5.digest('base64'),
+        crc32c: crc32c.toBase64(crc)
+      });
+    });
+};
+
+/**
+ * Create a local directory, along with any parent directories it needs.
+ *
+ * @private
+ *
+ * @param {string} directory - The directory to create.
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error creating the directory.
+ */
+Bucket.makeDirectory_ = function(directory, callback) {
+  fs.mkdir(directory, function(err) {
+    if (err && err.code === 'ENOENT') {
+      Bucket.makeDirectory_(path.dirname(directory), function(err) {
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        Bucket.makeDirectory_(directory, callback);
+      });
+      return;
+    }
+
+    callback(err && err.code !== 'EEXIST' ? err : null);
+  });
+};
+
+/**
+ * Find all of the files in a local directory and its subdirectories. A
+ * directory that doesn't exist is treated as empty.
+ *
+ * @private
+ *
+ * @param {string} directory - The directory to read.
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error reading the directory.
+ * @param {object} callback.files - The files, keyed by their path relative to
+ *     `directory`, with `/` separators. Each has a `path`, `size`, and `mtime`
+ *     in seconds.
+ */
+Bucket.readDirectory_ = function(directory, callback) {
+  var files = {};
+
+  function read(dirPath, done) {
+    fs.readdir(dirPath, function(err, names) {
+      if (err) {
+        done(err);
+        return;
+      }
+
+      async.each(names, function(name, next) {
+        var filePath = path.join(dirPath, name);
+
+        fs.stat(filePath, function(err, stats) {
+          if (err) {
+            next(err);
+            return;
+          }
+
+          if (stats.isDirectory()) {
+            read(filePath, next);
+            return;
+          }
+
+          if (stats.isFile()) {
+            var relativePath = path.relative(directory, filePath);
+
+            files[relativePath.split(path.sep).join('/')] = {
+              path: filePath,
+              size: stats.size,
+              mtime: Math.floor(stats.mtime.getTime() / 1000)
+            };
+          }
+
+          next();
+        });
+      }, done);
+    });
+  }
+
+  fs.stat(directory, function(err) {
+    if (err && err.code === 'ENOENT') {
+      callback(null, files);
+      return;
+    }
+
+    read(directory, function(err) {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      callback(null, files);
+    });
+  });
+};
+
+/**
+ * Add a lifecycle rule to the bucket. Rules are added to the existing ones,
+ * unless `options.append` is `false`.
+ *
+ * The bucket's metadata is read, changed, and written back only if it hasn't
+ * changed in between. If it has, the process is repeated.
+ *
+ * @resource [Object Lifecycle Management]{@link https://cloud.google.com/storage/docs/lifecycle}
+ *
+ * @throws {Error} if the rule has no condition or action.
+ *
+ * @param {object} rule - The rule.
+ * @param {string|object} rule.action - `delete`, `setStorageClass`, or an
+ *     action object in the API's format.
+ * @param {string=} rule.storageClass - The storage class to change to, for the
+ *     `setStorageClass` action.
+ * @param {object} rule.condition - When the action applies. Dates given as
+ *     `createdBefore` are formatted for you.
+ * @param {number=} rule.condition.age - The age of a file in days.
+ * @param {date|string=} rule.condition.createdBefore - Files created before
+ *     this date.
+ * @param {boolean=} rule.condition.isLive - Match live (`true`) or archived
+ *     (`false`) files.
+ * @param {string|string[]=} rule.condition.matchesStorageClass - Files in
+ *     these storage classes.
+ * @param {number=} rule.condition.numNewerVersions - Files with at least this
+ *     many newer versions.
+ * @param {object=} options - Configuration object.
+ * @param {boolean} options.append - Add to the existing rules. Set to `false`
+ *     to replace them. (default: `true`)
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * //-
+ * // Delete files over a year old.
+ * //-
+ * bucket.addLifecycleRule({
+ *   action: 'delete',
+ *   condition: {
+ *     age: 365
+ *   }
+ * }, function(err, apiResponse) {});
+ *
+ * //-
+ * // Move files to Coldline storage after 30 days.
+ * //-
+ * bucket.addLifecycleRule({
+ *   action: 'setStorageClass',
+ *   storageClass: 'coldline',
+ *   condition: {
+ *     age: 30,
+ *     matchesStorageClass: ['multi-regional', 'standard']
+ *   }
+ * }, function(err, apiResponse) {});
+ */
+Bucket.prototype.addLifecycleRule = function(rule, options, callback) {
+  if (is.fn(options)) {
+    callback = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  var newRule = Bucket.formatLifecycleRule_(rule);
+
+  this.updateMetadata_(function(metadata) {
+    var rules = [];
+
+    if (options.append !== false && metadata.lifecycle) {
+      rules = arrify(metadata.lifecycle.rule);
+    }
+
+    return {
+      lifecycle: {
+        rule: rules.concat(newRule)
+      }
+    };
+  }, callback);
+};
+
 /**
  * Combine multiple files into one new file.
  *
@@ -266,8 +641,15 @@ util.inherits(Bucket, common.ServiceObject);
  *     combined.
  * @param {string|module:storage/file} destination - The file you would like the
  *     source files combined into.
+ * @param {object=} options - Configuration object.
+ * @param {number} options.ifGenerationMatch - Only combine the files if the
+ *     destination's generation matches this value. `0` only combines them if
+ *     the destination doesn't exist yet.
+ * @param {number} options.ifMetagenerationMatch - Only combine the files if the
+ *     destination's metageneration matches this value.
  * @param {function=} callback - The callback function.
- * @param {?error} callback.err - An error returned while making this request
+ * @param {?error} callback.err - An error returned while making this request.
+ *     A `PreconditionFailedError` if a precondition wasn't met.
  * @param {module:storage/file} callback.newFile - The combined file.
  * @param {object} callback.apiResponse - The full API response.
  *
@@ -285,8 +667,16 @@ util.inherits(Bucket, common.ServiceObject);
  * ], allLogs, function(err, newFile, apiResponse) {
  *   // newFile === allLogs
  * });
+ *
+ * //-
+ * // Only combine the logs if nobody has combined them yet.
+ * //-
+ * logBucket.combine([
+ *   logs2013,
+ *   logs2014
+ * ], allLogs, { ifGenerationMatch: 0 }, function(err, newFile) {});
  */
-Bucket.prototype.combine = function(sources, destination, callback) {
+Bucket.prototype.combine = function(sources, destination, options, callback) {
   if (!is.array(sources) || sources.length < 2) {
     throw new Error('You must provide at least two source files.');
   }
@@ -297,6 +687,13 @@ Bucket.prototype.combine = function(sources, destination, callback) {
 
   var self = this;
 
+  if (is.fn(options)) {
+    callback = options;
+    options = {};
+  }
+
+  options = options || {};
+
   sources = sources.map(convertToFile);
   destination = convertToFile(destination);
   callback = callback || common.util.noop;
@@ -312,10 +709,20 @@ Bucket.prototype.combine = function(sources, destination, callback) {
     }
   }
 
+  var query = Bucket.getPreconditions_(options, [
+    'ifGenerationMatch',
+    'ifMetagenerationMatch'
+  ]);
+
+  if (destination.kmsKeyName) {
+    query.kmsKeyName = destination.kmsKeyName;
+  }
+
   // Make the request from the destination File object.
   destination.request({
     method: 'POST',
     uri: '/compose',
+    qs: query,
     json: {
       destination: {
         contentType: destination.metadata.contentType
@@ -416,23 +823,199 @@ Bucket.prototype.createChannel = function(id, config, callback) {
 };
 
 /**
- * Iterate over the bucket's files, calling `file.delete()` on each.
- *
- * <strong>This is not an atomic request.</strong> A delete attempt will be made
- * for each file individually. Any one can fail, in which case only a portion of
- * the files you intended to be deleted would have.
+ * Publish a message to a Cloud Pub/Sub topic whenever objects in this bucket
+ * change.
  *
- * Operations are performed in parallel, up to 10 at once. The first error
- * breaks the loop and will execute the provided callback with it. Specify
- * `{ force: true }` to suppress the errors until all files have had a chance to
- * be processed.
+ * Cloud Storage publishes the messages as the project's Cloud Storage service
+ * account, which must be allowed to publish to the topic. Set
+ * `options.grantPublishPermission` to grant it the
+ * `roles/pubsub.publisher` role on the topic first.
  *
- * The `query` object passed as the first argument will also be passed to
- * {module:storage/bucket#getFiles}.
+ * @resource [Cloud Pub/Sub Notifications for Cloud Storage]{@link https://cloud.google.com/storage/docs/pubsub-notifications}
+ * @resource [Notifications: insert API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/notifications/insert}
  *
- * @resource [Objects: delete API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/objects/delete}
+ * @throws {Error} If a topic is not provided.
  *
- * @param {object=} query - Query object. See {module:storage/bucket#getFiles}
+ * @param {string|object} topic - The topic to publish to. This can be the name
+ *     of a topic in this project, a full resource name
+ *     (`projects/{project}/topics/{topic}`), or a `@google-cloud/pubsub` Topic
+ *     object.
+ * @param {object=} options - Configuration object.
+ * @param {object} options.customAttributes - Attributes to add to every
+ *     message.
+ * @param {string|string[]} options.eventTypes - Only publish messages for
+ *     these events, e.g. `OBJECT_FINALIZE` or `OBJECT_DELETE`. (default: all
+ *     events)
+ * @param {boolean} options.grantPublishPermission - Allow the Cloud Storage
+ *     service account to publish to the topic. This requires permission to
+ *     change the topic's IAM policy. (default: `false`)
+ * @param {string} options.objectNamePrefix - Only publish messages for objects
+ *     whose names begin with this prefix.
+ * @param {string} options.payloadFormat - `JSON_API_V1` to send the object's
+ *     metadata as the message body, or `NONE` for an empty body. (default:
+ *     `JSON_API_V1`)
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {module:storage/notification} callback.notification - The created
+ *     Notification object.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * bucket.createNotification('my-topic', function(err, notification) {
+ *   if (!err) {
+ *     // Notification created successfully.
+ *   }
+ * });
+ *
+ * //-
+ * // Only publish messages when images are uploaded, allowing Cloud Storage to
+ * // publish to the topic if it isn't already.
+ * //-
+ * var options = {
+ *   eventTypes: ['OBJECT_FINALIZE'],
+ *   objectNamePrefix: 'images/',
+ *   grantPublishPermission: true
+ * };
+ *
+ * bucket.createNotification('my-topic', options, function(err, notification) {
+ *   // notification.id is the ID of the notification configuration.
+ * });
+ *
+ * //-
+ * // A Topic object from `@google-cloud/pubsub` works, too.
+ * //-
+ * var topic = pubsub.topic('my-topic');
+ *
+ * bucket.createNotification(topic, function(err, notification) {});
+ */
+Bucket.prototype.createNotification = function(topic, options, callback) {
+  var self = this;
+
+  if (!topic || (!is.string(topic) && !is.string(topic.name))) {
+    throw new Error('A valid topic name is required.');
+  }
+
+  if (is.fn(options)) {
+    callback = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  var topicName = Bucket.formatTopicName_(topic, this.storage.projectId);
+
+  var json = {
+    topic: '//pubsub.googleapis.com/' + topicName,
+    payload_format: options.payloadFormat || 'JSON_API_V1'
+  };
+
+  if (options.eventTypes) {
+    json.event_types = arrify(options.eventTypes);
+  }
+
+  if (options.objectNamePrefix) {
+    json.object_name_prefix = options.objectNamePrefix;
+  }
+
+  if (options.customAttributes) {
+    json.custom_attributes = options.customAttributes;
+  }
+
+  if (options.grantPublishPermission) {
+    this.grantPublishPermission_(topic, function(err, apiResponse) {
+      if (err) {
+        callback(err, null, apiResponse);
+        return;
+      }
+
+      createNotification();
+    });
+    return;
+  }
+
+  createNotification();
+
+  function createNotification() {
+    self.request({
+      method: 'POST',
+      uri: '/notificationConfigs',
+      json: json
+    }, function(err, apiResponse) {
+      if (err) {
+        callback(err, null, apiResponse);
+        return;
+      }
+
+      var notification = self.notification(apiResponse.id);
+      notification.metadata = apiResponse;
+
+      callback(null, notification, apiResponse);
+    });
+  }
+};
+
+/**
+ * Delete the bucket. It has to be empty.
+ *
+ * @resource [Buckets: delete API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/buckets/delete}
+ *
+ * @param {object=} options - Configuration object.
+ * @param {number} options.ifMetagenerationMatch - Only delete the bucket if its
+ *     metageneration matches this value.
+ * @param {number} options.ifMetagenerationNotMatch - Only delete the bucket if
+ *     its metageneration doesn't match this value.
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ *     A `PreconditionFailedError` if a precondition wasn't met.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * bucket.delete(function(err, apiResponse) {});
+ *
+ * //-
+ * // Only delete the bucket if its configuration hasn't changed since it was
+ * // read.
+ * //-
+ * bucket.delete({
+ *   ifMetagenerationMatch: bucket.metadata.metageneration
+ * }, function(err, apiResponse) {});
+ */
+Bucket.prototype.delete = function(options, callback) {
+  if (is.fn(options)) {
+    callback = options;
+    options = {};
+  }
+
+  options = options || {};
+  callback = callback || common.util.noop;
+
+  this.request({
+    method: 'DELETE',
+    uri: '',
+    qs: Bucket.getPreconditions_(options)
+  }, function(err, resp) {
+    callback(err, resp);
+  });
+};
+
+/**
+ * Iterate over the bucket's files, calling `file.delete()` on each.
+ *
+ * <strong>This is not an atomic request.</strong> A delete attempt will be made
+ * for each file individually. Any one can fail, in which case only a portion of
+ * the files you intended to be deleted would have.
+ *
+ * Operations are performed in parallel, up to 10 at once. The first error
+ * breaks the loop and will execute the provided callback with it. Specify
+ * `{ force: true }` to suppress the errors until all files have had a chance to
+ * be processed.
+ *
+ * The `query` object passed as the first argument will also be passed to
+ * {module:storage/bucket#getFiles}.
+ *
+ * @resource [Objects: delete API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/objects/delete}
+ *
+ * @param {object=} query - Query object. See {module:storage/bucket#getFiles}
  *     for all of the supported properties.
  * @param {boolean} query.force - Suppress errors until all files have been
  *     processed.
@@ -516,6 +1099,39 @@ Bucket.prototype.deleteFiles = function(query, callback) {
   });
 };
 
+/**
+ * Stop keeping archived versions of files when they are overwritten or
+ * deleted. Archived versions that already exist are kept.
+ *
+ * @resource [Object Versioning]{@link https://cloud.google.com/storage/docs/object-versioning}
+ *
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * bucket.disableVersioning(function(err, apiResponse) {});
+ */
+Bucket.prototype.disableVersioning = function(callback) {
+  this.setVersioning_(false, callback);
+};
+
+/**
+ * Keep archived versions of files when they are overwritten or deleted.
+ *
+ * @resource [Object Versioning]{@link https://cloud.google.com/storage/docs/object-versioning}
+ *
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * bucket.enableVersioning(function(err, apiResponse) {});
+ */
+Bucket.prototype.enableVersioning = function(callback) {
+  this.setVersioning_(true, callback);
+};
+
 /**
  * Create a File object. See {module:storage/file} to see how to handle
  * the different use cases you may have.
@@ -526,6 +1142,9 @@ Bucket.prototype.deleteFiles = function(query, callback) {
  *     this file.
  * @param {string} options.key - A custom encryption key. See
  *     [Customer-supplied Encryption Keys](https://cloud.google.com/storage/docs/encryption#customer-supplied).
+ * @param {string} options.kmsKeyName - A Cloud KMS key to encrypt new contents
+ *     of the file with. See
+ *     [Customer-managed Encryption Keys](https://cloud.google.com/storage/docs/encryption/customer-managed-keys).
  * @return {module:storage/file}
  *
  * @example
@@ -668,6 +1287,90 @@ Bucket.prototype.getFiles = function(query, callback) {
   });
 };
 
+/**
+ * Get the bucket's Cloud Pub/Sub notification configurations.
+ *
+ * @resource [Notifications: list API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/notifications/list}
+ *
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {module:storage/notification[]} callback.notifications - List of
+ *     Notification objects.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * bucket.getNotifications(function(err, notifications, apiResponse) {
+ *   // `notifications[0].metadata` holds the topic, event types, and prefix.
+ * });
+ */
+Bucket.prototype.getNotifications = function(callback) {
+  var self = this;
+
+  this.request({
+    uri: '/notificationConfigs'
+  }, function(err, resp) {
+    if (err) {
+      callback(err, null, resp);
+      return;
+    }
+
+    var notifications = arrify(resp.items).map(function(metadata) {
+      var notification = self.notification(metadata.id);
+      notification.metadata = metadata;
+      return notification;
+    });
+
+    callback(null, notifications, resp);
+  });
+};
+
+/**
+ * Lock the bucket's retention policy. Once locked, the policy can't be removed
+ * and its retention period can't be shortened, and the bucket can't be deleted
+ * until every file in it is older than the retention period. **This can't be
+ * undone.**
+ *
+ * The lock applies to the policy as it was when the bucket's metadata was
+ * read. If the metadata has changed since, the lock fails with a `412` error,
+ * rather than lock a policy you haven't seen.
+ *
+ * @resource [Retention Policies]{@link https://cloud.google.com/storage/docs/bucket-lock}
+ *
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * bucket.lockRetentionPolicy(function(err, apiResponse) {});
+ */
+Bucket.prototype.lockRetentionPolicy = function(callback) {
+  var self = this;
+
+  this.getMetadata(function(err, metadata) {
+    if (err) {
+      callback(err, metadata);
+      return;
+    }
+
+    self.request({
+      method: 'POST',
+      uri: '/lockRetentionPolicy',
+      qs: {
+        ifMetagenerationMatch: metadata.metageneration
+      }
+    }, function(err, resp) {
+      if (err) {
+        callback(err, resp);
+        return;
+      }
+
+      self.metadata = resp;
+
+      callback(null, resp);
+    });
+  });
+};
+
 /**
  * Make the bucket listing private.
  *
@@ -892,74 +1595,471 @@ Bucket.prototype.makePublic = function(options, callback) {
 };
 
 /**
- * Upload a file to the bucket. This is a convenience method that wraps
- * {module:storage/file#createWriteStream}.
- *
- * You can specify whether or not an upload is resumable by setting
- * `options.resumable`. *Resumable uploads are enabled by default if your input
- * file is larger than 5 MB.*
+ * Reference one of the bucket's Cloud Pub/Sub notification configurations.
  *
- * For faster crc32c computation, you must manually install
- * [`fast-crc32c`](http://www.gitnpm.com/fast-crc32c):
+ * @throws {Error} If an ID is not provided.
  *
- *     $ npm install --save fast-crc32c
+ * @param {string} id - The ID of the notification configuration.
+ * @return {module:storage/notification}
  *
- * @resource [Upload Options (Simple or Resumable)]{@link https://cloud.google.com/storage/docs/json_api/v1/how-tos/upload#uploads}
- * @resource [Objects: insert API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/objects/insert}
+ * @example
+ * var notification = bucket.notification('1');
+ */
+Bucket.prototype.notification = function(id) {
+  if (!id) {
+    throw new Error('A notification ID is required.');
+  }
+
+  return new Notification(this, id);
+};
+
+/**
+ * Remove the lifecycle rules that match a filter.
  *
- * @param {string} localPath - The fully qualified path to the file you wish to
- *     upload to your bucket.
- * @param {object=} options - Configuration options.
- * @param {string|module:storage/file} options.destination - The place to save
- *     your file. If given a string, the file will be uploaded to the bucket
- *     using the string as a filename. When given a File object, your local file
- *     will be uploaded to the File object's bucket and under the File object's
- *     name. Lastly, when this argument is omitted, the file is uploaded to your
- *     bucket using the name of the local file.
- * @param {string} options.encryptionKey - A custom encryption key. See
- *     [Customer-supplied Encryption Keys](https://cloud.google.com/storage/docs/encryption#customer-supplied).
- * @param {boolean} options.gzip - Automatically gzip the file. This will set
- *     `options.metadata.contentEncoding` to `gzip`.
- * @param {object} options.metadata - See an
- *     [Objects: insert request body](https://cloud.google.com/storage/docs/json_api/v1/objects/insert#request_properties_JSON).
- * @param {string} options.offset - The starting byte of the upload stream, for
- *     resuming an interrupted upload. Defaults to 0.
- * @param {string} options.predefinedAcl - Apply a predefined set of access
- *     controls to this object.
+ * The bucket's metadata is read, changed, and written back only if it hasn't
+ * changed in between. If it has, the process is repeated.
  *
- *     Acceptable values are:
- *     - **`authenticatedRead`** - Object owner gets `OWNER` access, and
- *       `allAuthenticatedUsers` get `READER` access.
+ * @resource [Object Lifecycle Management]{@link https://cloud.google.com/storage/docs/lifecycle}
  *
- *     - **`bucketOwnerFullControl`** - Object owner gets `OWNER` access, and
- *       project team owners get `OWNER` access.
+ * @throws {Error} if a filter function isn't given.
  *
- *     - **`bucketOwnerRead`** - Object owner gets `OWNER` access, and project
- *       team owners get `READER` access.
+ * @param {function} filter - Called with each rule, in the API's format.
+ *     Return `true` to remove it.
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object} callback.apiResponse - The full API response.
  *
- *     - **`private`** - Object owner gets `OWNER` access.
+ * @example
+ * //-
+ * // Remove all of the rules that delete files.
+ * //-
+ * bucket.removeLifecycleRule(function(rule) {
+ *   return rule.action.type === 'Delete';
+ * }, function(err, apiResponse) {});
+ */
+Bucket.prototype.removeLifecycleRule = function(filter, callback) {
+  if (!is.fn(filter)) {
+    throw new Error('A filter function must be provided.');
+  }
+
+  this.updateMetadata_(function(metadata) {
+    var rules = metadata.lifecycle ? arrify(metadata.lifecycle.rule) : [];
+
+    var remainingRules = rules.filter(function(rule) {
+      return !filter(rule);
+    });
+
+    if (remainingRules.length === rules.length) {
+      return null;
+    }
+
+    return {
+      lifecycle: {
+        rule: remainingRules
+      }
+    };
+  }, callback);
+};
+
+/**
+ * Remove the bucket's retention policy. Locked policies can't be removed.
  *
- *     - **`projectPrivate`** - Object owner gets `OWNER` access, and project
- *       team members get access according to their roles.
+ * @resource [Retention Policies]{@link https://cloud.google.com/storage/docs/bucket-lock}
  *
- *     - **`publicRead`** - Object owner gets `OWNER` access, and `allUsers` get
- *       `READER` access.
- * @param {boolean} options.private - Make the uploaded file private. (Alias for
- *     `options.predefinedAcl = 'private'`)
- * @param {boolean} options.public - Make the uploaded file public. (Alias for
- *     `options.predefinedAcl = 'publicRead'`)
- * @param {boolean} options.resumable - Force a resumable upload. (default:
- *     true for files larger than 5 MB).
- * @param {string} options.uri - The URI for an already-created resumable
- *     upload. See {module:storage/file#createResumableUpload}.
- * @param {string|boolean} options.validation - Possible values: `"md5"`,
- *     `"crc32c"`, or `false`. By default, data integrity is validated with an
- *     MD5 checksum for maximum reliability. CRC32c will provide better
- *     performance with less reliability. You may also choose to skip validation
- *     completely, however this is **not recommended**.
- * @param {function} callback - The callback function.
- * @param {?error} callback.err - An error returned while making this request
- * @param {module:storage/file} callback.file - The uploaded File.
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * bucket.removeRetentionPolicy(function(err, apiResponse) {});
+ */
+Bucket.prototype.removeRetentionPolicy = function(callback) {
+  this.updateMetadata_(function(metadata) {
+    if (!metadata.retentionPolicy) {
+      return null;
+    }
+
+    return {
+      retentionPolicy: null
+    };
+  }, callback);
+};
+
+/**
+ * Set the CORS configuration of the bucket, replacing any that it has.
+ *
+ * @resource [Cross-Origin Resource Sharing (CORS)]{@link https://cloud.google.com/storage/docs/cross-origin}
+ *
+ * @throws {Error} if a CORS configuration array isn't given.
+ *
+ * @param {object[]} corsConfiguration - The CORS rules. Pass an empty array to
+ *     remove them all.
+ * @param {number=} corsConfiguration.maxAgeSeconds - How long a browser may
+ *     cache the response to a preflight request.
+ * @param {string[]} corsConfiguration.method - The HTTP methods to allow.
+ * @param {string[]} corsConfiguration.origin - The origins to allow. `*` allows
+ *     any origin.
+ * @param {string[]=} corsConfiguration.responseHeader - The headers browsers
+ *     may read from responses.
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * bucket.setCorsConfiguration([
+ *   {
+ *     maxAgeSeconds: 3600,
+ *     method: ['GET'],
+ *     origin: ['https://example.com'],
+ *     responseHeader: ['Content-Type']
+ *   }
+ * ], function(err, apiResponse) {});
+ */
+Bucket.prototype.setCorsConfiguration = function(corsConfiguration, callback) {
+  if (!is.array(corsConfiguration)) {
+    throw new Error('A CORS configuration must be an array.');
+  }
+
+  this.updateMetadata_(function() {
+    return {
+      cors: corsConfiguration
+    };
+  }, callback);
+};
+
+/**
+ * Set the bucket's metadata.
+ *
+ * @resource [Buckets: patch API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/buckets/patch}
+ *
+ * @param {object} metadata - The metadata you wish to set.
+ * @param {object=} options - Configuration object.
+ * @param {number} options.ifMetagenerationMatch - Only update the bucket if its
+ *     metageneration matches this value.
+ * @param {number} options.ifMetagenerationNotMatch - Only update the bucket if
+ *     its metageneration doesn't match this value.
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ *     A `PreconditionFailedError` if a precondition wasn't met.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * //-
+ * // Set website metadata field on the bucket.
+ * //-
+ * bucket.setMetadata({
+ *   website: {
+ *     mainPageSuffix: 'http://example.com',
+ *     notFoundPage: 'http://example.com/404.html'
+ *   }
+ * }, function(err, apiResponse) {});
+ *
+ * //-
+ * // Enable versioning for your bucket.
+ * //-
+ * bucket.setMetadata({
+ *   versioning: {
+ *     enabled: true
+ *   }
+ * }, function(err, apiResponse) {});
+ *
+ * //-
+ * // Only set the labels if nobody else has changed the bucket since its
+ * // metadata was read.
+ * //-
+ * bucket.getMetadata(function(err, metadata) {
+ *   var options = {
+ *     ifMetagenerationMatch: metadata.metageneration
+ *   };
+ *
+ *   bucket.setMetadata({
+ *     labels: {
+ *       env: 'production'
+ *     }
+ *   }, options, function(err, apiResponse) {});
+ * });
+ */
+Bucket.prototype.setMetadata = function(metadata, options, callback) {
+  var self = this;
+
+  if (is.fn(options)) {
+    callback = options;
+    options = {};
+  }
+
+  options = options || {};
+  callback = callback || common.util.noop;
+
+  this.request({
+    method: 'PATCH',
+    uri: '',
+    qs: Bucket.getPreconditions_(options),
+    json: metadata
+  }, function(err, resp) {
+    if (err) {
+      callback(err, resp);
+      return;
+    }
+
+    self.metadata = resp;
+
+    callback(null, resp);
+  });
+};
+
+/**
+ * Set the bucket's retention policy: files can't be deleted or overwritten
+ * until they are at least this old.
+ *
+ * @resource [Retention Policies]{@link https://cloud.google.com/storage/docs/bucket-lock}
+ *
+ * @throws {Error} if the duration isn't a number of seconds.
+ *
+ * @param {number} duration - The retention period, in seconds.
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * //-
+ * // Keep files for at least 30 days.
+ * //-
+ * bucket.setRetentionPolicy(30 * 24 * 60 * 60, function(err, apiResponse) {});
+ */
+Bucket.prototype.setRetentionPolicy = function(duration, callback) {
+  if (!is.number(duration) || duration < 0) {
+    throw new Error('A retention period must be a number of seconds.');
+  }
+
+  var retentionPeriod = String(duration);
+
+  this.updateMetadata_(function(metadata) {
+    var retentionPolicy = metadata.retentionPolicy || {};
+
+    if (retentionPolicy.retentionPeriod === retentionPeriod) {
+      return null;
+    }
+
+    return {
+      retentionPolicy: {
+        retentionPeriod: retentionPeriod
+      }
+    };
+  }, callback);
+};
+
+/**
+ * Set the default storage class of the bucket. New files are created in it,
+ * unless they are given another.
+ *
+ * @resource [Storage Classes]{@link https://cloud.google.com/storage/docs/storage-classes}
+ *
+ * @param {string} storageClass - The storage class, e.g. `nearline`,
+ *     `coldline`, or `multi-regional`.
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * bucket.setStorageClass('nearline', function(err, apiResponse) {});
+ */
+Bucket.prototype.setStorageClass = function(storageClass, callback) {
+  storageClass = Bucket.formatStorageClass_(storageClass);
+
+  this.updateMetadata_(function(metadata) {
+    if (metadata.storageClass === storageClass) {
+      return null;
+    }
+
+    return {
+      storageClass: storageClass
+    };
+  }, callback);
+};
+
+/**
+ * Make the files under a prefix of the bucket match the files in a local
+ * directory and its subdirectories.
+ *
+ * Only new files and files that have changed are uploaded. A file is unchanged
+ * if it has the same size and modification time as the last time it was
+ * synced, or if its MD5 hash (or CRC32C checksum, if there's no MD5 hash)
+ * matches. Files in the bucket that aren't in the directory are left alone,
+ * unless `options.deleteExtraneous` is set.
+ *
+ * @param {string} directory - The local directory to upload from.
+ * @param {object=} options - Configuration object.
+ * @param {number} options.concurrency - The most files to upload or delete at
+ *     once. (default: `10`)
+ * @param {boolean} options.deleteExtraneous - Delete files under the prefix
+ *     that aren't in the directory.
+ * @param {boolean} options.dryRun - Work out what would be uploaded and
+ *     deleted, without changing anything.
+ * @param {string} options.prefix - The prefix to sync to. Each file is named
+ *     by its path relative to `directory`, following the prefix and a `/`.
+ *     (default: the whole bucket)
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error returned while syncing.
+ * @param {object[]} callback.plan - What was done, or would be done with
+ *     `options.dryRun`. Each step has an `action` (`upload` or `delete`), the
+ *     `name` of the file in the bucket, and the local `path`.
+ *
+ * @example
+ * bucket.syncFromDirectory('/Users/stephen/build', {
+ *   prefix: 'builds/latest',
+ *   deleteExtraneous: true
+ * }, function(err, plan) {
+ *   // plan = [
+ *   //   {
+ *   //     action: 'upload',
+ *   //     name: 'builds/latest/app.js',
+ *   //     path: '/Users/stephen/build/app.js'
+ *   //   },
+ *   //   {
+ *   //     action: 'delete',
+ *   //     name: 'builds/latest/old.js',
+ *   //     path: '/Users/stephen/build/old.js'
+ *   //   }
+ *   // ]
+ * });
+ *
+ * //-
+ * // See what would change, without changing it.
+ * //-
+ * bucket.syncFromDirectory('/Users/stephen/build', {
+ *   prefix: 'builds/latest',
+ *   dryRun: true
+ * }, function(err, plan) {});
+ */
+Bucket.prototype.syncFromDirectory = function(directory, options, callback) {
+  if (is.fn(options)) {
+    callback = options;
+    options = {};
+  }
+
+  this.sync_('upload', directory, options, callback);
+};
+
+/**
+ * Make the files in a local directory match the files under a prefix of the
+ * bucket. Subdirectories are created as needed.
+ *
+ * Only new files and files that have changed are downloaded, compared the same
+ * way as {module:storage/bucket#syncFromDirectory}. Downloaded files are given
+ * the modification time they were uploaded with, if they were uploaded with
+ * {module:storage/bucket#syncFromDirectory}, or else the time they were last
+ * updated. Local files that aren't in the bucket are left alone, unless
+ * `options.deleteExtraneous` is set.
+ *
+ * @param {string} directory - The local directory to download to.
+ * @param {object=} options - Configuration object.
+ * @param {number} options.concurrency - The most files to download or delete
+ *     at once. (default: `10`)
+ * @param {boolean} options.deleteExtraneous - Delete local files that aren't
+ *     under the prefix.
+ * @param {boolean} options.dryRun - Work out what would be downloaded and
+ *     deleted, without changing anything.
+ * @param {string} options.prefix - The prefix to sync from. (default: the whole
+ *     bucket)
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error returned while syncing.
+ * @param {object[]} callback.plan - What was done, or would be done with
+ *     `options.dryRun`. Each step has an `action` (`download` or `delete`), the
+ *     `name` of the file in the bucket, and the local `path`.
+ *
+ * @example
+ * bucket.syncToDirectory('/Users/stephen/build', {
+ *   prefix: 'builds/latest'
+ * }, function(err, plan) {});
+ */
+Bucket.prototype.syncToDirectory = function(directory, options, callback) {
+  if (is.fn(options)) {
+    callback = options;
+    options = {};
+  }
+
+  this.sync_('download', directory, options, callback);
+};
+
+/**
+ * Upload a file to the bucket. This is a convenience method that wraps
+ * {module:storage/file#createWriteStream}.
+ *
+ * You can specify whether or not an upload is resumable by setting
+ * `options.resumable`. *Resumable uploads are enabled by default if your input
+ * file is larger than 5 MB.*
+ *
+ * For faster crc32c computation, you must manually install
+ * [`fast-crc32c`](http://www.gitnpm.com/fast-crc32c):
+ *
+ *     $ npm install --save fast-crc32c
+ *
+ * @resource [Upload Options (Simple or Resumable)]{@link https://cloud.google.com/storage/docs/json_api/v1/how-tos/upload#uploads}
+ * @resource [Objects: insert API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/objects/insert}
+ *
+ * @param {string} localPath - The fully qualified path to the file you wish to
+ *     upload to your bucket.
+ * @param {object=} options - Configuration options.
+ * @param {string|module:storage/file} options.destination - The place to save
+ *     your file. If given a string, the file will be uploaded to the bucket
+ *     using the string as a filename. When given a File object, your local file
+ *     will be uploaded to the File object's bucket and under the File object's
+ *     name. Lastly, when this argument is omitted, the file is uploaded to your
+ *     bucket using the name of the local file.
+ * @param {string} options.encryptionKey - A custom encryption key. See
+ *     [Customer-supplied Encryption Keys](https://cloud.google.com/storage/docs/encryption#customer-supplied).
+ * @param {boolean} options.gzip - Automatically gzip the file. This will set
+ *     `options.metadata.contentEncoding` to `gzip`.
+ * @param {string} options.kmsKeyName - A Cloud KMS key to encrypt the file
+ *     with. See
+ *     [Customer-managed Encryption Keys](https://cloud.google.com/storage/docs/encryption/customer-managed-keys).
+ * @param {object} options.metadata - See an
+ *     [Objects: insert request body](https://cloud.google.com/storage/docs/json_api/v1/objects/insert#request_properties_JSON).
+ * @param {string} options.offset - The starting byte of the upload stream, for
+ *     resuming an interrupted upload. Defaults to 0.
+ * @param {number} options.parallelUploads - Split the file into this many
+ *     pieces, upload them at the same time as temporary files, then combine
+ *     them into the destination. This is much faster for very large files.
+ *     The upload is validated with a CRC32C checksum unless
+ *     `options.validation` is `false`, and the temporary files are deleted
+ *     whether or not the upload succeeds. Not supported with `options.gzip`
+ *     or `options.offset`.
+ * @param {string} options.predefinedAcl - Apply a predefined set of access
+ *     controls to this object.
+ *
+ *     Acceptable values are:
+ *     - **`authenticatedRead`** - Object owner gets `OWNER` access, and
+ *       `allAuthenticatedUsers` get `READER` access.
+ *
+ *     - **`bucketOwnerFullControl`** - Object owner gets `OWNER` access, and
+ *       project team owners get `OWNER` access.
+ *
+ *     - **`bucketOwnerRead`** - Object owner gets `OWNER` access, and project
+ *       team owners get `READER` access.
+ *
+ *     - **`private`** - Object owner gets `OWNER` access.
+ *
+ *     - **`projectPrivate`** - Object owner gets `OWNER` access, and project
+ *       team members get access according to their roles.
+ *
+ *     - **`publicRead`** - Object owner gets `OWNER` access, and `allUsers` get
+ *       `READER` access.
+ * @param {boolean} options.private - Make the uploaded file private. (Alias for
+ *     `options.predefinedAcl = 'private'`)
+ * @param {boolean} options.public - Make the uploaded file public. (Alias for
+ *     `options.predefinedAcl = 'publicRead'`)
+ * @param {boolean} options.resumable - Force a resumable upload. (default:
+ *     true for files larger than 5 MB).
+ * @param {string} options.uri - The URI for an already-created resumable
+ *     upload. See {module:storage/file#createResumableUpload}.
+ * @param {string|boolean} options.validation - Possible values: `"md5"`,
+ *     `"crc32c"`, or `false`. By default, data integrity is validated with an
+ *     MD5 checksum for maximum reliability. CRC32c will provide better
+ *     performance with less reliability. You may also choose to skip validation
+ *     completely, however this is **not recommended**.
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request
+ * @param {module:storage/file} callback.file - The uploaded File.
  * @param {object} callback.apiResponse - The full API response.
  *
  * @example
@@ -1007,6 +2107,16 @@ Bucket.prototype.makePublic = function(options, callback) {
  * });
  *
  * //-
+ * // Upload a large file in 8 pieces at once.
+ * //-
+ * bucket.upload('database-backup.tar', {
+ *   parallelUploads: 8
+ * }, function(err, file) {
+ *   // Your bucket now contains:
+ *   // - "database-backup.tar" (combined from the 8 pieces)
+ * });
+ *
+ * //-
  * // You may also re-use a File object, {module:storage/file}, that references
  * // the file you wish to create or overwrite.
  * //-
@@ -1066,12 +2176,14 @@ Bucket.prototype.upload = function(localPath, options, callback) {
   } else if (is.string(options.destination)) {
     // Use the string as the name of the file.
     newFile = this.file(options.destination, {
-      encryptionKey: options.encryptionKey
+      encryptionKey: options.encryptionKey,
+      kmsKeyName: options.kmsKeyName
     });
   } else {
     // Resort to using the name of the incoming file.
     newFile = this.file(path.basename(localPath), {
-      encryptionKey: options.encryptionKey
+      encryptionKey: options.encryptionKey,
+      kmsKeyName: options.kmsKeyName
     });
   }
 
@@ -1081,6 +2193,15 @@ Bucket.prototype.upload = function(localPath, options, callback) {
     options.metadata.contentType = contentType;
   }
 
+  if (options.parallelUploads > 1) {
+    if (options.gzip || options.offset) {
+      throw new Error('Parallel uploads cannot use `gzip` or `offset`.');
+    }
+
+    this.uploadInParallel_(localPath, newFile, options, callback);
+    return;
+  }
+
   if (is.boolean(options.resumable)) {
     upload();
   } else {
@@ -1173,6 +2294,584 @@ Bucket.prototype.makeAllFilesPublicPrivate_ = function(options, callback) {
   });
 };
 
+/**
+ * Upload a local file as a parallel composite upload: the file is split into
+ * `options.parallelUploads` pieces, uploaded at the same time as temporary
+ * files, and combined into the destination. Buckets can only combine 32 files
+ * at once, so larger sets are combined in levels.
+ *
+ * @private
+ *
+ * @param {string} localPath - The path of the local file.
+ * @param {module:storage/file} destination - The file to create.
+ * @param {object} options - See `upload`.
+ * @param {function} callback - The callback function.
+ */
+Bucket.prototype.uploadInParallel_ = function(localPath, destination, options,
+    callback) {
+  var self = this;
+
+  var uploadId = crypto.randomBytes(8).toString('hex');
+  var parts = [];
+  var temporaryFiles = [];
+
+  var metadata = options.metadata;
+  var contentType = metadata.contentType || 'application/octet-stream';
+
+  fs.stat(localPath, function(err, stats) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    var partSize = Math.ceil(stats.size / options.parallelUploads);
+
+    for (var start = 0; start < stats.size; start += partSize) {
+      parts.push({
+        start: start,
+        end: Math.min(start + partSize, stats.size) - 1
+      });
+    }
+
+    if (parts.length < 2) {
+      // Too small to split.
+      self.upload(localPath, extend({}, options, {
+        destination: destination,
+        parallelUploads: 0
+      }), callback);
+      return;
+    }
+
+    settle(parts, uploadPart, function(err) {
+      if (err) {
+        cleanUp(err);
+        return;
+      }
+
+      destination.metadata.contentType = contentType;
+
+      composeParts(parts.map(function(part) {
+        return part.file;
+      }), 0, validate);
+    });
+
+    function uploadPart(part, done) {
+      var index = parts.indexOf(part);
+
+      part.file = self.file(getTemporaryName('part-' + index), {
+        encryptionKey: options.encryptionKey,
+        kmsKeyName: options.kmsKeyName
+      });
+
+      var partSize = part.end - part.start + 1;
+
+      var writeStream = part.file.createWriteStream({
+        metadata: {
+          contentType: contentType
+        },
+        resumable: is.boolean(options.resumable) ?
+          options.resumable :
+          partSize > RESUMABLE_THRESHOLD,
+        validation: options.validation
+      });
+
+      // Checksum each part on its way out, to validate the combined file.
+      var checksumStream = through(function(chunk, enc, next) {
+        part.crc32c = crc32c.calculate(chunk, part.crc32c);
+        next(null, chunk);
+      });
+
+      done = once(done);
+
+      var readStream = fs.createReadStream(localPath, {
+        start: part.start,
+        end: part.end
+      });
+
+      readStream
+        .on('error', done)
+        .pipe(checksumStream)
+        .pipe(writeStream)
+        .on('error', done)
+        .on('finish', function() {
+          temporaryFiles.push(part.file);
+          done();
+        });
+    }
+  });
+
+  // Like `async.map`, but waits for every task to finish before returning the
+  // first error. A task still running when `cleanUp` is called could create a
+  // temporary object that would never be deleted.
+  function settle(tasks, iterator, done) {
+    var firstError = null;
+
+    async.map(tasks, function(task, next) {
+      iterator(task, function(err, result) {
+        firstError = firstError || err || null;
+        next(null, result);
+      });
+    }, function(err, results) {
+      done(firstError, results);
+    });
+  }
+
+  function composeParts(files, level, done) {
+    if (files.length <= MAX_COMPOSE_COMPONENTS) {
+      self.combine(files, destination, options, done);
+      return;
+    }
+
+    var groups = [];
+
+    for (var i = 0; i < files.length; i += MAX_COMPOSE_COMPONENTS) {
+      groups.push(files.slice(i, i + MAX_COMPOSE_COMPONENTS));
+    }
+
+    settle(groups, function(group, next) {
+      if (group.length === 1) {
+        next(null, group[0]);
+        return;
+      }
+
+      var name = 'composite-' + level + '-' + groups.indexOf(group);
+      var composite = self.file(getTemporaryName(name), {
+        encryptionKey: options.encryptionKey,
+        kmsKeyName: options.kmsKeyName
+      });
+
+      composite.metadata.contentType = contentType;
+
+      self.combine(group, composite, function(err, file, apiResponse) {
+        if (err) {
+          next(err);
+          return;
+        }
+
+        composite.metadata = apiResponse;
+        temporaryFiles.push(composite);
+
+        next(null, composite);
+      });
+    }, function(err, composites) {
+      if (err) {
+        done(err);
+        return;
+      }
+
+      composeParts(composites, level + 1, done);
+    });
+  }
+
+  function validate(err, file, apiResponse) {
+    if (err) {
+      cleanUp(err);
+      return;
+    }
+
+    destination.metadata = apiResponse;
+
+    var expectedCrc32c = parts.slice(1).reduce(function(crc, part) {
+      return crc32c.combine(crc, part.crc32c, part.end - part.start + 1);
+    }, parts[0].crc32c);
+
+    if (options.validation === false ||
+        apiResponse.crc32c === crc32c.toBase64(expectedCrc32c)) {
+      setMetadata();
+      return;
+    }
+
+    destination.delete(function(err) {
+      var error = new Error([
+        'The uploaded data did not match the data from the server. As a',
+        'precaution, the file has been deleted. To be sure the content is the',
+        'same, you should try uploading the file again.'
+      ].join(' '));
+
+      error.code = 'FILE_NO_UPLOAD';
+
+      if (err) {
+        error.code = 'FILE_NO_UPLOAD_DELETE';
+        error.errors = [err];
+      }
+
+      cleanUp(error);
+    });
+  }
+
+  // Composing only keeps the content type, so the rest of the metadata and any
+  // predefined ACL are applied to the destination afterwards.
+  function setMetadata() {
+    var reqOpts = {
+      method: 'PATCH',
+      uri: '',
+      qs: {},
+      json: extend({}, metadata)
+    };
+
+    delete reqOpts.json.contentType;
+
+    if (options.predefinedAcl) {
+      reqOpts.qs.predefinedAcl = options.predefinedAcl;
+    } else if (options.private) {
+      reqOpts.qs.predefinedAcl = 'private';
+    } else if (options.public) {
+      reqOpts.qs.predefinedAcl = 'publicRead';
+    }
+
+    if (!reqOpts.qs.predefinedAcl && Object.keys(reqOpts.json).length === 0) {
+      cleanUp();
+      return;
+    }
+
+    destination.request(reqOpts, function(err, apiResponse) {
+      if (!err) {
+        destination.metadata = apiResponse;
+      }
+
+      cleanUp(err);
+    });
+  }
+
+  function cleanUp(err) {
+    async.each(temporaryFiles, function(file, next) {
+      file.delete(next);
+    }, function(deleteErr) {
+      err = err || deleteErr;
+
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      callback(null, destination);
+    });
+  }
+
+  function getTemporaryName(suffix) {
+    return [destination.name, 'parallel-upload', uploadId, suffix].join('.');
+  }
+};
+
+/**
+ * Compare a local directory with a prefix of the bucket, then upload or
+ * download the files that differ, and delete extraneous files if asked to.
+ *
+ * @private
+ *
+ * @param {string} direction - `upload` or `download`.
+ * @param {string} directory - The local directory.
+ * @param {object} options - See `syncFromDirectory` and `syncToDirectory`.
+ * @param {function} callback - The callback function.
+ */
+Bucket.prototype.sync_ = function(direction, directory, options, callback) {
+  var MAX_PARALLEL_LIMIT = 10;
+  var self = this;
+
+  var limit = options.concurrency || MAX_PARALLEL_LIMIT;
+  var upload = direction === 'upload';
+
+  var prefix = options.prefix || '';
+
+  if (prefix && prefix.slice(-1) !== '/') {
+    prefix += '/';
+  }
+
+  var localFiles;
+  var remoteFiles = {};
+  var plan = [];
+
+  async.parallel([
+    function(done) {
+      Bucket.readDirectory_(directory, function(err, files) {
+        localFiles = files;
+        done(err);
+      });
+    },
+
+    function(done) {
+      self.getFiles({ prefix: prefix }, function(err, files) {
+        if (err) {
+          done(err);
+          return;
+        }
+
+        files.forEach(function(file) {
+          var relativePath = file.name.slice(prefix.length);
+
+          // Skip the placeholder objects some tools create for folders.
+          if (relativePath && relativePath.slice(-1) !== '/') {
+            remoteFiles[relativePath] = file;
+          }
+        });
+
+        done();
+      });
+    }
+  ], function(err) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    var sources = upload ? localFiles : remoteFiles;
+    var destinations = upload ? remoteFiles : localFiles;
+
+    async.eachLimit(Object.keys(sources), limit, planFile, function(err) {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      if (options.deleteExtraneous) {
+        Object.keys(destinations).forEach(function(relativePath) {
+          if (!sources[relativePath]) {
+            plan.push(createStep('delete', relativePath));
+          }
+        });
+      }
+
+      plan.sort(function(a, b) {
+        return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+      });
+
+      if (options.dryRun) {
+        callback(null, plan);
+        return;
+      }
+
+      async.eachLimit(plan, limit, runStep, function(err) {
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        callback(null, plan);
+      });
+    });
+  });
+
+  function createStep(action, relativePath) {
+    return {
+      action: action,
+      name: prefix + relativePath,
+      path: path.join(directory, relativePath)
+    };
+  }
+
+  function planFile(relativePath, done) {
+    var step = createStep(direction, relativePath);
+
+    // Don't let a file name like "../file" write outside of the directory.
+    var pathFromDirectory = path.relative(directory, step.path);
+
+    if (pathFromDirectory.split(path.sep)[0] === '..') {
+      done(new Error(
+        'The file "' + step.name + '" is outside of "' + directory + '".'
+      ));
+      return;
+    }
+
+    var localFile = localFiles[relativePath];
+    var remoteFile = remoteFiles[relativePath];
+
+    if (!localFile || !remoteFile) {
+      plan.push(step);
+      done();
+      return;
+    }
+
+    Bucket.compareFile_(localFile, remoteFile.metadata, function(err, isSame) {
+      if (!err && !isSame) {
+        plan.push(step);
+      }
+
+      done(err);
+    });
+  }
+
+  function runStep(step, done) {
+    var relativePath = step.name.slice(prefix.length);
+
+    if (step.action === 'upload') {
+      var localFile = localFiles[relativePath];
+
+      var customMetadata = {};
+      customMetadata[MTIME_METADATA_KEY] = String(localFile.mtime);
+
+      self.upload(step.path, {
+        destination: step.name,
+        metadata: {
+          metadata: customMetadata
+        }
+      }, done);
+      return;
+    }
+
+    if (step.action === 'download') {
+      downloadFile(remoteFiles[relativePath], step.path, done);
+      return;
+    }
+
+    if (upload) {
+      remoteFiles[relativePath].delete(done);
+      return;
+    }
+
+    fs.unlink(step.path, done);
+  }
+
+  function downloadFile(file, destination, done) {
+    var metadata = file.metadata;
+    var customMetadata = metadata.metadata || {};
+
+    var mtime = parseInt(customMetadata[MTIME_METADATA_KEY], 10);
+
+    if (isNaN(mtime)) {
+      mtime = Math.floor(new Date(metadata.updated).getTime() / 1000);
+    }
+
+    Bucket.makeDirectory_(path.dirname(destination), function(err) {
+      if (err) {
+        done(err);
+        return;
+      }
+
+      file.download({ destination: destination }, function(err) {
+        if (err || isNaN(mtime)) {
+          done(err);
+          return;
+        }
+
+        fs.utimes(destination, mtime, mtime, done);
+      });
+    });
+  }
+};
+
+/**
+ * Turn versioning on or off.
+ *
+ * @private
+ *
+ * @param {boolean} enabled - Whether to keep archived versions of files.
+ * @param {function} callback - The callback function.
+ */
+Bucket.prototype.setVersioning_ = function(enabled, callback) {
+  this.updateMetadata_(function(metadata) {
+    var versioning = metadata.versioning || {};
+
+    if ((versioning.enabled === true) === enabled) {
+      return null;
+    }
+
+    return {
+      versioning: {
+        enabled: enabled
+      }
+    };
+  }, callback);
+};
+
+/**
+ * Make a metadata update conditional on the bucket's metageneration, which
+ * changes with every update of its metadata.
+ *
+ * @private
+ *
+ * @param {object} metadata - The metadata that was read.
+ * @return {object} - Request options to add to the update.
+ */
+Bucket.prototype.getUpdatePrecondition_ = function(metadata) {
+  return {
+    qs: {
+      ifMetagenerationMatch: metadata.metageneration
+    }
+  };
+};
+
+/**
+ * Allow the project's Cloud Storage service account to publish to a Cloud
+ * Pub/Sub topic, by adding it to the topic's IAM policy.
+ *
+ * A Topic object's own `iam` helper is used when one is given; otherwise, the
+ * policy is updated through the Cloud Pub/Sub REST API. The policy's `etag` is
+ * sent back, so the update fails rather than overwrite a concurrent change.
+ *
+ * @private
+ *
+ * @param {string|object} topic - The topic name, or a
+ *     `@google-cloud/pubsub` Topic object.
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object} callback.apiResponse - The full API response.
+ */
+Bucket.prototype.grantPublishPermission_ = function(topic, callback) {
+  var self = this;
+
+  var topicName = Bucket.formatTopicName_(topic, this.storage.projectId);
+
+  var iam = topic.iam || {
+    getPolicy: function(callback) {
+      self.storage.pubsub_.request({
+        method: 'POST',
+        uri: topicName + ':getIamPolicy',
+        json: {}
+      }, callback);
+    },
+
+    setPolicy: function(policy, callback) {
+      self.storage.pubsub_.request({
+        method: 'POST',
+        uri: topicName + ':setIamPolicy',
+        json: {
+          policy: policy
+        }
+      }, callback);
+    }
+  };
+
+  this.storage.getServiceAccount(function(err, serviceAccount, apiResponse) {
+    if (err) {
+      callback(err, apiResponse);
+      return;
+    }
+
+    var member = 'serviceAccount:' + serviceAccount.emailAddress;
+
+    iam.getPolicy(function(err, policy) {
+      if (err) {
+        callback(err, policy);
+        return;
+      }
+
+      policy.bindings = arrify(policy.bindings);
+
+      var binding = policy.bindings.filter(function(binding) {
+        return binding.role === PUBSUB_PUBLISHER_ROLE;
+      })[0];
+
+      if (binding && arrify(binding.members).indexOf(member) > -1) {
+        callback(null, policy);
+        return;
+      }
+
+      if (binding) {
+        binding.members = arrify(binding.members).concat(member);
+      } else {
+        policy.bindings.push({
+          role: PUBSUB_PUBLISHER_ROLE,
+          members: [member]
+        });
+      }
+
+      iam.setPolicy(policy, function(err, apiResponse) {
+        callback(err, apiResponse);
+      });
+    });
+  });
+};
+
 /*! Developer Documentation
  *
  * This method can be used with either a callback or as a readable object
@@ -1180,4 +2879,13 @@ Bucket.prototype.makeAllFilesPublicPrivate_ = function(options, callback) {
  */
 common.streamRouter.extend(Bucket, 'getFiles');
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Bucket, {
+  exclude: ['file', 'getFiles', 'notification']
+});
+
 module.exports = Bucket;
@@ -89,4 +89,11 @@ Channel.prototype.stop = function(callback) {
   });
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Channel);
+
 module.exports = Channel;
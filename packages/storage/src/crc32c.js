@@ -0,0 +1,181 @@
+/*!
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*!
+ * @module storage/crc32c
+ */
+
+'use strict';
+
+/* jshint bitwise: false */
+
+/**
+ * The reversed CRC32C (Castagnoli) polynomial.
+ *
+ * @const {number}
+ * @private
+ */
+var POLYNOMIAL = 0x82f63b78;
+
+/**
+ * The byte lookup table, built on first use.
+ *
+ * @type {number[]}
+ * @private
+ */
+var TABLE;
+
+/**
+ * Calculate the CRC32C checksum of a chunk of data. Pass the checksum of the
+ * preceding data as `crc` to checksum a stream one chunk at a time.
+ *
+ * @private
+ *
+ * @param {buffer} data - The data.
+ * @param {number=} crc - The checksum of the preceding data. (default: `0`)
+ * @return {number}
+ *
+ * @example
+ * var crc = crc32c.calculate(new Buffer('hello '));
+ * crc = crc32c.calculate(new Buffer('world'), crc);
+ * // crc === crc32c.calculate(new Buffer('hello world'))
+ */
+function calculate(data, crc) {
+  if (!TABLE) {
+    TABLE = [];
+
+    for (var n = 0; n < 256; n++) {
+      var c = n;
+
+      for (var k = 0; k < 8; k++) {
+        c = c & 1 ? POLYNOMIAL ^ (c >>> 1) : c >>> 1;
+      }
+
+      TABLE[n] = c >>> 0;
+    }
+  }
+
+  crc = (crc || 0) ^ 0xffffffff;
+
+  for (var i = 0; i < data.length; i++) {
+    crc = TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Calculate the checksum of two pieces of data laid end to end, from their
+ * separate checksums. This is how the checksum of a composite object is found
+ * without reading its components again.
+ *
+ * Ported from `crc32_combine` in zlib.
+ *
+ * @private
+ *
+ * @param {number} crc1 - The checksum of the first piece.
+ * @param {number} crc2 - The checksum of the second piece.
+ * @param {number} length2 - The length of the second piece, in bytes.
+ * @return {number}
+ */
+function combine(crc1, crc2, length2) {
+  if (length2 === 0) {
+    return crc1;
+  }
+
+  // `odd` is the operator for one zero bit, `even` for two. Squaring an
+  // operator doubles the number of zero bits it appends.
+  var even = [];
+  var odd = [POLYNOMIAL];
+  var row = 1;
+
+  for (var n = 1; n < 32; n++) {
+    odd[n] = row;
+    row <<= 1;
+  }
+
+  squareMatrix(even, odd);
+  squareMatrix(odd, even);
+
+  // Append `length2` zero bytes to `crc1`.
+  do {
+    squareMatrix(even, odd);
+
+    if (length2 & 1) {
+      crc1 = multiplyMatrix(even, crc1);
+    }
+
+    length2 = Math.floor(length2 / 2);
+
+    if (length2 === 0) {
+      break;
+    }
+
+    squareMatrix(odd, even);
+
+    if (length2 & 1) {
+      crc1 = multiplyMatrix(odd, crc1);
+    }
+
+    length2 = Math.floor(length2 / 2);
+  } while (length2 !== 0);
+
+  return (crc1 ^ crc2) >>> 0;
+}
+
+/**
+ * Encode a checksum the way Cloud Storage reports it: four big-endian bytes,
+ * base64-encoded.
+ *
+ * @private
+ *
+ * @param {number} crc - The checksum.
+ * @return {string}
+ */
+function toBase64(crc) {
+  var buffer = new Buffer(4);
+  buffer.writeUInt32BE(crc >>> 0, 0);
+  return buffer.toString('base64');
+}
+
+/*! Developer Documentation
+ *
+ * Arithmetic on 32x32 matrices over GF(2), used by `combine`. A matrix is an
+ * array of 32 rows, each row a 32-bit number.
+ */
+function multiplyMatrix(matrix, vector) {
+  var sum = 0;
+
+  for (var i = 0; vector !== 0; i++, vector >>>= 1) {
+    if (vector & 1) {
+      sum ^= matrix[i];
+    }
+  }
+
+  return sum >>> 0;
+}
+
+function squareMatrix(square, matrix) {
+  for (var n = 0; n < 32; n++) {
+    square[n] = multiplyMatrix(matrix, matrix[n]);
+  }
+}
+
+module.exports = {
+  calculate: calculate,
+  combine: combine,
+  toBase64: toBase64
+};
@@ -0,0 +1,2208 @@
+/*!
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*!
+ * @module storage/fake-server
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+var extend = require('extend');
+var format = require('string-format-obj');
+var http = require('http');
+var is = require('is');
+var url = require('url');
+var zlib = require('zlib');
+
+/**
+ * @type {module:storage/crc32c}
+ * @private
+ */
+var crc32c = require('./crc32c.js');
+
+/**
+ * Object fields that can be set by a user when creating or updating an object.
+ *
+ * @const {string[]}
+ * @private
+ */
+var WRITABLE_OBJECT_FIELDS = [
+  'cacheControl',
+  'contentDisposition',
+  'contentEncoding',
+  'contentLanguage',
+  'contentType',
+  'metadata',
+  'storageClass'
+];
+
+/**
+ * Bucket fields that are maintained by the server.
+ *
+ * @const {string[]}
+ * @private
+ */
+var READ_ONLY_BUCKET_FIELDS = [
+  'acl',
+  'defaultObjectAcl',
+  'etag',
+  'id',
+  'kind',
+  'metageneration',
+  'name',
+  'projectNumber',
+  'selfLink',
+  'timeCreated',
+  'updated'
+];
+
+/**
+ * The form of a notification configuration's topic.
+ *
+ * @const {RegExp}
+ * @private
+ */
+var TOPIC_NAME_REGEX =
+  /^\/\/pubsub\.googleapis\.com\/projects\/[^\/]+\/topics\/[^\/]+$/;
+
+/**
+ * The ACL entries each `predefinedAcl` value expands to.
+ *
+ * @const {object}
+ * @private
+ */
+var PREDEFINED_ACLS = {
+  authenticatedRead: [
+    ['project-owners', 'OWNER'],
+    ['allAuthenticatedUsers', 'READER']
+  ],
+  bucketOwnerFullControl: [
+    ['project-owners', 'OWNER']
+  ],
+  bucketOwnerRead: [
+    ['project-owners', 'READER']
+  ],
+  private: [
+    ['project-owners', 'OWNER']
+  ],
+  projectPrivate: [
+    ['project-owners', 'OWNER'],
+    ['project-editors', 'OWNER'],
+    ['project-viewers', 'READER']
+  ],
+  publicRead: [
+    ['project-owners', 'OWNER'],
+    ['allUsers', 'READER']
+  ],
+  publicReadWrite: [
+    ['project-owners', 'OWNER'],
+    ['allUsers', 'WRITER']
+  ]
+};
+
+/**
+ * The JSON API routes the server answers, in the order they are tried. Segments
+ * starting with a colon are captured as parameters.
+ *
+ * @const {array[]}
+ * @private
+ */
+var ROUTES = [
+  ['GET', '/storage/v1/projects/:project/serviceAccount', 'getServiceAccount_'],
+  ['GET', '/storage/v1/b', 'listBuckets_'],
+  ['POST', '/storage/v1/b', 'insertBucket_'],
+  ['GET', '/storage/v1/b/:bucket', 'getBucket_'],
+  ['PATCH', '/storage/v1/b/:bucket', 'patchBucket_'],
+  ['PUT', '/storage/v1/b/:bucket', 'patchBucket_'],
+  ['DELETE', '/storage/v1/b/:bucket', 'deleteBucket_'],
+  ['POST', '/storage/v1/b/:bucket/lockRetentionPolicy', 'lockRetentionPolicy_'],
+  ['GET', '/storage/v1/b/:bucket/notificationConfigs', 'listNotifications_'],
+  ['POST', '/storage/v1/b/:bucket/notificationConfigs', 'insertNotification_'],
+  [
+    'GET',
+    '/storage/v1/b/:bucket/notificationConfigs/:notification',
+    'getNotification_'
+  ],
+  [
+    'DELETE',
+    '/storage/v1/b/:bucket/notificationConfigs/:notification',
+    'deleteNotification_'
+  ],
+
+  ['GET', '/storage/v1/b/:bucket/o', 'listObjects_'],
+  ['GET', '/storage/v1/b/:bucket/o/:object', 'getObject_'],
+  ['PATCH', '/storage/v1/b/:bucket/o/:object', 'patchObject_'],
+  ['PUT', '/storage/v1/b/:bucket/o/:object', 'patchObject_'],
+  ['DELETE', '/storage/v1/b/:bucket/o/:object', 'deleteObject_'],
+  ['POST', '/storage/v1/b/:bucket/o/:object/compose', 'composeObject_'],
+  [
+    'POST',
+    '/storage/v1/b/:bucket/o/:object/copyTo/b/:destBucket/o/:destObject',
+    'copyObject_'
+  ],
+  [
+    'POST',
+    '/storage/v1/b/:bucket/o/:object/rewriteTo/b/:destBucket/o/:destObject',
+    'rewriteObject_'
+  ],
+
+  ['GET', '/storage/v1/b/:bucket/o/:object/acl', 'listAcl_'],
+  ['POST', '/storage/v1/b/:bucket/o/:object/acl', 'insertAcl_'],
+  ['GET', '/storage/v1/b/:bucket/o/:object/acl/:entity', 'getAcl_'],
+  ['PATCH', '/storage/v1/b/:bucket/o/:object/acl/:entity', 'updateAcl_'],
+  ['PUT', '/storage/v1/b/:bucket/o/:object/acl/:entity', 'updateAcl_'],
+  ['DELETE', '/storage/v1/b/:bucket/o/:object/acl/:entity', 'deleteAcl_'],
+
+  ['GET', '/storage/v1/b/:bucket/:acl', 'listAcl_'],
+  ['POST', '/storage/v1/b/:bucket/:acl', 'insertAcl_'],
+  ['GET', '/storage/v1/b/:bucket/:acl/:entity', 'getAcl_'],
+  ['PATCH', '/storage/v1/b/:bucket/:acl/:entity', 'updateAcl_'],
+  ['PUT', '/storage/v1/b/:bucket/:acl/:entity', 'updateAcl_'],
+  ['DELETE', '/storage/v1/b/:bucket/:acl/:entity', 'deleteAcl_'],
+
+  ['POST', '/upload/storage/v1/b/:bucket/o', 'uploadObject_'],
+  ['PUT', '/upload/storage/v1/b/:bucket/o', 'resumeUpload_'],
+
+  ['GET', '/:bucket/:object', 'downloadObject_']
+];
+
+/*! Developer Documentation
+ *
+ * Buckets are kept in `this.buckets`, keyed by name. Every version of every
+ * object is kept in its bucket's `objects` array; the live version of an
+ * object is the one with `live: true`.
+ */
+/**
+ * A local, in-memory implementation of the parts of the Cloud Storage JSON API
+ * that {module:storage}, {module:storage/bucket}, and {module:storage/file}
+ * use. Point a Storage instance at it with the `apiEndpoint` option to test
+ * your code without a network connection or a Google Cloud project.
+ *
+ * Buckets, objects and their generations, ACLs, resumable upload sessions,
+ * composes, copies, rewrites, and notification configurations are supported.
+ * No Cloud Pub/Sub messages are actually published, and nothing is persisted;
+ * stopping the server loses all of its data.
+ *
+ * @alias module:storage/fake-server
+ * @constructor
+ *
+ * @param {object=} options - Configuration object.
+ * @param {string} options.projectId - The project that owns the buckets.
+ *     (default: `fake-project`)
+ *
+ * @example
+ * var FakeServer = require('@google-cloud/storage/fake-server');
+ * var server = new FakeServer();
+ *
+ * server.listen(function(err, apiEndpoint) {
+ *   var gcs = require('@google-cloud/storage')({
+ *     projectId: 'grape-spaceship-123',
+ *     apiEndpoint: apiEndpoint
+ *   });
+ *
+ *   gcs.createBucket('my-bucket', function(err, bucket) {
+ *     bucket.file('file.txt').save('contents', function(err) {
+ *       server.close();
+ *     });
+ *   });
+ * });
+ */
+function FakeServer(options) {
+  options = options || {};
+
+  this.projectId = options.projectId || 'fake-project';
+  this.server = http.createServer(this.handleRequest_.bind(this));
+
+  this.reset();
+}
+
+/**
+ * Start listening for requests.
+ *
+ * @param {number=} port - The port to listen on. (default: a random free port)
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while starting the server.
+ * @param {string} callback.apiEndpoint - The `apiEndpoint` to give to Storage.
+ *
+ * @example
+ * server.listen(8080, function(err, apiEndpoint) {
+ *   // apiEndpoint === 'http://localhost:8080'
+ * });
+ */
+FakeServer.prototype.listen = function(port, callback) {
+  var self = this;
+
+  if (is.fn(port)) {
+    callback = port;
+    port = 0;
+  }
+
+  callback = callback || function() {};
+
+  function onError(err) {
+    callback(err);
+  }
+
+  this.server.once('error', onError);
+
+  this.server.listen(port || 0, 'localhost', function() {
+    self.server.removeListener('error', onError);
+
+    self.apiEndpoint = 'http://localhost:' + self.server.address().port;
+    callback(null, self.apiEndpoint);
+  });
+};
+
+/**
+ * Stop listening for requests.
+ *
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while stopping the server.
+ */
+FakeServer.prototype.close = function(callback) {
+  this.server.close(callback);
+};
+
+/**
+ * Forget every bucket, object, and upload session.
+ *
+ * @example
+ * afterEach(function() {
+ *   server.reset();
+ * });
+ */
+FakeServer.prototype.reset = function() {
+  this.buckets = {};
+  this.uploads_ = {};
+  this.rewrites_ = {};
+  this.lastGeneration_ = 0;
+  this.lastId_ = 0;
+};
+
+/**
+ * Read the request body, route the request, and send the response.
+ *
+ * @private
+ *
+ * @param {http.IncomingMessage} req - The incoming request.
+ * @param {http.ServerResponse} res - The server response.
+ */
+FakeServer.prototype.handleRequest_ = function(req, res) {
+  var self = this;
+  var chunks = [];
+
+  req.on('data', function(chunk) {
+    chunks.push(chunk);
+  });
+
+  req.on('end', function() {
+    var parsedUrl = url.parse(req.url, true);
+
+    var request = {
+      method: req.method,
+      headers: req.headers,
+      query: parsedUrl.query,
+      body: Buffer.concat(chunks)
+    };
+
+    var response;
+
+    try {
+      response = self.route_(parsedUrl.pathname, request);
+    } catch (e) {
+      response = FakeServer.error_(500, 'backendError', e.message);
+    }
+
+    self.send_(res, response);
+  });
+};
+
+/**
+ * Find the handler for a request and run it.
+ *
+ * @private
+ *
+ * @param {string} pathname - The path of the request URL.
+ * @param {object} request - The method, headers, query and body.
+ * @return {object} The response.
+ */
+FakeServer.prototype.route_ = function(pathname, request) {
+  var pathSegments = pathname.split('/').slice(1);
+
+  for (var i = 0; i < ROUTES.length; i++) {
+    var route = ROUTES[i];
+
+    if (route[0] !== request.method) {
+      continue;
+    }
+
+    var params = FakeServer.matchPath_(route[1], pathSegments);
+
+    if (params) {
+      return this[route[2]](params, request);
+    }
+  }
+
+  return FakeServer.error_(404, 'notFound', 'Not Found');
+};
+
+/**
+ * Write a response object to the wire.
+ *
+ * @private
+ *
+ * @param {http.ServerResponse} res - The server response.
+ * @param {object} response - The response.
+ * @param {number=} response.code - The status code. (default: 200)
+ * @param {object=} response.headers - Response headers.
+ * @param {object|buffer=} response.body - A JSON object or raw data.
+ */
+FakeServer.prototype.send_ = function(res, response) {
+  var headers = extend({}, response.headers);
+  var body = response.body;
+
+  if (is.object(body)) {
+    headers['Content-Type'] = 'application/json; charset=UTF-8';
+    body = new Buffer(JSON.stringify(body));
+  }
+
+  body = body || new Buffer(0);
+  headers['Content-Length'] = body.length;
+
+  res.writeHead(response.code || 200, headers);
+  res.end(body);
+};
+
+/**
+ * Get the project's Cloud Storage service account.
+ *
+ * @private
+ */
+FakeServer.prototype.getServiceAccount_ = function() {
+  return {
+    body: {
+      kind: 'storage#serviceAccount',
+      email_address: 'service-0@gs-project-accounts.iam.gserviceaccount.com'
+    }
+  };
+};
+
+/**
+ * Create a bucket.
+ *
+ * @private
+ */
+FakeServer.prototype.insertBucket_ = function(params, request) {
+  var metadata = FakeServer.parseJson_(request.body);
+
+  if (!metadata.name) {
+    return FakeServer.error_(400, 'required', 'Required');
+  }
+
+  if (this.buckets[metadata.name]) {
+    return FakeServer.error_(
+      409,
+      'conflict',
+      'You already own this bucket. Please select another name.'
+    );
+  }
+
+  var now = new Date().toISOString();
+
+  var bucket = this.buckets[metadata.name] = {
+    objects: [],
+    notifications: [],
+    metadata: extend(FakeServer.omit_(metadata, READ_ONLY_BUCKET_FIELDS), {
+      kind: 'storage#bucket',
+      id: metadata.name,
+      selfLink: this.getSelfLink_('/b/' + metadata.name),
+      projectNumber: '0',
+      name: metadata.name,
+      timeCreated: now,
+      updated: now,
+      metageneration: '1',
+      location: metadata.location || 'US',
+      storageClass: metadata.storageClass || 'STANDARD'
+    })
+  };
+
+  var predefinedAcl = request.query.predefinedAcl || 'projectPrivate';
+  var predefinedDefaultObjectAcl =
+    request.query.predefinedDefaultObjectAcl || 'projectPrivate';
+
+  bucket.acl = this.createAcl_(predefinedAcl, bucket);
+  bucket.defaultObjectAcl =
+    this.createAcl_(predefinedDefaultObjectAcl, bucket);
+
+  FakeServer.touch_(bucket.metadata, true);
+
+  return {
+    body: bucket.metadata
+  };
+};
+
+/**
+ * List the buckets.
+ *
+ * @private
+ */
+FakeServer.prototype.listBuckets_ = function(params, request) {
+  var prefix = request.query.prefix || '';
+  var self = this;
+
+  var buckets = Object.keys(this.buckets)
+    .sort()
+    .filter(function(name) {
+      return name.indexOf(prefix) === 0;
+    })
+    .map(function(name) {
+      return self.buckets[name].metadata;
+    });
+
+  return {
+    body: FakeServer.paginate_('storage#buckets', buckets, request.query)
+  };
+};
+
+/**
+ * Get a bucket's metadata.
+ *
+ * @private
+ */
+FakeServer.prototype.getBucket_ = function(params, request) {
+  var bucket = this.buckets[params.bucket];
+
+  if (!bucket) {
+    return FakeServer.bucketNotFound_();
+  }
+
+  var preconditionError = FakeServer.checkPreconditions_(
+    bucket.metadata,
+    request.query
+  );
+
+  if (preconditionError) {
+    return preconditionError;
+  }
+
+  return {
+    body: bucket.metadata
+  };
+};
+
+/**
+ * Update a bucket's metadata.
+ *
+ * @private
+ */
+FakeServer.prototype.patchBucket_ = function(params, request) {
+  var bucket = this.buckets[params.bucket];
+
+  if (!bucket) {
+    return FakeServer.bucketNotFound_();
+  }
+
+  var preconditionError = FakeServer.checkPreconditions_(
+    bucket.metadata,
+    request.query
+  );
+
+  if (preconditionError) {
+    return preconditionError;
+  }
+
+  var metadata = FakeServer.parseJson_(request.body);
+
+  if (is.defined(metadata.retentionPolicy)) {
+    var retentionPolicy = bucket.metadata.retentionPolicy;
+
+    // A locked policy can't be removed or shortened.
+    if (retentionPolicy && retentionPolicy.isLocked &&
+        (!metadata.retentionPolicy ||
+          parseInt(metadata.retentionPolicy.retentionPeriod, 10) <
+            parseInt(retentionPolicy.retentionPeriod, 10))) {
+      return FakeServer.error_(
+        403,
+        'forbidden',
+        'Cannot reduce the retention period of a locked retention policy.'
+      );
+    }
+
+    if (metadata.retentionPolicy) {
+      metadata.retentionPolicy = {
+        retentionPeriod: String(metadata.retentionPolicy.retentionPeriod),
+        effectiveTime: new Date().toISOString(),
+        isLocked: !!(retentionPolicy && retentionPolicy.isLocked)
+      };
+    }
+  }
+
+  if (request.query.predefinedAcl) {
+    bucket.acl = this.createAcl_(request.query.predefinedAcl, bucket);
+  }
+
+  if (request.query.predefinedDefaultObjectAcl) {
+    bucket.defaultObjectAcl =
+      this.createAcl_(request.query.predefinedDefaultObjectAcl, bucket);
+  }
+
+  FakeServer.merge_(
+    bucket.metadata,
+    FakeServer.omit_(metadata, READ_ONLY_BUCKET_FIELDS)
+  );
+
+  FakeServer.touch_(bucket.metadata);
+
+  return {
+    body: bucket.metadata
+  };
+};
+
+/**
+ * Lock a bucket's retention policy. The metageneration of the bucket must be
+ * given as a precondition.
+ *
+ * @private
+ */
+FakeServer.prototype.lockRetentionPolicy_ = function(params, request) {
+  var bucket = this.buckets[params.bucket];
+
+  if (!bucket) {
+    return FakeServer.bucketNotFound_();
+  }
+
+  if (!is.defined(request.query.ifMetagenerationMatch)) {
+    return FakeServer.error_(
+      400,
+      'required',
+      'Required parameter: ifMetagenerationMatch'
+    );
+  }
+
+  var preconditionError = FakeServer.checkPreconditions_(
+    bucket.metadata,
+    request.query
+  );
+
+  if (preconditionError) {
+    return preconditionError;
+  }
+
+  if (!bucket.metadata.retentionPolicy) {
+    return FakeServer.error_(
+      400,
+      'invalid',
+      'The bucket does not have a retention policy to lock.'
+    );
+  }
+
+  bucket.metadata.retentionPolicy.isLocked = true;
+
+  FakeServer.touch_(bucket.metadata);
+
+  return {
+    body: bucket.metadata
+  };
+};
+
+/**
+ * List a bucket's notification configurations.
+ *
+ * @private
+ */
+FakeServer.prototype.listNotifications_ = function(params) {
+  var bucket = this.buckets[params.bucket];
+
+  if (!bucket) {
+    return FakeServer.bucketNotFound_();
+  }
+
+  return {
+    body: {
+      kind: 'storage#notifications',
+      items: bucket.notifications
+    }
+  };
+};
+
+/**
+ * Add a notification configuration to a bucket.
+ *
+ * @private
+ */
+FakeServer.prototype.insertNotification_ = function(params, request) {
+  var bucket = this.buckets[params.bucket];
+
+  if (!bucket) {
+    return FakeServer.bucketNotFound_();
+  }
+
+  var body = FakeServer.parseJson_(request.body);
+
+  if (!body.topic || !body.payload_format) {
+    return FakeServer.error_(400, 'required', 'Required');
+  }
+
+  if (!TOPIC_NAME_REGEX.test(body.topic)) {
+    return FakeServer.error_(400, 'invalid', 'Invalid topic name.');
+  }
+
+  if (['JSON_API_V1', 'NONE'].indexOf(body.payload_format) === -1) {
+    return FakeServer.error_(400, 'invalid', 'Invalid payload format.');
+  }
+
+  var id = String(++this.lastId_);
+
+  var notification = extend({
+    kind: 'storage#notification',
+    id: id,
+    selfLink: this.getSelfLink_(
+      '/b/' + params.bucket + '/notificationConfigs/' + id
+    ),
+    etag: id
+  }, FakeServer.pick_(body, [
+    'custom_attributes',
+    'event_types',
+    'object_name_prefix',
+    'payload_format',
+    'topic'
+  ]));
+
+  bucket.notifications.push(notification);
+
+  return {
+    body: notification
+  };
+};
+
+/**
+ * Get a notification configuration.
+ *
+ * @private
+ */
+FakeServer.prototype.getNotification_ = function(params) {
+  var notification = this.findNotification_(params);
+
+  if (notification.code) {
+    return notification;
+  }
+
+  return {
+    body: notification
+  };
+};
+
+/**
+ * Remove a notification configuration from a bucket.
+ *
+ * @private
+ */
+FakeServer.prototype.deleteNotification_ = function(params) {
+  var notification = this.findNotification_(params);
+
+  if (notification.code) {
+    return notification;
+  }
+
+  var notifications = this.buckets[params.bucket].notifications;
+  notifications.splice(notifications.indexOf(notification), 1);
+
+  return {
+    code: 204
+  };
+};
+
+/**
+ * Delete an empty bucket.
+ *
+ * @private
+ */
+FakeServer.prototype.deleteBucket_ = function(params, request) {
+  var bucket = this.buckets[params.bucket];
+
+  if (!bucket) {
+    return FakeServer.bucketNotFound_();
+  }
+
+  var preconditionError = FakeServer.checkPreconditions_(
+    bucket.metadata,
+    request.query
+  );
+
+  if (preconditionError) {
+    return preconditionError;
+  }
+
+  if (bucket.objects.length > 0) {
+    return FakeServer.error_(
+      409,
+      'conflict',
+      'The bucket you tried to delete was not empty.'
+    );
+  }
+
+  delete this.buckets[params.bucket];
+
+  return {
+    code: 204
+  };
+};
+
+/**
+ * List a bucket's objects. Supports `prefix`, `delimiter`, `versions`,
+ * `maxResults`, and `pageToken`.
+ *
+ * @private
+ */
+FakeServer.prototype.listObjects_ = function(params, request) {
+  var bucket = this.buckets[params.bucket];
+
+  if (!bucket) {
+    return FakeServer.bucketNotFound_();
+  }
+
+  var query = request.query;
+  var prefix = query.prefix || '';
+  var delimiter = query.delimiter;
+  var versions = query.versions === 'true';
+
+  var prefixes = [];
+
+  var entries = bucket.objects
+    .filter(function(object) {
+      return (versions || object.live) && object.name.indexOf(prefix) === 0;
+    })
+    .sort(function(a, b) {
+      if (a.name === b.name) {
+        return a.generation - b.generation;
+      }
+
+      return a.name < b.name ? -1 : 1;
+    })
+    .filter(function(object) {
+      if (!delimiter) {
+        return true;
+      }
+
+      var rest = object.name.substr(prefix.length);
+      var delimiterIndex = rest.indexOf(delimiter);
+
+      if (delimiterIndex === -1) {
+        return true;
+      }
+
+      var commonPrefix =
+        prefix + rest.substr(0, delimiterIndex + delimiter.length);
+
+      if (prefixes.indexOf(commonPrefix) === -1) {
+        prefixes.push(commonPrefix);
+      }
+
+      return false;
+    })
+    .map(function(object) {
+      return object.metadata;
+    });
+
+  var response = FakeServer.paginate_('storage#objects', entries, query);
+
+  if (prefixes.length > 0) {
+    response.prefixes = prefixes;
+  }
+
+  return {
+    body: response
+  };
+};
+
+/**
+ * Get an object's metadata, or its data when `alt=media` is requested.
+ *
+ * @private
+ */
+FakeServer.prototype.getObject_ = function(params, request) {
+  if (request.query.alt === 'media') {
+    return this.downloadObject_(params, request);
+  }
+
+  var object = this.getObjectVersion_(params, request.query.generation);
+
+  if (object.code) {
+    return object;
+  }
+
+  var preconditionError = FakeServer.checkPreconditions_(
+    object.metadata,
+    request.query
+  );
+
+  if (preconditionError) {
+    return preconditionError;
+  }
+
+  return {
+    body: object.metadata
+  };
+};
+
+/**
+ * Send an object's data. Supports the `Range` header.
+ *
+ * Like the API, a gzip-encoded object is decompressed, and sent in full, to
+ * clients that don't accept gzip.
+ *
+ * @private
+ */
+FakeServer.prototype.downloadObject_ = function(params, request) {
+  var object = this.getObjectVersion_(params, request.query.generation);
+
+  if (object.code) {
+    return object;
+  }
+
+  var preconditionError =
+    FakeServer.checkPreconditions_(object.metadata, request.query) ||
+    FakeServer.checkEncryptionKey_(object, request.headers);
+
+  if (preconditionError) {
+    return preconditionError;
+  }
+
+  var metadata = object.metadata;
+  var data = object.data;
+
+  var headers = {
+    'Content-Type': metadata.contentType,
+    'X-Goog-Generation': metadata.generation,
+    'X-Goog-Metageneration': metadata.metageneration,
+    'X-Goog-Hash': 'crc32c=' + metadata.crc32c + ',md5=' + metadata.md5Hash,
+    'X-Goog-Stored-Content-Length': metadata.size
+  };
+
+  if (metadata.contentEncoding) {
+    headers['Content-Encoding'] = metadata.contentEncoding;
+    headers['X-Goog-Stored-Content-Encoding'] = metadata.contentEncoding;
+  }
+
+  var acceptsGzip = /\bgzip\b/.test(request.headers['accept-encoding'] || '');
+
+  if (metadata.contentEncoding === 'gzip' && !acceptsGzip) {
+    delete headers['Content-Encoding'];
+
+    return {
+      headers: headers,
+      body: zlib.gunzipSync(data)
+    };
+  }
+
+  var range = FakeServer.parseRange_(request.headers.range, data.length);
+
+  if (!range) {
+    return {
+      headers: headers,
+      body: data
+    };
+  }
+
+  if (range.start >= data.length) {
+    return FakeServer.error_(
+      416,
+      'requestedRangeNotSatisfiable',
+      'Requested range not satisfiable'
+    );
+  }
+
+  headers['Content-Range'] =
+    'bytes ' + range.start + '-' + range.end + '/' + data.length;
+
+  return {
+    code: 206,
+    headers: headers,
+    body: data.slice(range.start, range.end + 1)
+  };
+};
+
+/**
+ * Update an object's metadata, or apply a `predefinedAcl`.
+ *
+ * @private
+ */
+FakeServer.prototype.patchObject_ = function(params, request) {
+  var object = this.getObjectVersion_(params, request.query.generation);
+
+  if (object.code) {
+    return object;
+  }
+
+  var preconditionError = FakeServer.checkPreconditions_(
+    object.metadata,
+    request.query
+  );
+
+  if (preconditionError) {
+    return preconditionError;
+  }
+
+  var metadata = FakeServer.parseJson_(request.body);
+  var bucket = this.buckets[params.bucket];
+
+  if (request.query.predefinedAcl) {
+    object.acl = this.createAcl_(request.query.predefinedAcl, bucket, object);
+  }
+
+  FakeServer.merge_(
+    object.metadata,
+    FakeServer.pick_(metadata, WRITABLE_OBJECT_FIELDS)
+  );
+
+  FakeServer.touch_(object.metadata);
+
+  return {
+    body: object.metadata
+  };
+};
+
+/**
+ * Delete an object. Without a `generation`, the live version is deleted, and
+ * kept as a noncurrent version when the bucket has versioning enabled.
+ *
+ * @private
+ */
+FakeServer.prototype.deleteObject_ = function(params, request) {
+  var object = this.getObjectVersion_(params, request.query.generation);
+
+  if (object.code) {
+    return object;
+  }
+
+  var preconditionError = FakeServer.checkPreconditions_(
+    object.metadata,
+    request.query
+  );
+
+  if (preconditionError) {
+    return preconditionError;
+  }
+
+  var bucket = this.buckets[params.bucket];
+
+  if (object.live && FakeServer.isVersioned_(bucket)) {
+    FakeServer.archive_(object);
+  } else {
+    bucket.objects.splice(bucket.objects.indexOf(object), 1);
+  }
+
+  return {
+    code: 204
+  };
+};
+
+/**
+ * Concatenate objects into a new object.
+ *
+ * @private
+ */
+FakeServer.prototype.composeObject_ = function(params, request) {
+  var bucket = this.buckets[params.bucket];
+
+  if (!bucket) {
+    return FakeServer.bucketNotFound_();
+  }
+
+  var body = FakeServer.parseJson_(request.body);
+  var sourceObjects = body.sourceObjects || [];
+
+  if (sourceObjects.length === 0 || sourceObjects.length > 32) {
+    return FakeServer.error_(
+      400,
+      'invalid',
+      'The number of source components provided must be between 1 and 32.'
+    );
+  }
+
+  var sources = [];
+
+  for (var i = 0; i < sourceObjects.length; i++) {
+    var sourceParams = {
+      bucket: params.bucket,
+      object: sourceObjects[i].name
+    };
+
+    var source =
+      this.getObjectVersion_(sourceParams, sourceObjects[i].generation);
+
+    if (source.code) {
+      return source;
+    }
+
+    var preconditions = sourceObjects[i].objectPreconditions || {};
+
+    if (is.defined(preconditions.ifGenerationMatch) &&
+        String(preconditions.ifGenerationMatch) !== source.generation) {
+      return FakeServer.preconditionFailed_();
+    }
+
+    sources.push(source);
+  }
+
+  var componentCount = sources.reduce(function(count, source) {
+    return count + (source.metadata.componentCount || 1);
+  }, 0);
+
+  var object = this.insertObject_({
+    bucket: params.bucket,
+    name: params.object,
+    data: Buffer.concat(sources.map(function(source) {
+      return source.data;
+    })),
+    metadata: body.destination,
+    query: request.query,
+    headers: request.headers
+  });
+
+  if (object.code) {
+    return object;
+  }
+
+  object.metadata.componentCount = componentCount;
+
+  return {
+    body: object.metadata
+  };
+};
+
+/**
+ * Copy an object in a single request.
+ *
+ * @private
+ */
+FakeServer.prototype.copyObject_ = function(params, request) {
+  var object = this.copy_(params, request);
+
+  if (object.code) {
+    return object;
+  }
+
+  return {
+    body: object.metadata
+  };
+};
+
+/**
+ * Copy an object, `maxBytesRewrittenPerCall` bytes per request if asked to.
+ * Progress is tracked with a `rewriteToken`.
+ *
+ * @private
+ */
+FakeServer.prototype.rewriteObject_ = function(params, request) {
+  var query = request.query;
+  var source = this.getObjectVersion_(params, query.sourceGeneration);
+
+  if (source.code) {
+    return source;
+  }
+
+  var size = source.data.length;
+  var rewrite = this.rewrites_[query.rewriteToken];
+
+  if (query.rewriteToken && !rewrite) {
+    return FakeServer.error_(400, 'invalid', 'Invalid rewrite token.');
+  }
+
+  if (!rewrite) {
+    rewrite = {
+      token: 'rewrite-' + (++this.lastId_),
+      bytesRewritten: 0
+    };
+  }
+
+  var maxBytesRewrittenPerCall = parseInt(query.maxBytesRewrittenPerCall, 10);
+
+  if (maxBytesRewrittenPerCall > 0) {
+    rewrite.bytesRewritten =
+      Math.min(size, rewrite.bytesRewritten + maxBytesRewrittenPerCall);
+  } else {
+    rewrite.bytesRewritten = size;
+  }
+
+  if (rewrite.bytesRewritten < size) {
+    this.rewrites_[rewrite.token] = rewrite;
+
+    return {
+      body: {
+        kind: 'storage#rewriteResponse',
+        totalBytesRewritten: String(rewrite.bytesRewritten),
+        objectSize: String(size),
+        done: false,
+        rewriteToken: rewrite.token
+      }
+    };
+  }
+
+  delete this.rewrites_[rewrite.token];
+
+  var object = this.copy_(params, request);
+
+  if (object.code) {
+    return object;
+  }
+
+  return {
+    body: {
+      kind: 'storage#rewriteResponse',
+      totalBytesRewritten: String(size),
+      objectSize: String(size),
+      done: true,
+      resource: object.metadata
+    }
+  };
+};
+
+/**
+ * Start an upload. Supports the `media`, `multipart`, and `resumable` upload
+ * types.
+ *
+ * @private
+ */
+FakeServer.prototype.uploadObject_ = function(params, request) {
+  var uploadType = request.query.uploadType;
+  var metadata = {};
+  var data = request.body;
+
+  if (!this.buckets[params.bucket]) {
+    return FakeServer.bucketNotFound_();
+  }
+
+  if (uploadType === 'resumable') {
+    var uploadId = 'upload-' + (++this.lastId_);
+
+    this.uploads_[uploadId] = {
+      bucket: params.bucket,
+      data: new Buffer(0),
+      metadata: extend({
+        contentType: request.headers['x-upload-content-type']
+      }, FakeServer.parseJson_(request.body)),
+      query: request.query,
+      headers: request.headers
+    };
+
+    return {
+      headers: {
+        Location: format(
+          'http://{host}/upload/storage/v1/b/{bucket}/o' +
+            '?uploadType=resumable&upload_id={uploadId}',
+          {
+            host: request.headers.host,
+            bucket: encodeURIComponent(params.bucket),
+            uploadId: uploadId
+          }
+        )
+      }
+    };
+  }
+
+  if (uploadType === 'multipart') {
+    var parts = FakeServer.parseMultipart_(request.headers, request.body);
+
+    if (!parts) {
+      return FakeServer.error_(400, 'invalid', 'Invalid multipart request.');
+    }
+
+    metadata = FakeServer.parseJson_(parts[0].body);
+    metadata.contentType = metadata.contentType || parts[1].contentType;
+    data = parts[1].body;
+  } else {
+    metadata.contentType = request.headers['content-type'];
+  }
+
+  metadata.name = request.query.name || metadata.name;
+
+  var object = this.insertObject_({
+    bucket: params.bucket,
+    name: metadata.name,
+    data: data,
+    metadata: metadata,
+    query: request.query,
+    headers: request.headers
+  });
+
+  if (object.code) {
+    return object;
+  }
+
+  return {
+    body: object.metadata
+  };
+};
+
+/**
+ * Send data to a resumable upload session, or ask how much of it has been
+ * received. The object is created once the last byte arrives, or when the
+ * request does not state the total size.
+ *
+ * @private
+ */
+FakeServer.prototype.resumeUpload_ = function(params, request) {
+  var uploadId = request.query.upload_id;
+  var upload = this.uploads_[uploadId];
+
+  if (!upload) {
+    return FakeServer.error_(404, 'notFound', 'No such upload session.');
+  }
+
+  var contentRange = /bytes (\*|(\d+)-(\d+|\*))\/(\d+|\*)/
+    .exec(request.headers['content-range'] || '');
+
+  var hasData = !!(contentRange && contentRange[2]);
+  var total = contentRange && contentRange[4];
+
+  if (hasData) {
+    var start = parseInt(contentRange[2], 10);
+
+    if (start > upload.data.length) {
+      return FakeServer.error_(400, 'invalid', 'Invalid Content-Range.');
+    }
+
+    upload.data = Buffer.concat([
+      upload.data.slice(0, start),
+      request.body
+    ]);
+  }
+
+  var finished = total === '*' && hasData;
+
+  if (total && total !== '*') {
+    finished = upload.data.length === parseInt(total, 10);
+  }
+
+  if (!finished) {
+    var headers = {};
+
+    if (upload.data.length > 0) {
+      headers.Range = 'bytes=0-' + (upload.data.length - 1);
+    }
+
+    return {
+      code: 308,
+      headers: headers
+    };
+  }
+
+  delete this.uploads_[uploadId];
+
+  var object = this.insertObject_({
+    bucket: upload.bucket,
+    name: upload.query.name || upload.metadata.name,
+    data: upload.data,
+    metadata: upload.metadata,
+    query: upload.query,
+    headers: upload.headers
+  });
+
+  if (object.code) {
+    return object;
+  }
+
+  return {
+    body: object.metadata
+  };
+};
+
+/**
+ * List the entries of a bucket ACL, default object ACL, or object ACL.
+ *
+ * @private
+ */
+FakeServer.prototype.listAcl_ = function(params, request) {
+  var acl = this.findAcl_(params, request);
+
+  if (acl.code) {
+    return acl;
+  }
+
+  return {
+    body: {
+      kind: 'storage#' + FakeServer.getAclKind_(params) + 's',
+      items: acl
+    }
+  };
+};
+
+/**
+ * Add an entity to an ACL.
+ *
+ * @private
+ */
+FakeServer.prototype.insertAcl_ = function(params, request) {
+  var acl = this.findAcl_(params, request);
+
+  if (acl.code) {
+    return acl;
+  }
+
+  var body = FakeServer.parseJson_(request.body);
+
+  if (!body.entity || !body.role) {
+    return FakeServer.error_(400, 'required', 'Required');
+  }
+
+  var entry = FakeServer.findAclEntry_(acl, body.entity);
+
+  if (!entry) {
+    entry = this.createAclEntry_(body.entity, body.role, params);
+    acl.push(entry);
+  }
+
+  entry.role = body.role;
+
+  return {
+    body: entry
+  };
+};
+
+/**
+ * Get an entity's ACL entry.
+ *
+ * @private
+ */
+FakeServer.prototype.getAcl_ = function(params, request) {
+  var acl = this.findAcl_(params, request);
+
+  if (acl.code) {
+    return acl;
+  }
+
+  var entry = FakeServer.findAclEntry_(acl, params.entity);
+
+  if (!entry) {
+    return FakeServer.error_(404, 'notFound', 'Not Found');
+  }
+
+  return {
+    body: entry
+  };
+};
+
+/**
+ * Change an entity's role.
+ *
+ * @private
+ */
+FakeServer.prototype.updateAcl_ = function(params, request) {
+  var acl = this.findAcl_(params, request);
+
+  if (acl.code) {
+    return acl;
+  }
+
+  var entry = FakeServer.findAclEntry_(acl, params.entity);
+
+  if (!entry) {
+    return FakeServer.error_(404, 'notFound', 'Not Found');
+  }
+
+  entry.role = FakeServer.parseJson_(request.body).role || entry.role;
+
+  return {
+    body: entry
+  };
+};
+
+/**
+ * Remove an entity from an ACL.
+ *
+ * @private
+ */
+FakeServer.prototype.deleteAcl_ = function(params, request) {
+  var acl = this.findAcl_(params, request);
+
+  if (acl.code) {
+    return acl;
+  }
+
+  var entry = FakeServer.findAclEntry_(acl, params.entity);
+
+  if (!entry) {
+    return FakeServer.error_(404, 'notFound', 'Not Found');
+  }
+
+  acl.splice(acl.indexOf(entry), 1);
+
+  return {
+    code: 204
+  };
+};
+
+/**
+ * Find the ACL a request refers to.
+ *
+ * @private
+ *
+ * @return {object[]|object} The ACL, or an error response.
+ */
+FakeServer.prototype.findAcl_ = function(params, request) {
+  if (params.object) {
+    var object = this.getObjectVersion_(params, request.query.generation);
+    return object.code ? object : object.acl;
+  }
+
+  var bucket = this.buckets[params.bucket];
+
+  if (!bucket) {
+    return FakeServer.bucketNotFound_();
+  }
+
+  if (params.acl !== 'acl' && params.acl !== 'defaultObjectAcl') {
+    return FakeServer.error_(404, 'notFound', 'Not Found');
+  }
+
+  return bucket[params.acl];
+};
+
+/**
+ * Find the notification configuration a request refers to.
+ *
+ * @private
+ *
+ * @return {object} The notification configuration, or an error response.
+ */
+FakeServer.prototype.findNotification_ = function(params) {
+  var bucket = this.buckets[params.bucket];
+
+  if (!bucket) {
+    return FakeServer.bucketNotFound_();
+  }
+
+  var notification = bucket.notifications.filter(function(notification) {
+    return notification.id === params.notification;
+  })[0];
+
+  return notification || FakeServer.error_(404, 'notFound', 'Not Found');
+};
+
+/**
+ * Create an object, replacing (or, in a versioned bucket, archiving) the live
+ * version.
+ *
+ * @private
+ *
+ * @param {object} config - Configuration object.
+ * @param {string} config.bucket - The bucket name.
+ * @param {string} config.name - The object name.
+ * @param {buffer} config.data - The object data.
+ * @param {object=} config.metadata - The object metadata.
+ * @param {object} config.query - The query of the request, for preconditions,
+ *     `predefinedAcl`, and `kmsKeyName`.
+ * @param {object} config.headers - The request headers, for customer-supplied
+ *     encryption keys.
+ * @return {object} The object, or an error response.
+ */
+FakeServer.prototype.insertObject_ = function(config) {
+  var bucket = this.buckets[config.bucket];
+
+  if (!bucket) {
+    return FakeServer.bucketNotFound_();
+  }
+
+  if (!config.name) {
+    return FakeServer.error_(400, 'required', 'Required');
+  }
+
+  var liveObject = FakeServer.findObject_(bucket, config.name);
+  var preconditionError = FakeServer.checkPreconditions_(
+    liveObject && liveObject.metadata,
+    config.query
+  );
+
+  if (preconditionError) {
+    return preconditionError;
+  }
+
+  var keySha256 = config.headers['x-goog-encryption-key-sha256'];
+  var kmsKeyName = config.query.kmsKeyName;
+
+  if (keySha256 && kmsKeyName) {
+    return FakeServer.error_(
+      400,
+      'invalid',
+      'A customer-supplied encryption key and a Cloud KMS key cannot both be ' +
+        'used.'
+    );
+  }
+
+  if (!kmsKeyName && bucket.metadata.encryption) {
+    kmsKeyName = bucket.metadata.encryption.defaultKmsKeyName;
+  }
+
+  var data = config.data;
+  var generation = String(this.nextGeneration_());
+  var metadata = FakeServer.pick_(config.metadata, WRITABLE_OBJECT_FIELDS);
+  var now = new Date().toISOString();
+
+  var object = {
+    name: config.name,
+    generation: generation,
+    live: true,
+    data: data,
+    metadata: extend(metadata, {
+      kind: 'storage#object',
+      id: [config.bucket, config.name, generation].join('/'),
+      selfLink: this.getSelfLink_(
+        '/b/' + config.bucket + '/o/' + encodeURIComponent(config.name)
+      ),
+      name: config.name,
+      bucket: config.bucket,
+      generation: generation,
+      metageneration: '1',
+      timeCreated: now,
+      updated: now,
+      size: String(data.length),
+      md5Hash: crypto.createHash('md5').update(data).digest('base64'),
+      crc32c: crc32c.toBase64(crc32c.calculate(data))
+    })
+  };
+
+  object.metadata.contentType =
+    object.metadata.contentType || 'application/octet-stream';
+
+  object.metadata.storageClass =
+    object.metadata.storageClass || bucket.metadata.storageClass;
+
+  if (keySha256) {
+    object.metadata.customerEncryption = {
+      encryptionAlgorithm: 'AES256',
+      keySha256: keySha256
+    };
+  } else if (kmsKeyName) {
+    object.metadata.kmsKeyName = kmsKeyName;
+  }
+
+  if (config.query.predefinedAcl) {
+    object.acl = this.createAcl_(config.query.predefinedAcl, bucket, object);
+  } else {
+    object.acl = bucket.defaultObjectAcl.map(function(entry) {
+      return extend({}, entry, {
+        kind: 'storage#objectAccessControl',
+        object: object.name,
+        generation: generation
+      });
+    });
+  }
+
+  FakeServer.touch_(object.metadata, true);
+
+  if (liveObject) {
+    if (FakeServer.isVersioned_(bucket)) {
+      FakeServer.archive_(liveObject);
+    } else {
+      bucket.objects.splice(bucket.objects.indexOf(liveObject), 1);
+    }
+  }
+
+  bucket.objects.push(object);
+
+  return object;
+};
+
+/**
+ * Copy a source object to a destination object. The destination takes the
+ * metadata in the request body, or the source's metadata if none was sent.
+ *
+ * @private
+ *
+ * @return {object} The new object, or an error response.
+ */
+FakeServer.prototype.copy_ = function(params, request) {
+  var source = this.getObjectVersion_(params, request.query.sourceGeneration);
+
+  if (source.code) {
+    return source;
+  }
+
+  var sourcePreconditionError = FakeServer.checkPreconditions_(
+    source.metadata,
+    {
+      ifGenerationMatch: request.query.ifSourceGenerationMatch,
+      ifGenerationNotMatch: request.query.ifSourceGenerationNotMatch,
+      ifMetagenerationMatch: request.query.ifSourceMetagenerationMatch,
+      ifMetagenerationNotMatch: request.query.ifSourceMetagenerationNotMatch
+    }
+  );
+
+  if (sourcePreconditionError) {
+    return sourcePreconditionError;
+  }
+
+  var encryptionError = FakeServer.checkEncryptionKey_(source, {
+    'x-goog-encryption-key-sha256':
+      request.headers['x-goog-copy-source-encryption-key-sha256'] ||
+      request.headers['x-goog-encryption-key-sha256']
+  });
+
+  if (encryptionError) {
+    return encryptionError;
+  }
+
+  var metadata = FakeServer.parseJson_(request.body);
+
+  if (Object.keys(metadata).length === 0) {
+    metadata = source.metadata;
+  }
+
+  return this.insertObject_({
+    bucket: params.destBucket,
+    name: params.destObject,
+    data: source.data,
+    metadata: metadata,
+    query: extend(FakeServer.pick_(request.query, [
+      'ifGenerationMatch',
+      'ifGenerationNotMatch',
+      'ifMetagenerationMatch',
+      'ifMetagenerationNotMatch'
+    ]), {
+      kmsKeyName: request.query.destinationKmsKeyName,
+      predefinedAcl: request.query.destinationPredefinedAcl
+    }),
+    headers: request.headers
+  });
+};
+
+/**
+ * Find an object by name, and optionally generation.
+ *
+ * @private
+ *
+ * @param {object} params - The route parameters.
+ * @param {string=} generation - The generation to look up. (default: the live
+ *     version)
+ * @return {object} The object, or an error response.
+ */
+FakeServer.prototype.getObjectVersion_ = function(params, generation) {
+  var bucket = this.buckets[params.bucket];
+
+  if (!bucket) {
+    return FakeServer.bucketNotFound_();
+  }
+
+  var object = FakeServer.findObject_(bucket, params.object, generation);
+
+  if (!object) {
+    return FakeServer.error_(
+      404,
+      'notFound',
+      'No such object: ' + params.bucket + '/' + params.object
+    );
+  }
+
+  return object;
+};
+
+/**
+ * Expand a `predefinedAcl` value into ACL entries.
+ *
+ * @private
+ *
+ * @param {string} predefinedAcl - The predefined ACL name.
+ * @param {object} bucket - The bucket.
+ * @param {object=} object - The object, for object ACLs.
+ * @return {object[]}
+ */
+FakeServer.prototype.createAcl_ = function(predefinedAcl, bucket, object) {
+  var self = this;
+
+  var params = {
+    bucket: bucket.metadata.name,
+    object: object && object.name,
+    generation: object && object.generation
+  };
+
+  return (PREDEFINED_ACLS[predefinedAcl] || []).map(function(entry) {
+    return self.createAclEntry_(entry[0], entry[1], params);
+  });
+};
+
+/**
+ * Create a single ACL entry.
+ *
+ * @private
+ *
+ * @param {string} entity - The entity, e.g. `allUsers`.
+ * @param {string} role - The role, e.g. `READER`.
+ * @param {object} params - The bucket, and the object it is for, if any.
+ * @return {object}
+ */
+FakeServer.prototype.createAclEntry_ = function(entity, role, params) {
+  var entry = {
+    kind: 'storage#' + FakeServer.getAclKind_(params),
+    bucket: params.bucket,
+    entity: entity,
+    role: role
+  };
+
+  if (params.object) {
+    entry.object = params.object;
+    entry.generation = params.generation;
+  }
+
+  var projectTeam = /^project-(owners|editors|viewers)(-.+)?$/.exec(entity);
+
+  if (projectTeam) {
+    entry.entity = projectTeam[2] ? entity : entity + '-' + this.projectId;
+    entry.projectTeam = {
+      projectNumber: '0',
+      team: projectTeam[1]
+    };
+  }
+
+  return entry;
+};
+
+/**
+ * Build the `selfLink` of a resource.
+ *
+ * @private
+ *
+ * @param {string} path - The path of the resource, relative to the API root.
+ * @return {string}
+ */
+FakeServer.prototype.getSelfLink_ = function(path) {
+  return (this.apiEndpoint || 'http://localhost') + '/storage/v1' + path;
+};
+
+/**
+ * Get a generation number greater than any handed out before.
+ *
+ * @private
+ *
+ * @return {number}
+ */
+FakeServer.prototype.nextGeneration_ = function() {
+  this.lastGeneration_ = Math.max(this.lastGeneration_ + 1, Date.now() * 1000);
+  return this.lastGeneration_;
+};
+
+/**
+ * Move an object version out of the live position.
+ *
+ * @private
+ *
+ * @param {object} object - The live object.
+ */
+FakeServer.archive_ = function(object) {
+  object.live = false;
+  object.metadata.timeDeleted = new Date().toISOString();
+};
+
+/**
+ * Make sure a customer-supplied encryption key was sent for an object encrypted
+ * with one.
+ *
+ * @private
+ *
+ * @param {object} object - The object.
+ * @param {object} headers - The request headers.
+ * @return {?object} An error response, if the key is missing or wrong.
+ */
+FakeServer.checkEncryptionKey_ = function(object, headers) {
+  var customerEncryption = object.metadata.customerEncryption;
+
+  if (!customerEncryption) {
+    return null;
+  }
+
+  var keySha256 = headers['x-goog-encryption-key-sha256'];
+
+  if (!keySha256) {
+    return FakeServer.error_(
+      400,
+      'resourceIsEncryptedWithCustomerEncryptionKey',
+      'The target object is encrypted by a customer-supplied encryption key.'
+    );
+  }
+
+  if (keySha256 !== customerEncryption.keySha256) {
+    return FakeServer.error_(
+      400,
+      'customerEncryptionKeySha256IsInvalid',
+      'The provided encryption key is incorrect.'
+    );
+  }
+
+  return null;
+};
+
+/**
+ * Evaluate the `if(Meta)generation(Not)Match` query parameters against a
+ * resource.
+ *
+ * @private
+ *
+ * @param {?object} metadata - The resource's metadata, or null if it does not
+ *     exist yet.
+ * @param {object} query - The request query.
+ * @return {?object} An error response, if a precondition failed.
+ */
+FakeServer.checkPreconditions_ = function(metadata, query) {
+  query = query || {};
+
+  var generation = metadata ? metadata.generation : '0';
+  var metageneration = metadata && metadata.metageneration;
+
+  if (is.defined(query.ifGenerationMatch) &&
+      query.ifGenerationMatch !== generation) {
+    return FakeServer.preconditionFailed_();
+  }
+
+  if (is.defined(query.ifGenerationNotMatch) &&
+      query.ifGenerationNotMatch === generation) {
+    return FakeServer.error_(304, 'notModified', 'Not Modified');
+  }
+
+  if (is.defined(query.ifMetagenerationMatch) &&
+      query.ifMetagenerationMatch !== metageneration) {
+    return FakeServer.preconditionFailed_();
+  }
+
+  if (is.defined(query.ifMetagenerationNotMatch) &&
+      query.ifMetagenerationNotMatch === metageneration) {
+    return FakeServer.error_(304, 'notModified', 'Not Modified');
+  }
+
+  return null;
+};
+
+/**
+ * Create an error response in the JSON API's format.
+ *
+ * @private
+ *
+ * @param {number} code - The HTTP status code.
+ * @param {string} reason - The error reason, e.g. `notFound`.
+ * @param {string} message - The error message.
+ * @return {object}
+ */
+FakeServer.error_ = function(code, reason, message) {
+  return {
+    code: code,
+    body: {
+      error: {
+        errors: [
+          {
+            domain: 'global',
+            reason: reason,
+            message: message
+          }
+        ],
+        code: code,
+        message: message
+      }
+    }
+  };
+};
+
+/**
+ * @private
+ */
+FakeServer.bucketNotFound_ = function() {
+  return FakeServer.error_(404, 'notFound', 'Not Found');
+};
+
+/**
+ * @private
+ */
+FakeServer.preconditionFailed_ = function() {
+  return FakeServer.error_(412, 'conditionNotMet', 'Precondition Failed');
+};
+
+/**
+ * Find an entry in an ACL.
+ *
+ * @private
+ *
+ * @param {object[]} acl - The ACL.
+ * @param {string} entity - The entity.
+ * @return {?object}
+ */
+FakeServer.findAclEntry_ = function(acl, entity) {
+  return acl.filter(function(entry) {
+    return entry.entity === entity;
+  })[0] || null;
+};
+
+/**
+ * Find an object in a bucket.
+ *
+ * @private
+ *
+ * @param {object} bucket - The bucket.
+ * @param {string} name - The object name.
+ * @param {string=} generation - The generation. (default: the live version)
+ * @return {?object}
+ */
+FakeServer.findObject_ = function(bucket, name, generation) {
+  return bucket.objects.filter(function(object) {
+    if (object.name !== name) {
+      return false;
+    }
+
+    return generation ? object.generation === String(generation) : object.live;
+  })[0] || null;
+};
+
+/**
+ * Get the `kind` of the entries of the ACL a request refers to.
+ *
+ * @private
+ *
+ * @param {object} params - The route parameters.
+ * @return {string}
+ */
+FakeServer.getAclKind_ = function(params) {
+  if (params.object || params.acl === 'defaultObjectAcl') {
+    return 'objectAccessControl';
+  }
+
+  return 'bucketAccessControl';
+};
+
+/**
+ * @private
+ */
+FakeServer.isVersioned_ = function(bucket) {
+  return !!(bucket.metadata.versioning && bucket.metadata.versioning.enabled);
+};
+
+/**
+ * Match a request path against a route, capturing its parameters.
+ *
+ * @private
+ *
+ * @param {string} routePath - The route, e.g. `/storage/v1/b/:bucket`.
+ * @param {string[]} pathSegments - The encoded segments of the request path.
+ * @return {?object} The captured parameters, or null if the path does not
+ *     match.
+ */
+FakeServer.matchPath_ = function(routePath, pathSegments) {
+  var routeSegments = routePath.split('/').slice(1);
+  var params = {};
+
+  if (routeSegments.length !== pathSegments.length) {
+    return null;
+  }
+
+  for (var i = 0; i < routeSegments.length; i++) {
+    var routeSegment = routeSegments[i];
+    var pathSegment = decodeURIComponent(pathSegments[i]);
+
+    if (routeSegment[0] === ':') {
+      params[routeSegment.substr(1)] = pathSegment;
+    } else if (routeSegment !== pathSegment) {
+      return null;
+    }
+  }
+
+  return params;
+};
+
+/**
+ * Shallow-merge updates into a resource's metadata. A `null` value removes a
+ * field, and the custom `metadata` field is merged key by key.
+ *
+ * @private
+ *
+ * @param {object} metadata - The metadata to update.
+ * @param {object} updates - The new values.
+ */
+FakeServer.merge_ = function(metadata, updates) {
+  Object.keys(updates).forEach(function(key) {
+    var value = updates[key];
+
+    if (key === 'metadata' && is.object(value)) {
+      FakeServer.merge_(metadata.metadata = metadata.metadata || {}, value);
+      return;
+    }
+
+    if (value === null) {
+      delete metadata[key];
+    } else {
+      metadata[key] = value;
+    }
+  });
+};
+
+/**
+ * @private
+ */
+FakeServer.omit_ = function(object, keys) {
+  var copy = extend(true, {}, object);
+
+  keys.forEach(function(key) {
+    delete copy[key];
+  });
+
+  return copy;
+};
+
+/**
+ * @private
+ */
+FakeServer.pick_ = function(object, keys) {
+  var copy = {};
+
+  keys.forEach(function(key) {
+    if (object && is.defined(object[key])) {
+      copy[key] = object[key];
+    }
+  });
+
+  return extend(true, {}, copy);
+};
+
+/**
+ * Split a list of resources into pages with `maxResults` and `pageToken`.
+ *
+ * @private
+ *
+ * @param {string} kind - The `kind` of the response.
+ * @param {object[]} items - All of the resources.
+ * @param {object} query - The request query.
+ * @return {object} The response body.
+ */
+FakeServer.paginate_ = function(kind, items, query) {
+  var start = parseInt(query.pageToken, 10) || 0;
+  var maxResults = parseInt(query.maxResults, 10) || 1000;
+  var end = start + maxResults;
+
+  var response = {
+    kind: kind,
+    items: items.slice(start, end)
+  };
+
+  if (end < items.length) {
+    response.nextPageToken = String(end);
+  }
+
+  return response;
+};
+
+/**
+ * Parse a JSON request body.
+ *
+ * @private
+ *
+ * @param {buffer} body - The request body.
+ * @return {object}
+ */
+FakeServer.parseJson_ = function(body) {
+  try {
+    return JSON.parse(body.toString()) || {};
+  } catch (e) {
+    return {};
+  }
+};
+
+/**
+ * Split a `multipart/related` body into its parts.
+ *
+ * @private
+ *
+ * @param {object} headers - The request headers.
+ * @param {buffer} body - The request body.
+ * @return {?object[]} The parts, each with a `contentType` and a `body`
+ *     buffer.
+ */
+FakeServer.parseMultipart_ = function(headers, body) {
+  var boundary = /boundary=(?:"([^"]+)"|([^;]+))/
+    .exec(headers['content-type'] || '');
+
+  if (!boundary) {
+    return null;
+  }
+
+  // The binary encoding maps bytes to characters one-to-one, so the data can
+  // be split as a string without being corrupted.
+  var parts = body.toString('binary')
+    .split('--' + (boundary[1] || boundary[2]))
+    .slice(1, -1)
+    .map(function(part) {
+      var headersEnd = part.indexOf('\r\n\r\n');
+      var partHeaders = part.substr(0, headersEnd);
+      var contentType = /content-type:\s*([^\r\n]+)/i.exec(partHeaders);
+
+      return {
+        contentType: contentType && contentType[1],
+        body: new Buffer(
+          part.substring(headersEnd + 4, part.length - 2),
+          'binary'
+        )
+      };
+    });
+
+  return parts.length === 2 ? parts : null;
+};
+
+/**
+ * Parse a `Range` header.
+ *
+ * @private
+ *
+ * @param {string=} range - The header, e.g. `bytes=0-99` or `bytes=-100`.
+ * @param {number} size - The size of the object.
+ * @return {?object} The inclusive `start` and `end` offsets.
+ */
+FakeServer.parseRange_ = function(range, size) {
+  var parsedRange = /bytes=(\d*)-(\d*)/.exec(range || '');
+
+  if (!parsedRange || (!parsedRange[1] && !parsedRange[2])) {
+    return null;
+  }
+
+  if (!parsedRange[1]) {
+    return {
+      start: Math.max(size - parseInt(parsedRange[2], 10), 0),
+      end: size - 1
+    };
+  }
+
+  var end = parsedRange[2] ? parseInt(parsedRange[2], 10) : size - 1;
+
+  return {
+    start: parseInt(parsedRange[1], 10),
+    end: Math.min(end, size - 1)
+  };
+};
+
+/**
+ * Bump a resource's metageneration and `updated` time.
+ *
+ * @private
+ *
+ * @param {object} metadata - The resource's metadata.
+ * @param {boolean=} created - The resource was just created.
+ */
+FakeServer.touch_ = function(metadata, created) {
+  if (!created) {
+    metadata.metageneration = String(parseInt(metadata.metageneration, 10) + 1);
+    metadata.updated = new Date().toISOString();
+  }
+
+  metadata.etag = crypto.createHash('md5')
+    .update(metadata.id + '/' + metadata.metageneration)
+    .digest('base64');
+};
+
+module.exports = FakeServer;
@@ -20,6 +20,7 @@
 
 'use strict';
 
+var async = require('async');
 var common = require('@google-cloud/common');
 var concat = require('concat-stream');
 var createErrorClass = require('create-error-class');
@@ -35,6 +36,7 @@ var pumpify = require('pumpify');
 var resumableUpload = require('gcs-resumable-upload');
 var streamEvents = require('stream-events');
 var through = require('through2');
+var url = require('url');
 var util = require('util');
 var zlib = require('zlib');
 
@@ -44,6 +46,18 @@ var zlib = require('zlib');
  */
 var Acl = require('./acl.js');
 
+/**
+ * @type {module:storage/crc32c}
+ * @private
+ */
+var crc32c = require('./crc32c.js');
+
+/**
+ * @type {module:storage/precondition-failed-error}
+ * @private
+ */
+var PreconditionFailedError = require('./precondition-failed-error.js');
+
 /**
  * Custom error type for errors related to getting signed errors and policies.
  *
@@ -68,12 +82,74 @@ var STORAGE_DOWNLOAD_BASE_URL = 'https://storage.googleapis.com';
  */
 var STORAGE_UPLOAD_BASE_URL = 'https://www.googleapis.com/upload/storage/v1/b';
 
+/**
+ * The longest a V4 signature can be valid for, in seconds (seven days).
+ *
+ * @const {number}
+ * @private
+ */
+var V4_MAX_EXPIRES = 604800;
+
+/**
+ * Used in place of the auth client for uploads to a custom API endpoint.
+ *
+ * @type {object}
+ * @private
+ */
+var UNAUTHENTICATED_CLIENT = {
+  authorizeRequest: function(reqOpts, callback) {
+    callback(null, reqOpts);
+  }
+};
+
 /**
  * @const {RegExp}
  * @private
  */
 var GS_URL_REGEXP = /^gs\:\/\/([a-z0-9_\.\-]+)\/(.+)$/;
 
+/**
+ * The metadata of a file that is kept when it's copied with a new storage
+ * class.
+ *
+ * @const {string[]}
+ * @private
+ */
+var COPIED_METADATA_FIELDS = [
+  'cacheControl',
+  'contentDisposition',
+  'contentEncoding',
+  'contentLanguage',
+  'contentType',
+  'metadata'
+];
+
+/**
+ * The preconditions a request that changes an object can be made with.
+ *
+ * @const {string[]}
+ * @private
+ */
+var PRECONDITIONS = [
+  'ifGenerationMatch',
+  'ifGenerationNotMatch',
+  'ifMetagenerationMatch',
+  'ifMetagenerationNotMatch'
+];
+
+/**
+ * The preconditions on the source object of a copy.
+ *
+ * @const {string[]}
+ * @private
+ */
+var SOURCE_PRECONDITIONS = [
+  'ifSourceGenerationMatch',
+  'ifSourceGenerationNotMatch',
+  'ifSourceMetagenerationMatch',
+  'ifSourceMetagenerationNotMatch'
+];
+
 /*! Developer Documentation
  *
  * @param {module:storage/bucket} bucket - The Bucket instance this file is
@@ -82,6 +158,8 @@ var GS_URL_REGEXP = /^gs\:\/\/([a-z0-9_\.\-]+)\/(.+)$/;
  * @param {object=} options - Configuration object.
  * @param {string} options.encryptionKey - A custom encryption key.
  * @param {number} options.generation - Generation to scope the file to.
+ * @param {string} options.kmsKeyName - The Cloud KMS key to encrypt new
+ *     contents with.
  */
 /**
  * A File object is created from your Bucket object using
@@ -115,25 +193,6 @@ function File(bucket, name, options) {
   }
 
   var methods = {
-    /**
-     * Delete the file.
-     *
-     * @resource [Objects: delete API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/objects/delete}
-     *
-     * @param {function=} callback - The callback function.
-     * @param {?error} callback.err - An error returned while making this
-     *     request.
-     * @param {object} callback.apiResponse - The full API response.
-     *
-     * @example
-     * file.delete(function(err, apiResponse) {});
-     */
-    delete: {
-      reqOpts: {
-        qs: requestQueryObject
-      }
-    },
-
     /**
      * Check if the file exists.
      *
@@ -175,51 +234,6 @@ function File(bucket, name, options) {
       reqOpts: {
         qs: requestQueryObject
       }
-    },
-
-    /**
-     * Merge the given metadata with the current remote file's metadata. This
-     * will set metadata if it was previously unset or update previously set
-     * metadata. To unset previously set metadata, set its value to null.
-     *
-     * You can set custom key/value pairs in the metadata key of the given
-     * object, however the other properties outside of this object must adhere
-     * to the [official API documentation](https://goo.gl/BOnnCK).
-     *
-     * See the examples below for more information.
-     *
-     * @resource [Objects: patch API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/objects/patch}
-     *
-     * @param {object} metadata - The metadata you wish to update.
-     * @param {function=} callback - The callback function.
-     * @param {?error} callback.err - An error returned while making this
-     *     request.
-     * @param {object} callback.apiResponse - The full API response.
-     *
-     * @example
-     * file.setMetadata({
-     *   contentType: 'application/x-font-ttf',
-     *   metadata: {
-     *     my: 'custom',
-     *     properties: 'go here'
-     *   }
-     * }, function(err, apiResponse) {});
-     *
-     * // Assuming current metadata = { hello: 'world', unsetMe: 'will do' }
-     * file.setMetadata({
-     *   metadata: {
-     *     abc: '123', // will be set.
-     *     unsetMe: null, // will be unset (deleted).
-     *     hello: 'goodbye' // will be updated from 'hello' to 'goodbye'.
-     *   }
-     * }, function(err, apiResponse) {
-     *   // metadata should now be { abc: '123', hello: 'goodbye' }
-     * });
-     */
-    setMetadata: {
-      reqOpts: {
-        qs: requestQueryObject
-      }
     }
   };
 
@@ -234,6 +248,10 @@ function File(bucket, name, options) {
     this.setEncryptionKey(options.encryptionKey);
   }
 
+  if (options.kmsKeyName) {
+    this.kmsKeyName = options.kmsKeyName;
+  }
+
   /**
    * Google Cloud Storage uses access control lists (ACLs) to manage object and
    * bucket access. ACLs are the mechanism you use to share objects with other
@@ -269,19 +287,143 @@ function File(bucket, name, options) {
 
 util.inherits(File, common.ServiceObject);
 
+/**
+ * Percent-encode a string the way V4 signatures expect: every character except
+ * `A-Z a-z 0-9 - . _ ~` is encoded.
+ *
+ * @private
+ *
+ * @param {string} str - The string to encode.
+ * @param {boolean=} keepSlashes - Leave `/` unencoded, as in a path.
+ * @return {string}
+ */
+File.encodeV4_ = function(str, keepSlashes) {
+  var encoded = encodeURIComponent(str).replace(/[!'()*]/g, function(char) {
+    return '%' + char.charCodeAt(0).toString(16).toUpperCase();
+  });
+
+  return keepSlashes ? encoded.replace(/%2F/g, '/') : encoded;
+};
+
+/**
+ * Get the headers that send a customer-supplied encryption key.
+ *
+ * @private
+ *
+ * @param {string|buffer} encryptionKey - An AES-256 encryption key.
+ * @param {string} prefix - `x-goog-encryption` for the key of the object being
+ *     read or written, or `x-goog-copy-source-encryption` for the key of the
+ *     object being copied.
+ * @return {object}
+ */
+File.getEncryptionKeyHeaders_ = function(encryptionKey, prefix) {
+  var key = new Buffer(encryptionKey).toString('base64');
+  var hash = crypto.createHash('sha256')
+    .update(key, 'base64')
+    .digest('base64');
+
+  var headers = {};
+  headers[prefix + '-algorithm'] = 'AES256';
+  headers[prefix + '-key'] = key;
+  headers[prefix + '-key-sha256'] = hash;
+
+  return headers;
+};
+
+/**
+ * Pick the preconditions out of a method's options, to send as query
+ * parameters.
+ *
+ * @private
+ *
+ * @param {object} options - The options the method was called with.
+ * @param {string[]=} names - The preconditions to look for. (default:
+ *     `ifGenerationMatch`, `ifGenerationNotMatch`, `ifMetagenerationMatch`,
+ *     and `ifMetagenerationNotMatch`)
+ * @return {object}
+ */
+File.getPreconditions_ = function(options, names) {
+  var preconditions = {};
+
+  (names || PRECONDITIONS).forEach(function(name) {
+    if (is.defined(options[name])) {
+      preconditions[name] = options[name];
+    }
+  });
+
+  return preconditions;
+};
+
+/**
+ * Get the timestamp and credential scope of a V4 signature made at a given
+ * time.
+ *
+ * @private
+ *
+ * @param {date} date - When the signature is valid from.
+ * @return {object} - The `timestamp`, formatted as `YYYYMMDD'T'HHMMSS'Z'`, and
+ *     the credential `scope`.
+ */
+File.getV4Scope_ = function(date) {
+  var timestamp = date.toISOString().replace(/[-:]|\.\d{3}/g, '');
+
+  return {
+    timestamp: timestamp,
+    scope: timestamp.substr(0, 8) + '/auto/storage/goog4_request'
+  };
+};
+
 /**
  * Copy this file to another file. By default, this will copy the file to the
  * same bucket, but you can choose to copy it to another Bucket by providing
  * a Bucket or File object or a URL starting with "gs://".
  *
- * @resource [Objects: copy API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/objects/copy}
+ * The copy is made with the rewrite API, which works between any locations and
+ * storage classes. Large files may take several requests, so progress can be
+ * followed with `options.onProgress`.
+ *
+ * If this file is encrypted with a customer-supplied key, this File object must
+ * have been given that key. The copy is encrypted with the key of the
+ * destination File object, or the key given in `options`.
+ *
+ * @resource [Objects: rewrite API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/objects/rewrite}
  *
  * @throws {Error} If the destination file is not provided.
+ * @throws {Error} If an encryption key is given in `options` along with a
+ *     destination File object, which has to be given the key instead.
  *
  * @param {string|module:storage/bucket|module:storage/file} destination -
  *     Destination file.
+ * @param {object=} options - Configuration object.
+ * @param {string|buffer} options.encryptionKey - A customer-supplied encryption
+ *     key to encrypt the copy with.
+ * @param {string} options.kmsKeyName - The full resource name of a Cloud KMS
+ *     key to encrypt the copy with.
+ * @param {function} options.onProgress - Called after each request with an
+ *     object holding the `totalBytesRewritten` and `objectSize` so far, as
+ *     numbers.
+ * @param {string} options.storageClass - The storage class of the copy, e.g.
+ *     `nearline` or `COLDLINE`. (default: the bucket's default storage class)
+ * @param {number} options.ifGenerationMatch - Only copy if the destination's
+ *     generation matches this value. `0` only copies if the destination doesn't
+ *     exist yet.
+ * @param {number} options.ifGenerationNotMatch - Only copy if the
+ *     destination's generation doesn't match this value.
+ * @param {number} options.ifMetagenerationMatch - Only copy if the
+ *     destination's metageneration matches this value.
+ * @param {number} options.ifMetagenerationNotMatch - Only copy if the
+ *     destination's metageneration doesn't match this value.
+ * @param {number} options.ifSourceGenerationMatch - Only copy if this file's
+ *     generation matches this value.
+ * @param {number} options.ifSourceGenerationNotMatch - Only copy if this
+ *     file's generation doesn't match this value.
+ * @param {number} options.ifSourceMetagenerationMatch - Only copy if this
+ *     file's metageneration matches this value.
+ * @param {number} options.ifSourceMetagenerationNotMatch - Only copy if this
+ *     file's metageneration doesn't match this value.
  * @param {function=} callback - The callback function.
- * @param {?error} callback.err - An error returned while making this request
+ * @param {?error} callback.err - An error returned while making this request.
+ *     A `PreconditionFailedError` if a precondition wasn't met.
  * @param {module:storage/file} callback.copiedFile - The copied File.
  * @param {object} callback.apiResponse - The full API response.
  *
@@ -355,14 +497,44 @@ util.inherits(File, common.ServiceObject);
  *   // Note:
  *   // The `copiedFile` parameter is equal to `anotherFile`.
  * });
+ *
+ * //-
+ * // Change the storage class and encryption key as the file is copied, and
+ * // follow the progress of a large copy.
+ * //-
+ * var options = {
+ *   storageClass: 'coldline',
+ *   kmsKeyName: 'projects/grape-spaceship-123/locations/us/keyRings/' +
+ *     'my-ring/cryptoKeys/my-key',
+ *   onProgress: function(progress) {
+ *     // progress.totalBytesRewritten
+ *     // progress.objectSize
+ *   }
+ * };
+ *
+ * file.copy('my-image-copy.png', options, function(err, copiedFile) {});
+ *
+ * //-
+ * // Only copy the file if the destination doesn't exist yet.
+ * //-
+ * file.copy(anotherFile, {
+ *   ifGenerationMatch: 0
+ * }, function(err, copiedFile, apiResponse) {});
  */
-File.prototype.copy = function(destination, callback) {
+File.prototype.copy = function(destination, options, callback) {
+  var self = this;
   var noDestinationError = new Error('Destination file should have a name.');
 
   if (!destination) {
     throw noDestinationError;
   }
 
+  if (is.fn(options)) {
+    callback = options;
+    options = {};
+  }
+
+  options = options || {};
   callback = callback || common.util.noop;
 
   var destBucket;
@@ -390,27 +562,52 @@ File.prototype.copy = function(destination, callback) {
     throw noDestinationError;
   }
 
-  var query = {};
-  if (is.defined(this.generation)) {
-    query.sourceGeneration = this.generation;
+  if (newFile && (options.encryptionKey || options.kmsKeyName)) {
+    throw new Error([
+      'An encryption key can\'t be given with a destination File object.',
+      'Give the File object the key instead.'
+    ].join(' '));
   }
 
-  newFile = newFile || destBucket.file(destName);
+  newFile = newFile || destBucket.file(destName, {
+    encryptionKey: options.encryptionKey,
+    kmsKeyName: options.kmsKeyName
+  });
 
-  this.request({
-    method: 'POST',
-    uri: format('/copyTo/b/{bucketName}/o/{fileName}', {
-      bucketName: destBucket.name,
-      fileName: encodeURIComponent(destName)
-    }),
-    qs: query
-  }, function(err, resp) {
+  var rewriteOptions = {
+    qs: extend(
+      File.getPreconditions_(options),
+      File.getPreconditions_(options, SOURCE_PRECONDITIONS)
+    ),
+    onProgress: options.onProgress
+  };
+
+  if (!options.storageClass) {
+    this.rewrite_(newFile, rewriteOptions, callback);
+    return;
+  }
+
+  // A request body replaces all of the source's metadata, so it has to be sent
+  // along with the new storage class.
+  this.getMetadata(function(err, metadata, apiResponse) {
     if (err) {
-      callback(err, null, resp);
+      callback(err, null, apiResponse);
       return;
     }
 
-    callback(null, newFile, resp);
+    var json = {};
+
+    COPIED_METADATA_FIELDS.forEach(function(field) {
+      if (is.defined(metadata[field])) {
+        json[field] = metadata[field];
+      }
+    });
+
+    json.storageClass = options.storageClass.toUpperCase().replace(/-/g, '_');
+
+    rewriteOptions.json = json;
+
+    self.rewrite_(newFile, rewriteOptions, callback);
   });
 };
 
@@ -448,6 +645,11 @@ File.prototype.copy = function(destination, callback) {
  *     NOTE: Byte ranges are inclusive; that is, `options.start = 0` and
  *     `options.end = 999` represent the first 1000 bytes in a file or object.
  *     NOTE: when specifying a byte range, data integrity is not available.
+ * @param {boolean} options.decompress - Decompress gzip-encoded files as they
+ *     are read. Set to `false` to receive the bytes as they are stored.
+ *     Byte ranges of a gzip-encoded file can only be read with
+ *     `decompress: false`; otherwise, an error with code
+ *     "GZIP_RANGE_NOT_SUPPORTED" is emitted before any data. (default: `true`)
  * @return {ReadableStream}
  *
  * @example
@@ -493,6 +695,17 @@ File.prototype.copy = function(destination, callback) {
  *   })
  *   .on('error', function(err) {})
  *   .pipe(fs.createWriteStream('/Users/stephen/logfile.txt'));
+ *
+ * //-
+ * // To read the compressed bytes of a file uploaded with `gzip: true`, turn
+ * // off decompression. The data is still validated against the stored hashes.
+ * //-
+ * var archive = myBucket.file('archive.json');
+ * archive.createReadStream({
+ *     decompress: false
+ *   })
+ *   .on('error', function(err) {})
+ *   .pipe(fs.createWriteStream('/Users/stephen/archive.json.gz'));
  */
 File.prototype.createReadStream = function(options) {
   options = options || {};
@@ -500,6 +713,7 @@ File.prototype.createReadStream = function(options) {
   var self = this;
   var rangeRequest = is.number(options.start) || is.number(options.end);
   var tailRequest = options.end < 0;
+  var decompress = options.decompress !== false;
   var throughStream = streamEvents(through());
 
   var crc32c = options.validation !== false;
@@ -525,13 +739,20 @@ File.prototype.createReadStream = function(options) {
   function makeRequest() {
     var reqOpts = {
       uri: format('{downloadBaseUrl}/{bucketName}/{fileName}', {
-        downloadBaseUrl: STORAGE_DOWNLOAD_BASE_URL,
+        downloadBaseUrl: self.resolveBaseUrl_(STORAGE_DOWNLOAD_BASE_URL),
         bucketName: self.bucket.name,
         fileName: encodeURIComponent(self.name)
       }),
-      gzip: true
+      headers: {}
     };
 
+    if (decompress) {
+      reqOpts.gzip = true;
+    } else {
+      // Ask for the stored bytes, but leave them compressed.
+      reqOpts.headers['Accept-Encoding'] = 'gzip';
+    }
+
     if (self.generation) {
       reqOpts.qs = {
         generation: self.generation
@@ -542,13 +763,13 @@ File.prototype.createReadStream = function(options) {
       var start = is.number(options.start) ? options.start : '0';
       var end = is.number(options.end) ? options.end : '';
 
-      reqOpts.headers = {
-        Range: 'bytes=' + (tailRequest ? end : start + '-' + end)
-      };
+      reqOpts.headers.Range =
+        'bytes=' + (tailRequest ? end : start + '-' + end);
     }
 
     var requestStream = self.request(reqOpts);
     var validateStream;
+    var hashed = false;
 
     // We listen to the response event from the request stream so that we can...
     //
@@ -557,20 +778,62 @@ File.prototype.createReadStream = function(options) {
     //      which will return the bytes from the source without decompressing
     //      gzip'd content. The request stream will do the decompression so the
     //      user receives the expected content.
+    //
+    // The hashes the API sends are of the bytes as they are stored, which
+    // aren't always the bytes that are served:
+    //
+    //   - A file stored without an encoding may still be served gzip'd. Its
+    //     bytes are decompressed before they are hashed.
+    //   - A gzip'd file may be served decompressed ("decompressive
+    //     transcoding"). There is nothing to compare those bytes with, so they
+    //     are not validated.
     function onResponse(err, body, res) {
       if (err) {
         requestStream.unpipe(throughStream);
         return;
       }
 
-      if (!rangeRequest) {
-        validateStream = hashStreamValidation({
-          crc32c: crc32c,
-          md5: md5
-        });
+      var servedEncoding = res.headers['content-encoding'] || 'identity';
+      var storedEncoding =
+        res.headers['x-goog-stored-content-encoding'] || servedEncoding;
+
+      if (rangeRequest && decompress && storedEncoding === 'gzip') {
+        // A range of compressed bytes can't be decompressed on its own, and a
+        // decompressed file is served in full, whatever range was asked for.
+        requestStream.unpipe(throughStream);
+
+        var rangeError = new Error([
+          'Byte ranges of a gzip-encoded file can\'t be decompressed. Set',
+          '`decompress: false` to read a range of the compressed data.'
+        ].join(' '));
+        rangeError.code = 'GZIP_RANGE_NOT_SUPPORTED';
+
+        throughStream.destroy(rangeError);
+        return;
+      }
+
+      if (rangeRequest) {
+        return;
+      }
+
+      if (servedEncoding !== storedEncoding) {
+        if (servedEncoding !== 'gzip' || storedEncoding !== 'identity') {
+          return;
+        }
 
-        res.pipe(validateStream).on('data', common.util.noop);
+        res = res.pipe(zlib.createGunzip());
       }
+
+      validateStream = hashStreamValidation({
+        crc32c: crc32c,
+        md5: md5
+      });
+
+      res.pipe(validateStream)
+        .on('data', common.util.noop)
+        .on('end', function() {
+          hashed = true;
+        });
     }
 
     // This is hooked to the `complete` event from the request stream. This is
@@ -582,10 +845,20 @@ File.prototype.createReadStream = function(options) {
         return;
       }
 
-      if (rangeRequest) {
+      if (!validateStream) {
+        return;
+      }
+
+      // Decompressing the data to hash it can take longer than the request.
+      if (!hashed) {
+        validateStream.on('end', validate.bind(null, res));
         return;
       }
 
+      validate(res);
+    }
+
+    function validate(res) {
       var hashes = {};
       res.headers['x-goog-hash'].split(',').forEach(function(hash) {
         var hashType = hash.split('=')[0].trim();
@@ -664,6 +937,12 @@ File.prototype.createReadStream = function(options) {
  * @resource [Resumable upload guide]{@link https://cloud.google.com/storage/docs/json_api/v1/how-tos/upload#resumable}
  *
  * @param {object=} options - Configuration object.
+ * @param {number} options.ifGenerationMatch - Only start the upload if the
+ *     file's generation matches this value. `ifGenerationNotMatch`,
+ *     `ifMetagenerationMatch`, and `ifMetagenerationNotMatch` can be used as
+ *     well.
+ * @param {string} options.kmsKeyName - The Cloud KMS key to encrypt the file
+ *     with. (default: the key the File object was created with, if any)
  * @param {object} options.metadata - Metadata to set on the file.
  * @param {string} options.origin - Origin header to set for the upload.
  * @param {string} options.predefinedAcl - Apply a predefined set of access
@@ -707,6 +986,16 @@ File.prototype.createResumableUpload = function(options, callback) {
     options = {};
   }
 
+  var kmsKeyName = options.kmsKeyName || this.kmsKeyName;
+  var preconditions = File.getPreconditions_(options);
+
+  if (this.storage.apiEndpoint || kmsKeyName || !is.empty(preconditions)) {
+    // gcs-resumable-upload always starts sessions at the Google API, and
+    // doesn't support Cloud KMS keys or most preconditions.
+    this.createResumableUri_(options, callback);
+    return;
+  }
+
   resumableUpload.createURI({
     authClient: this.bucket.storage.authClient,
     bucket: this.bucket.name,
@@ -720,6 +1009,70 @@ File.prototype.createResumableUpload = function(options, callback) {
   }, callback);
 };
 
+/**
+ * Start a resumable upload session at the custom API endpoint the Storage
+ * instance was created with.
+ *
+ * @private
+ *
+ * @param {object} options - See `createResumableUpload`.
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request
+ * @param {string} callback.uri - The resumable upload's unique session URI.
+ */
+File.prototype.createResumableUri_ = function(options, callback) {
+  var metadata = options.metadata || {};
+
+  var reqOpts = {
+    method: 'POST',
+    uri: format('{uploadBaseUrl}/{bucket}/o', {
+      uploadBaseUrl: this.resolveBaseUrl_(STORAGE_UPLOAD_BASE_URL),
+      bucket: this.bucket.name
+    }),
+    qs: {
+      name: this.name,
+      uploadType: 'resumable'
+    },
+    json: metadata,
+    headers: {}
+  };
+
+  if (metadata.contentType) {
+    reqOpts.headers['X-Upload-Content-Type'] = metadata.contentType;
+  }
+
+  if (options.origin) {
+    reqOpts.headers.Origin = options.origin;
+  }
+
+  if (is.defined(this.generation)) {
+    reqOpts.qs.ifGenerationMatch = this.generation;
+  }
+
+  extend(reqOpts.qs, File.getPreconditions_(options));
+
+  if (options.kmsKeyName || this.kmsKeyName) {
+    reqOpts.qs.kmsKeyName = options.kmsKeyName || this.kmsKeyName;
+  }
+
+  if (options.predefinedAcl) {
+    reqOpts.qs.predefinedAcl = options.predefinedAcl;
+  } else if (options.private) {
+    reqOpts.qs.predefinedAcl = 'private';
+  } else if (options.public) {
+    reqOpts.qs.predefinedAcl = 'publicRead';
+  }
+
+  this.request(reqOpts, function(err, body, resp) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    callback(null, resp.headers.location);
+  });
+};
+
 /**
  * Create a writable stream to overwrite the contents of the file in your
  * bucket.
@@ -743,6 +1096,18 @@ File.prototype.createResumableUpload = function(options, callback) {
  * @param {object=} options - Configuration object.
  * @param {boolean} options.gzip - Automatically gzip the file. This will set
  *     `options.metadata.contentEncoding` to `gzip`.
+ * @param {number} options.ifGenerationMatch - Only upload if the file's
+ *     generation matches this value. `0` only uploads if the file doesn't exist
+ *     yet. If a precondition isn't met, the stream emits a
+ *     `PreconditionFailedError`.
+ * @param {number} options.ifGenerationNotMatch - Only upload if the file's
+ *     generation doesn't match this value.
+ * @param {number} options.ifMetagenerationMatch - Only upload if the file's
+ *     metageneration matches this value.
+ * @param {number} options.ifMetagenerationNotMatch - Only upload if the
+ *     file's metageneration doesn't match this value.
+ * @param {string} options.kmsKeyName - The Cloud KMS key to encrypt the file
+ *     with. (default: the key the File object was created with, if any)
  * @param {object=} options.metadata - See the examples below or
  *     [Objects: insert request body](https://cloud.google.com/storage/docs/json_api/v1/objects/insert#request_properties_JSON)
  *     for more details.
@@ -838,6 +1203,18 @@ File.prototype.createResumableUpload = function(options, callback) {
  *   .on('finish', function() {
  *     // The file upload is complete.
  *   });
+ *
+ * //-
+ * // <h4>Uploading a File Only If It Doesn't Exist</h4>
+ * //-
+ * fs.createReadStream('/Users/stephen/Photos/birthday-at-the-zoo/panda.jpg')
+ *   .pipe(file.createWriteStream({ ifGenerationMatch: 0 }))
+ *   .on('error', function(err) {
+ *     // `err.name` is `PreconditionFailedError` if the file already exists.
+ *   })
+ *   .on('finish', function() {
+ *     // The file upload is complete.
+ *   });
  */
 File.prototype.createWriteStream = function(options) {
   options = options || {};
@@ -957,19 +1334,85 @@ File.prototype.createWriteStream = function(options) {
 };
 
 /**
- * Convenience method to download a file into memory or to a local destination.
+ * Delete the file.
  *
- * @param {object=} options - Optional configuration. The arguments match those
- *     passed to {module:storage/file#createReadStream}.
- * @param {string} options.destination - Local file path to write the file's
- *     contents to.
- * @param {function} callback - The callback function.
- * @param {?error} callback.err - An error returned while making this request
- * @param {buffer} callback.contents - The contents of a File.
+ * Preconditions make the delete conditional; if one isn't met, the file is left
+ * as it is and a `PreconditionFailedError` is returned.
  *
- * @example
- * //-
- * // Download a file into memory. The contents will be available as the second
+ * @resource [Objects: delete API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/objects/delete}
+ *
+ * @param {object=} options - Configuration object.
+ * @param {number} options.ifGenerationMatch - Only delete the file if its
+ *     generation matches this value. `0` can't match an existing file.
+ * @param {number} options.ifGenerationNotMatch - Only delete the file if its
+ *     generation doesn't match this value.
+ * @param {number} options.ifMetagenerationMatch - Only delete the file if its
+ *     metageneration matches this value.
+ * @param {number} options.ifMetagenerationNotMatch - Only delete the file if
+ *     its metageneration doesn't match this value.
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * file.delete(function(err, apiResponse) {});
+ *
+ * //-
+ * // Only delete the file if nobody has replaced it since it was read.
+ * //-
+ * file.getMetadata(function(err, metadata) {
+ *   file.delete({
+ *     ifGenerationMatch: metadata.generation
+ *   }, function(err) {
+ *     if (err && err.name === 'PreconditionFailedError') {
+ *       // The file has changed.
+ *     }
+ *   });
+ * });
+ */
+File.prototype.delete = function(options, callback) {
+  if (is.fn(options)) {
+    callback = options;
+    options = {};
+  }
+
+  options = options || {};
+  callback = callback || common.util.noop;
+
+  var query = File.getPreconditions_(options);
+
+  if (is.defined(this.generation)) {
+    query.generation = this.generation;
+  }
+
+  this.request({
+    method: 'DELETE',
+    uri: '',
+    qs: query
+  }, function(err, resp) {
+    callback(err, resp);
+  });
+};
+
+/**
+ * Convenience method to download a file into memory or to a local destination.
+ *
+ * @param {object=} options - Optional configuration. The arguments match those
+ *     passed to {module:storage/file#createReadStream}.
+ * @param {string} options.destination - Local file path to write the file's
+ *     contents to.
+ * @param {number} options.parallelDownloads - Download this many byte ranges
+ *     of the file at once. Requires `options.destination`. The data is
+ *     written to `{destination}.download` first, and moved to the destination
+ *     once its CRC32C checksum has been checked. If the download is
+ *     interrupted, running it again will resume from where it stopped.
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request
+ * @param {buffer} callback.contents - The contents of a File.
+ *
+ * @example
+ * //-
+ * // Download a file into memory. The contents will be available as the second
  * // argument in the demonstration below, `contents`.
  * //-
  * file.download(function(err, contents) {});
@@ -980,6 +1423,14 @@ File.prototype.createWriteStream = function(options) {
  * file.download({
  *   destination: '/Users/stephen/Desktop/file-backup.txt'
  * }, function(err) {});
+ *
+ * //-
+ * // Download a large file faster by fetching 8 parts of it at once.
+ * //-
+ * file.download({
+ *   destination: '/Users/stephen/Desktop/file-backup.txt',
+ *   parallelDownloads: 8
+ * }, function(err) {});
  */
 File.prototype.download = function(options, callback) {
   if (is.fn(options)) {
@@ -992,6 +1443,19 @@ File.prototype.download = function(options, callback) {
   var destination = options.destination;
   delete options.destination;
 
+  if (options.parallelDownloads > 1) {
+    if (!destination) {
+      throw new Error('Parallel downloads require a `destination`.');
+    }
+
+    if (is.number(options.start) || is.number(options.end)) {
+      throw new Error('Parallel downloads cannot use `start` or `end`.');
+    }
+
+    this.downloadInParallel_(destination, options, callback);
+    return;
+  }
+
   var fileStream = this.createReadStream(options);
 
   if (destination) {
@@ -1007,6 +1471,216 @@ File.prototype.download = function(options, callback) {
   }
 };
 
+/**
+ * Download a file to a local destination as `options.parallelDownloads` byte
+ * ranges at the same time.
+ *
+ * The ranges are written into a temporary file, and how much of each range has
+ * been written is saved to a state file next to it. If a download with a state
+ * file for the same generation of the file is started, only the missing data is
+ * requested. Each range is checksummed as it is written; the checksums are
+ * combined and compared with the file's CRC32C before the temporary file is
+ * renamed to the destination.
+ *
+ * @private
+ *
+ * @param {string} destination - Local file path to write the file's contents
+ *     to.
+ * @param {object} options - See `download`.
+ * @param {function} callback - The callback function.
+ */
+File.prototype.downloadInParallel_ = function(destination, options, callback) {
+  var self = this;
+
+  var tempPath = destination + '.download';
+  var statePath = tempPath + '.json';
+
+  this.getMetadata(function(err, metadata) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    var size = parseInt(metadata.size, 10);
+    var sliceSize = Math.ceil(size / options.parallelDownloads);
+
+    var slices = [];
+
+    for (var start = 0; start < size; start += sliceSize) {
+      slices.push({
+        start: start,
+        end: Math.min(start + sliceSize, size) - 1,
+        written: 0,
+        crc32c: 0
+      });
+    }
+
+    // Gzipped files are decompressed as they are served, so they can't be
+    // downloaded in byte ranges unless they are kept compressed.
+    var decompressed =
+      metadata.contentEncoding === 'gzip' && options.decompress !== false;
+
+    if (slices.length < 2 || decompressed) {
+      self.download(extend({}, options, {
+        destination: destination,
+        parallelDownloads: 0
+      }), callback);
+      return;
+    }
+
+    // Pin the generation, so every range comes from the same data.
+    var file = self.bucket.file(self.name, {
+      generation: metadata.generation,
+      encryptionKey: self.encryptionKey
+    });
+
+    var state = {
+      generation: metadata.generation,
+      size: size,
+      slices: slices
+    };
+
+    var fd;
+
+    // Writes of the state file are batched, and never overlap.
+    var stateWriter = async.cargo(function(tasks, next) {
+      fs.writeFile(statePath, JSON.stringify(state), next);
+    });
+
+    fs.readFile(statePath, 'utf8', function(err, contents) {
+      var savedState;
+
+      if (!err) {
+        try {
+          savedState = JSON.parse(contents);
+        } catch (e) {}
+      }
+
+      var resume = savedState &&
+        savedState.generation === state.generation &&
+        savedState.size === state.size;
+
+      if (!resume) {
+        openTempFile('w');
+        return;
+      }
+
+      state.slices = savedState.slices;
+
+      openTempFile('r+', function(err) {
+        if (err.code !== 'ENOENT') {
+          callback(err);
+          return;
+        }
+
+        // The state file was left without its data. Start over.
+        state.slices = slices;
+        openTempFile('w');
+      });
+    });
+
+    function openTempFile(flags, onError) {
+      fs.open(tempPath, flags, function(err, fd_) {
+        if (err) {
+          (onError || callback)(err);
+          return;
+        }
+
+        fd = fd_;
+
+        async.each(state.slices, downloadSlice, function(err) {
+          fs.close(fd, function(closeErr) {
+            err = err || closeErr;
+
+            if (err) {
+              // The temporary and state files are kept, to resume from.
+              callback(err);
+              return;
+            }
+
+            validate();
+          });
+        });
+      });
+    }
+
+    function downloadSlice(slice, done) {
+      var position = slice.start + slice.written;
+
+      if (position > slice.end) {
+        done();
+        return;
+      }
+
+      done = once(done);
+
+      var writeStream = through(function(chunk, enc, next) {
+        var position = slice.start + slice.written;
+
+        fs.write(fd, chunk, 0, chunk.length, position, function(err) {
+          if (err) {
+            next(err);
+            return;
+          }
+
+          slice.written += chunk.length;
+          slice.crc32c = crc32c.calculate(chunk, slice.crc32c);
+
+          stateWriter.push({}, next);
+        });
+      });
+
+      var readStream = file.createReadStream({
+        start: position,
+        end: slice.end,
+        validation: false,
+        decompress: options.decompress
+      });
+
+      readStream
+        .on('error', done)
+        .pipe(writeStream)
+        .on('error', done)
+        .on('finish', done);
+    }
+
+    function validate() {
+      var expectedCrc32c = state.slices.slice(1).reduce(function(crc, slice) {
+        return crc32c.combine(crc, slice.crc32c, slice.written);
+      }, state.slices[0].crc32c);
+
+      var failed = options.validation !== false &&
+        is.string(metadata.crc32c) &&
+        crc32c.toBase64(expectedCrc32c) !== metadata.crc32c;
+
+      if (failed) {
+        async.each([tempPath, statePath], fs.unlink, function() {
+          var mismatchError = new Error([
+            'The downloaded data did not match the data from the server.',
+            'To be sure the content is the same, you should download the',
+            'file again.'
+          ].join(' '));
+          mismatchError.code = 'CONTENT_DOWNLOAD_MISMATCH';
+
+          callback(mismatchError);
+        });
+        return;
+      }
+
+      fs.rename(tempPath, destination, function(err) {
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        fs.unlink(statePath, function(err) {
+          callback(err && err.code !== 'ENOENT' ? err : null);
+        });
+      });
+    }
+  });
+};
+
 /**
  * The Storage API allows you to use a custom key for server-side encryption.
  *
@@ -1041,17 +1715,26 @@ File.prototype.download = function(options, callback) {
 File.prototype.setEncryptionKey = function(encryptionKey) {
   this.encryptionKey = encryptionKey;
 
-  encryptionKey = new Buffer(encryptionKey).toString('base64');
-  var hash = crypto.createHash('sha256')
-    .update(encryptionKey, 'base64')
-    .digest('base64');
+  var headers = File.getEncryptionKeyHeaders_(
+    encryptionKey,
+    'x-goog-encryption'
+  );
+
+  var copySourceHeaders = File.getEncryptionKeyHeaders_(
+    encryptionKey,
+    'x-goog-copy-source-encryption'
+  );
 
   this.interceptors.push({
     request: function(reqOpts) {
-      reqOpts.headers = reqOpts.headers || {};
-      reqOpts.headers['x-goog-encryption-algorithm'] = 'AES256';
-      reqOpts.headers['x-goog-encryption-key'] = encryptionKey;
-      reqOpts.headers['x-goog-encryption-key-sha256'] = hash;
+      // When this file is rewritten, the encryption headers are for the copy.
+      var isRewrite = /\/rewriteTo\//.test(reqOpts.uri);
+
+      reqOpts.headers = extend(
+        reqOpts.headers,
+        isRewrite ? copySourceHeaders : headers
+      );
+
       return reqOpts;
     }
   });
@@ -1095,6 +1778,17 @@ File.prototype.setEncryptionKey = function(encryptionKey) {
  *     request's content length.
  * @param {number} options.contentLengthRange.max - Maximum value for the
  *     request's content length.
+ * @param {string=} options.version - `v2` (default) or `v4`. V4 policies can
+ *     be valid for at most seven days, and come with the URL and form fields
+ *     to send.
+ * @param {object=} options.fields - (V4 only) More form fields to send. Each is
+ *     added to the policy's conditions, except for those whose names start
+ *     with `x-ignore-`.
+ * @param {string=} options.cname - (V4 only) The custom domain to upload to,
+ *     i.e., "https://cdn.example.com".
+ * @param {boolean=} options.virtualHostedStyle - (V4 only) Upload to
+ *     `https://{bucket}.storage.googleapis.com` rather than
+ *     `https://storage.googleapis.com/{bucket}`.
  * @param {function} callback - The callback function.
  * @param {?error} callback.err - An error returned while making this request
  * @param {object} callback.policy - The document policy.
@@ -1114,6 +1808,22 @@ File.prototype.setEncryptionKey = function(encryptionKey) {
  *   // policy.base64: the policy document in base64.
  *   // policy.signature: the policy signature in base64.
  * });
+ *
+ * //-
+ * // Create a V4 policy. Send each of `policy.fields` as a form field in a
+ * // POST request to `policy.url`, followed by a `file` field with the data.
+ * //-
+ * file.getSignedPolicy({
+ *   version: 'v4',
+ *   expires: Date.now() + 60 * 60 * 1000,
+ *   fields: {
+ *     'Content-Type': 'image/jpeg'
+ *   }
+ * }, function(err, policy) {
+ *   // policy.url: the URL to send the form to.
+ *   // policy.fields: the form fields, including the policy and its signature.
+ *   // policy.signature: the policy signature in hex.
+ * });
  */
 File.prototype.getSignedPolicy = function(options, callback) {
   var expires = new Date(options.expires);
@@ -1182,6 +1892,11 @@ File.prototype.getSignedPolicy = function(options, callback) {
     conditions.push(['content-length-range', min, max]);
   }
 
+  if (options.version === 'v4') {
+    this.getSignedPolicyV4_(options, conditions, callback);
+    return;
+  }
+
   var policy = {
     expiration: expires.toISOString(),
     conditions: conditions
@@ -1248,6 +1963,15 @@ File.prototype.getSignedPolicy = function(options, callback) {
  *     signed url.
  * @param {string=} config.responseType - The response-content-type parameter
  *     of the signed url.
+ * @param {string=} config.version - `v2` (default) or `v4`. V4 URLs can be
+ *     valid for at most seven days.
+ * @param {*=} config.accessibleAt - (V4 only) A timestamp when this link will
+ *     start to work. Any value given is passed to `new Date()`. (default: now)
+ * @param {object=} config.queryParams - (V4 only) More query string parameters
+ *     to sign and add to the URL.
+ * @param {boolean=} config.virtualHostedStyle - (V4 only) Use a URL of the form
+ *     `https://{bucket}.storage.googleapis.com/{file}`, rather than
+ *     `https://storage.googleapis.com/{bucket}/{file}`.
  * @param {function=} callback - The callback function.
  * @param {?error} callback.err - An error returned while making this request
  * @param {string} callback.url - The signed URL.
@@ -1298,6 +2022,15 @@ File.prototype.getSignedPolicy = function(options, callback) {
  *     });
  *   });
  * });
+ *
+ * //-
+ * // Generate a URL with a V4 signature.
+ * //-
+ * file.getSignedUrl({
+ *   version: 'v4',
+ *   action: 'read',
+ *   expires: Date.now() + 60 * 60 * 1000 // One hour.
+ * }, function(err, url) {});
  */
 File.prototype.getSignedUrl = function(config, callback) {
   var self = this;
@@ -1308,6 +2041,11 @@ File.prototype.getSignedUrl = function(config, callback) {
     throw new Error('An expiration date cannot be in the past.');
   }
 
+  if (config.version === 'v4') {
+    this.getSignedUrlV4_(config, callback);
+    return;
+  }
+
   config = extend({}, config);
 
   config.action = {
@@ -1391,6 +2129,284 @@ File.prototype.getSignedUrl = function(config, callback) {
   });
 };
 
+/**
+ * Create a V4 signed URL. See `getSignedUrl`.
+ *
+ * @resource [V4 Signing Process]{@link https://cloud.google.com/storage/docs/access-control/signing-urls-manually}
+ *
+ * @private
+ *
+ * @throws {Error} if the URL would be valid for more than seven days.
+ *
+ * @param {object} config - See `getSignedUrl`.
+ * @param {function} callback - The callback function.
+ */
+File.prototype.getSignedUrlV4_ = function(config, callback) {
+  var self = this;
+
+  var accessibleAt = new Date(config.accessibleAt || Date.now());
+  var expiresInSeconds =
+    Math.floor((new Date(config.expires) - accessibleAt) / 1000);
+
+  if (expiresInSeconds < 1) {
+    throw new Error('An expiration date must be after `accessibleAt`.');
+  }
+
+  if (expiresInSeconds > V4_MAX_EXPIRES) {
+    throw new Error('A V4 signed URL can be valid for at most seven days.');
+  }
+
+  var method = {
+    read: 'GET',
+    write: 'PUT',
+    delete: 'DELETE'
+  }[config.action];
+
+  var origin = this.getSigningOrigin_(config);
+  var path = origin.path + File.encodeV4_(this.name, true);
+
+  var headers = extend({}, config.extensionHeaders);
+
+  if (config.contentMd5) {
+    headers['content-md5'] = config.contentMd5;
+  }
+
+  if (config.contentType) {
+    headers['content-type'] = config.contentType;
+  }
+
+  headers.host = origin.host;
+
+  // Header names are lowercased, and their values trimmed with inner
+  // whitespace collapsed.
+  var canonicalHeaders = {};
+
+  for (var headerName in headers) {
+    canonicalHeaders[headerName.toLowerCase()] =
+      String(headers[headerName]).trim().replace(/\s+/g, ' ');
+  }
+
+  var headerNames = Object.keys(canonicalHeaders).sort();
+  var signedHeaders = headerNames.join(';');
+
+  this.getSigningCredentials_(function(err, credentials) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    var scope = File.getV4Scope_(accessibleAt);
+
+    var query = extend({}, config.queryParams, {
+      'X-Goog-Algorithm': 'GOOG4-RSA-SHA256',
+      'X-Goog-Credential': credentials.client_email + '/' + scope.scope,
+      'X-Goog-Date': scope.timestamp,
+      'X-Goog-Expires': expiresInSeconds,
+      'X-Goog-SignedHeaders': signedHeaders
+    });
+
+    if (self.generation) {
+      query.generation = self.generation;
+    }
+
+    if (is.string(config.responseType)) {
+      query['response-content-type'] = config.responseType;
+    }
+
+    if (is.string(config.promptSaveAs)) {
+      query['response-content-disposition'] =
+        'attachment; filename="' + config.promptSaveAs + '"';
+    }
+
+    if (is.string(config.responseDisposition)) {
+      query['response-content-disposition'] = config.responseDisposition;
+    }
+
+    var queryString = Object.keys(query)
+      .map(function(key) {
+        return [File.encodeV4_(key), File.encodeV4_(query[key])];
+      })
+      .sort(function(a, b) {
+        return a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0;
+      })
+      .map(function(pair) {
+        return pair.join('=');
+      })
+      .join('&');
+
+    var canonicalRequest = [
+      method,
+      path,
+      queryString,
+      headerNames.map(function(name) {
+        return name + ':' + canonicalHeaders[name] + '\n';
+      }).join(''),
+      signedHeaders,
+      'UNSIGNED-PAYLOAD'
+    ].join('\n');
+
+    var stringToSign = [
+      'GOOG4-RSA-SHA256',
+      scope.timestamp,
+      scope.scope,
+      crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+    ].join('\n');
+
+    var signature = crypto.createSign('RSA-SHA256')
+      .update(stringToSign)
+      .sign(credentials.private_key, 'hex');
+
+    callback(null, format('{origin}{path}?{query}&X-Goog-Signature={sig}', {
+      origin: origin.origin,
+      path: path,
+      query: queryString,
+      sig: signature
+    }));
+  });
+};
+
+/**
+ * Create a V4 signed policy document. See `getSignedPolicy`.
+ *
+ * @resource [POST Object]{@link https://cloud.google.com/storage/docs/xml-api/post-object}
+ *
+ * @private
+ *
+ * @throws {Error} if the policy would be valid for more than seven days.
+ *
+ * @param {object} options - See `getSignedPolicy`.
+ * @param {array[]} conditions - The conditions made from `options`.
+ * @param {function} callback - The callback function.
+ */
+File.prototype.getSignedPolicyV4_ = function(options, conditions, callback) {
+  var self = this;
+
+  var now = new Date(Date.now());
+  var expires = new Date(options.expires);
+
+  if ((expires - now) / 1000 > V4_MAX_EXPIRES) {
+    throw new Error('A V4 signed policy can be valid for at most seven days.');
+  }
+
+  var origin = this.getSigningOrigin_(options);
+
+  this.getSigningCredentials_(function(err, credentials) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    var scope = File.getV4Scope_(now);
+
+    var fields = extend({}, options.fields, {
+      key: self.name,
+      'x-goog-algorithm': 'GOOG4-RSA-SHA256',
+      'x-goog-credential': credentials.client_email + '/' + scope.scope,
+      'x-goog-date': scope.timestamp
+    });
+
+    conditions = conditions.concat(Object.keys(fields)
+      .filter(function(name) {
+        // The key is already a condition.
+        return name !== 'key' && name.indexOf('x-ignore-') !== 0;
+      })
+      .map(function(name) {
+        var condition = {};
+        condition[name] = fields[name];
+        return condition;
+      }));
+
+    var policy = {
+      conditions: conditions,
+      expiration: expires.toISOString().replace(/\.\d{3}Z$/, 'Z')
+    };
+
+    // Policies are ASCII; other characters are escaped.
+    var policyString = JSON.stringify(policy).replace(/[^\x00-\x7f]/g,
+      function(char) {
+        return '\\u' + ('000' + char.charCodeAt(0).toString(16)).substr(-4);
+      });
+
+    var policyBase64 = new Buffer(policyString).toString('base64');
+
+    var signature = crypto.createSign('RSA-SHA256')
+      .update(policyBase64)
+      .sign(credentials.private_key, 'hex');
+
+    fields.policy = policyBase64;
+    fields['x-goog-signature'] = signature;
+
+    callback(null, {
+      url: origin.origin + origin.path,
+      fields: fields,
+      string: policyString,
+      base64: policyBase64,
+      signature: signature
+    });
+  });
+};
+
+/**
+ * Get credentials that can sign URLs and policies.
+ *
+ * @private
+ *
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - A `SigningError` if there are no credentials
+ *     with a `private_key` and `client_email`.
+ * @param {object} callback.credentials - The credentials.
+ */
+File.prototype.getSigningCredentials_ = function(callback) {
+  this.storage.getCredentials(function(err, credentials) {
+    if (err) {
+      callback(new SigningError(err.message));
+      return;
+    }
+
+    if (!credentials.private_key || !credentials.client_email) {
+      var errorMessage = [
+        'Could not find a `private_key` or `client_email`.',
+        'Please verify you are authorized with these credentials available.'
+      ].join(' ');
+
+      callback(new SigningError(errorMessage));
+      return;
+    }
+
+    callback(null, credentials);
+  });
+};
+
+/**
+ * Work out where a V4 signed URL or policy points: a custom domain, the
+ * bucket's own subdomain, or the bucket under the storage domain.
+ *
+ * @private
+ *
+ * @param {object} config - The `cname` and `virtualHostedStyle` options.
+ * @return {object} - The `origin` (protocol and host), the `host` header, and
+ *     the `path` that file names follow.
+ */
+File.prototype.getSigningOrigin_ = function(config) {
+  var origin = STORAGE_DOWNLOAD_BASE_URL;
+  var path = '/' + this.bucket.name + '/';
+
+  if (config.cname) {
+    origin = config.cname.replace(/\/*$/, ''); // Remove trailing slashes.
+    path = '/';
+  } else if (config.virtualHostedStyle) {
+    origin = 'https://' + this.bucket.name + '.' +
+      url.parse(STORAGE_DOWNLOAD_BASE_URL).host;
+    path = '/';
+  }
+
+  return {
+    origin: origin,
+    host: url.parse(origin).host,
+    path: path
+  };
+};
+
 /**
  * Make a file private to the project and remove all other permissions.
  * Set `options.strict` to true to make the file private to only the owner.
@@ -1400,6 +2416,9 @@ File.prototype.getSignedUrl = function(config, callback) {
  * @param {object=} options - The configuration object.
  * @param {boolean=} options.strict - If true, set the file to be private to
  *     only the owner user. Otherwise, it will be private to the project.
+ * @param {number} options.ifMetagenerationMatch - Only change the file if its
+ *     metageneration matches this value. The other preconditions of
+ *     {module:storage/file#setMetadata} can be used as well.
  * @param {function=} callback - The callback function.
  * @param {?error} callback.err - An error returned while making this request
  *
@@ -1422,9 +2441,9 @@ File.prototype.makePrivate = function(options, callback) {
     options = {};
   }
 
-  var query = {
+  var query = extend(File.getPreconditions_(options), {
     predefinedAcl: options.strict ? 'private' : 'projectPrivate'
-  };
+  });
 
   // You aren't allowed to set both predefinedAcl & acl properties on a file, so
   // acl must explicitly be nullified, destroying all previous acls on the file.
@@ -1487,12 +2506,17 @@ File.prototype.makePublic = function(callback) {
  * triggered from either one of these API calls failing, which could leave a
  * duplicate file lingering.
  *
- * @resource [Objects: copy API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/objects/copy}
+ * @resource [Objects: rewrite API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/objects/rewrite}
  *
  * @throws {Error} If the destination file is not provided.
+ * @throws {Error} If an encryption key is given in `options` along with a
+ *     destination File object.
  *
  * @param {string|module:storage/bucket|module:storage/file} destination -
  *     Destination file.
+ * @param {object=} options - Configuration object. See
+ *     {module:storage/file#copy}. The `ifSource*` preconditions also apply to
+ *     deleting this file.
  * @param {function=} callback - The callback function.
  * @param {?error} callback.err - An error returned while making this request
  * @param {module:storage/file} callback.destinationFile - The destination File.
@@ -1571,24 +2595,128 @@ File.prototype.makePublic = function(callback) {
  *   // Note:
  *   // The `destinationFile` parameter is equal to `anotherFile`.
  * });
+ *
+ * //-
+ * // Move the file to a colder storage class, following the progress of the
+ * // copy.
+ * //-
+ * var options = {
+ *   storageClass: 'coldline',
+ *   onProgress: function(progress) {}
+ * };
+ *
+ * file.move(anotherFile, options, function(err, destinationFile) {});
  */
-File.prototype.move = function(destination, callback) {
+File.prototype.move = function(destination, options, callback) {
   var self = this;
 
+  if (is.fn(options)) {
+    callback = options;
+    options = {};
+  }
+
+  options = options || {};
   callback = callback || common.util.noop;
 
-  this.copy(destination, function(err, destinationFile, apiResponse) {
+  // The file is only deleted if it's the version that was copied.
+  var deleteOptions = {};
+
+  SOURCE_PRECONDITIONS.forEach(function(name) {
+    if (is.defined(options[name])) {
+      deleteOptions[name.replace('Source', '')] = options[name];
+    }
+  });
+
+  this.copy(destination, options, function(err, destinationFile, resp) {
     if (err) {
-      callback(err, null, apiResponse);
+      callback(err, null, resp);
       return;
     }
 
-    self.delete(function(err, apiResponse) {
+    self.delete(deleteOptions, function(err, apiResponse) {
       callback(err, destinationFile, apiResponse);
     });
   });
 };
 
+/**
+ * Re-encrypt the file with a different key: a customer-supplied encryption key,
+ * a Cloud KMS key, or, with neither, a key managed by Google. The contents are
+ * rewritten on the server, so the file is never downloaded; large files may
+ * take several requests.
+ *
+ * If the file is currently encrypted with a customer-supplied key, this File
+ * object must have been given that key. A new generation of the file is
+ * created; in a bucket with versioning enabled, the old one is kept, still
+ * encrypted with the old key.
+ *
+ * @resource [Objects: rewrite API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/objects/rewrite}
+ * @resource [Customer-supplied Encryption Keys]{@link https://cloud.google.com/storage/docs/encryption#customer-supplied}
+ * @resource [Customer-managed Encryption Keys]{@link https://cloud.google.com/storage/docs/encryption/customer-managed-keys}
+ *
+ * @param {string|buffer|object=} options - The new AES-256 encryption key, or a
+ *     configuration object.
+ * @param {string|buffer} options.encryptionKey - The new customer-supplied
+ *     encryption key.
+ * @param {string} options.kmsKeyName - The full resource name of the Cloud KMS
+ *     key to encrypt the file with.
+ * @param {number} options.ifGenerationMatch - Only rotate the key if the file's
+ *     generation matches this value. The other preconditions of
+ *     {module:storage/file#copy} can be used as well.
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {module:storage/file} callback.file - A File object that uses the new
+ *     key.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * var crypto = require('crypto');
+ *
+ * var file = myBucket.file('my-file', {
+ *   encryptionKey: oldEncryptionKey
+ * });
+ *
+ * var newEncryptionKey = crypto.randomBytes(32);
+ *
+ * file.rotateEncryptionKey(newEncryptionKey, function(err, file) {
+ *   // `file` can read the contents with the new key.
+ * });
+ *
+ * //-
+ * // Switch to a Cloud KMS key.
+ * //-
+ * file.rotateEncryptionKey({
+ *   kmsKeyName: 'projects/grape-spaceship-123/locations/us/keyRings/' +
+ *     'my-ring/cryptoKeys/my-key'
+ * }, function(err, file) {});
+ */
+File.prototype.rotateEncryptionKey = function(options, callback) {
+  if (is.fn(options)) {
+    callback = options;
+    options = {};
+  }
+
+  if (is.string(options) || Buffer.isBuffer(options)) {
+    options = {
+      encryptionKey: options
+    };
+  }
+
+  options = options || {};
+
+  var newFile = this.bucket.file(this.name, {
+    encryptionKey: options.encryptionKey,
+    kmsKeyName: options.kmsKeyName
+  });
+
+  var preconditions = extend(
+    File.getPreconditions_(options),
+    File.getPreconditions_(options, SOURCE_PRECONDITIONS)
+  );
+
+  this.rewrite_(newFile, { qs: preconditions }, callback);
+};
+
 /**
  * Write arbitrary data to a file.
  *
@@ -1620,6 +2748,103 @@ File.prototype.save = function(data, options, callback) {
     .end(data);
 };
 
+/**
+ * Merge the given metadata with the current remote file's metadata. This
+ * will set metadata if it was previously unset or update previously set
+ * metadata. To unset previously set metadata, set its value to null.
+ *
+ * You can set custom key/value pairs in the metadata key of the given
+ * object, however the other properties outside of this object must adhere
+ * to the [official API documentation](https://goo.gl/BOnnCK).
+ *
+ * See the examples below for more information.
+ *
+ * @resource [Objects: patch API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/objects/patch}
+ *
+ * @param {object} metadata - The metadata you wish to update.
+ * @param {object=} options - Configuration object.
+ * @param {number} options.ifGenerationMatch - Only update the file if its
+ *     generation matches this value.
+ * @param {number} options.ifGenerationNotMatch - Only update the file if its
+ *     generation doesn't match this value.
+ * @param {number} options.ifMetagenerationMatch - Only update the file if its
+ *     metageneration matches this value.
+ * @param {number} options.ifMetagenerationNotMatch - Only update the file if
+ *     its metageneration doesn't match this value.
+ * @param {function=} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ *     A `PreconditionFailedError` if a precondition wasn't met.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * file.setMetadata({
+ *   contentType: 'application/x-font-ttf',
+ *   metadata: {
+ *     my: 'custom',
+ *     properties: 'go here'
+ *   }
+ * }, function(err, apiResponse) {});
+ *
+ * // Assuming current metadata = { hello: 'world', unsetMe: 'will do' }
+ * file.setMetadata({
+ *   metadata: {
+ *     abc: '123', // will be set.
+ *     unsetMe: null, // will be unset (deleted).
+ *     hello: 'goodbye' // will be updated from 'hello' to 'goodbye'.
+ *   }
+ * }, function(err, apiResponse) {
+ *   // metadata should now be { abc: '123', hello: 'goodbye' }
+ * });
+ *
+ * //-
+ * // Only update the metadata if it hasn't changed since it was read.
+ * //-
+ * file.getMetadata(function(err, metadata) {
+ *   var options = {
+ *     ifMetagenerationMatch: metadata.metageneration
+ *   };
+ *
+ *   file.setMetadata({
+ *     metadata: {
+ *       views: String(parseInt(metadata.metadata.views, 10) + 1)
+ *     }
+ *   }, options, function(err, apiResponse) {});
+ * });
+ */
+File.prototype.setMetadata = function(metadata, options, callback) {
+  var self = this;
+
+  if (is.fn(options)) {
+    callback = options;
+    options = {};
+  }
+
+  options = options || {};
+  callback = callback || common.util.noop;
+
+  var query = File.getPreconditions_(options);
+
+  if (is.defined(this.generation)) {
+    query.generation = this.generation;
+  }
+
+  this.request({
+    method: 'PATCH',
+    uri: '',
+    qs: query,
+    json: metadata
+  }, function(err, resp) {
+    if (err) {
+      callback(err, resp);
+      return;
+    }
+
+    self.metadata = resp;
+
+    callback(null, resp);
+  });
+};
+
 /**
  * This creates a gcs-resumable-upload upload stream.
  *
@@ -1637,8 +2862,37 @@ File.prototype.startResumableUpload_ = function(dup, options) {
     metadata: {}
   }, options);
 
+  var authClient = this.storage.authClient;
+
+  if (this.storage.apiEndpoint) {
+    authClient = UNAUTHENTICATED_CLIENT;
+  }
+
+  var kmsKeyName = options.kmsKeyName || this.kmsKeyName;
+  var preconditions = File.getPreconditions_(options);
+
+  var createUri =
+    this.storage.apiEndpoint || kmsKeyName || !is.empty(preconditions);
+
+  if (createUri && !options.uri) {
+    // gcs-resumable-upload always starts sessions at the Google API, and
+    // doesn't support Cloud KMS keys or most preconditions.
+    this.createResumableUri_(options, function(err, uri) {
+      if (err) {
+        dup.destroy(err);
+        return;
+      }
+
+      self.startResumableUpload_(dup, extend(options, {
+        uri: uri,
+        offset: 0
+      }));
+    });
+    return;
+  }
+
   var uploadStream = resumableUpload({
-    authClient: this.storage.authClient,
+    authClient: authClient,
     bucket: this.bucket.name,
     file: this.name,
     generation: this.generation,
@@ -1652,6 +2906,19 @@ File.prototype.startResumableUpload_ = function(dup, options) {
   });
 
   uploadStream
+    .on('error', function(err) {
+      if (err.code !== 412) {
+        return;
+      }
+
+      // The session can't be resumed, so don't let the next upload of this
+      // file try to.
+      uploadStream.deleteConfig();
+
+      // gcs-resumable-upload returns the API's errors as they are. This runs
+      // before `dup` takes the error itself, so it's destroyed with this one.
+      dup.destroy(new PreconditionFailedError(err));
+    })
     .on('response', function(resp) {
       dup.emit('response', resp);
     })
@@ -1687,7 +2954,7 @@ File.prototype.startSimpleUpload_ = function(dup, options) {
       name: self.name
     },
     uri: format('{uploadBaseUrl}/{bucket}/o', {
-      uploadBaseUrl: STORAGE_UPLOAD_BASE_URL,
+      uploadBaseUrl: self.resolveBaseUrl_(STORAGE_UPLOAD_BASE_URL),
       bucket: self.bucket.name
     })
   };
@@ -1696,6 +2963,12 @@ File.prototype.startSimpleUpload_ = function(dup, options) {
     reqOpts.qs.ifGenerationMatch = this.generation;
   }
 
+  extend(reqOpts.qs, File.getPreconditions_(options));
+
+  if (options.kmsKeyName || this.kmsKeyName) {
+    reqOpts.qs.kmsKeyName = options.kmsKeyName || this.kmsKeyName;
+  }
+
   if (options.predefinedAcl) {
     reqOpts.qs.predefinedAcl = options.predefinedAcl;
   } else if (options.private) {
@@ -1722,4 +2995,121 @@ File.prototype.startSimpleUpload_ = function(dup, options) {
   });
 };
 
+/**
+ * Rewrite this file to another with the rewrite API, which copies between
+ * locations, storage classes, and encryption keys. The server copies at most
+ * a few gigabytes at a time, so the request is repeated with the returned
+ * `rewriteToken` until it is done.
+ *
+ * This file's own customer-supplied encryption key, if any, is sent by the
+ * interceptor added in {module:storage/file#setEncryptionKey}.
+ *
+ * @private
+ *
+ * @param {module:storage/file} destination - The file to write to.
+ * @param {object} options - Configuration object.
+ * @param {object=} options.json - The metadata of the copy.
+ * @param {function=} options.onProgress - Called after each request. See
+ *     {module:storage/file#copy}.
+ * @param {object=} options.qs - The preconditions of the rewrite.
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {module:storage/file} callback.file - The destination file.
+ * @param {object} callback.apiResponse - The final API response.
+ */
+File.prototype.rewrite_ = function(destination, options, callback) {
+  var self = this;
+
+  var query = extend({}, options.qs);
+  var headers = {};
+
+  if (is.defined(this.generation)) {
+    query.sourceGeneration = this.generation;
+  }
+
+  if (destination.kmsKeyName) {
+    query.destinationKmsKeyName = destination.kmsKeyName;
+  }
+
+  if (destination.encryptionKey) {
+    headers = File.getEncryptionKeyHeaders_(
+      destination.encryptionKey,
+      'x-goog-encryption'
+    );
+  }
+
+  function rewrite(rewriteToken) {
+    var reqOpts = {
+      method: 'POST',
+      uri: format('/rewriteTo/b/{bucketName}/o/{destName}', {
+        bucketName: destination.bucket.name,
+        destName: encodeURIComponent(destination.name)
+      }),
+      qs: extend({}, query),
+      headers: extend({}, headers)
+    };
+
+    if (options.json) {
+      reqOpts.json = options.json;
+    }
+
+    if (rewriteToken) {
+      reqOpts.qs.rewriteToken = rewriteToken;
+    }
+
+    self.request(reqOpts, function(err, resp) {
+      if (err) {
+        callback(err, null, resp);
+        return;
+      }
+
+      if (options.onProgress) {
+        options.onProgress({
+          totalBytesRewritten: parseInt(resp.totalBytesRewritten, 10),
+          objectSize: parseInt(resp.objectSize, 10)
+        });
+      }
+
+      if (!resp.done) {
+        rewrite(resp.rewriteToken);
+        return;
+      }
+
+      destination.metadata = resp.resource;
+
+      callback(null, destination, resp);
+    });
+  }
+
+  rewrite();
+};
+
+/**
+ * Point one of the Storage base URLs at the custom API endpoint the Storage
+ * instance was created with, if any.
+ *
+ * @private
+ *
+ * @param {string} baseUrl - The default base URL.
+ * @return {string}
+ */
+File.prototype.resolveBaseUrl_ = function(baseUrl) {
+  var apiEndpoint = this.storage.apiEndpoint;
+
+  if (!apiEndpoint) {
+    return baseUrl;
+  }
+
+  return common.Service.resolveApiEndpoint_(baseUrl, apiEndpoint);
+};
+
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(File, {
+  exclude: ['setEncryptionKey']
+});
+
 module.exports = File;
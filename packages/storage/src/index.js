@@ -43,6 +43,18 @@ var Channel = require('./channel.js');
  */
 var File = require('./file.js');
 
+/**
+ * @type {module:storage/notification}
+ * @private
+ */
+var Notification = require('./notification.js');
+
+/**
+ * @type {module:storage/precondition-failed-error}
+ * @private
+ */
+var PreconditionFailedError = require('./precondition-failed-error.js');
+
 /*! Developer Documentation
  *
  * Invoke this method to create a new Storage object bound with pre-determined
@@ -85,6 +97,17 @@ function Storage(options) {
   };
 
   common.Service.call(this, config, options);
+
+  // Only `Bucket#createNotification` talks to Cloud Pub/Sub, so its scope is
+  // requested by a separate service instead of by every Storage request.
+  this.pubsub_ = new common.Service({
+    baseUrl: 'https://pubsub.googleapis.com/v1',
+    projectIdRequired: false,
+    scopes: [
+      'https://www.googleapis.com/auth/pubsub'
+    ],
+    packageJson: config.packageJson
+  }, options);
 }
 
 util.inherits(Storage, common.Service);
@@ -188,6 +211,9 @@ Storage.prototype.channel = function(id, resourceId) {
  *
  * @param {string} name - Name of the bucket to create.
  * @param {object=} metadata - Metadata to set for the bucket.
+ * @param {string=} metadata.defaultKmsKeyName - The Cloud KMS key to encrypt
+ *     new files with, unless they are given a key of their own. (Alias for
+ *     `metadata.encryption.defaultKmsKeyName`)
  * @param {boolean=} metadata.dra - Specify the storage class as
  *     [Durable Reduced Availability](https://goo.gl/26lthK).
  * @param {boolean=} metadata.nearline - Specify the storage class as
@@ -227,6 +253,16 @@ Storage.prototype.channel = function(id, resourceId) {
  * };
  *
  * gcs.createBucket('new-bucket', metadata, callback);
+ *
+ * //-
+ * // Encrypt new files with a Cloud KMS key by default.
+ * //-
+ * var metadata = {
+ *   defaultKmsKeyName: 'projects/grape-spaceship-123/locations/us/' +
+ *     'keyRings/my-ring/cryptoKeys/my-key'
+ * };
+ *
+ * gcs.createBucket('new-bucket', metadata, callback);
  */
 Storage.prototype.createBucket = function(name, metadata, callback) {
   var self = this;
@@ -256,6 +292,13 @@ Storage.prototype.createBucket = function(name, metadata, callback) {
     }
   });
 
+  if (body.defaultKmsKeyName) {
+    body.encryption = extend({}, body.encryption, {
+      defaultKmsKeyName: body.defaultKmsKeyName
+    });
+    delete body.defaultKmsKeyName;
+  }
+
   this.request({
     method: 'POST',
     uri: '/b',
@@ -380,6 +423,68 @@ Storage.prototype.getBuckets = function(query, callback) {
   });
 };
 
+/**
+ * Get the email address of the service account Cloud Storage acts as for this
+ * project, e.g. when it publishes Cloud Pub/Sub notifications or uses Cloud KMS
+ * keys.
+ *
+ * @resource [Projects.serviceAccount: get API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/projects/serviceAccount/get}
+ *
+ * @param {function} callback - The callback function.
+ * @param {?error} callback.err - An error returned while making this request.
+ * @param {object} callback.serviceAccount - The service account.
+ * @param {string} callback.serviceAccount.emailAddress - Its email address.
+ * @param {object} callback.apiResponse - The full API response.
+ *
+ * @example
+ * gcs.getServiceAccount(function(err, serviceAccount, apiResponse) {
+ *   // serviceAccount.emailAddress ===
+ *   //   'service-123@gs-project-accounts.iam.gserviceaccount.com'
+ * });
+ */
+Storage.prototype.getServiceAccount = function(callback) {
+  this.request({
+    uri: '/projects/' + this.projectId + '/serviceAccount'
+  }, function(err, resp) {
+    if (err) {
+      callback(err, null, resp);
+      return;
+    }
+
+    var serviceAccount = {
+      emailAddress: resp.email_address
+    };
+
+    callback(null, serviceAccount, resp);
+  });
+};
+
+/**
+ * Make an authenticated API request. A failed precondition is returned as a
+ * `PreconditionFailedError`.
+ *
+ * @private
+ *
+ * @param {object} reqOpts - Request options that are passed to `request`.
+ * @param {string} reqOpts.uri - A URI relative to the baseUrl.
+ * @param {function=} callback - The callback function passed to `request`.
+ */
+Storage.prototype.request = function(reqOpts, callback) {
+  if (!callback) {
+    return common.Service.prototype.request.call(this, reqOpts);
+  }
+
+  return common.Service.prototype.request.call(this, reqOpts, function(err) {
+    var args = [].slice.call(arguments);
+
+    if (err && err.code === 412) {
+      args[0] = new PreconditionFailedError(err);
+    }
+
+    callback.apply(null, args);
+  });
+};
+
 /*! Developer Documentation
  *
  * This method can be used with either a callback or as a readable object
@@ -387,8 +492,19 @@ Storage.prototype.getBuckets = function(query, callback) {
  */
 common.streamRouter.extend(Storage, 'getBuckets');
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Storage, {
+  exclude: ['bucket', 'channel', 'getBuckets']
+});
+
 Storage.Bucket = Bucket;
 Storage.Channel = Channel;
 Storage.File = File;
+Storage.Notification = Notification;
+Storage.PreconditionFailedError = PreconditionFailedError;
 
 module.exports = Storage;
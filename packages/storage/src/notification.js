@@ -0,0 +1,126 @@
+/*!
+ * Copyright 2017 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*!
+ * @module storage/notification
+ */
+
+'use strict';
+
+var common = require('@google-cloud/common');
+var util = require('util');
+
+/*! Developer Documentation
+ *
+ * @param {module:storage/bucket} bucket - The Bucket instance.
+ */
+/**
+ * A notification configuration publishes a message to a Cloud Pub/Sub topic
+ * whenever objects in a bucket change.
+ *
+ * @resource [Cloud Pub/Sub Notifications for Cloud Storage]{@link https://cloud.google.com/storage/docs/pubsub-notifications}
+ *
+ * @constructor
+ * @alias module:storage/notification
+ *
+ * @param {string} id - The ID of the notification configuration.
+ *
+ * @example
+ * var bucket = gcs.bucket('my-bucket');
+ * var notification = bucket.notification('1');
+ */
+function Notification(bucket, id) {
+  var methods = {
+    /**
+     * Delete the notification configuration. Messages are no longer published
+     * for changes to the bucket.
+     *
+     * @resource [Notifications: delete API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/notifications/delete}
+     *
+     * @param {function=} callback - The callback function.
+     * @param {?error} callback.err - An error returned while making this
+     *     request.
+     * @param {object} callback.apiResponse - The full API response.
+     *
+     * @example
+     * notification.delete(function(err, apiResponse) {});
+     */
+    delete: true,
+
+    /**
+     * Check if the notification configuration exists.
+     *
+     * @param {function} callback - The callback function.
+     * @param {?error} callback.err - An error returned while making this
+     *     request.
+     * @param {boolean} callback.exists - Whether the notification
+     *     configuration exists or not.
+     *
+     * @example
+     * notification.exists(function(err, exists) {});
+     */
+    exists: true,
+
+    /**
+     * Get a notification configuration if it exists.
+     *
+     * @example
+     * notification.get(function(err, notification, apiResponse) {
+     *   // `notification.metadata` has been populated.
+     * });
+     */
+    get: true,
+
+    /**
+     * Get the notification configuration's metadata.
+     *
+     * @resource [Notifications: get API Documentation]{@link https://cloud.google.com/storage/docs/json_api/v1/notifications/get}
+     *
+     * @param {function=} callback - The callback function.
+     * @param {?error} callback.err - An error returned while making this
+     *     request.
+     * @param {object} callback.metadata - The notification configuration's
+     *     metadata.
+     * @param {object} callback.apiResponse - The full API response.
+     *
+     * @example
+     * notification.getMetadata(function(err, metadata, apiResponse) {
+     *   // metadata.topic === '//pubsub.googleapis.com/projects/...'
+     * });
+     */
+    getMetadata: true
+  };
+
+  common.ServiceObject.call(this, {
+    parent: bucket,
+    baseUrl: '/notificationConfigs',
+    id: id,
+    methods: methods
+  });
+
+  this.bucket = bucket;
+}
+
+util.inherits(Notification, common.ServiceObject);
+
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Notification);
+
+module.exports = Notification;
@@ -0,0 +1,57 @@
+/*!
+ * Copyright 2017 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*!
+ * @module storage/precondition-failed-error
+ */
+
+'use strict';
+
+var createErrorClass = require('create-error-class');
+
+/**
+ * The error returned when a request's `ifGenerationMatch`,
+ * `ifMetagenerationMatch`, or similar precondition isn't met, e.g. because
+ * another client changed the object first.
+ *
+ * It keeps the `code` (`412`), `errors`, `response`, and `message` of the API
+ * error it replaces.
+ *
+ * @constructor
+ * @alias module:storage/precondition-failed-error
+ *
+ * @param {object} apiError - The API error.
+ *
+ * @example
+ * var Storage = require('@google-cloud/storage');
+ *
+ * file.delete({ ifGenerationMatch: 1 }, function(err) {
+ *   if (err instanceof Storage.PreconditionFailedError) {
+ *     // The file has changed since generation 1.
+ *   }
+ * });
+ */
+var PreconditionFailedError = createErrorClass(
+  'PreconditionFailedError',
+  function(apiError) {
+    this.code = apiError.code;
+    this.errors = apiError.errors;
+    this.response = apiError.response;
+    this.message = apiError.message;
+  }
+);
+
+module.exports = PreconditionFailedError;
@@ -18,11 +18,27 @@
 
 var assert = require('assert');
 var async = require('async');
+var extend = require('extend');
+var proxyquire = require('proxyquire');
 var util = require('@google-cloud/common').util;
 
-var Acl = require('../src/acl.js');
 var Storage = require('../');
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class) {
+    if (Class.name === 'Acl') {
+      promisified = true;
+    }
+  }
+});
+
+var Acl = proxyquire('../src/acl.js', {
+  '@google-cloud/common': {
+    util: fakeUtil
+  }
+});
+
 describe('storage/acl', function() {
   var acl;
   var ERROR = new Error('Error.');
@@ -36,6 +52,10 @@ describe('storage/acl', function() {
   });
 
   describe('initialization', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should assign makeReq and pathPrefix', function() {
       assert.strictEqual(acl.pathPrefix, PATH_PREFIX);
       assert.strictEqual(acl.request_, MAKE_REQ);
@@ -478,5 +498,26 @@ describe('storage/AclRoleAccessorMethods', function() {
         }
       ], done);
     });
+
+    it('should return a promise if the callback is omitted', function() {
+      var userName = 'email@example.com';
+      var role = 'fakerole';
+      var apiResponse = {};
+
+      aclEntity.add = function(options, callback) {
+        assert.deepEqual(options, {
+          entity: 'user-' + userName,
+          role: role
+        });
+
+        callback(null, apiResponse);
+      };
+
+      aclEntity._assignAccessMethods(role);
+
+      return aclEntity.fakeroles.addUser(userName).then(function(data) {
+        assert.strictEqual(data[0], apiResponse);
+      });
+    });
   });
 });
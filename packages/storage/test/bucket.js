@@ -20,6 +20,7 @@ var arrify = require('arrify');
 var assert = require('assert');
 var async = require('async');
 var extend = require('extend');
+var fs = require('fs');
 var mime = require('mime-types');
 var nodeutil = require('util');
 var path = require('path');
@@ -28,6 +29,7 @@ var proxyquire = require('proxyquire');
 var request = require('request');
 var ServiceObject = require('@google-cloud/common').ServiceObject;
 var stream = require('stream');
+var tmp = require('tmp');
 var util = require('@google-cloud/common').util;
 
 function FakeFile(bucket, name, options) {
@@ -87,6 +89,13 @@ function FakeAcl() {
   this.calledWith_ = [].slice.call(arguments);
 }
 
+function FakeNotification(bucket, id) {
+  this.calledWith_ = [].slice.call(arguments);
+
+  this.bucket = bucket;
+  this.id = id;
+}
+
 function FakeServiceObject() {
   this.calledWith_ = arguments;
   ServiceObject.apply(this, arguments);
@@ -94,6 +103,18 @@ function FakeServiceObject() {
 
 nodeutil.inherits(FakeServiceObject, ServiceObject);
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class, options) {
+    if (Class.name !== 'Bucket') {
+      return;
+    }
+
+    promisified = true;
+    assert.deepEqual(options.exclude, ['file', 'getFiles', 'notification']);
+  }
+});
+
 describe('Bucket', function() {
   var Bucket;
   var bucket;
@@ -109,10 +130,12 @@ describe('Bucket', function() {
       request: fakeRequest,
       '@google-cloud/common': {
         ServiceObject: FakeServiceObject,
-        streamRouter: fakeStreamRouter
+        streamRouter: fakeStreamRouter,
+        util: fakeUtil
       },
       './acl.js': FakeAcl,
-      './file.js': FakeFile
+      './file.js': FakeFile,
+      './notification.js': FakeNotification
     });
   });
 
@@ -123,6 +146,10 @@ describe('Bucket', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should extend the correct methods', function() {
       assert(extended); // See `fakeStreamRouter.extend`
     });
@@ -183,13 +210,401 @@ describe('Bucket', function() {
       assert.strictEqual(calledWith.id, BUCKET_NAME);
       assert.deepEqual(calledWith.methods, {
         create: true,
-        delete: true,
         exists: true,
         get: true,
-        getMetadata: true,
-        setMetadata: true
+        getMetadata: true
+      });
+    });
+  });
+
+  describe('compareFile_', function() {
+    var localFile;
+
+    beforeEach(function(done) {
+      tmp.setGracefulCleanup();
+
+      tmp.file(function(err, tmpFilePath) {
+        assert.ifError(err);
+
+        fs.writeFileSync(tmpFilePath, 'data');
+
+        localFile = {
+          path: tmpFilePath,
+          size: 4,
+          mtime: 1000
+        };
+
+        done();
+      });
+    });
+
+    it('should not match files of different sizes', function(done) {
+      Bucket.compareFile_(localFile, { size: '5' }, function(err, isSame) {
+        assert.ifError(err);
+        assert.strictEqual(isSame, false);
+        done();
+      });
+    });
+
+    it('should match files with the same mtime', function(done) {
+      var metadata = {
+        size: '4',
+        md5Hash: 'wrong',
+        metadata: {
+          'goog-reserved-file-mtime': '1000'
+        }
+      };
+
+      Bucket.compareFile_(localFile, metadata, function(err, isSame) {
+        assert.ifError(err);
+        assert.strictEqual(isSame, true);
+        done();
+      });
+    });
+
+    it('should compare the MD5 hash', function(done) {
+      var metadata = {
+        size: '4',
+        md5Hash: 'jXd/OF09/siBXSD3SWAm3A==',
+        crc32c: 'wrong'
+      };
+
+      Bucket.compareFile_(localFile, metadata, function(err, isSame) {
+        assert.ifError(err);
+        assert.strictEqual(isSame, true);
+
+        metadata.md5Hash = 'wrong';
+
+        Bucket.compareFile_(localFile, metadata, function(err, isSame) {
+          assert.ifError(err);
+          assert.strictEqual(isSame, false);
+          done();
+        });
+      });
+    });
+
+    it('should compare the CRC32C without an MD5 hash', function(done) {
+      var metadata = {
+        size: '4',
+        crc32c: 'rth90Q=='
+      };
+
+      Bucket.compareFile_(localFile, metadata, function(err, isSame) {
+        assert.ifError(err);
+        assert.strictEqual(isSame, true);
+        done();
+      });
+    });
+
+    it('should return an error reading the file', function(done) {
+      localFile.path = './not-real-file';
+
+      Bucket.compareFile_(localFile, { size: '4' }, function(err) {
+        assert.strictEqual(err.code, 'ENOENT');
+        done();
+      });
+    });
+  });
+
+  describe('formatLifecycleRule_', function() {
+    it('should throw without a condition', function() {
+      assert.throws(function() {
+        Bucket.formatLifecycleRule_({ action: 'delete' });
+      }, /A lifecycle rule must have a condition\./);
+    });
+
+    it('should throw without a known action', function() {
+      assert.throws(function() {
+        Bucket.formatLifecycleRule_({ action: 'archive', condition: {} });
+      }, /A lifecycle rule must have an action\./);
+    });
+
+    it('should throw without a storage class to change to', function() {
+      assert.throws(function() {
+        Bucket.formatLifecycleRule_({
+          action: 'setStorageClass',
+          condition: {}
+        });
+      }, /A storage class must be given to change to\./);
+    });
+
+    it('should format a delete action', function() {
+      var rule = Bucket.formatLifecycleRule_({
+        action: 'delete',
+        condition: {
+          age: 30
+        }
+      });
+
+      assert.deepEqual(rule, {
+        action: {
+          type: 'Delete'
+        },
+        condition: {
+          age: 30
+        }
+      });
+    });
+
+    it('should format a storage class action', function() {
+      var rule = Bucket.formatLifecycleRule_({
+        action: 'setStorageClass',
+        storageClass: 'coldline',
+        condition: {
+          createdBefore: new Date('2017-01-02T12:00:00Z'),
+          matchesStorageClass: 'multi-regional'
+        }
+      });
+
+      assert.deepEqual(rule, {
+        action: {
+          type: 'SetStorageClass',
+          storageClass: 'COLDLINE'
+        },
+        condition: {
+          createdBefore: '2017-01-02',
+          matchesStorageClass: ['MULTI_REGIONAL']
+        }
+      });
+    });
+
+    it('should accept an action in the API format', function() {
+      var action = {
+        type: 'SetStorageClass',
+        storageClass: 'NEARLINE'
+      };
+
+      var rule = Bucket.formatLifecycleRule_({
+        action: action,
+        condition: {}
+      });
+
+      assert.deepEqual(rule.action, action);
+      assert.notStrictEqual(rule.action, action);
+    });
+  });
+
+  describe('formatStorageClass_', function() {
+    it('should format the storage class', function() {
+      assert.strictEqual(
+        Bucket.formatStorageClass_('multi-regional'),
+        'MULTI_REGIONAL'
+      );
+    });
+  });
+
+  describe('formatTopicName_', function() {
+    var PROJECT_ID = 'project-id';
+    var FULL_NAME = 'projects/project-id/topics/topic';
+
+    it('should add the project to a topic name', function() {
+      assert.strictEqual(
+        Bucket.formatTopicName_('topic', PROJECT_ID),
+        FULL_NAME
+      );
+    });
+
+    it('should leave a full resource name alone', function() {
+      var name = 'projects/other-project/topics/topic';
+      assert.strictEqual(Bucket.formatTopicName_(name, PROJECT_ID), name);
+    });
+
+    it('should remove the Pub/Sub service prefix', function() {
+      assert.strictEqual(
+        Bucket.formatTopicName_('//pubsub.googleapis.com/' + FULL_NAME),
+        FULL_NAME
+      );
+    });
+
+    it('should use the name of a Topic object', function() {
+      var topic = { name: FULL_NAME };
+      assert.strictEqual(Bucket.formatTopicName_(topic), FULL_NAME);
+    });
+  });
+
+  describe('getPreconditions_', function() {
+    it('should pick the bucket preconditions', function() {
+      var options = {
+        ifGenerationMatch: 1,
+        ifMetagenerationMatch: 2,
+        ifMetagenerationNotMatch: 3
+      };
+
+      assert.deepEqual(Bucket.getPreconditions_(options), {
+        ifMetagenerationMatch: 2,
+        ifMetagenerationNotMatch: 3
+      });
+    });
+
+    it('should pick the given preconditions', function() {
+      var options = {
+        ifGenerationMatch: 0,
+        ifMetagenerationNotMatch: 3
+      };
+
+      assert.deepEqual(
+        Bucket.getPreconditions_(options, ['ifGenerationMatch']),
+        { ifGenerationMatch: 0 }
+      );
+    });
+  });
+
+  describe('makeDirectory_', function() {
+    var tmpDirPath;
+
+    beforeEach(function(done) {
+      tmp.setGracefulCleanup();
+
+      tmp.dir({ unsafeCleanup: true }, function(err, tmpDirPath_) {
+        tmpDirPath = tmpDirPath_;
+        done(err);
+      });
+    });
+
+    it('should create parent directories', function(done) {
+      var directory = path.join(tmpDirPath, 'a', 'b', 'c');
+
+      Bucket.makeDirectory_(directory, function(err) {
+        assert.ifError(err);
+        assert(fs.statSync(directory).isDirectory());
+        done();
+      });
+    });
+
+    it('should allow a directory that exists', function(done) {
+      Bucket.makeDirectory_(tmpDirPath, done);
+    });
+  });
+
+  describe('readDirectory_', function() {
+    var tmpDirPath;
+
+    beforeEach(function(done) {
+      tmp.setGracefulCleanup();
+
+      tmp.dir({ unsafeCleanup: true }, function(err, tmpDirPath_) {
+        tmpDirPath = tmpDirPath_;
+        done(err);
+      });
+    });
+
+    it('should find files in subdirectories', function(done) {
+      fs.mkdirSync(path.join(tmpDirPath, 'a'));
+      fs.writeFileSync(path.join(tmpDirPath, 'one.txt'), '1');
+      fs.writeFileSync(path.join(tmpDirPath, 'a', 'two.txt'), '22');
+
+      var mtime = new Date('2016-01-01T00:00:00Z');
+      fs.utimesSync(path.join(tmpDirPath, 'one.txt'), mtime, mtime);
+
+      Bucket.readDirectory_(tmpDirPath, function(err, files) {
+        assert.ifError(err);
+
+        assert.deepEqual(Object.keys(files).sort(), ['a/two.txt', 'one.txt']);
+
+        assert.deepEqual(files['one.txt'], {
+          path: path.join(tmpDirPath, 'one.txt'),
+          size: 1,
+          mtime: mtime.getTime() / 1000
+        });
+
+        assert.strictEqual(files['a/two.txt'].size, 2);
+
+        done();
       });
     });
+
+    it('should treat a missing directory as empty', function(done) {
+      var directory = path.join(tmpDirPath, 'not-real');
+
+      Bucket.readDirectory_(directory, function(err, files) {
+        assert.ifError(err);
+        assert.deepEqual(files, {});
+        done();
+      });
+    });
+  });
+
+  describe('addLifecycleRule', function() {
+    var RULE = {
+      action: 'delete',
+      condition: {
+        age: 30
+      }
+    };
+
+    var FORMATTED_RULE = {
+      action: {
+        type: 'Delete'
+      },
+      condition: {
+        age: 30
+      }
+    };
+
+    var EXISTING_RULE = {
+      action: {
+        type: 'Delete'
+      },
+      condition: {
+        isLive: false
+      }
+    };
+
+    it('should add the rule to the existing rules', function(done) {
+      bucket.updateMetadata_ = function(getChanges, callback) {
+        var changes = getChanges({
+          lifecycle: {
+            rule: [EXISTING_RULE]
+          }
+        });
+
+        assert.deepEqual(changes, {
+          lifecycle: {
+            rule: [EXISTING_RULE, FORMATTED_RULE]
+          }
+        });
+
+        callback(); // done()
+      };
+
+      bucket.addLifecycleRule(RULE, done);
+    });
+
+    it('should add the first rule', function(done) {
+      bucket.updateMetadata_ = function(getChanges, callback) {
+        assert.deepEqual(getChanges({}), {
+          lifecycle: {
+            rule: [FORMATTED_RULE]
+          }
+        });
+
+        callback(); // done()
+      };
+
+      bucket.addLifecycleRule(RULE, done);
+    });
+
+    it('should replace the existing rules', function(done) {
+      bucket.updateMetadata_ = function(getChanges, callback) {
+        var changes = getChanges({
+          lifecycle: {
+            rule: [EXISTING_RULE]
+          }
+        });
+
+        assert.deepEqual(changes.lifecycle.rule, [FORMATTED_RULE]);
+
+        callback(); // done()
+      };
+
+      bucket.addLifecycleRule(RULE, { append: false }, done);
+    });
+
+    it('should throw for an invalid rule', function() {
+      assert.throws(function() {
+        bucket.addLifecycleRule({}, util.noop);
+      }, /A lifecycle rule must have a condition\./);
+    });
   });
 
   describe('combine', function() {
@@ -297,6 +712,7 @@ describe('Bucket', function() {
 
       destination.request = function(reqOpts) {
         assert.strictEqual(reqOpts.uri, '/compose');
+        assert.deepEqual(reqOpts.qs, {});
         assert.deepEqual(reqOpts.json, {
           destination: { contentType: mime.contentType(destination.name) },
           sourceObjects: [{ name: sources[0].name }, { name: sources[1].name }]
@@ -308,6 +724,40 @@ describe('Bucket', function() {
       bucket.combine(sources, destination);
     });
 
+    it('should send the Cloud KMS key of the destination', function(done) {
+      var destination = bucket.file('destination.txt');
+      destination.kmsKeyName = 'kms-key-name';
+
+      destination.request = function(reqOpts) {
+        assert.deepEqual(reqOpts.qs, {
+          kmsKeyName: 'kms-key-name'
+        });
+
+        done();
+      };
+
+      bucket.combine(['1', '2'], destination);
+    });
+
+    it('should send the preconditions of the destination', function(done) {
+      var destination = bucket.file('destination.txt');
+
+      destination.request = function(reqOpts) {
+        assert.deepEqual(reqOpts.qs, {
+          ifGenerationMatch: 0,
+          ifMetagenerationMatch: 1
+        });
+
+        done();
+      };
+
+      bucket.combine(['1', '2'], destination, {
+        ifGenerationMatch: 0,
+        ifMetagenerationMatch: 1,
+        ifMetagenerationNotMatch: 2
+      }, assert.ifError);
+    });
+
     it('should encode the destination file name', function(done) {
       var sources = [bucket.file('1.txt'), bucket.file('2.txt')];
       var destination = bucket.file('needs encoding.jpg');
@@ -480,42 +930,243 @@ describe('Bucket', function() {
     });
   });
 
-  describe('deleteFiles', function() {
-    it('should accept only a callback', function(done) {
-      bucket.getFiles = function(query, callback) {
-        assert.deepEqual(query, {});
-        callback(null, []);
-      };
+  describe('createNotification', function() {
+    var TOPIC = 'topic';
+    var TOPIC_NAME = 'projects/project-id/topics/topic';
 
-      bucket.deleteFiles(done);
+    beforeEach(function() {
+      bucket.storage = extend({}, STORAGE, {
+        projectId: 'project-id'
+      });
     });
 
-    it('should get files from the bucket', function(done) {
-      var query = { a: 'b', c: 'd' };
+    it('should throw if a topic is not provided', function() {
+      assert.throws(function() {
+        bucket.createNotification();
+      }, /A valid topic name is required\./);
+
+      assert.throws(function() {
+        bucket.createNotification({});
+      }, /A valid topic name is required\./);
+    });
+
+    it('should make the correct request', function(done) {
+      bucket.request = function(reqOpts) {
+        assert.strictEqual(reqOpts.method, 'POST');
+        assert.strictEqual(reqOpts.uri, '/notificationConfigs');
+        assert.deepEqual(reqOpts.json, {
+          topic: '//pubsub.googleapis.com/' + TOPIC_NAME,
+          payload_format: 'JSON_API_V1'
+        });
 
-      bucket.getFiles = function(query_) {
-        assert.deepEqual(query_, query);
         done();
       };
 
-      bucket.deleteFiles(query, assert.ifError);
+      bucket.createNotification(TOPIC, assert.ifError);
     });
 
-    it('should process 10 files at a time', function(done) {
-      eachLimitOverride = function(arr, limit) {
-        assert.equal(limit, 10);
-        done();
+    it('should send the filters and attributes', function(done) {
+      var options = {
+        customAttributes: { a: 'b' },
+        eventTypes: 'OBJECT_FINALIZE',
+        objectNamePrefix: 'images/',
+        payloadFormat: 'NONE'
       };
 
-      bucket.getFiles = function(query, callback) {
-        callback(null, []);
+      bucket.request = function(reqOpts) {
+        assert.deepEqual(reqOpts.json, {
+          topic: '//pubsub.googleapis.com/' + TOPIC_NAME,
+          payload_format: 'NONE',
+          event_types: ['OBJECT_FINALIZE'],
+          object_name_prefix: 'images/',
+          custom_attributes: { a: 'b' }
+        });
+
+        done();
       };
 
-      bucket.deleteFiles({}, assert.ifError);
+      bucket.createNotification(TOPIC, options, assert.ifError);
     });
 
-    it('should delete the files', function(done) {
-      var timesCalled = 0;
+    it('should accept a Topic object', function(done) {
+      var topic = {
+        name: 'projects/other-project/topics/topic'
+      };
+
+      bucket.request = function(reqOpts) {
+        assert.strictEqual(
+          reqOpts.json.topic,
+          '//pubsub.googleapis.com/projects/other-project/topics/topic'
+        );
+
+        done();
+      };
+
+      bucket.createNotification(topic, assert.ifError);
+    });
+
+    it('should not grant publish permission by default', function(done) {
+      bucket.grantPublishPermission_ = function() {
+        done(new Error('Should not grant publish permission.'));
+      };
+
+      bucket.request = function() {
+        done();
+      };
+
+      bucket.createNotification(TOPIC, assert.ifError);
+    });
+
+    it('should grant publish permission first if asked', function(done) {
+      var granted = false;
+
+      bucket.grantPublishPermission_ = function(topic, callback) {
+        assert.strictEqual(topic, TOPIC);
+        granted = true;
+        callback();
+      };
+
+      bucket.request = function() {
+        assert(granted);
+        done();
+      };
+
+      bucket.createNotification(TOPIC, {
+        grantPublishPermission: true
+      }, assert.ifError);
+    });
+
+    it('should not create a notification if granting fails', function(done) {
+      var error = new Error('Error.');
+      var apiResponse = {};
+
+      bucket.grantPublishPermission_ = function(topic, callback) {
+        callback(error, apiResponse);
+      };
+
+      bucket.request = function() {
+        done(new Error('Should not create a notification.'));
+      };
+
+      bucket.createNotification(TOPIC, {
+        grantPublishPermission: true
+      }, function(err, notification, apiResponse_) {
+        assert.strictEqual(err, error);
+        assert.strictEqual(notification, null);
+        assert.strictEqual(apiResponse_, apiResponse);
+        done();
+      });
+    });
+
+    it('should execute callback with error & API response', function(done) {
+      var error = new Error('Error.');
+      var apiResponse = {};
+
+      bucket.request = function(reqOpts, callback) {
+        callback(error, apiResponse);
+      };
+
+      bucket.createNotification(TOPIC, function(err, notif, apiResponse_) {
+        assert.strictEqual(err, error);
+        assert.strictEqual(notif, null);
+        assert.strictEqual(apiResponse_, apiResponse);
+        done();
+      });
+    });
+
+    it('should exec callback with Notification & API response', function(done) {
+      var apiResponse = { id: '1' };
+
+      bucket.request = function(reqOpts, callback) {
+        callback(null, apiResponse);
+      };
+
+      bucket.createNotification(TOPIC, function(err, notif, apiResponse_) {
+        assert.ifError(err);
+        assert(notif instanceof FakeNotification);
+        assert.strictEqual(notif.id, '1');
+        assert.strictEqual(notif.metadata, apiResponse);
+        assert.strictEqual(apiResponse_, apiResponse);
+        done();
+      });
+    });
+  });
+
+  describe('delete', function() {
+    it('should make the correct request', function(done) {
+      bucket.request = function(reqOpts) {
+        assert.deepEqual(reqOpts, {
+          method: 'DELETE',
+          uri: '',
+          qs: {}
+        });
+        done();
+      };
+
+      bucket.delete(assert.ifError);
+    });
+
+    it('should send the preconditions', function(done) {
+      bucket.request = function(reqOpts) {
+        assert.deepEqual(reqOpts.qs, { ifMetagenerationMatch: 2 });
+        done();
+      };
+
+      bucket.delete({ ifMetagenerationMatch: 2 }, assert.ifError);
+    });
+
+    it('should execute callback with error & API response', function(done) {
+      var error = new Error('Error.');
+      var apiResponse = {};
+
+      bucket.request = function(reqOpts, callback) {
+        callback(error, apiResponse);
+      };
+
+      bucket.delete(function(err, apiResponse_) {
+        assert.strictEqual(err, error);
+        assert.strictEqual(apiResponse_, apiResponse);
+        done();
+      });
+    });
+  });
+
+  describe('deleteFiles', function() {
+    it('should accept only a callback', function(done) {
+      bucket.getFiles = function(query, callback) {
+        assert.deepEqual(query, {});
+        callback(null, []);
+      };
+
+      bucket.deleteFiles(done);
+    });
+
+    it('should get files from the bucket', function(done) {
+      var query = { a: 'b', c: 'd' };
+
+      bucket.getFiles = function(query_) {
+        assert.deepEqual(query_, query);
+        done();
+      };
+
+      bucket.deleteFiles(query, assert.ifError);
+    });
+
+    it('should process 10 files at a time', function(done) {
+      eachLimitOverride = function(arr, limit) {
+        assert.equal(limit, 10);
+        done();
+      };
+
+      bucket.getFiles = function(query, callback) {
+        callback(null, []);
+      };
+
+      bucket.deleteFiles({}, assert.ifError);
+    });
+
+    it('should delete the files', function(done) {
+      var timesCalled = 0;
 
       var files = [
         bucket.file('1'),
@@ -591,6 +1242,28 @@ describe('Bucket', function() {
     });
   });
 
+  describe('disableVersioning', function() {
+    it('should turn versioning off', function(done) {
+      bucket.setVersioning_ = function(enabled, callback) {
+        assert.strictEqual(enabled, false);
+        callback(); // done()
+      };
+
+      bucket.disableVersioning(done);
+    });
+  });
+
+  describe('enableVersioning', function() {
+    it('should turn versioning on', function(done) {
+      bucket.setVersioning_ = function(enabled, callback) {
+        assert.strictEqual(enabled, true);
+        callback(); // done()
+      };
+
+      bucket.enableVersioning(done);
+    });
+  });
+
   describe('file', function() {
     var FILE_NAME = 'remote-file-name.jpg';
     var file;
@@ -740,6 +1413,124 @@ describe('Bucket', function() {
     });
   });
 
+  describe('getNotifications', function() {
+    it('should make the correct request', function(done) {
+      bucket.request = function(reqOpts) {
+        assert.strictEqual(reqOpts.uri, '/notificationConfigs');
+        done();
+      };
+
+      bucket.getNotifications(assert.ifError);
+    });
+
+    it('should execute callback with error & API response', function(done) {
+      var error = new Error('Error.');
+      var apiResponse = {};
+
+      bucket.request = function(reqOpts, callback) {
+        callback(error, apiResponse);
+      };
+
+      bucket.getNotifications(function(err, notifications, apiResponse_) {
+        assert.strictEqual(err, error);
+        assert.strictEqual(notifications, null);
+        assert.strictEqual(apiResponse_, apiResponse);
+        done();
+      });
+    });
+
+    it('should return Notification objects with metadata', function(done) {
+      var metadata = { id: '1', topic: 'topic' };
+      var apiResponse = { items: [metadata] };
+
+      bucket.request = function(reqOpts, callback) {
+        callback(null, apiResponse);
+      };
+
+      bucket.getNotifications(function(err, notifications, apiResponse_) {
+        assert.ifError(err);
+        assert.strictEqual(notifications.length, 1);
+        assert(notifications[0] instanceof FakeNotification);
+        assert.strictEqual(notifications[0].id, '1');
+        assert.strictEqual(notifications[0].metadata, metadata);
+        assert.strictEqual(apiResponse_, apiResponse);
+        done();
+      });
+    });
+
+    it('should return an empty array without notifications', function(done) {
+      bucket.request = function(reqOpts, callback) {
+        callback(null, { kind: 'storage#notifications' });
+      };
+
+      bucket.getNotifications(function(err, notifications) {
+        assert.ifError(err);
+        assert.deepEqual(notifications, []);
+        done();
+      });
+    });
+  });
+
+  describe('lockRetentionPolicy', function() {
+    it('should lock with the current metageneration', function(done) {
+      var apiResponse = {};
+
+      bucket.getMetadata = function(callback) {
+        callback(null, { metageneration: '3' });
+      };
+
+      bucket.request = function(reqOpts, callback) {
+        assert.deepEqual(reqOpts, {
+          method: 'POST',
+          uri: '/lockRetentionPolicy',
+          qs: {
+            ifMetagenerationMatch: '3'
+          }
+        });
+
+        callback(null, apiResponse);
+      };
+
+      bucket.lockRetentionPolicy(function(err, apiResponse_) {
+        assert.ifError(err);
+        assert.strictEqual(apiResponse_, apiResponse);
+        assert.strictEqual(bucket.metadata, apiResponse);
+        done();
+      });
+    });
+
+    it('should return an error from getMetadata', function(done) {
+      var error = new Error('Error.');
+
+      bucket.getMetadata = function(callback) {
+        callback(error);
+      };
+
+      bucket.lockRetentionPolicy(function(err) {
+        assert.strictEqual(err, error);
+        done();
+      });
+    });
+
+    it('should not retry a failed precondition', function(done) {
+      var error = new Error('Error.');
+      error.code = 412;
+
+      bucket.getMetadata = function(callback) {
+        callback(null, { metageneration: '3' });
+      };
+
+      bucket.request = function(reqOpts, callback) {
+        callback(error);
+      };
+
+      bucket.lockRetentionPolicy(function(err) {
+        assert.strictEqual(err, error);
+        done();
+      });
+    });
+  });
+
   describe('makePrivate', function() {
     it('should set predefinedAcl & privatize files', function(done) {
       var didSetPredefinedAcl = false;
@@ -872,43 +1663,335 @@ describe('Bucket', function() {
     });
   });
 
-  describe('upload', function() {
-    var basename = 'testfile.json';
-    var filepath = path.join(__dirname, 'testdata/' + basename);
-    var textFilepath = path.join(__dirname, 'testdata/textfile.txt');
-    var metadata = { a: 'b', c: 'd' };
-
-    beforeEach(function() {
-      bucket.file = function(name, metadata) {
-        return new FakeFile(bucket, name, metadata);
-      };
+  describe('notification', function() {
+    it('should throw if an ID is not provided', function() {
+      assert.throws(function() {
+        bucket.notification();
+      }, /A notification ID is required\./);
     });
 
-    it('should accept a path & cb', function(done) {
-      bucket.upload(filepath, function(err, file) {
-        assert.ifError(err);
-        assert.equal(file.bucket.name, bucket.name);
-        assert.equal(file.name, basename);
-        done();
-      });
-    });
+    it('should return a Notification object', function() {
+      var notification = bucket.notification('1');
 
-    it('should accept a path, metadata, & cb', function(done) {
-      var options = {
-        metadata: metadata,
-        encryptionKey: 'key'
-      };
-      bucket.upload(filepath, options, function(err, file) {
-        assert.ifError(err);
-        assert.equal(file.bucket.name, bucket.name);
-        assert.deepEqual(file.metadata, metadata);
-        assert.strictEqual(file.options.encryptionKey, options.encryptionKey);
-        done();
-      });
+      assert(notification instanceof FakeNotification);
+      assert.strictEqual(notification.calledWith_[0], bucket);
+      assert.strictEqual(notification.calledWith_[1], '1');
     });
+  });
 
-    it('should accept a path, a string dest, & cb', function(done) {
-      var newFileName = 'new-file-name.png';
+  describe('removeLifecycleRule', function() {
+    var DELETE_RULE = {
+      action: {
+        type: 'Delete'
+      },
+      condition: {
+        age: 30
+      }
+    };
+
+    var STORAGE_CLASS_RULE = {
+      action: {
+        type: 'SetStorageClass',
+        storageClass: 'COLDLINE'
+      },
+      condition: {
+        age: 10
+      }
+    };
+
+    function isDeleteRule(rule) {
+      return rule.action.type === 'Delete';
+    }
+
+    it('should remove the rules that match', function(done) {
+      bucket.updateMetadata_ = function(getChanges, callback) {
+        var changes = getChanges({
+          lifecycle: {
+            rule: [DELETE_RULE, STORAGE_CLASS_RULE]
+          }
+        });
+
+        assert.deepEqual(changes, {
+          lifecycle: {
+            rule: [STORAGE_CLASS_RULE]
+          }
+        });
+
+        callback(); // done()
+      };
+
+      bucket.removeLifecycleRule(isDeleteRule, done);
+    });
+
+    it('should not make changes if no rules match', function(done) {
+      bucket.updateMetadata_ = function(getChanges, callback) {
+        assert.strictEqual(getChanges({}), null);
+
+        var changes = getChanges({
+          lifecycle: {
+            rule: [STORAGE_CLASS_RULE]
+          }
+        });
+
+        assert.strictEqual(changes, null);
+
+        callback(); // done()
+      };
+
+      bucket.removeLifecycleRule(isDeleteRule, done);
+    });
+
+    it('should throw without a filter', function() {
+      assert.throws(function() {
+        bucket.removeLifecycleRule(DELETE_RULE, util.noop);
+      }, /A filter function must be provided\./);
+    });
+  });
+
+  describe('removeRetentionPolicy', function() {
+    it('should remove the retention policy', function(done) {
+      bucket.updateMetadata_ = function(getChanges, callback) {
+        var changes = getChanges({
+          retentionPolicy: {
+            retentionPeriod: '60'
+          }
+        });
+
+        assert.deepEqual(changes, { retentionPolicy: null });
+        assert.strictEqual(getChanges({}), null);
+
+        callback(); // done()
+      };
+
+      bucket.removeRetentionPolicy(done);
+    });
+  });
+
+  describe('setCorsConfiguration', function() {
+    it('should replace the CORS configuration', function(done) {
+      var corsConfiguration = [
+        {
+          method: ['GET'],
+          origin: ['*']
+        }
+      ];
+
+      bucket.updateMetadata_ = function(getChanges, callback) {
+        assert.deepEqual(getChanges({ cors: [] }), {
+          cors: corsConfiguration
+        });
+
+        callback(); // done()
+      };
+
+      bucket.setCorsConfiguration(corsConfiguration, done);
+    });
+
+    it('should throw without an array', function() {
+      assert.throws(function() {
+        bucket.setCorsConfiguration({}, util.noop);
+      }, /A CORS configuration must be an array\./);
+    });
+  });
+
+  describe('setMetadata', function() {
+    var METADATA = {
+      labels: {
+        env: 'test'
+      }
+    };
+
+    it('should make the correct request', function(done) {
+      bucket.request = function(reqOpts) {
+        assert.deepEqual(reqOpts, {
+          method: 'PATCH',
+          uri: '',
+          qs: {},
+          json: METADATA
+        });
+        done();
+      };
+
+      bucket.setMetadata(METADATA, assert.ifError);
+    });
+
+    it('should send the preconditions', function(done) {
+      bucket.request = function(reqOpts) {
+        assert.deepEqual(reqOpts.qs, { ifMetagenerationNotMatch: 2 });
+        done();
+      };
+
+      bucket.setMetadata(METADATA, {
+        ifMetagenerationNotMatch: 2
+      }, assert.ifError);
+    });
+
+    it('should update the metadata', function(done) {
+      var apiResponse = {};
+
+      bucket.request = function(reqOpts, callback) {
+        callback(null, apiResponse);
+      };
+
+      bucket.setMetadata(METADATA, function(err, apiResponse_) {
+        assert.ifError(err);
+        assert.strictEqual(bucket.metadata, apiResponse);
+        assert.strictEqual(apiResponse_, apiResponse);
+        done();
+      });
+    });
+
+    it('should execute callback with error & API response', function(done) {
+      var error = new Error('Error.');
+      var apiResponse = {};
+
+      bucket.request = function(reqOpts, callback) {
+        callback(error, apiResponse);
+      };
+
+      bucket.setMetadata(METADATA, function(err, apiResponse_) {
+        assert.strictEqual(err, error);
+        assert.strictEqual(apiResponse_, apiResponse);
+        done();
+      });
+    });
+  });
+
+  describe('setRetentionPolicy', function() {
+    it('should set the retention period', function(done) {
+      bucket.updateMetadata_ = function(getChanges, callback) {
+        assert.deepEqual(getChanges({}), {
+          retentionPolicy: {
+            retentionPeriod: '60'
+          }
+        });
+
+        var changes = getChanges({
+          retentionPolicy: {
+            retentionPeriod: '60'
+          }
+        });
+
+        assert.strictEqual(changes, null);
+
+        callback(); // done()
+      };
+
+      bucket.setRetentionPolicy(60, done);
+    });
+
+    it('should throw without a number of seconds', function() {
+      assert.throws(function() {
+        bucket.setRetentionPolicy('60', util.noop);
+      }, /A retention period must be a number of seconds\./);
+
+      assert.throws(function() {
+        bucket.setRetentionPolicy(-1, util.noop);
+      }, /A retention period must be a number of seconds\./);
+    });
+  });
+
+  describe('setStorageClass', function() {
+    it('should set the formatted storage class', function(done) {
+      bucket.updateMetadata_ = function(getChanges, callback) {
+        assert.deepEqual(getChanges({ storageClass: 'STANDARD' }), {
+          storageClass: 'NEARLINE'
+        });
+
+        assert.strictEqual(getChanges({ storageClass: 'NEARLINE' }), null);
+
+        callback(); // done()
+      };
+
+      bucket.setStorageClass('nearline', done);
+    });
+  });
+
+  describe('syncFromDirectory', function() {
+    it('should sync in the upload direction', function(done) {
+      var options = {};
+
+      bucket.sync_ = function(direction, directory, options_, callback) {
+        assert.strictEqual(direction, 'upload');
+        assert.strictEqual(directory, 'directory');
+        assert.strictEqual(options_, options);
+        callback(); // done()
+      };
+
+      bucket.syncFromDirectory('directory', options, done);
+    });
+
+    it('should not require options', function(done) {
+      bucket.sync_ = function(direction, directory, options, callback) {
+        assert.deepEqual(options, {});
+        callback(); // done()
+      };
+
+      bucket.syncFromDirectory('directory', done);
+    });
+  });
+
+  describe('syncToDirectory', function() {
+    it('should sync in the download direction', function(done) {
+      var options = {};
+
+      bucket.sync_ = function(direction, directory, options_, callback) {
+        assert.strictEqual(direction, 'download');
+        assert.strictEqual(directory, 'directory');
+        assert.strictEqual(options_, options);
+        callback(); // done()
+      };
+
+      bucket.syncToDirectory('directory', options, done);
+    });
+
+    it('should not require options', function(done) {
+      bucket.sync_ = function(direction, directory, options, callback) {
+        assert.deepEqual(options, {});
+        callback(); // done()
+      };
+
+      bucket.syncToDirectory('directory', done);
+    });
+  });
+
+  describe('upload', function() {
+    var basename = 'testfile.json';
+    var filepath = path.join(__dirname, 'testdata/' + basename);
+    var textFilepath = path.join(__dirname, 'testdata/textfile.txt');
+    var metadata = { a: 'b', c: 'd' };
+
+    beforeEach(function() {
+      bucket.file = function(name, metadata) {
+        return new FakeFile(bucket, name, metadata);
+      };
+    });
+
+    it('should accept a path & cb', function(done) {
+      bucket.upload(filepath, function(err, file) {
+        assert.ifError(err);
+        assert.equal(file.bucket.name, bucket.name);
+        assert.equal(file.name, basename);
+        done();
+      });
+    });
+
+    it('should accept a path, metadata, & cb', function(done) {
+      var options = {
+        metadata: metadata,
+        encryptionKey: 'key'
+      };
+      bucket.upload(filepath, options, function(err, file) {
+        assert.ifError(err);
+        assert.equal(file.bucket.name, bucket.name);
+        assert.deepEqual(file.metadata, metadata);
+        assert.strictEqual(file.options.encryptionKey, options.encryptionKey);
+        done();
+      });
+    });
+
+    it('should accept a path, a string dest, & cb', function(done) {
+      var newFileName = 'new-file-name.png';
       var options = {
         destination: newFileName,
         encryptionKey: 'key'
@@ -939,6 +2022,18 @@ describe('Bucket', function() {
       });
     });
 
+    it('should create the file with a Cloud KMS key name', function(done) {
+      var options = {
+        destination: 'new-file-name.png',
+        kmsKeyName: 'kms-key-name'
+      };
+      bucket.upload(filepath, options, function(err, file) {
+        assert.ifError(err);
+        assert.strictEqual(file.options.kmsKeyName, options.kmsKeyName);
+        done();
+      });
+    });
+
     it('should accept a path, a File dest, & cb', function(done) {
       var fakeFile = new FakeFile(bucket, 'file-name');
       fakeFile.isSameFile = function() {
@@ -1073,6 +2168,532 @@ describe('Bucket', function() {
         done();
       });
     });
+
+    it('should upload in parallel', function(done) {
+      var options = { parallelUploads: 2 };
+
+      bucket.uploadInParallel_ = function(localPath, file, options_, callback) {
+        assert.strictEqual(localPath, filepath);
+        assert.strictEqual(file.name, basename);
+        assert.strictEqual(options_.parallelUploads, 2);
+        callback(); // done()
+      };
+
+      bucket.upload(filepath, options, done);
+    });
+
+    it('should not upload in parallel with gzip', function() {
+      var options = { parallelUploads: 2, gzip: true };
+
+      assert.throws(function() {
+        bucket.upload(filepath, options, util.noop);
+      }, /Parallel uploads cannot use `gzip` or `offset`\./);
+    });
+
+    it('should not upload in parallel with an offset', function() {
+      var options = { parallelUploads: 2, offset: 10 };
+
+      assert.throws(function() {
+        bucket.upload(filepath, options, util.noop);
+      }, /Parallel uploads cannot use `gzip` or `offset`\./);
+    });
+  });
+
+  describe('uploadInParallel_', function() {
+    var filepath = path.join(__dirname, 'testdata/textfile.txt');
+    var destination;
+    var files;
+
+    beforeEach(function() {
+      files = [];
+
+      destination = new FakeFile(bucket, 'destination');
+      destination.delete = function(callback) {
+        callback();
+      };
+
+      bucket.file = function(name) {
+        var file = new FakeFile(bucket, name);
+
+        file.createWriteStream = function() {
+          return new stream.PassThrough().resume();
+        };
+
+        file.delete = function(callback) {
+          file.deleted = true;
+          callback();
+        };
+
+        files.push(file);
+        return file;
+      };
+    });
+
+    it('should upload each part to a temporary file', function(done) {
+      var options = { metadata: {}, parallelUploads: 2, validation: false };
+
+      bucket.combine = function(sources, destination_, options, callback) {
+        assert.strictEqual(sources.length, 2);
+        assert.strictEqual(destination_, destination);
+
+        sources.forEach(function(source, i) {
+          var name = source.name.split('.');
+
+          assert.strictEqual(name[0], 'destination');
+          assert.strictEqual(name[1], 'parallel-upload');
+          assert.strictEqual(name[3], 'part-' + i);
+        });
+
+        callback(null, destination, {});
+      };
+
+      bucket.uploadInParallel_(filepath, destination, options, function(err) {
+        assert.ifError(err);
+        assert.strictEqual(files.length, 2);
+
+        files.forEach(function(file) {
+          assert.strictEqual(file.deleted, true);
+        });
+
+        done();
+      });
+    });
+
+    it('should combine the parts with the preconditions', function(done) {
+      var options = {
+        ifGenerationMatch: 0,
+        metadata: {},
+        parallelUploads: 2,
+        validation: false
+      };
+
+      bucket.combine = function(sources, destination, options_, callback) {
+        assert.strictEqual(options_, options);
+        callback(null, destination, {});
+      };
+
+      bucket.uploadInParallel_(filepath, destination, options, done);
+    });
+
+    it('should delete the temporary files on error', function(done) {
+      var error = new Error('Error.');
+      var options = { metadata: {}, parallelUploads: 2 };
+
+      bucket.combine = function(sources, destination, options, callback) {
+        callback(error);
+      };
+
+      bucket.uploadInParallel_(filepath, destination, options, function(err) {
+        assert.strictEqual(err, error);
+        assert.strictEqual(files.length, 2);
+
+        files.forEach(function(file) {
+          assert.strictEqual(file.deleted, true);
+        });
+
+        done();
+      });
+    });
+
+    it('should wait for every part before cleaning up', function(done) {
+      var error = new Error('Error.');
+      var options = { metadata: {}, parallelUploads: 2 };
+
+      var createFile = bucket.file;
+
+      bucket.file = function(name) {
+        var file = createFile(name);
+
+        if (files.length === 1) {
+          // The first part fails right away.
+          file.createWriteStream = function() {
+            var writeStream = new stream.PassThrough();
+
+            setImmediate(function() {
+              writeStream.emit('error', error);
+            });
+
+            return writeStream;
+          };
+        } else {
+          // The second part finishes after the first has failed.
+          file.createWriteStream = function() {
+            var writeStream = new stream.PassThrough().resume();
+            var end = writeStream.end;
+
+            writeStream.end = function() {
+              var args = arguments;
+
+              setTimeout(function() {
+                end.apply(writeStream, args);
+              }, 20);
+            };
+
+            return writeStream;
+          };
+        }
+
+        return file;
+      };
+
+      bucket.combine = function() {
+        throw new Error('Should not combine.');
+      };
+
+      bucket.uploadInParallel_(filepath, destination, options, function(err) {
+        assert.strictEqual(err, error);
+        assert.strictEqual(files.length, 2);
+        assert.strictEqual(files[0].deleted, undefined);
+        assert.strictEqual(files[1].deleted, true);
+        done();
+      });
+    });
+
+    it('should delete the file if the checksum is wrong', function(done) {
+      var options = { metadata: {}, parallelUploads: 2 };
+
+      bucket.combine = function(sources, destination, options, callback) {
+        callback(null, destination, { crc32c: 'AAAAAA==' });
+      };
+
+      destination.delete = function(callback) {
+        destination.deleted = true;
+        callback();
+      };
+
+      bucket.uploadInParallel_(filepath, destination, options, function(err) {
+        assert.strictEqual(err.code, 'FILE_NO_UPLOAD');
+        assert.strictEqual(destination.deleted, true);
+        done();
+      });
+    });
+
+    it('should apply the remaining metadata', function(done) {
+      var options = {
+        metadata: { contentType: 'text/plain', cacheControl: 'no-cache' },
+        parallelUploads: 2,
+        public: true,
+        validation: false
+      };
+
+      bucket.combine = function(sources, destination, options, callback) {
+        assert.strictEqual(destination.metadata.contentType, 'text/plain');
+        callback(null, destination, {});
+      };
+
+      destination.request = function(reqOpts, callback) {
+        assert.strictEqual(reqOpts.method, 'PATCH');
+        assert.deepEqual(reqOpts.qs, { predefinedAcl: 'publicRead' });
+        assert.deepEqual(reqOpts.json, { cacheControl: 'no-cache' });
+        callback(null, reqOpts.json);
+      };
+
+      bucket.uploadInParallel_(filepath, destination, options, function(err) {
+        assert.ifError(err);
+        assert.deepEqual(destination.metadata, { cacheControl: 'no-cache' });
+        done();
+      });
+    });
+  });
+
+  describe('sync_', function() {
+    var directory = path.join(__dirname, 'testdata');
+
+    it('should return an error from getFiles', function(done) {
+      var error = new Error('Error.');
+
+      bucket.getFiles = function(query, callback) {
+        callback(error);
+      };
+
+      bucket.sync_('upload', directory, {}, function(err) {
+        assert.strictEqual(err, error);
+        done();
+      });
+    });
+
+    it('should list files under the prefix', function(done) {
+      bucket.getFiles = function(query) {
+        assert.deepEqual(query, { prefix: 'prefix/' });
+        done();
+      };
+
+      bucket.sync_('upload', directory, { prefix: 'prefix' }, assert.ifError);
+    });
+
+    it('should not download files outside the directory', function(done) {
+      bucket.getFiles = function(query, callback) {
+        callback(null, [new FakeFile(bucket, '../file.txt')]);
+      };
+
+      bucket.sync_('download', directory, {}, function(err) {
+        assert(/The file "\.\.\/file\.txt" is outside of/.test(err.message));
+        done();
+      });
+    });
+
+    it('should plan without changing anything on a dry run', function(done) {
+      bucket.getFiles = function(query, callback) {
+        callback(null, [new FakeFile(bucket, 'extra.txt')]);
+      };
+
+      bucket.upload = function() {
+        throw new Error('Should not upload.');
+      };
+
+      var options = {
+        dryRun: true,
+        deleteExtraneous: true
+      };
+
+      bucket.sync_('upload', directory, options, function(err, plan) {
+        assert.ifError(err);
+
+        assert.deepEqual(plan.map(function(step) {
+          return step.action + ' ' + step.name;
+        }), [
+          'delete extra.txt',
+          'upload privateKeyFile.json',
+          'upload testfile.json',
+          'upload textfile.txt',
+          'upload v4ServiceAccount.json',
+          'upload v4Signatures.json'
+        ]);
+
+        done();
+      });
+    });
+  });
+
+  describe('setVersioning_', function() {
+    it('should enable versioning', function(done) {
+      bucket.updateMetadata_ = function(getChanges, callback) {
+        assert.deepEqual(getChanges({}), {
+          versioning: {
+            enabled: true
+          }
+        });
+
+        var changes = getChanges({
+          versioning: {
+            enabled: true
+          }
+        });
+
+        assert.strictEqual(changes, null);
+
+        callback(); // done()
+      };
+
+      bucket.setVersioning_(true, done);
+    });
+
+    it('should disable versioning', function(done) {
+      bucket.updateMetadata_ = function(getChanges, callback) {
+        var changes = getChanges({
+          versioning: {
+            enabled: true
+          }
+        });
+
+        assert.deepEqual(changes, {
+          versioning: {
+            enabled: false
+          }
+        });
+
+        assert.strictEqual(getChanges({}), null);
+
+        callback(); // done()
+      };
+
+      bucket.setVersioning_(false, done);
+    });
+  });
+
+  describe('updateMetadata_', function() {
+    var METADATA = {
+      metageneration: '2',
+      storageClass: 'STANDARD'
+    };
+
+    var CHANGES = {
+      storageClass: 'NEARLINE'
+    };
+
+    beforeEach(function() {
+      bucket.getMetadata = function(callback) {
+        callback(null, METADATA);
+      };
+    });
+
+    it('should patch with a metageneration precondition', function(done) {
+      var apiResponse = {};
+
+      bucket.request = function(reqOpts, callback) {
+        assert.deepEqual(reqOpts, {
+          method: 'PATCH',
+          uri: '',
+          qs: {
+            ifMetagenerationMatch: '2'
+          },
+          json: CHANGES
+        });
+
+        callback(null, apiResponse);
+      };
+
+      bucket.updateMetadata_(function(metadata) {
+        assert.strictEqual(metadata, METADATA);
+        return CHANGES;
+      }, function(err, apiResponse_) {
+        assert.ifError(err);
+        assert.strictEqual(apiResponse_, apiResponse);
+        assert.strictEqual(bucket.metadata, apiResponse);
+        done();
+      });
+    });
+  });
+
+  describe('getUpdatePrecondition_', function() {
+    it('should require the metageneration to match', function() {
+      var precondition = bucket.getUpdatePrecondition_({
+        metageneration: 3
+      });
+
+      assert.deepEqual(precondition, {
+        qs: {
+          ifMetagenerationMatch: 3
+        }
+      });
+    });
+  });
+
+  describe('grantPublishPermission_', function() {
+    var TOPIC = 'topic';
+    var TOPIC_NAME = 'projects/project-id/topics/topic';
+    var EMAIL = 'service-0@gs-project-accounts.iam.gserviceaccount.com';
+    var MEMBER = 'serviceAccount:' + EMAIL;
+    var ROLE = 'roles/pubsub.publisher';
+
+    beforeEach(function() {
+      bucket.storage = extend({}, STORAGE, {
+        projectId: 'project-id',
+        pubsub_: {
+          request: util.noop
+        },
+        getServiceAccount: function(callback) {
+          callback(null, { emailAddress: EMAIL });
+        }
+      });
+    });
+
+    it('should return an error getting the service account', function(done) {
+      var error = new Error('Error.');
+      var apiResponse = {};
+
+      bucket.storage.getServiceAccount = function(callback) {
+        callback(error, null, apiResponse);
+      };
+
+      bucket.grantPublishPermission_(TOPIC, function(err, apiResponse_) {
+        assert.strictEqual(err, error);
+        assert.strictEqual(apiResponse_, apiResponse);
+        done();
+      });
+    });
+
+    it('should add a binding through the REST API', function(done) {
+      var policy = {
+        etag: 'etag',
+        bindings: [{ role: 'roles/owner', members: ['user:a@b.c'] }]
+      };
+      var apiResponse = {};
+
+      bucket.storage.pubsub_.request = function(reqOpts, callback) {
+        assert.strictEqual(reqOpts.method, 'POST');
+
+        if (reqOpts.uri === TOPIC_NAME + ':getIamPolicy') {
+          callback(null, policy);
+          return;
+        }
+
+        assert.strictEqual(reqOpts.uri, TOPIC_NAME + ':setIamPolicy');
+        assert.deepEqual(reqOpts.json.policy, {
+          etag: 'etag',
+          bindings: [
+            { role: 'roles/owner', members: ['user:a@b.c'] },
+            { role: ROLE, members: [MEMBER] }
+          ]
+        });
+
+        callback(null, apiResponse);
+      };
+
+      bucket.grantPublishPermission_(TOPIC, function(err, apiResponse_) {
+        assert.ifError(err);
+        assert.strictEqual(apiResponse_, apiResponse);
+        done();
+      });
+    });
+
+    it('should use the IAM helper of a Topic object', function(done) {
+      var topic = {
+        name: 'projects/project-id/topics/topic',
+        iam: {
+          getPolicy: function(callback) {
+            callback(null, {
+              bindings: [{ role: ROLE, members: ['user:a@b.c'] }]
+            });
+          },
+          setPolicy: function(policy, callback) {
+            assert.deepEqual(policy.bindings, [{
+              role: ROLE,
+              members: ['user:a@b.c', MEMBER]
+            }]);
+            callback(null, policy);
+          }
+        }
+      };
+
+      bucket.storage.pubsub_.request = function() {
+        done(new Error('Should not use the REST API.'));
+      };
+
+      bucket.grantPublishPermission_(topic, done);
+    });
+
+    it('should not set the policy if it has the binding', function(done) {
+      var policy = {
+        bindings: [{ role: ROLE, members: [MEMBER] }]
+      };
+
+      bucket.storage.pubsub_.request = function(reqOpts, callback) {
+        assert.strictEqual(reqOpts.uri, TOPIC_NAME + ':getIamPolicy');
+        callback(null, policy);
+      };
+
+      bucket.grantPublishPermission_(TOPIC, function(err, apiResponse) {
+        assert.ifError(err);
+        assert.strictEqual(apiResponse, policy);
+        done();
+      });
+    });
+
+    it('should return an error getting the policy', function(done) {
+      var error = new Error('Error.');
+      var apiResponse = {};
+
+      bucket.storage.pubsub_.request = function(reqOpts, callback) {
+        callback(error, apiResponse);
+      };
+
+      bucket.grantPublishPermission_(TOPIC, function(err, apiResponse_) {
+        assert.strictEqual(err, error);
+        assert.strictEqual(apiResponse_, apiResponse);
+        done();
+      });
+    });
   });
 
   describe('makeAllFilesPublicPrivate_', function() {
@@ -21,9 +21,11 @@
 'use strict';
 
 var assert = require('assert');
+var extend = require('extend');
 var nodeutil = require('util');
 var proxyquire = require('proxyquire');
 var ServiceObject = require('@google-cloud/common').ServiceObject;
+var util = require('@google-cloud/common').util;
 
 function FakeServiceObject() {
   this.calledWith_ = arguments;
@@ -32,6 +34,15 @@ function FakeServiceObject() {
 
 nodeutil.inherits(FakeServiceObject, ServiceObject);
 
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class) {
+    if (Class.name === 'Channel') {
+      promisified = true;
+    }
+  }
+});
+
 describe('Channel', function() {
   var STORAGE = {};
   var ID = 'channel-id';
@@ -43,7 +54,8 @@ describe('Channel', function() {
   before(function() {
     Channel = proxyquire('../src/channel.js', {
       '@google-cloud/common': {
-        ServiceObject: FakeServiceObject
+        ServiceObject: FakeServiceObject,
+        util: fakeUtil
       }
     });
   });
@@ -53,6 +65,10 @@ describe('Channel', function() {
   });
 
   describe('initialization', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should inherit from ServiceObject', function() {
       assert(channel instanceof ServiceObject);
 
@@ -0,0 +1,65 @@
+/*!
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var assert = require('assert');
+
+var crc32c = require('../src/crc32c.js');
+
+describe('crc32c', function() {
+  var DATA = new Buffer('123456789');
+  var CHECKSUM = 0xe3069283;
+
+  describe('calculate', function() {
+    it('should calculate the checksum', function() {
+      assert.strictEqual(crc32c.calculate(DATA), CHECKSUM);
+    });
+
+    it('should return 0 for no data', function() {
+      assert.strictEqual(crc32c.calculate(new Buffer(0)), 0);
+    });
+
+    it('should continue from a previous checksum', function() {
+      var crc = crc32c.calculate(DATA.slice(0, 4));
+      crc = crc32c.calculate(DATA.slice(4), crc);
+
+      assert.strictEqual(crc, CHECKSUM);
+    });
+  });
+
+  describe('combine', function() {
+    it('should combine two checksums', function() {
+      for (var i = 1; i < DATA.length; i++) {
+        var crc1 = crc32c.calculate(DATA.slice(0, i));
+        var crc2 = crc32c.calculate(DATA.slice(i));
+
+        assert.strictEqual(crc32c.combine(crc1, crc2, DATA.length - i),
+          CHECKSUM);
+      }
+    });
+
+    it('should return the first checksum for an empty piece', function() {
+      assert.strictEqual(crc32c.combine(CHECKSUM, 0, 0), CHECKSUM);
+    });
+  });
+
+  describe('toBase64', function() {
+    it('should encode the checksum as big-endian bytes', function() {
+      assert.strictEqual(crc32c.toBase64(CHECKSUM), '4waSgw==');
+    });
+  });
+});
@@ -0,0 +1,1471 @@
+/*!
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var async = require('async');
+var extend = require('extend');
+var fs = require('fs');
+var tmp = require('tmp');
+var zlib = require('zlib');
+
+var Storage = require('../');
+var crc32c = require('../src/crc32c.js');
+var FakeServer = require('../src/fake-server.js');
+
+describe('FakeServer', function() {
+  var server;
+  var storage;
+  var bucket;
+
+  before(function(done) {
+    server = new FakeServer();
+
+    server.listen(function(err, apiEndpoint) {
+      if (err) {
+        done(err);
+        return;
+      }
+
+      storage = new Storage({
+        projectId: 'project-id',
+        apiEndpoint: apiEndpoint
+      });
+
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  beforeEach(function(done) {
+    server.reset();
+
+    storage.createBucket('bucket-name', function(err, bucket_) {
+      bucket = bucket_;
+      done(err);
+    });
+  });
+
+  function getObject(name) {
+    return server.buckets['bucket-name'].objects.filter(function(object) {
+      return object.live && object.name === name;
+    })[0];
+  }
+
+  function getContents(name) {
+    return getObject(name).data.toString();
+  }
+
+  it('should be exposed from its own entry point', function() {
+    assert.strictEqual(require('../fake-server.js'), FakeServer);
+  });
+
+  describe('listen', function() {
+    it('should return the API endpoint', function() {
+      assert(/^http:\/\/localhost:\d+$/.test(server.apiEndpoint));
+    });
+
+    it('should return an error if the port is taken', function(done) {
+      var port = server.server.address().port;
+
+      new FakeServer().listen(port, function(err) {
+        assert.strictEqual(err.code, 'EADDRINUSE');
+        done();
+      });
+    });
+  });
+
+  describe('buckets', function() {
+    it('should get the bucket metadata', function(done) {
+      bucket.getMetadata(function(err, metadata) {
+        assert.ifError(err);
+        assert.strictEqual(metadata.name, 'bucket-name');
+        assert.strictEqual(metadata.metageneration, '1');
+        done();
+      });
+    });
+
+    it('should not create the same bucket twice', function(done) {
+      storage.createBucket('bucket-name', function(err) {
+        assert.strictEqual(err.code, 409);
+        done();
+      });
+    });
+
+    it('should list the buckets', function(done) {
+      storage.createBucket('other-bucket', function(err) {
+        assert.ifError(err);
+
+        storage.getBuckets({ prefix: 'other' }, function(err, buckets) {
+          assert.ifError(err);
+          assert.deepEqual(buckets.map(getName), ['other-bucket']);
+          done();
+        });
+      });
+    });
+
+    it('should update the metadata', function(done) {
+      bucket.setMetadata({
+        labels: {
+          env: 'test'
+        }
+      }, function(err, metadata) {
+        assert.ifError(err);
+        assert.deepEqual(metadata.labels, { env: 'test' });
+        assert.strictEqual(metadata.metageneration, '2');
+        done();
+      });
+    });
+
+    it('should check metageneration preconditions', function(done) {
+      bucket.request({
+        method: 'PATCH',
+        uri: '',
+        qs: {
+          ifMetagenerationMatch: 2
+        },
+        json: {}
+      }, function(err) {
+        assert.strictEqual(err.code, 412);
+        done();
+      });
+    });
+
+    it('should not delete a bucket that has objects', function(done) {
+      bucket.file('file.txt').save('data', function(err) {
+        assert.ifError(err);
+
+        bucket.delete(function(err) {
+          assert.strictEqual(err.code, 409);
+          done();
+        });
+      });
+    });
+
+    it('should add and remove lifecycle rules', function(done) {
+      var rule = {
+        action: 'delete',
+        condition: {
+          age: 30
+        }
+      };
+
+      bucket.addLifecycleRule(rule, function(err) {
+        assert.ifError(err);
+
+        bucket.addLifecycleRule(rule, function(err, metadata) {
+          assert.ifError(err);
+          assert.strictEqual(metadata.lifecycle.rule.length, 2);
+
+          bucket.removeLifecycleRule(function(rule) {
+            return rule.condition.age === 30;
+          }, function(err, metadata) {
+            assert.ifError(err);
+            assert.deepEqual(metadata.lifecycle.rule, []);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should not clobber changes made at the same time', function(done) {
+      var getMetadata = bucket.getMetadata;
+      var changed = false;
+
+      // Change the bucket between reading and writing its metadata, once.
+      bucket.getMetadata = function(callback) {
+        getMetadata.call(bucket, function(err, metadata) {
+          if (changed) {
+            callback(err, metadata);
+            return;
+          }
+
+          changed = true;
+
+          bucket.setMetadata({ labels: { env: 'test' } }, function(err_) {
+            assert.ifError(err_);
+            callback(err, metadata);
+          });
+        });
+      };
+
+      bucket.enableVersioning(function(err, metadata) {
+        assert.ifError(err);
+        assert.strictEqual(metadata.versioning.enabled, true);
+        assert.deepEqual(metadata.labels, { env: 'test' });
+        assert.strictEqual(metadata.metageneration, '3');
+        done();
+      });
+    });
+
+    it('should set the CORS configuration and storage class', function(done) {
+      var cors = [
+        {
+          method: ['GET'],
+          origin: ['*']
+        }
+      ];
+
+      bucket.setCorsConfiguration(cors, function(err) {
+        assert.ifError(err);
+
+        bucket.setStorageClass('coldline', function(err, metadata) {
+          assert.ifError(err);
+          assert.deepEqual(metadata.cors, cors);
+          assert.strictEqual(metadata.storageClass, 'COLDLINE');
+          done();
+        });
+      });
+    });
+
+    it('should lock a retention policy', function(done) {
+      bucket.setRetentionPolicy(60, function(err) {
+        assert.ifError(err);
+
+        bucket.lockRetentionPolicy(function(err, metadata) {
+          assert.ifError(err);
+          assert.strictEqual(metadata.retentionPolicy.isLocked, true);
+
+          bucket.removeRetentionPolicy(function(err) {
+            assert.strictEqual(err.code, 403);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should delete an empty bucket', function(done) {
+      bucket.delete(function(err) {
+        assert.ifError(err);
+
+        bucket.exists(function(err, exists) {
+          assert.ifError(err);
+          assert.strictEqual(exists, false);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('uploads and downloads', function() {
+    it('should upload with a resumable upload', function(done) {
+      var file = bucket.file('file.txt');
+
+      file.save('resumable data', function(err) {
+        assert.ifError(err);
+        assert.strictEqual(file.metadata.size, '14');
+        assert.strictEqual(getContents('file.txt'), 'resumable data');
+        done();
+      });
+    });
+
+    it('should upload with a simple upload', function(done) {
+      var file = bucket.file('file.txt');
+
+      file.save('simple data', { resumable: false }, function(err) {
+        assert.ifError(err);
+        assert.strictEqual(getContents('file.txt'), 'simple data');
+        done();
+      });
+    });
+
+    it('should upload a file from disk', function(done) {
+      tmp.setGracefulCleanup();
+
+      tmp.file({ postfix: '.json' }, function(err, tmpFilePath) {
+        assert.ifError(err);
+
+        fs.writeFileSync(tmpFilePath, '{}');
+
+        bucket.upload(tmpFilePath, function(err, file) {
+          assert.ifError(err);
+          assert.strictEqual(
+            file.metadata.contentType,
+            'application/json; charset=utf-8'
+          );
+          assert.strictEqual(getContents(file.name), '{}');
+          done();
+        });
+      });
+    });
+
+    describe('parallel uploads', function() {
+      var tmpFilePath;
+      var data = new Buffer(4096);
+
+      for (var i = 0; i < data.length; i++) {
+        data[i] = i % 251;
+      }
+
+      before(function(done) {
+        tmp.setGracefulCleanup();
+
+        tmp.file({ postfix: '.bin' }, function(err, tmpFilePath_) {
+          tmpFilePath = tmpFilePath_;
+          fs.writeFileSync(tmpFilePath, data);
+          done(err);
+        });
+      });
+
+      function getFileNames() {
+        return server.buckets['bucket-name'].objects.map(function(object) {
+          return object.name;
+        });
+      }
+
+      it('should upload a file in parts', function(done) {
+        var options = {
+          destination: 'big.bin',
+          parallelUploads: 4,
+          metadata: {
+            metadata: {
+              custom: 'value'
+            }
+          },
+          public: true
+        };
+
+        bucket.upload(tmpFilePath, options, function(err, file) {
+          assert.ifError(err);
+
+          var object = getObject('big.bin');
+          assert.deepEqual(object.data, data);
+          assert.strictEqual(object.metadata.componentCount, 4);
+
+          assert.strictEqual(file.metadata.metadata.custom, 'value');
+          assert.deepEqual(getFileNames(), ['big.bin']);
+
+          file.acl.get({ entity: 'allUsers' }, function(err, aclObject) {
+            assert.ifError(err);
+            assert.strictEqual(aclObject.role, 'READER');
+            done();
+          });
+        });
+      });
+
+      it('should combine more than 32 parts in levels', function(done) {
+        var options = {
+          destination: 'big.bin',
+          parallelUploads: 70
+        };
+
+        bucket.upload(tmpFilePath, options, function(err) {
+          assert.ifError(err);
+
+          var object = getObject('big.bin');
+          assert.deepEqual(object.data, data);
+          assert.strictEqual(object.metadata.componentCount, 70);
+          assert.deepEqual(getFileNames(), ['big.bin']);
+
+          done();
+        });
+      });
+
+      it('should upload small files in one piece', function(done) {
+        tmp.file({ postfix: '.txt' }, function(err, smallFilePath) {
+          assert.ifError(err);
+
+          fs.writeFileSync(smallFilePath, 'a');
+
+          var options = {
+            destination: 'small.txt',
+            parallelUploads: 4
+          };
+
+          bucket.upload(smallFilePath, options, function(err) {
+            assert.ifError(err);
+            assert.strictEqual(getContents('small.txt'), 'a');
+            assert.strictEqual(getObject('small.txt').metadata.componentCount,
+              undefined);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should download a file', function(done) {
+      var file = bucket.file('file.txt');
+
+      file.save('downloaded data', function(err) {
+        assert.ifError(err);
+
+        file.download(function(err, contents) {
+          assert.ifError(err);
+          assert.strictEqual(contents.toString(), 'downloaded data');
+          done();
+        });
+      });
+    });
+
+    it('should download a range of a file', function(done) {
+      var file = bucket.file('file.txt');
+      var contents = '';
+
+      file.save('downloaded data', function(err) {
+        assert.ifError(err);
+
+        file.createReadStream({ start: 2, end: 4 })
+          .on('error', done)
+          .on('data', function(chunk) {
+            contents += chunk;
+          })
+          .on('end', function() {
+            assert.strictEqual(contents, 'wnl');
+            done();
+          });
+      });
+    });
+
+    describe('gzip-encoded files', function() {
+      var file;
+
+      beforeEach(function(done) {
+        file = bucket.file('file.txt');
+        file.save('downloaded data', { gzip: true }, done);
+      });
+
+      it('should download a gzip file decompressed', function(done) {
+        file.download(function(err, contents) {
+          assert.ifError(err);
+          assert.strictEqual(contents.toString(), 'downloaded data');
+          done();
+        });
+      });
+
+      it('should download a gzip file compressed', function(done) {
+        file.download({ decompress: false }, function(err, contents) {
+          assert.ifError(err);
+          assert.deepEqual(contents, getObject('file.txt').data);
+          assert.strictEqual(
+            zlib.gunzipSync(contents).toString(),
+            'downloaded data'
+          );
+          done();
+        });
+      });
+
+      it('should decompress for clients without gzip', function(done) {
+        var reqOpts = {
+          uri: server.apiEndpoint + '/bucket-name/file.txt',
+          headers: {
+            Range: 'bytes=0-1'
+          }
+        };
+
+        storage.request(reqOpts, function(err, body, resp) {
+          assert.ifError(err);
+          assert.strictEqual(resp.statusCode, 200);
+          assert.strictEqual(resp.headers['content-encoding'], undefined);
+          assert.strictEqual(body, 'downloaded data');
+          done();
+        });
+      });
+
+      it('should not decompress a range', function(done) {
+        var contents = '';
+
+        file.createReadStream({ start: 2, end: 4 })
+          .on('data', function(chunk) {
+            contents += chunk;
+          })
+          .on('error', function(err) {
+            assert.strictEqual(err.code, 'GZIP_RANGE_NOT_SUPPORTED');
+            assert.strictEqual(contents, '');
+            done();
+          })
+          .on('end', function() {
+            done(new Error('The range should not be read.'));
+          });
+      });
+
+      it('should read a range of the compressed data', function(done) {
+        var chunks = [];
+
+        file.createReadStream({ start: 2, end: 4, decompress: false })
+          .on('error', done)
+          .on('data', function(chunk) {
+            chunks.push(chunk);
+          })
+          .on('end', function() {
+            var data = getObject('file.txt').data;
+            assert.deepEqual(Buffer.concat(chunks), data.slice(2, 5));
+            done();
+          });
+      });
+
+      it('should download in parallel without decompressing', function(done) {
+        var destination = tmp.tmpNameSync();
+
+        file.download({
+          destination: destination,
+          parallelDownloads: 2,
+          decompress: false
+        }, function(err) {
+          assert.ifError(err);
+          assert.deepEqual(
+            fs.readFileSync(destination),
+            getObject('file.txt').data
+          );
+          fs.unlinkSync(destination);
+          done();
+        });
+      });
+    });
+
+    describe('parallel downloads', function() {
+      var data = new Buffer(4000);
+
+      for (var i = 0; i < data.length; i++) {
+        data[i] = i % 251;
+      }
+
+      var file;
+      var destination;
+      var ranges;
+
+      beforeEach(function(done) {
+        ranges = [];
+
+        storage.interceptors = [{
+          beforeRequest: function(requestInfo) {
+            var headers = requestInfo.reqOpts.headers;
+
+            if (headers && headers.Range) {
+              ranges.push(headers.Range);
+            }
+          }
+        }];
+
+        file = bucket.file('big.bin');
+
+        tmp.setGracefulCleanup();
+
+        tmp.dir({ unsafeCleanup: true }, function(err, tmpDirPath) {
+          assert.ifError(err);
+
+          destination = tmpDirPath + '/big.bin';
+          file.save(data, done);
+        });
+      });
+
+      afterEach(function() {
+        storage.interceptors = [];
+      });
+
+      function writeState(generation, slices) {
+        fs.writeFileSync(destination + '.download.json', JSON.stringify({
+          generation: generation,
+          size: data.length,
+          slices: slices
+        }));
+      }
+
+      it('should download ranges of the file at once', function(done) {
+        var options = {
+          destination: destination,
+          parallelDownloads: 4
+        };
+
+        file.download(options, function(err) {
+          assert.ifError(err);
+
+          assert.deepEqual(ranges, [
+            'bytes=0-999',
+            'bytes=1000-1999',
+            'bytes=2000-2999',
+            'bytes=3000-3999'
+          ]);
+
+          assert.deepEqual(fs.readFileSync(destination), data);
+          assert.strictEqual(fs.existsSync(destination + '.download'), false);
+          assert.strictEqual(
+            fs.existsSync(destination + '.download.json'),
+            false
+          );
+
+          done();
+        });
+      });
+
+      it('should resume an interrupted download', function(done) {
+        var generation = String(getObject('big.bin').generation);
+
+        fs.writeFileSync(destination + '.download', data.slice(0, 500));
+
+        writeState(generation, [{
+          start: 0,
+          end: 1999,
+          written: 500,
+          crc32c: crc32c.calculate(data.slice(0, 500))
+        }, {
+          start: 2000,
+          end: 3999,
+          written: 0,
+          crc32c: 0
+        }]);
+
+        var options = {
+          destination: destination,
+          parallelDownloads: 2
+        };
+
+        file.download(options, function(err) {
+          assert.ifError(err);
+          assert.deepEqual(ranges, ['bytes=500-1999', 'bytes=2000-3999']);
+          assert.deepEqual(fs.readFileSync(destination), data);
+          done();
+        });
+      });
+
+      it('should start over for a different generation', function(done) {
+        writeState('1', [{
+          start: 0,
+          end: 3999,
+          written: 4000,
+          crc32c: 0
+        }]);
+
+        var options = {
+          destination: destination,
+          parallelDownloads: 2
+        };
+
+        file.download(options, function(err) {
+          assert.ifError(err);
+          assert.deepEqual(ranges, ['bytes=0-1999', 'bytes=2000-3999']);
+          assert.deepEqual(fs.readFileSync(destination), data);
+          done();
+        });
+      });
+
+      it('should not keep data that does not match', function(done) {
+        var generation = String(getObject('big.bin').generation);
+
+        fs.writeFileSync(destination + '.download', new Buffer(500));
+
+        writeState(generation, [{
+          start: 0,
+          end: 1999,
+          written: 500,
+          crc32c: crc32c.calculate(new Buffer(500).fill(1))
+        }, {
+          start: 2000,
+          end: 3999,
+          written: 0,
+          crc32c: 0
+        }]);
+
+        var options = {
+          destination: destination,
+          parallelDownloads: 2
+        };
+
+        file.download(options, function(err) {
+          assert.strictEqual(err.code, 'CONTENT_DOWNLOAD_MISMATCH');
+          assert.strictEqual(fs.existsSync(destination), false);
+          assert.strictEqual(fs.existsSync(destination + '.download'), false);
+          done();
+        });
+      });
+    });
+
+    it('should not overwrite a generation that does not match', function(done) {
+      var file = bucket.file('file.txt');
+
+      file.save('data', function(err) {
+        assert.ifError(err);
+
+        bucket.file('file.txt', { generation: 1 })
+          .save('new data', { resumable: false }, function(err) {
+            assert.strictEqual(err.code, 412);
+            done();
+          });
+      });
+    });
+
+    it('should require the key of an encrypted file', function(done) {
+      var key = 'abcdefghijklmnopqrstuvwxyz012345';
+      var encryptedFile = bucket.file('file.txt', { encryptionKey: key });
+
+      encryptedFile.save('secret', { resumable: false }, function(err) {
+        assert.ifError(err);
+
+        bucket.file('file.txt').download(function(err) {
+          assert.strictEqual(err.code, 400);
+
+          encryptedFile.download(function(err, contents) {
+            assert.ifError(err);
+            assert.strictEqual(contents.toString(), 'secret');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('encryption keys', function() {
+    var KMS_KEY_NAME =
+      'projects/project-id/locations/us/keyRings/ring/cryptoKeys/key';
+    var OLD_KEY = 'abcdefghijklmnopqrstuvwxyz012345';
+    var NEW_KEY = '012345abcdefghijklmnopqrstuvwxyz';
+
+    it('should upload with a Cloud KMS key', function(done) {
+      var file = bucket.file('file.txt', { kmsKeyName: KMS_KEY_NAME });
+
+      async.eachSeries([false, true], function(resumable, next) {
+        file.save('data', { resumable: resumable }, function(err) {
+          assert.ifError(err);
+          assert.strictEqual(file.metadata.kmsKeyName, KMS_KEY_NAME);
+          next();
+        });
+      }, done);
+    });
+
+    it('should use the default Cloud KMS key of a bucket', function(done) {
+      storage.createBucket('kms-bucket', {
+        defaultKmsKeyName: KMS_KEY_NAME
+      }, function(err, kmsBucket) {
+        assert.ifError(err);
+
+        kmsBucket.file('file.txt').save('data', function(err) {
+          assert.ifError(err);
+
+          kmsBucket.file('file.txt').getMetadata(function(err, metadata) {
+            assert.ifError(err);
+            assert.strictEqual(metadata.kmsKeyName, KMS_KEY_NAME);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should rotate a customer-supplied key', function(done) {
+      var file = bucket.file('file.txt', { encryptionKey: OLD_KEY });
+
+      file.save('secret', { resumable: false }, function(err) {
+        assert.ifError(err);
+
+        file.rotateEncryptionKey(NEW_KEY, function(err, rotatedFile) {
+          assert.ifError(err);
+
+          file.download(function(err) {
+            assert.strictEqual(err.code, 400);
+
+            rotatedFile.download(function(err, contents) {
+              assert.ifError(err);
+              assert.strictEqual(contents.toString(), 'secret');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should rotate to a Cloud KMS key in several requests', function(done) {
+      var file = bucket.file('file.txt', { encryptionKey: OLD_KEY });
+      var rewriteRequests = 0;
+
+      storage.interceptors = [{
+        beforeRequest: function(requestInfo) {
+          var reqOpts = requestInfo.reqOpts;
+
+          if (/\/rewriteTo\//.test(reqOpts.uri)) {
+            reqOpts.qs.maxBytesRewrittenPerCall = 4;
+            rewriteRequests++;
+          }
+        }
+      }];
+
+      file.save('secret', { resumable: false }, function(err) {
+        assert.ifError(err);
+
+        file.rotateEncryptionKey({
+          kmsKeyName: KMS_KEY_NAME
+        }, function(err, rotatedFile) {
+          storage.interceptors = [];
+
+          assert.ifError(err);
+          assert.strictEqual(rewriteRequests, 2);
+          assert.strictEqual(rotatedFile.metadata.kmsKeyName, KMS_KEY_NAME);
+          assert(!rotatedFile.metadata.customerEncryption);
+
+          bucket.file('file.txt').download(function(err, contents) {
+            assert.ifError(err);
+            assert.strictEqual(contents.toString(), 'secret');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('listing', function() {
+    beforeEach(function(done) {
+      async.eachSeries([
+        'a.txt',
+        'dir/b.txt',
+        'dir/c.txt',
+        'dir/sub/d.txt'
+      ], function(name, next) {
+        bucket.file(name).save('data', { resumable: false }, next);
+      }, done);
+    });
+
+    it('should list all files', function(done) {
+      bucket.getFiles(function(err, files) {
+        assert.ifError(err);
+        assert.deepEqual(files.map(getName), [
+          'a.txt',
+          'dir/b.txt',
+          'dir/c.txt',
+          'dir/sub/d.txt'
+        ]);
+        done();
+      });
+    });
+
+    it('should list files with a prefix and delimiter', function(done) {
+      bucket.getFiles({
+        autoPaginate: false,
+        delimiter: '/',
+        prefix: 'dir/'
+      }, function(err, files, nextQuery, apiResponse) {
+        assert.ifError(err);
+        assert.deepEqual(files.map(getName), ['dir/b.txt', 'dir/c.txt']);
+        assert.deepEqual(apiResponse.prefixes, ['dir/sub/']);
+        done();
+      });
+    });
+
+    it('should paginate', function(done) {
+      bucket.getFiles({
+        autoPaginate: false,
+        maxResults: 3
+      }, function(err, files, nextQuery) {
+        assert.ifError(err);
+        assert.strictEqual(files.length, 3);
+
+        bucket.getFiles(nextQuery, function(err, files, nextQuery) {
+          assert.ifError(err);
+          assert.deepEqual(files.map(getName), ['dir/sub/d.txt']);
+          assert.strictEqual(nextQuery, null);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('generations', function() {
+    beforeEach(function(done) {
+      bucket.setMetadata({
+        versioning: {
+          enabled: true
+        }
+      }, function(err) {
+        if (err) {
+          done(err);
+          return;
+        }
+
+        async.eachSeries(['v1', 'v2'], function(contents, next) {
+          bucket.file('file.txt').save(contents, next);
+        }, done);
+      });
+    });
+
+    it('should keep noncurrent versions', function(done) {
+      bucket.getFiles({ versions: true }, function(err, files) {
+        assert.ifError(err);
+        assert.strictEqual(files.length, 2);
+        assert(files[0].metadata.timeDeleted);
+        assert(files[0].metadata.generation < files[1].metadata.generation);
+        done();
+      });
+    });
+
+    it('should download a specific generation', function(done) {
+      bucket.getFiles({ versions: true }, function(err, files) {
+        assert.ifError(err);
+
+        var generation = files[0].metadata.generation;
+
+        bucket.file('file.txt', { generation: generation })
+          .download(function(err, contents) {
+            assert.ifError(err);
+            assert.strictEqual(contents.toString(), 'v1');
+            done();
+          });
+      });
+    });
+
+    it('should archive the live version on delete', function(done) {
+      bucket.file('file.txt').delete(function(err) {
+        assert.ifError(err);
+
+        bucket.getFiles({ versions: true }, function(err, files) {
+          assert.ifError(err);
+          assert.strictEqual(files.length, 2);
+
+          bucket.getFiles(function(err, files) {
+            assert.ifError(err);
+            assert.strictEqual(files.length, 0);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('preconditions', function() {
+    var file;
+
+    beforeEach(function(done) {
+      file = bucket.file('file.txt');
+      file.save('v1', { resumable: false }, done);
+    });
+
+    function assertPreconditionFailed(done) {
+      return function(err) {
+        assert(err instanceof Storage.PreconditionFailedError);
+        assert.strictEqual(err.code, 412);
+        done();
+      };
+    }
+
+    it('should only create a file that does not exist', function(done) {
+      var options = { ifGenerationMatch: 0 };
+
+      async.series([
+        function(next) {
+          file.save('v2', extend({ resumable: false }, options), function(err) {
+            assertPreconditionFailed(next)(err);
+          });
+        },
+        function(next) {
+          file.save('v2', options, function(err) {
+            assertPreconditionFailed(next)(err);
+          });
+        },
+        function(next) {
+          bucket.file('new.txt').save('v1', options, next);
+        }
+      ], function(err) {
+        assert.ifError(err);
+        assert.strictEqual(getContents('file.txt'), 'v1');
+        assert.strictEqual(getContents('new.txt'), 'v1');
+        done();
+      });
+    });
+
+    it('should not update metadata that has changed', function(done) {
+      var metageneration = file.metadata.metageneration;
+
+      file.setMetadata({ contentType: 'text/plain' }, {
+        ifMetagenerationMatch: metageneration
+      }, function(err) {
+        assert.ifError(err);
+
+        file.setMetadata({ contentType: 'text/html' }, {
+          ifMetagenerationMatch: metageneration
+        }, assertPreconditionFailed(function() {
+          assert.strictEqual(
+            getObject('file.txt').metadata.contentType,
+            'text/plain'
+          );
+          done();
+        }));
+      });
+    });
+
+    it('should not copy or delete a file that has changed', function(done) {
+      var generation = file.metadata.generation;
+
+      file.save('v2', { resumable: false }, function(err) {
+        assert.ifError(err);
+
+        file.move('moved.txt', {
+          ifSourceGenerationMatch: generation
+        }, assertPreconditionFailed(function() {
+          assert(!getObject('moved.txt'));
+
+          file.delete({
+            ifGenerationMatch: generation
+          }, assertPreconditionFailed(function() {
+            assert.strictEqual(getContents('file.txt'), 'v2');
+            done();
+          }));
+        }));
+      });
+    });
+
+    it('should not update a bucket that has changed', function(done) {
+      bucket.getMetadata(function(err, metadata) {
+        assert.ifError(err);
+
+        bucket.setMetadata({ labels: { env: 'test' } }, function(err) {
+          assert.ifError(err);
+
+          bucket.setMetadata({ labels: { env: 'production' } }, {
+            ifMetagenerationMatch: metadata.metageneration
+          }, assertPreconditionFailed(done));
+        });
+      });
+    });
+  });
+
+  describe('combine, copy, and rewrite', function() {
+    beforeEach(function(done) {
+      async.eachSeries(['a', 'b'], function(name, next) {
+        bucket.file(name + '.txt').save(name + '-data', next);
+      }, done);
+    });
+
+    it('should combine files', function(done) {
+      bucket.combine(['a.txt', 'b.txt'], 'c.txt', function(err, file) {
+        assert.ifError(err);
+
+        file.download(function(err, contents) {
+          assert.ifError(err);
+          assert.strictEqual(contents.toString(), 'a-data' + 'b-data');
+          assert.strictEqual(getObject('c.txt').metadata.componentCount, 2);
+          done();
+        });
+      });
+    });
+
+    it('should copy a file to another bucket', function(done) {
+      storage.createBucket('other-bucket', function(err, otherBucket) {
+        assert.ifError(err);
+
+        bucket.file('a.txt').copy(otherBucket, function(err, copiedFile) {
+          assert.ifError(err);
+
+          copiedFile.download(function(err, contents) {
+            assert.ifError(err);
+            assert.strictEqual(contents.toString(), 'a-data');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should copy a file to another storage class', function(done) {
+      var file = bucket.file('a.txt');
+      var progress = [];
+
+      storage.interceptors = [{
+        beforeRequest: function(requestInfo) {
+          var reqOpts = requestInfo.reqOpts;
+
+          if (/\/rewriteTo\//.test(reqOpts.uri)) {
+            reqOpts.qs.maxBytesRewrittenPerCall = 4;
+          }
+        }
+      }];
+
+      file.setMetadata({ contentType: 'text/plain' }, function(err) {
+        assert.ifError(err);
+
+        var options = {
+          storageClass: 'nearline',
+          onProgress: function(progress_) {
+            progress.push(progress_);
+          }
+        };
+
+        file.copy('cold.txt', options, function(err, copiedFile) {
+          storage.interceptors = [];
+
+          assert.ifError(err);
+          assert.deepEqual(progress, [
+            { totalBytesRewritten: 4, objectSize: 6 },
+            { totalBytesRewritten: 6, objectSize: 6 }
+          ]);
+          assert.strictEqual(copiedFile.metadata.storageClass, 'NEARLINE');
+          assert.strictEqual(copiedFile.metadata.contentType, 'text/plain');
+          assert.strictEqual(getContents('cold.txt'), 'a-data');
+          done();
+        });
+      });
+    });
+
+    it('should rewrite a file over several requests', function(done) {
+      var file = bucket.file('a.txt');
+      var responses = [];
+
+      function rewrite(rewriteToken) {
+        file.request({
+          method: 'POST',
+          uri: '/rewriteTo/b/bucket-name/o/rewritten.txt',
+          qs: {
+            maxBytesRewrittenPerCall: 4,
+            rewriteToken: rewriteToken
+          }
+        }, function(err, resp) {
+          assert.ifError(err);
+
+          responses.push(resp);
+
+          if (!resp.done) {
+            rewrite(resp.rewriteToken);
+            return;
+          }
+
+          assert.deepEqual(responses.map(function(resp) {
+            return resp.totalBytesRewritten;
+          }), ['4', '6']);
+
+          assert.strictEqual(resp.resource.name, 'rewritten.txt');
+          assert.strictEqual(getContents('rewritten.txt'), 'a-data');
+          done();
+        });
+      }
+
+      rewrite();
+    });
+  });
+
+  describe('ACLs', function() {
+    var file;
+
+    beforeEach(function(done) {
+      file = bucket.file('file.txt');
+      file.save('data', done);
+    });
+
+    it('should add, update, and delete ACL entries', function(done) {
+      async.series([
+        function(next) {
+          file.acl.add({ entity: 'allUsers', role: 'READER' }, next);
+        },
+        function(next) {
+          file.acl.update({ entity: 'allUsers', role: 'OWNER' }, next);
+        },
+        function(next) {
+          file.acl.get({ entity: 'allUsers' }, function(err, aclObject) {
+            assert.ifError(err);
+            assert.deepEqual(aclObject, { entity: 'allUsers', role: 'OWNER' });
+            next();
+          });
+        },
+        function(next) {
+          file.acl.delete({ entity: 'allUsers' }, next);
+        },
+        function(next) {
+          file.acl.get({ entity: 'allUsers' }, function(err) {
+            assert.strictEqual(err.code, 404);
+            next();
+          });
+        }
+      ], done);
+    });
+
+    it('should make a file private', function(done) {
+      file.makePrivate({ strict: true }, function(err) {
+        assert.ifError(err);
+
+        file.acl.get(function(err, acls) {
+          assert.ifError(err);
+          assert.deepEqual(acls.map(function(acl) {
+            return acl.entity;
+          }), ['project-owners-fake-project']);
+          done();
+        });
+      });
+    });
+
+    it('should make a bucket public', function(done) {
+      bucket.makePublic({ includeFiles: true }, function(err) {
+        assert.ifError(err);
+
+        bucket.acl.default.get({ entity: 'allUsers' }, function(err, acl) {
+          assert.ifError(err);
+          assert.strictEqual(acl.role, 'READER');
+
+          file.acl.get({ entity: 'allUsers' }, function(err, acl) {
+            assert.ifError(err);
+            assert.strictEqual(acl.role, 'READER');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('notifications', function() {
+    it('should create, list, get, and delete notifications', function(done) {
+      var id;
+
+      async.series([
+        function(next) {
+          bucket.createNotification('topic', {
+            eventTypes: ['OBJECT_FINALIZE'],
+            objectNamePrefix: 'images/'
+          }, function(err, notification) {
+            assert.ifError(err);
+
+            id = notification.id;
+
+            assert.deepEqual(notification.metadata.event_types, [
+              'OBJECT_FINALIZE'
+            ]);
+            assert.strictEqual(
+              notification.metadata.topic,
+              '//pubsub.googleapis.com/projects/project-id/topics/topic'
+            );
+            next();
+          });
+        },
+        function(next) {
+          bucket.getNotifications(function(err, notifications) {
+            assert.ifError(err);
+            assert.deepEqual(notifications.map(function(notification) {
+              return notification.id;
+            }), [id]);
+            next();
+          });
+        },
+        function(next) {
+          bucket.notification(id).getMetadata(function(err, metadata) {
+            assert.ifError(err);
+            assert.strictEqual(metadata.object_name_prefix, 'images/');
+            assert.strictEqual(metadata.payload_format, 'JSON_API_V1');
+            next();
+          });
+        },
+        function(next) {
+          bucket.notification(id).delete(next);
+        },
+        function(next) {
+          bucket.notification(id).exists(function(err, exists) {
+            assert.ifError(err);
+            assert.strictEqual(exists, false);
+            next();
+          });
+        }
+      ], done);
+    });
+
+    it('should reject an invalid payload format', function(done) {
+      bucket.createNotification('topic', {
+        payloadFormat: 'XML'
+      }, function(err) {
+        assert.strictEqual(err.code, 400);
+        done();
+      });
+    });
+
+    it('should grant publish permission with a Topic object', function(done) {
+      var policy = {};
+
+      var topic = {
+        name: 'projects/project-id/topics/topic',
+        iam: {
+          getPolicy: function(callback) {
+            callback(null, policy);
+          },
+          setPolicy: function(policy_, callback) {
+            policy = policy_;
+            callback(null, policy);
+          }
+        }
+      };
+
+      bucket.createNotification(topic, {
+        grantPublishPermission: true
+      }, function(err) {
+        assert.ifError(err);
+        assert.deepEqual(policy.bindings, [{
+          role: 'roles/pubsub.publisher',
+          members: [
+            'serviceAccount:' +
+              'service-0@gs-project-accounts.iam.gserviceaccount.com'
+          ]
+        }]);
+        done();
+      });
+    });
+  });
+
+  describe('directory sync', function() {
+    var localDir;
+
+    beforeEach(function(done) {
+      tmp.setGracefulCleanup();
+
+      tmp.dir({ unsafeCleanup: true }, function(err, tmpDirPath) {
+        assert.ifError(err);
+
+        localDir = tmpDirPath;
+
+        fs.mkdirSync(localDir + '/a');
+        fs.writeFileSync(localDir + '/one.txt', '1');
+        fs.writeFileSync(localDir + '/a/two.txt', '22');
+
+        done();
+      });
+    });
+
+    function getSteps(plan) {
+      return plan.map(function(step) {
+        return step.action + ' ' + step.name;
+      });
+    }
+
+    it('should upload new and changed files', function(done) {
+      var options = { prefix: 'build' };
+
+      bucket.syncFromDirectory(localDir, options, function(err, plan) {
+        assert.ifError(err);
+        assert.deepEqual(getSteps(plan), [
+          'upload build/a/two.txt',
+          'upload build/one.txt'
+        ]);
+        assert.strictEqual(getContents('build/a/two.txt'), '22');
+
+        var mtime = new Date('2016-01-01T00:00:00Z');
+        fs.writeFileSync(localDir + '/one.txt', '3');
+        fs.utimesSync(localDir + '/one.txt', mtime, mtime);
+
+        bucket.syncFromDirectory(localDir, options, function(err, plan) {
+          assert.ifError(err);
+          assert.deepEqual(getSteps(plan), ['upload build/one.txt']);
+          assert.strictEqual(getContents('build/one.txt'), '3');
+          done();
+        });
+      });
+    });
+
+    it('should not upload files with the same contents', function(done) {
+      var options = { prefix: 'build' };
+
+      bucket.syncFromDirectory(localDir, options, function(err) {
+        assert.ifError(err);
+
+        var mtime = new Date('2016-01-01T00:00:00Z');
+        fs.utimesSync(localDir + '/one.txt', mtime, mtime);
+
+        bucket.syncFromDirectory(localDir, options, function(err, plan) {
+          assert.ifError(err);
+          assert.deepEqual(plan, []);
+          done();
+        });
+      });
+    });
+
+    it('should delete extraneous files', function(done) {
+      var options = {
+        prefix: 'build',
+        deleteExtraneous: true
+      };
+
+      async.each(['build/old.txt', 'other.txt'], function(name, next) {
+        bucket.file(name).save('old', next);
+      }, function(err) {
+        assert.ifError(err);
+
+        bucket.syncFromDirectory(localDir, options, function(err, plan) {
+          assert.ifError(err);
+          assert.deepEqual(getSteps(plan), [
+            'upload build/a/two.txt',
+            'delete build/old.txt',
+            'upload build/one.txt'
+          ]);
+          assert.strictEqual(getObject('build/old.txt'), undefined);
+          assert.strictEqual(getContents('other.txt'), 'old');
+          done();
+        });
+      });
+    });
+
+    it('should not change anything on a dry run', function(done) {
+      var options = { dryRun: true };
+
+      bucket.syncFromDirectory(localDir, options, function(err, plan) {
+        assert.ifError(err);
+        assert.deepEqual(getSteps(plan), [
+          'upload a/two.txt',
+          'upload one.txt'
+        ]);
+        assert.deepEqual(server.buckets['bucket-name'].objects, []);
+        done();
+      });
+    });
+
+    it('should download new and changed files', function(done) {
+      var downloadDir = localDir + '/download';
+
+      bucket.syncFromDirectory(localDir, { prefix: 'build' }, function(err) {
+        assert.ifError(err);
+
+        var options = {
+          prefix: 'build',
+          deleteExtraneous: true
+        };
+
+        fs.mkdirSync(downloadDir);
+        fs.writeFileSync(downloadDir + '/extra.txt', 'extra');
+
+        bucket.syncToDirectory(downloadDir, options, function(err, plan) {
+          assert.ifError(err);
+          assert.deepEqual(getSteps(plan), [
+            'download build/a/two.txt',
+            'delete build/extra.txt',
+            'download build/one.txt'
+          ]);
+
+          assert.strictEqual(
+            fs.readFileSync(downloadDir + '/a/two.txt', 'utf8'),
+            '22'
+          );
+          assert.strictEqual(fs.existsSync(downloadDir + '/extra.txt'), false);
+
+          // The modification time is kept, so nothing needs to be compared.
+          assert.strictEqual(
+            fs.statSync(downloadDir + '/one.txt').mtime.getTime(),
+            Math.floor(fs.statSync(localDir + '/one.txt').mtime / 1000) * 1000
+          );
+
+          bucket.syncToDirectory(downloadDir, options, function(err, plan) {
+            assert.ifError(err);
+            assert.deepEqual(plan, []);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('reset', function() {
+    it('should forget all buckets', function(done) {
+      server.reset();
+
+      storage.getBuckets(function(err, buckets) {
+        assert.ifError(err);
+        assert.strictEqual(buckets.length, 0);
+        done();
+      });
+    });
+  });
+});
+
+function getName(resource) {
+  return resource.name;
+}
@@ -25,18 +25,30 @@ var fs = require('fs');
 var nodeutil = require('util');
 var proxyquire = require('proxyquire');
 var request = require('request');
+var Service = require('@google-cloud/common').Service;
 var ServiceObject = require('@google-cloud/common').ServiceObject;
 var stream = require('stream');
 var through = require('through2');
 var tmp = require('tmp');
 var url = require('url');
 var util = require('@google-cloud/common').util;
+var zlib = require('zlib');
 
 var Bucket = require('../src/bucket.js');
+var PreconditionFailedError = require('../src/precondition-failed-error.js');
 
 var makeWritableStreamOverride;
 var handleRespOverride;
+var promisified = false;
 var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class, options) {
+    if (Class.name !== 'File') {
+      return;
+    }
+
+    promisified = true;
+    assert.deepEqual(options.exclude, ['setEncryptionKey']);
+  },
   handleResp: function() {
     (handleRespOverride || util.handleResp).apply(null, arguments);
   },
@@ -97,6 +109,7 @@ describe('File', function() {
       'gcs-resumable-upload': fakeResumableUpload,
       request: fakeRequest,
       '@google-cloud/common': {
+        Service: Service,
         ServiceObject: FakeServiceObject,
         util: fakeUtil
       }
@@ -135,6 +148,10 @@ describe('File', function() {
   });
 
   describe('initialization', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should assign file name', function() {
       assert.equal(file.name, FILE_NAME);
     });
@@ -161,22 +178,12 @@ describe('File', function() {
       assert.strictEqual(calledWith.baseUrl, '/o');
       assert.strictEqual(calledWith.id, encodeURIComponent(FILE_NAME));
       assert.deepEqual(calledWith.methods, {
-        delete: {
-          reqOpts: {
-            qs: {}
-          }
-        },
         exists: true,
         get: true,
         getMetadata: {
           reqOpts: {
             qs: {}
           }
-        },
-        setMetadata: {
-          reqOpts: {
-            qs: {}
-          }
         }
       });
     });
@@ -191,13 +198,6 @@ describe('File', function() {
       var calledWith = file.calledWith_[0];
 
       assert.deepEqual(calledWith.methods, {
-        delete: {
-          reqOpts: {
-            qs: {
-              generation: options.generation
-            }
-          }
-        },
         exists: true,
         get: true,
         getMetadata: {
@@ -206,13 +206,6 @@ describe('File', function() {
               generation: options.generation
             }
           }
-        },
-        setMetadata: {
-          reqOpts: {
-            qs: {
-              generation: options.generation
-            }
-          }
         }
       });
     });
@@ -229,25 +222,124 @@ describe('File', function() {
 
       new File(BUCKET, FILE_NAME, { encryptionKey: key });
     });
+
+    it('should localize a Cloud KMS key name', function() {
+      var file = new File(BUCKET, FILE_NAME, { kmsKeyName: 'kms-key-name' });
+      assert.strictEqual(file.kmsKeyName, 'kms-key-name');
+    });
+  });
+
+  describe('getEncryptionKeyHeaders_', function() {
+    it('should return the headers with the given prefix', function() {
+      var key = crypto.randomBytes(32);
+      var base64Key = key.toString('base64');
+      var hash = crypto.createHash('sha256')
+        .update(base64Key, 'base64')
+        .digest('base64');
+
+      var headers = File.getEncryptionKeyHeaders_(
+        key,
+        'x-goog-copy-source-encryption'
+      );
+
+      assert.deepEqual(headers, {
+        'x-goog-copy-source-encryption-algorithm': 'AES256',
+        'x-goog-copy-source-encryption-key': base64Key,
+        'x-goog-copy-source-encryption-key-sha256': hash
+      });
+    });
+  });
+
+  describe('getPreconditions_', function() {
+    it('should pick the object preconditions', function() {
+      var options = {
+        ifGenerationMatch: 0,
+        ifMetagenerationNotMatch: 2,
+        ifSourceGenerationMatch: 3,
+        metadata: {}
+      };
+
+      assert.deepEqual(File.getPreconditions_(options), {
+        ifGenerationMatch: 0,
+        ifMetagenerationNotMatch: 2
+      });
+    });
+
+    it('should pick the given preconditions', function() {
+      var options = {
+        ifGenerationMatch: 1,
+        ifSourceGenerationMatch: 3
+      };
+
+      assert.deepEqual(
+        File.getPreconditions_(options, ['ifSourceGenerationMatch']),
+        { ifSourceGenerationMatch: 3 }
+      );
+    });
+  });
+
+  describe('encodeV4_', function() {
+    it('should encode reserved characters', function() {
+      assert.strictEqual(
+        File.encodeV4_('a b!*\'()/~'),
+        'a%20b%21%2A%27%28%29%2F~'
+      );
+    });
+
+    it('should keep slashes', function() {
+      assert.strictEqual(File.encodeV4_('a/b c', true), 'a/b%20c');
+    });
+  });
+
+  describe('getV4Scope_', function() {
+    it('should return the timestamp and scope', function() {
+      var scope = File.getV4Scope_(new Date('2019-02-01T09:00:00.123Z'));
+
+      assert.deepEqual(scope, {
+        timestamp: '20190201T090000Z',
+        scope: '20190201/auto/storage/goog4_request'
+      });
+    });
   });
 
   describe('copy', function() {
+    function getExpectedPath(destBucket, destName) {
+      return format('/rewriteTo/b/{destBucket}/o/{destName}', {
+        destBucket: destBucket,
+        destName: encodeURIComponent(destName)
+      });
+    }
+
     it('should throw if no destination is provided', function() {
       assert.throws(function() {
         file.copy();
       }, /Destination file should have a name\./);
     });
 
+    it('should make the correct request', function(done) {
+      var newFile = new File(BUCKET, 'new-file');
+
+      file.request = function(reqOpts) {
+        assert.deepEqual(reqOpts, {
+          method: 'POST',
+          uri: getExpectedPath(BUCKET.name, newFile.name),
+          qs: {},
+          headers: {}
+        });
+        done();
+      };
+
+      file.copy(newFile, assert.ifError);
+    });
+
     it('should URI encode file names', function(done) {
       var newFile = new File(BUCKET, 'nested/file.jpg');
 
-      var expectedPath = format('/copyTo/b/{destBucket}/o/{destName}', {
-        destBucket: file.bucket.name,
-        destName: encodeURIComponent(newFile.name)
-      });
-
       directoryFile.request = function(reqOpts) {
-        assert.strictEqual(reqOpts.uri, expectedPath);
+        assert.strictEqual(
+          reqOpts.uri,
+          '/rewriteTo/b/' + BUCKET.name + '/o/nested%2Ffile.jpg'
+        );
         done();
       };
 
@@ -285,8 +377,232 @@ describe('File', function() {
       versionedFile.copy(newFile, assert.ifError);
     });
 
+    it('should send the preconditions', function(done) {
+      var options = {
+        ifGenerationMatch: 0,
+        ifSourceGenerationMatch: 2,
+        ifSourceMetagenerationNotMatch: 3
+      };
+
+      file.request = function(reqOpts) {
+        assert.deepEqual(reqOpts.qs, options);
+        done();
+      };
+
+      file.copy('new-file', options, assert.ifError);
+    });
+
+    it('should continue until the rewrite is done', function(done) {
+      var newFile = new File(BUCKET, 'new-file');
+      var resource = {};
+      var rewriteTokens = [];
+
+      file.request = function(reqOpts, callback) {
+        rewriteTokens.push(reqOpts.qs.rewriteToken);
+
+        if (rewriteTokens.length < 3) {
+          callback(null, {
+            done: false,
+            rewriteToken: 'token-' + rewriteTokens.length
+          });
+          return;
+        }
+
+        callback(null, {
+          done: true,
+          resource: resource
+        });
+      };
+
+      file.copy(newFile, function(err, copiedFile, apiResponse) {
+        assert.ifError(err);
+        assert.deepEqual(rewriteTokens, [undefined, 'token-1', 'token-2']);
+        assert.strictEqual(copiedFile, newFile);
+        assert.strictEqual(copiedFile.metadata, resource);
+        assert.strictEqual(apiResponse.resource, resource);
+        done();
+      });
+    });
+
+    it('should report the progress', function(done) {
+      var progress = [];
+      var requestCount = 0;
+
+      file.request = function(reqOpts, callback) {
+        requestCount++;
+
+        setImmediate(function() {
+          callback(null, {
+            done: requestCount === 2,
+            rewriteToken: 'token',
+            totalBytesRewritten: String(requestCount * 5),
+            objectSize: '10'
+          });
+        });
+      };
+
+      var options = {
+        onProgress: function(progress_) {
+          progress.push(progress_);
+        }
+      };
+
+      file.copy('new-file', options, function(err) {
+        assert.ifError(err);
+        assert.deepEqual(progress, [
+          { totalBytesRewritten: 5, objectSize: 10 },
+          { totalBytesRewritten: 10, objectSize: 10 }
+        ]);
+        done();
+      });
+    });
+
+    describe('encryption', function() {
+      it('should send the encryption key of the destination', function(done) {
+        var key = crypto.randomBytes(32);
+        var newFile = new File(BUCKET, 'new-file', { encryptionKey: key });
+
+        file.request = function(reqOpts) {
+          assert.deepEqual(
+            reqOpts.headers,
+            File.getEncryptionKeyHeaders_(key, 'x-goog-encryption')
+          );
+          done();
+        };
+
+        file.copy(newFile, assert.ifError);
+      });
+
+      it('should send the Cloud KMS key of the destination', function(done) {
+        var newFile = new File(BUCKET, 'new-file', {
+          kmsKeyName: 'kms-key-name'
+        });
+
+        file.request = function(reqOpts) {
+          assert.strictEqual(reqOpts.qs.destinationKmsKeyName, 'kms-key-name');
+          done();
+        };
+
+        file.copy(newFile, assert.ifError);
+      });
+
+      it('should create a destination file with the keys', function(done) {
+        var key = crypto.randomBytes(32);
+        var fileWithKey = new File(BUCKET, 'new-file');
+
+        BUCKET.file = function(name, options) {
+          assert.strictEqual(name, 'new-file');
+          assert.deepEqual(options, {
+            encryptionKey: key,
+            kmsKeyName: undefined
+          });
+          fileWithKey.encryptionKey = key;
+          return fileWithKey;
+        };
+
+        file.request = function(reqOpts, callback) {
+          assert.deepEqual(
+            reqOpts.headers,
+            File.getEncryptionKeyHeaders_(key, 'x-goog-encryption')
+          );
+          callback(null, { done: true });
+        };
+
+        file.copy('new-file', { encryptionKey: key }, function(err, copied) {
+          assert.ifError(err);
+          assert.strictEqual(copied, fileWithKey);
+          done();
+        });
+      });
+
+      it('should throw if a key is given with a File', function() {
+        var newFile = new File(BUCKET, 'new-file');
+
+        assert.throws(function() {
+          file.copy(newFile, { kmsKeyName: 'kms-key-name' });
+        }, /Give the File object the key instead\./);
+
+        assert.throws(function() {
+          file.copy(newFile, { encryptionKey: crypto.randomBytes(32) });
+        }, /Give the File object the key instead\./);
+      });
+    });
+
+    describe('storage class', function() {
+      it('should send the metadata with the new class', function(done) {
+        var metadata = {
+          name: file.name,
+          contentType: 'image/png',
+          cacheControl: 'no-cache',
+          metadata: {
+            custom: 'value'
+          },
+          storageClass: 'STANDARD'
+        };
+
+        file.getMetadata = function(callback) {
+          callback(null, metadata);
+        };
+
+        file.request = function(reqOpts) {
+          assert.deepEqual(reqOpts.json, {
+            contentType: 'image/png',
+            cacheControl: 'no-cache',
+            metadata: {
+              custom: 'value'
+            },
+            storageClass: 'DURABLE_REDUCED_AVAILABILITY'
+          });
+          done();
+        };
+
+        var options = { storageClass: 'durable-reduced-availability' };
+        file.copy('new-file', options, assert.ifError);
+      });
+
+      it('should send the metadata with each request', function(done) {
+        var jsonBodies = [];
+
+        file.getMetadata = function(callback) {
+          callback(null, {});
+        };
+
+        file.request = function(reqOpts, callback) {
+          jsonBodies.push(reqOpts.json);
+          callback(null, { done: jsonBodies.length === 2 });
+        };
+
+        var options = { storageClass: 'nearline' };
+        file.copy('new-file', options, function(err) {
+          assert.ifError(err);
+          assert.deepEqual(jsonBodies, [
+            { storageClass: 'NEARLINE' },
+            { storageClass: 'NEARLINE' }
+          ]);
+          done();
+        });
+      });
+
+      it('should execute callback with getMetadata error', function(done) {
+        var error = new Error('Error.');
+        var apiResponse = {};
+
+        file.getMetadata = function(callback) {
+          callback(error, null, apiResponse);
+        };
+
+        var options = { storageClass: 'nearline' };
+        file.copy('new-file', options, function(err, file, apiResponse_) {
+          assert.strictEqual(err, error);
+          assert.strictEqual(file, null);
+          assert.strictEqual(apiResponse_, apiResponse);
+          done();
+        });
+      });
+    });
+
     describe('destination types', function() {
-      function assertPathEquals(file, expectedPath, callback) {
+      function assertPathEquals(expectedPath, callback) {
         file.request = function(reqOpts) {
           assert.strictEqual(reqOpts.uri, expectedPath);
           callback();
@@ -295,40 +611,28 @@ describe('File', function() {
 
       it('should allow a string', function(done) {
         var newFileName = 'new-file-name.png';
-        var expectedPath = format('/copyTo/b/{destBucket}/o/{destName}', {
-          destBucket: file.bucket.name,
-          destName: newFileName
-        });
-        assertPathEquals(file, expectedPath, done);
+        var expectedPath = getExpectedPath(BUCKET.name, newFileName);
+        assertPathEquals(expectedPath, done);
         file.copy(newFileName);
       });
 
       it('should allow a "gs://..." string', function(done) {
         var newFileName = 'gs://other-bucket/new-file-name.png';
-        var expectedPath = format('/copyTo/b/{destBucket}/o/{destName}', {
-          destBucket: 'other-bucket',
-          destName: 'new-file-name.png'
-        });
-        assertPathEquals(file, expectedPath, done);
+        var expectedPath = getExpectedPath('other-bucket', 'new-file-name.png');
+        assertPathEquals(expectedPath, done);
         file.copy(newFileName);
       });
 
       it('should allow a Bucket', function(done) {
-        var expectedPath = format('/copyTo/b/{destBucket}/o/{destName}', {
-          destBucket: BUCKET.name,
-          destName: file.name
-        });
-        assertPathEquals(file, expectedPath, done);
+        var expectedPath = getExpectedPath(BUCKET.name, file.name);
+        assertPathEquals(expectedPath, done);
         file.copy(BUCKET);
       });
 
       it('should allow a File', function(done) {
         var newFile = new File(BUCKET, 'new-file');
-        var expectedPath = format('/copyTo/b/{destBucket}/o/{destName}', {
-          destBucket: BUCKET.name,
-          destName: newFile.name
-        });
-        assertPathEquals(file, expectedPath, done);
+        var expectedPath = getExpectedPath(BUCKET.name, newFile.name);
+        assertPathEquals(expectedPath, done);
         file.copy(newFile);
       });
 
@@ -340,8 +644,10 @@ describe('File', function() {
     });
 
     describe('returned File object', function() {
+      var resource = {};
+
       beforeEach(function() {
-        var resp = { success: true };
+        var resp = { done: true, resource: resource };
         file.request = function(reqOpts, callback) {
           callback(null, resp);
         };
@@ -351,7 +657,7 @@ describe('File', function() {
         var newFile = new File(BUCKET, 'new-file');
         file.copy(newFile, function(err, copiedFile) {
           assert.ifError(err);
-          assert.deepEqual(copiedFile, newFile);
+          assert.strictEqual(copiedFile, newFile);
           done();
         });
       });
@@ -375,10 +681,18 @@ describe('File', function() {
         });
       });
 
+      it('should set the metadata of the new file', function(done) {
+        file.copy(BUCKET, function(err, copiedFile) {
+          assert.ifError(err);
+          assert.strictEqual(copiedFile.metadata, resource);
+          done();
+        });
+      });
+
       it('should pass apiResponse into callback', function(done) {
         file.copy(BUCKET, function(err, copiedFile, apiResponse) {
           assert.ifError(err);
-          assert.deepEqual({ success: true }, apiResponse);
+          assert.deepEqual(apiResponse, { done: true, resource: resource });
           done();
         });
       });
@@ -437,6 +751,7 @@ describe('File', function() {
 
         setImmediate(function() {
           var stream = new FakeRequest();
+          stream.headers = extend({}, fakeResponse && fakeResponse.headers);
           self.emit('response', stream);
 
           setImmediate(function() {
@@ -568,6 +883,23 @@ describe('File', function() {
         file.createReadStream().resume();
       });
 
+      it('should download from a custom API endpoint', function(done) {
+        file.storage.apiEndpoint = 'localhost:8080';
+
+        file.request = function(opts) {
+          assert.strictEqual(opts.uri, format('http://{host}/{b}/{o}', {
+            host: 'localhost:8080',
+            b: file.bucket.name,
+            o: encodeURIComponent(file.name)
+          }));
+
+          setImmediate(done);
+          return duplexify();
+        };
+
+        file.createReadStream().resume();
+      });
+
       it('should accept gzip encoding', function(done) {
         file.request = function(opts) {
           assert.strictEqual(opts.gzip, true);
@@ -580,6 +912,17 @@ describe('File', function() {
         file.createReadStream().resume();
       });
 
+      it('should accept gzip without decompressing', function(done) {
+        file.request = function(opts) {
+          assert.strictEqual(opts.gzip, undefined);
+          assert.strictEqual(opts.headers['Accept-Encoding'], 'gzip');
+          setImmediate(done);
+          return duplexify();
+        };
+
+        file.createReadStream({ decompress: false }).resume();
+      });
+
       describe('errors', function() {
         var ERROR = new Error('Error.');
 
@@ -836,6 +1179,52 @@ describe('File', function() {
           .on('end', done);
       });
 
+      it('should decompress gzip data stored unencoded', function(done) {
+        file.request = getFakeSuccessfulRequest(zlib.gzipSync(data), {
+          headers: {
+            'content-encoding': 'gzip',
+            'x-goog-stored-content-encoding': 'identity',
+            'x-goog-hash': fakeResponse.md5.headers['x-goog-hash']
+          }
+        });
+
+        file.createReadStream({ validation: 'md5' })
+          .on('error', done)
+          .on('end', done)
+          .resume();
+      });
+
+      it('should validate gzip data that was stored gzipped', function(done) {
+        file.request = getFakeSuccessfulRequest(zlib.gzipSync(data), {
+          headers: {
+            'content-encoding': 'gzip',
+            'x-goog-stored-content-encoding': 'gzip',
+            'x-goog-hash': fakeResponse.md5.headers['x-goog-hash']
+          }
+        });
+
+        file.createReadStream({ validation: 'md5' })
+          .on('error', function(err) {
+            assert.strictEqual(err.code, 'CONTENT_DOWNLOAD_MISMATCH');
+            done();
+          })
+          .resume();
+      });
+
+      it('should not validate data decompressed by the API', function(done) {
+        file.request = getFakeSuccessfulRequest(data, {
+          headers: {
+            'x-goog-stored-content-encoding': 'gzip',
+            'x-goog-hash': 'md5=fakefakefake'
+          }
+        });
+
+        file.createReadStream({ validation: 'md5' })
+          .on('error', done)
+          .on('end', done)
+          .resume();
+      });
+
       describe('destroying the through stream', function() {
         it('should destroy after failed validation', function(done) {
           file.request = getFakeSuccessfulRequest(
@@ -921,6 +1310,37 @@ describe('File', function() {
         readStream.end = done;
         readStream.resume();
       });
+
+      it('should not decompress a range of a gzip file', function(done) {
+        file.request = getFakeSuccessfulRequest('body', {
+          headers: {
+            'content-encoding': 'gzip',
+            'x-goog-stored-content-encoding': 'gzip'
+          }
+        });
+
+        file.createReadStream({ start: 100 })
+          .on('error', function(err) {
+            assert.strictEqual(err.code, 'GZIP_RANGE_NOT_SUPPORTED');
+            assert(/decompress: false/.test(err.message));
+            done();
+          })
+          .resume();
+      });
+
+      it('should read a gzip range without decompressing', function(done) {
+        file.request = getFakeSuccessfulRequest('body', {
+          headers: {
+            'content-encoding': 'gzip',
+            'x-goog-stored-content-encoding': 'gzip'
+          }
+        });
+
+        file.createReadStream({ start: 100, decompress: false })
+          .on('error', done)
+          .on('end', done)
+          .resume();
+      });
     });
 
     describe('tail requests', function() {
@@ -981,7 +1401,173 @@ describe('File', function() {
 
       file.createResumableUpload(options, done);
     });
-  });
+
+    it('should start the session at a custom API endpoint', function(done) {
+      var options = {};
+
+      file.storage.apiEndpoint = 'localhost:8080';
+
+      resumableUploadOverride = {
+        createURI: function() {
+          done(new Error('Should not have used gcs-resumable-upload.'));
+        }
+      };
+
+      file.createResumableUri_ = function(options_, callback) {
+        assert.strictEqual(options_, options);
+        callback();
+      };
+
+      file.createResumableUpload(options, done);
+    });
+
+    it('should start the session itself with a Cloud KMS key', function(done) {
+      var options = {
+        kmsKeyName: 'kms-key-name'
+      };
+
+      resumableUploadOverride = {
+        createURI: function() {
+          done(new Error('Should not have used gcs-resumable-upload.'));
+        }
+      };
+
+      file.createResumableUri_ = function(options_, callback) {
+        assert.strictEqual(options_, options);
+        callback();
+      };
+
+      file.createResumableUpload(options, done);
+    });
+
+    it('should start the session itself with preconditions', function(done) {
+      var options = {
+        ifGenerationMatch: 0
+      };
+
+      resumableUploadOverride = {
+        createURI: function() {
+          done(new Error('Should not have used gcs-resumable-upload.'));
+        }
+      };
+
+      file.createResumableUri_ = function(options_, callback) {
+        assert.strictEqual(options_, options);
+        callback();
+      };
+
+      file.createResumableUpload(options, done);
+    });
+  });
+
+  describe('createResumableUri_', function() {
+    beforeEach(function() {
+      file.storage.apiEndpoint = 'localhost:8080';
+    });
+
+    it('should make the correct request', function(done) {
+      var options = {
+        metadata: {
+          contentType: 'application/json'
+        },
+        origin: '*',
+        private: true
+      };
+
+      file.generation = 3;
+
+      file.request = function(reqOpts) {
+        assert.deepEqual(reqOpts, {
+          method: 'POST',
+          uri: 'http://localhost:8080/upload/storage/v1/b/' +
+            file.bucket.name + '/o',
+          qs: {
+            name: file.name,
+            uploadType: 'resumable',
+            ifGenerationMatch: 3,
+            predefinedAcl: 'private'
+          },
+          json: options.metadata,
+          headers: {
+            'X-Upload-Content-Type': 'application/json',
+            Origin: '*'
+          }
+        });
+
+        done();
+      };
+
+      file.createResumableUri_(options, assert.ifError);
+    });
+
+    it('should send a Cloud KMS key name', function(done) {
+      file.kmsKeyName = 'kms-key-name';
+
+      file.request = function(reqOpts) {
+        assert.strictEqual(reqOpts.qs.kmsKeyName, 'kms-key-name');
+        done();
+      };
+
+      file.createResumableUri_({}, assert.ifError);
+    });
+
+    it('should prefer the Cloud KMS key name in options', function(done) {
+      file.kmsKeyName = 'kms-key-name';
+
+      file.request = function(reqOpts) {
+        assert.strictEqual(reqOpts.qs.kmsKeyName, 'other-kms-key-name');
+        done();
+      };
+
+      file.createResumableUri_({
+        kmsKeyName: 'other-kms-key-name'
+      }, assert.ifError);
+    });
+
+    it('should send the preconditions', function(done) {
+      file.request = function(reqOpts) {
+        assert.strictEqual(reqOpts.qs.ifGenerationMatch, 0);
+        assert.strictEqual(reqOpts.qs.ifMetagenerationMatch, 1);
+        done();
+      };
+
+      file.createResumableUri_({
+        ifGenerationMatch: 0,
+        ifMetagenerationMatch: 1
+      }, assert.ifError);
+    });
+
+    it('should execute callback with error', function(done) {
+      var error = new Error('Error.');
+
+      file.request = function(reqOpts, callback) {
+        callback(error);
+      };
+
+      file.createResumableUri_({}, function(err) {
+        assert.strictEqual(err, error);
+        done();
+      });
+    });
+
+    it('should execute callback with the session URI', function(done) {
+      var resp = {
+        headers: {
+          location: 'http://localhost:8080/upload?upload_id=1'
+        }
+      };
+
+      file.request = function(reqOpts, callback) {
+        callback(null, null, resp);
+      };
+
+      file.createResumableUri_({}, function(err, uri) {
+        assert.ifError(err);
+        assert.strictEqual(uri, resp.headers.location);
+        done();
+      });
+    });
+  });
 
   describe('createWriteStream', function() {
     var METADATA = { a: 'b', c: 'd' };
@@ -1289,6 +1875,61 @@ describe('File', function() {
     });
   });
 
+  describe('delete', function() {
+    it('should make the correct request', function(done) {
+      file.request = function(reqOpts) {
+        assert.deepEqual(reqOpts, {
+          method: 'DELETE',
+          uri: '',
+          qs: {}
+        });
+        done();
+      };
+
+      file.delete(assert.ifError);
+    });
+
+    it('should delete the generation of the file', function(done) {
+      var versionedFile = new File(BUCKET, 'name', { generation: 2 });
+
+      versionedFile.request = function(reqOpts) {
+        assert.deepEqual(reqOpts.qs, { generation: 2 });
+        done();
+      };
+
+      versionedFile.delete(assert.ifError);
+    });
+
+    it('should send the preconditions', function(done) {
+      var options = {
+        ifGenerationMatch: 1,
+        ifMetagenerationMatch: 2
+      };
+
+      file.request = function(reqOpts) {
+        assert.deepEqual(reqOpts.qs, options);
+        done();
+      };
+
+      file.delete(options, assert.ifError);
+    });
+
+    it('should execute callback with error & API response', function(done) {
+      var error = new Error('Error.');
+      var apiResponse = {};
+
+      file.request = function(reqOpts, callback) {
+        callback(error, apiResponse);
+      };
+
+      file.delete(function(err, apiResponse_) {
+        assert.strictEqual(err, error);
+        assert.strictEqual(apiResponse_, apiResponse);
+        done();
+      });
+    });
+  });
+
   describe('download', function() {
     var fileReadStream;
 
@@ -1419,6 +2060,39 @@ describe('File', function() {
         });
       });
     });
+
+    describe('in parallel', function() {
+      it('should download in parallel', function(done) {
+        var options = { destination: 'destination', parallelDownloads: 2 };
+
+        file.downloadInParallel_ = function(destination, options, callback) {
+          assert.strictEqual(destination, 'destination');
+          assert.strictEqual(options.parallelDownloads, 2);
+          assert.strictEqual(options.destination, undefined);
+          callback(); // done()
+        };
+
+        file.download(options, done);
+      });
+
+      it('should require a destination', function() {
+        assert.throws(function() {
+          file.download({ parallelDownloads: 2 }, util.noop);
+        }, /Parallel downloads require a `destination`\./);
+      });
+
+      it('should not allow a byte range', function() {
+        var options = {
+          destination: 'destination',
+          parallelDownloads: 2,
+          start: 10
+        };
+
+        assert.throws(function() {
+          file.download(options, util.noop);
+        }, /Parallel downloads cannot use `start` or `end`\./);
+      });
+    });
   });
 
   describe('getSignedPolicy', function() {
@@ -1723,6 +2397,191 @@ describe('File', function() {
         }, /ContentLengthRange must have numeric min & max fields\./);
       });
     });
+
+    describe('v4', function() {
+      function getPolicy(options, callback) {
+        file.getSignedPolicy(extend({
+          version: 'v4',
+          expires: Date.now() + 60000
+        }, options), callback);
+      }
+
+      describe('test vectors', function() {
+        var v4Credentials = require('./testdata/v4ServiceAccount.json');
+        var postPolicyV4Tests =
+          require('./testdata/v4Signatures.json').postPolicyV4Tests;
+
+        var dateNow = Date.now;
+
+        beforeEach(function() {
+          BUCKET.storage.getCredentials = function(callback) {
+            callback(null, v4Credentials);
+          };
+        });
+
+        afterEach(function() {
+          Date.now = dateNow;
+        });
+
+        postPolicyV4Tests.forEach(function(test) {
+          it(test.description, function(done) {
+            var timestamp = test.timestamp.replace(
+              /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/,
+              '$1-$2-$3T$4:$5:$6Z'
+            );
+            var now = new Date(timestamp).getTime();
+
+            Date.now = function() {
+              return now;
+            };
+
+            var bucket = new Bucket(STORAGE, test.bucket);
+            var v4File = new File(bucket, test.object);
+            v4File.storage = BUCKET.storage;
+
+            v4File.getSignedPolicy(extend({
+              version: 'v4',
+              expires: now + test.expiration * 1000
+            }, test.options), function(err, policy) {
+              assert.ifError(err);
+              assert.strictEqual(policy.string, test.expectedDecodedPolicy);
+              assert.strictEqual(policy.url, test.expectedUrl);
+              assert.deepEqual(policy.fields, test.expectedFields);
+              done();
+            });
+          });
+        });
+      });
+
+      it('should throw if it would be valid for over 7 days', function() {
+        assert.throws(function() {
+          getPolicy({ expires: Date.now() + 8 * 24 * 60 * 60 * 1000 });
+        }, /A V4 signed policy can be valid for at most seven days\./);
+      });
+
+      it('should return the URL and form fields', function(done) {
+        getPolicy({}, function(err, policy) {
+          assert.ifError(err);
+
+          assert.strictEqual(
+            policy.url,
+            'https://storage.googleapis.com/bucket-name/'
+          );
+
+          var fields = policy.fields;
+          var scope = File.getV4Scope_(new Date());
+
+          assert.strictEqual(fields.key, file.name);
+          assert.strictEqual(fields['x-goog-algorithm'], 'GOOG4-RSA-SHA256');
+          assert.strictEqual(
+            fields['x-goog-credential'],
+            credentials.client_email + '/' + scope.scope
+          );
+          assert(/^\d{8}T\d{6}Z$/.test(fields['x-goog-date']));
+          assert.strictEqual(fields.policy, policy.base64);
+          assert.strictEqual(fields['x-goog-signature'], policy.signature);
+
+          done();
+        });
+      });
+
+      it('should sign the policy', function(done) {
+        getPolicy({}, function(err, policy) {
+          assert.ifError(err);
+
+          var isValid = crypto.createVerify('RSA-SHA256')
+            .update(policy.base64)
+            .verify(credentials.private_key, policy.signature, 'hex');
+
+          assert(isValid);
+          done();
+        });
+      });
+
+      it('should add the fields to the conditions', function(done) {
+        var options = {
+          fields: {
+            'x-goog-meta-name': 'caf\u00e9',
+            'x-ignore-field': 'value'
+          },
+          startsWith: ['$Content-Type', 'image/']
+        };
+
+        getPolicy(options, function(err, policy) {
+          assert.ifError(err);
+
+          var conditions = JSON.parse(policy.string).conditions;
+
+          assert.deepEqual(conditions.slice(0, 3), [
+            ['eq', '$key', file.name],
+            { bucket: 'bucket-name' },
+            ['starts-with', '$Content-Type', 'image/']
+          ]);
+          assert.deepEqual(conditions[3], { 'x-goog-meta-name': 'caf\u00e9' });
+          assert.deepEqual(conditions[4], {
+            'x-goog-algorithm': 'GOOG4-RSA-SHA256'
+          });
+
+          assert.strictEqual(policy.string.indexOf('x-ignore-field'), -1);
+          assert.strictEqual(policy.fields['x-ignore-field'], 'value');
+
+          done();
+        });
+      });
+
+      it('should escape characters that are not ASCII', function(done) {
+        getPolicy({ fields: { 'x-goog-meta-name': 'caf\u00e9' } }, function(
+            err, policy) {
+          assert.ifError(err);
+          assert(policy.string.indexOf('caf\\u00e9') > -1);
+          done();
+        });
+      });
+
+      it('should format the expiration without milliseconds', function(done) {
+        var expires = new Date(Date.now() + 60000);
+        expires.setUTCMilliseconds(0);
+
+        getPolicy({ expires: expires.getTime() + 123 }, function(err, policy) {
+          assert.ifError(err);
+          assert.strictEqual(
+            JSON.parse(policy.string).expiration,
+            expires.toISOString().replace('.000Z', 'Z')
+          );
+          done();
+        });
+      });
+
+      it('should use a virtual hosted-style URL', function(done) {
+        getPolicy({ virtualHostedStyle: true }, function(err, policy) {
+          assert.ifError(err);
+          assert.strictEqual(
+            policy.url,
+            'https://bucket-name.storage.googleapis.com/'
+          );
+          done();
+        });
+      });
+
+      it('should use a custom domain', function(done) {
+        getPolicy({ cname: 'https://cdn.example.com/' }, function(err, policy) {
+          assert.ifError(err);
+          assert.strictEqual(policy.url, 'https://cdn.example.com/');
+          done();
+        });
+      });
+
+      it('should return an error without credentials', function(done) {
+        BUCKET.storage.getCredentials = function(callback) {
+          callback(null, {});
+        };
+
+        getPolicy({}, function(err) {
+          assert.strictEqual(err.name, 'SigningError');
+          done();
+        });
+      });
+    });
   });
 
   describe('getSignedUrl', function() {
@@ -2001,19 +2860,228 @@ describe('File', function() {
         });
       });
     });
-  });
-
-  describe('makePrivate', function() {
-    it('should execute callback with API response', function(done) {
-      var apiResponse = {};
 
-      file.request = function(reqOpts, callback) {
-        callback(null, apiResponse);
-      };
+    describe('v4', function() {
+      // 2019-02-01T09:00:00Z
+      var NOW = 1549011600000;
+      var dateNow = Date.now;
 
-      file.makePrivate(function(err, apiResponse_) {
-        assert.ifError(err);
-        assert.strictEqual(apiResponse_, apiResponse);
+      var v4File;
+      var v4Credentials = require('./testdata/v4ServiceAccount.json');
+      var signingV4Tests =
+        require('./testdata/v4Signatures.json').signingV4Tests;
+
+      beforeEach(function() {
+        Date.now = function() {
+          return NOW;
+        };
+
+        BUCKET.storage.getCredentials = function(callback) {
+          callback(null, v4Credentials);
+        };
+
+        v4File = new File(new Bucket(STORAGE, 'test-bucket'), 'test-object');
+        v4File.storage = BUCKET.storage;
+      });
+
+      afterEach(function() {
+        Date.now = dateNow;
+      });
+
+      function getUrl(config, callback) {
+        v4File.getSignedUrl(extend({
+          version: 'v4',
+          action: 'read',
+          expires: NOW + 10000
+        }, config), callback);
+      }
+
+      // The canonical requests and URLs in testdata/v4Signatures.json follow
+      // the V4 signing documentation, and are signed with the fixed service
+      // account in testdata/v4ServiceAccount.json.
+      describe('test vectors', function() {
+        signingV4Tests.forEach(function(test) {
+          it(test.description, function(done) {
+            var timestamp = test.timestamp.replace(
+              /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/,
+              '$1-$2-$3T$4:$5:$6Z'
+            );
+            var now = new Date(timestamp).getTime();
+            var options = extend({}, test.options);
+
+            Date.now = function() {
+              return now;
+            };
+
+            v4File = new File(
+              new Bucket(STORAGE, test.bucket),
+              test.object,
+              { generation: options.generation }
+            );
+            v4File.storage = BUCKET.storage;
+
+            delete options.generation;
+
+            getUrl(extend({
+              expires: now + test.expiration * 1000
+            }, options), function(err, signedUrl) {
+              assert.ifError(err);
+              assert.strictEqual(signedUrl, test.expectedUrl);
+              done();
+            });
+          });
+        });
+      });
+
+      it('should throw if it would be valid for over 7 days', function() {
+        assert.throws(function() {
+          getUrl({ expires: NOW + 604801000 });
+        }, /A V4 signed URL can be valid for at most seven days\./);
+      });
+
+      it('should allow 7 days', function(done) {
+        getUrl({ expires: NOW + 604800000 }, function(err, signedUrl) {
+          assert.ifError(err);
+          assert(signedUrl.indexOf('&X-Goog-Expires=604800&') > -1);
+          done();
+        });
+      });
+
+      it('should start from accessibleAt', function(done) {
+        var config = {
+          accessibleAt: NOW + 60000,
+          expires: NOW + 120000
+        };
+
+        getUrl(config, function(err, signedUrl) {
+          assert.ifError(err);
+          assert(signedUrl.indexOf('&X-Goog-Date=20190201T090100Z&') > -1);
+          assert(signedUrl.indexOf('&X-Goog-Expires=60&') > -1);
+          done();
+        });
+      });
+
+      it('should throw if it expires before accessibleAt', function() {
+        assert.throws(function() {
+          getUrl({ accessibleAt: NOW + 60000 });
+        }, /An expiration date must be after `accessibleAt`\./);
+      });
+
+      it('should sign headers', function(done) {
+        var config = {
+          action: 'write',
+          contentType: 'text/plain',
+          extensionHeaders: {
+            'X-Goog-Meta-Name': '  two   words '
+          }
+        };
+
+        getUrl(config, function(err, signedUrl) {
+          assert.ifError(err);
+
+          assert(signedUrl.indexOf(
+            '&X-Goog-SignedHeaders=content-type%3Bhost%3Bx-goog-meta-name&'
+          ) > -1);
+          done();
+        });
+      });
+
+      it('should sign and sort query parameters', function(done) {
+        var config = {
+          queryParams: {
+            'b key': 'a value',
+            a: '(1)'
+          },
+          responseType: 'text/plain'
+        };
+
+        getUrl(config, function(err, signedUrl) {
+          assert.ifError(err);
+
+          var query = url.parse(signedUrl).query;
+
+          assert(/&X-Goog-SignedHeaders=host&a=%281%29&b%20key=a%20value/
+            .test(query));
+          assert(/&response-content-type=text%2Fplain&X-Goog-Signature/
+            .test(query));
+          done();
+        });
+      });
+
+      it('should keep slashes in the file name', function(done) {
+        v4File = new File(v4File.bucket, 'folder/file (1).txt');
+        v4File.storage = BUCKET.storage;
+
+        getUrl({}, function(err, signedUrl) {
+          assert.ifError(err);
+          assert.strictEqual(
+            url.parse(signedUrl).pathname,
+            '/test-bucket/folder/file%20%281%29.txt'
+          );
+          done();
+        });
+      });
+
+      it('should add the generation', function(done) {
+        v4File = new File(v4File.bucket, 'test-object', { generation: 2 });
+        v4File.storage = BUCKET.storage;
+
+        getUrl({}, function(err, signedUrl) {
+          assert.ifError(err);
+          assert(signedUrl.indexOf('&generation=2&') > -1);
+          done();
+        });
+      });
+
+      it('should use a virtual hosted-style URL', function(done) {
+        getUrl({ virtualHostedStyle: true }, function(err, signedUrl) {
+          assert.ifError(err);
+
+          var parsedUrl = url.parse(signedUrl);
+          assert.strictEqual(
+            parsedUrl.host,
+            'test-bucket.storage.googleapis.com'
+          );
+          assert.strictEqual(parsedUrl.pathname, '/test-object');
+          done();
+        });
+      });
+
+      it('should use a custom domain', function(done) {
+        getUrl({ cname: 'https://cdn.example.com' }, function(err, signedUrl) {
+          assert.ifError(err);
+
+          var parsedUrl = url.parse(signedUrl);
+          assert.strictEqual(parsedUrl.host, 'cdn.example.com');
+          assert.strictEqual(parsedUrl.pathname, '/test-object');
+          done();
+        });
+      });
+
+      it('should return an error without credentials', function(done) {
+        BUCKET.storage.getCredentials = function(callback) {
+          callback(null, {});
+        };
+
+        getUrl({}, function(err) {
+          assert.strictEqual(err.name, 'SigningError');
+          done();
+        });
+      });
+    });
+  });
+
+  describe('makePrivate', function() {
+    it('should execute callback with API response', function(done) {
+      var apiResponse = {};
+
+      file.request = function(reqOpts, callback) {
+        callback(null, apiResponse);
+      };
+
+      file.makePrivate(function(err, apiResponse_) {
+        assert.ifError(err);
+        assert.strictEqual(apiResponse_, apiResponse);
 
         done();
       });
@@ -2055,6 +3123,18 @@ describe('File', function() {
 
       file.makePrivate({ strict: true }, util.noop);
     });
+
+    it('should send the preconditions', function(done) {
+      file.request = function(reqOpts) {
+        assert.deepEqual(reqOpts.qs, {
+          ifMetagenerationMatch: 2,
+          predefinedAcl: 'projectPrivate'
+        });
+        done();
+      };
+
+      file.makePrivate({ ifMetagenerationMatch: 2 }, util.noop);
+    });
   });
 
   describe('makePublic', function() {
@@ -2102,9 +3182,20 @@ describe('File', function() {
         file.move(newFile);
       });
 
+      it('should pass options to copy', function(done) {
+        var options = { storageClass: 'nearline' };
+
+        file.copy = function(destination, options_) {
+          assert.strictEqual(options_, options);
+          done();
+        };
+
+        file.move('new-filename', options, assert.ifError);
+      });
+
       it('should fail if copy fails', function(done) {
         var error = new Error('Error.');
-        file.copy = function(destination, callback) {
+        file.copy = function(destination, options, callback) {
           callback(error);
         };
         file.move('new-filename', function(err) {
@@ -2116,7 +3207,7 @@ describe('File', function() {
 
     describe('delete original file', function() {
       it('should delete if copy is successful', function(done) {
-        file.copy = function(destination, callback) {
+        file.copy = function(destination, options, callback) {
           callback(null);
         };
         file.delete = function() {
@@ -2126,9 +3217,27 @@ describe('File', function() {
         file.move('new-filename');
       });
 
+      it('should only delete the version that was copied', function(done) {
+        file.copy = function(destination, options, callback) {
+          callback(null);
+        };
+        file.delete = function(options) {
+          assert.deepEqual(options, {
+            ifGenerationMatch: 1,
+            ifMetagenerationMatch: 2
+          });
+          done();
+        };
+        file.move('new-filename', {
+          ifGenerationMatch: 0,
+          ifSourceGenerationMatch: 1,
+          ifSourceMetagenerationMatch: 2
+        });
+      });
+
       it('should not delete if copy fails', function(done) {
         var deleteCalled = false;
-        file.copy = function(destination, callback) {
+        file.copy = function(destination, options, callback) {
           callback(new Error('Error.'));
         };
         file.delete = function() {
@@ -2142,10 +3251,10 @@ describe('File', function() {
 
       it('should fail if delete fails', function(done) {
         var error = new Error('Error.');
-        file.copy = function(destination, callback) {
+        file.copy = function(destination, options, callback) {
           callback();
         };
-        file.delete = function(callback) {
+        file.delete = function(options, callback) {
           callback(error);
         };
         file.move('new-filename', function(err) {
@@ -2156,6 +3265,83 @@ describe('File', function() {
     });
   });
 
+  describe('rotateEncryptionKey', function() {
+    var NEW_FILE = {};
+
+    it('should copy to a file with a new encryption key', function(done) {
+      var key = crypto.randomBytes(32);
+
+      BUCKET.file = function(name, options) {
+        assert.strictEqual(name, file.name);
+        assert.deepEqual(options, {
+          encryptionKey: key,
+          kmsKeyName: undefined
+        });
+        return NEW_FILE;
+      };
+
+      file.rewrite_ = function(destination, options, callback) {
+        assert.strictEqual(destination, NEW_FILE);
+        callback();
+      };
+
+      file.rotateEncryptionKey(key, done);
+    });
+
+    it('should accept a Cloud KMS key name', function(done) {
+      BUCKET.file = function(name, options) {
+        assert.deepEqual(options, {
+          encryptionKey: undefined,
+          kmsKeyName: 'kms-key-name'
+        });
+        return NEW_FILE;
+      };
+
+      file.rewrite_ = function(destination, options, callback) {
+        callback();
+      };
+
+      file.rotateEncryptionKey({ kmsKeyName: 'kms-key-name' }, done);
+    });
+
+    it('should rotate to a Google-managed key', function(done) {
+      BUCKET.file = function(name, options) {
+        assert.deepEqual(options, {
+          encryptionKey: undefined,
+          kmsKeyName: undefined
+        });
+        return NEW_FILE;
+      };
+
+      file.rewrite_ = function(destination, options, callback) {
+        callback();
+      };
+
+      file.rotateEncryptionKey(done);
+    });
+
+    it('should pass the preconditions to rewrite_', function(done) {
+      BUCKET.file = function() {
+        return NEW_FILE;
+      };
+
+      file.rewrite_ = function(destination, options, callback) {
+        assert.deepEqual(options, {
+          qs: {
+            ifGenerationMatch: 1,
+            ifSourceMetagenerationMatch: 2
+          }
+        });
+        callback();
+      };
+
+      file.rotateEncryptionKey({
+        ifGenerationMatch: 1,
+        ifSourceMetagenerationMatch: 2
+      }, done);
+    });
+  });
+
   describe('save', function() {
     var DATA = 'Data!';
 
@@ -2218,6 +3404,81 @@ describe('File', function() {
     });
   });
 
+  describe('setMetadata', function() {
+    var METADATA = {
+      contentType: 'text/plain'
+    };
+
+    it('should make the correct request', function(done) {
+      file.request = function(reqOpts) {
+        assert.deepEqual(reqOpts, {
+          method: 'PATCH',
+          uri: '',
+          qs: {},
+          json: METADATA
+        });
+        done();
+      };
+
+      file.setMetadata(METADATA, assert.ifError);
+    });
+
+    it('should update the generation of the file', function(done) {
+      var versionedFile = new File(BUCKET, 'name', { generation: 2 });
+
+      versionedFile.request = function(reqOpts) {
+        assert.deepEqual(reqOpts.qs, { generation: 2 });
+        done();
+      };
+
+      versionedFile.setMetadata(METADATA, assert.ifError);
+    });
+
+    it('should send the preconditions', function(done) {
+      var options = {
+        ifMetagenerationMatch: 2,
+        ifMetagenerationNotMatch: 3
+      };
+
+      file.request = function(reqOpts) {
+        assert.deepEqual(reqOpts.qs, options);
+        done();
+      };
+
+      file.setMetadata(METADATA, options, assert.ifError);
+    });
+
+    it('should update the metadata', function(done) {
+      var apiResponse = {};
+
+      file.request = function(reqOpts, callback) {
+        callback(null, apiResponse);
+      };
+
+      file.setMetadata(METADATA, function(err, apiResponse_) {
+        assert.ifError(err);
+        assert.strictEqual(file.metadata, apiResponse);
+        assert.strictEqual(apiResponse_, apiResponse);
+        done();
+      });
+    });
+
+    it('should execute callback with error & API response', function(done) {
+      var error = new Error('Error.');
+      var apiResponse = {};
+
+      file.request = function(reqOpts, callback) {
+        callback(error, apiResponse);
+      };
+
+      file.setMetadata(METADATA, function(err, apiResponse_) {
+        assert.strictEqual(err, error);
+        assert.strictEqual(apiResponse_, apiResponse);
+        done();
+      });
+    });
+  });
+
   describe('setEncryptionKey', function() {
     var KEY = crypto.randomBytes(32);
 
@@ -2244,6 +3505,22 @@ describe('File', function() {
 
       done();
     });
+
+    it('should send the key as the source of a rewrite', function() {
+      var reqOpts = {
+        uri: 'https://www.googleapis.com/storage/v1/b/bucket/o/file' +
+          '/rewriteTo/b/bucket/o/copy',
+        headers: {
+          'x-goog-encryption-key': 'destination-key'
+        }
+      };
+
+      var headers = file.interceptors[0].request(reqOpts).headers;
+
+      assert.deepEqual(headers, extend({
+        'x-goog-encryption-key': 'destination-key'
+      }, File.getEncryptionKeyHeaders_(KEY, 'x-goog-copy-source-encryption')));
+    });
   });
 
   describe('startResumableUpload_', function() {
@@ -2354,6 +3631,199 @@ describe('File', function() {
 
         file.startResumableUpload_(dup);
       });
+
+      it('should return a PreconditionFailedError', function(done) {
+        var dup = duplexify();
+        var uploadStream = through();
+        var apiError = {
+          code: 412,
+          message: 'Precondition Failed'
+        };
+
+        uploadStream.deleteConfig = function() {
+          uploadStream.configDeleted = true;
+        };
+
+        dup.on('error', function(err) {
+          assert(err instanceof PreconditionFailedError);
+          assert.strictEqual(err.message, apiError.message);
+          assert.strictEqual(uploadStream.configDeleted, true);
+          done();
+        });
+
+        resumableUploadOverride = function() {
+          setImmediate(function() {
+            uploadStream.destroy(apiError);
+          });
+          return uploadStream;
+        };
+
+        file.startResumableUpload_(dup);
+      });
+
+      it('should return other errors as they are', function(done) {
+        var dup = duplexify();
+        var uploadStream = through();
+        var error = new Error('Error.');
+
+        dup.on('error', function(err) {
+          assert.strictEqual(err, error);
+          done();
+        });
+
+        resumableUploadOverride = function() {
+          setImmediate(function() {
+            uploadStream.destroy(error);
+          });
+          return uploadStream;
+        };
+
+        file.startResumableUpload_(dup);
+      });
+    });
+
+    describe('custom API endpoint', function() {
+      beforeEach(function() {
+        file.storage.apiEndpoint = 'localhost:8080';
+      });
+
+      it('should start the session at the endpoint', function(done) {
+        var options = {
+          metadata: {}
+        };
+
+        var uri = 'http://localhost:8080/upload?upload_id=1';
+
+        file.createResumableUri_ = function(options_, callback) {
+          assert.strictEqual(options_.metadata, options.metadata);
+          callback(null, uri);
+        };
+
+        resumableUploadOverride = function(opts) {
+          assert.strictEqual(opts.uri, uri);
+          assert.strictEqual(opts.offset, 0);
+
+          setImmediate(done);
+          return through();
+        };
+
+        file.startResumableUpload_(duplexify(), options);
+      });
+
+      it('should destroy the stream if the session fails', function(done) {
+        var dup = duplexify();
+        var error = new Error('Error.');
+
+        file.createResumableUri_ = function(options, callback) {
+          callback(error);
+        };
+
+        dup.on('error', function(err) {
+          assert.strictEqual(err, error);
+          done();
+        });
+
+        file.startResumableUpload_(dup);
+      });
+
+      it('should not authenticate the upload', function(done) {
+        var reqOpts = {};
+
+        resumableUploadOverride = function(opts) {
+          assert.notStrictEqual(opts.authClient, file.storage.authClient);
+
+          opts.authClient.authorizeRequest(reqOpts, function(err, reqOpts_) {
+            assert.ifError(err);
+            assert.strictEqual(reqOpts_, reqOpts);
+            done();
+          });
+
+          return through();
+        };
+
+        file.startResumableUpload_(duplexify(), {
+          uri: 'http://localhost:8080/upload?upload_id=1'
+        });
+      });
+    });
+
+    describe('Cloud KMS key', function() {
+      it('should start the session itself', function(done) {
+        var uri = 'https://www.googleapis.com/upload?upload_id=1';
+
+        file.kmsKeyName = 'kms-key-name';
+
+        file.createResumableUri_ = function(options, callback) {
+          callback(null, uri);
+        };
+
+        resumableUploadOverride = function(opts) {
+          assert.strictEqual(opts.authClient, file.storage.authClient);
+          assert.strictEqual(opts.uri, uri);
+
+          setImmediate(done);
+          return through();
+        };
+
+        file.startResumableUpload_(duplexify(), {});
+      });
+
+      it('should use an existing session', function(done) {
+        var uri = 'https://www.googleapis.com/upload?upload_id=1';
+
+        file.createResumableUri_ = function() {
+          done(new Error('Should not have started a session.'));
+        };
+
+        resumableUploadOverride = function(opts) {
+          assert.strictEqual(opts.uri, uri);
+
+          setImmediate(done);
+          return through();
+        };
+
+        file.startResumableUpload_(duplexify(), {
+          kmsKeyName: 'kms-key-name',
+          uri: uri
+        });
+      });
+    });
+
+    describe('preconditions', function() {
+      it('should start the session itself', function(done) {
+        var uri = 'https://www.googleapis.com/upload?upload_id=1';
+
+        file.createResumableUri_ = function(options, callback) {
+          assert.strictEqual(options.ifGenerationMatch, 0);
+          callback(null, uri);
+        };
+
+        resumableUploadOverride = function(opts) {
+          assert.strictEqual(opts.uri, uri);
+
+          setImmediate(done);
+          return through();
+        };
+
+        file.startResumableUpload_(duplexify(), { ifGenerationMatch: 0 });
+      });
+    });
+  });
+
+  describe('resolveBaseUrl_', function() {
+    var BASE_URL = 'https://www.googleapis.com/upload/storage/v1/b';
+
+    it('should return the base URL without an API endpoint', function() {
+      assert.strictEqual(file.resolveBaseUrl_(BASE_URL), BASE_URL);
+    });
+
+    it('should resolve the base URL against the API endpoint', function() {
+      file.storage.apiEndpoint = 'localhost:8080';
+
+      assert.strictEqual(
+        file.resolveBaseUrl_(BASE_URL),
+        'http://localhost:8080/upload/storage/v1/b'
+      );
     });
   });
 
@@ -2390,6 +3860,20 @@ describe('File', function() {
       file.startSimpleUpload_(duplexify(), options);
     });
 
+    it('should upload to a custom API endpoint', function(done) {
+      file.storage.apiEndpoint = 'localhost:8080';
+
+      makeWritableStreamOverride = function(stream, options) {
+        assert.strictEqual(
+          options.request.uri,
+          'http://localhost:8080/upload/storage/v1/b/' + file.bucket.name + '/o'
+        );
+        done();
+      };
+
+      file.startSimpleUpload_(duplexify());
+    });
+
     it('should set predefinedAcl when public: true', function(done) {
       makeWritableStreamOverride = function(stream, options_) {
         assert.strictEqual(options_.request.qs.predefinedAcl, 'publicRead');
@@ -2419,6 +3903,30 @@ describe('File', function() {
       versionedFile.startSimpleUpload_(duplexify(), {});
     });
 
+    it('should send a Cloud KMS key name', function(done) {
+      file.kmsKeyName = 'kms-key-name';
+
+      makeWritableStreamOverride = function(stream, options) {
+        assert.strictEqual(options.request.qs.kmsKeyName, 'kms-key-name');
+        done();
+      };
+
+      file.startSimpleUpload_(duplexify(), {});
+    });
+
+    it('should send the preconditions', function(done) {
+      makeWritableStreamOverride = function(stream, options) {
+        assert.strictEqual(options.request.qs.ifGenerationMatch, 0);
+        assert.strictEqual(options.request.qs.ifMetagenerationNotMatch, 1);
+        done();
+      };
+
+      file.startSimpleUpload_(duplexify(), {
+        ifGenerationMatch: 0,
+        ifMetagenerationNotMatch: 1
+      });
+    });
+
     describe('request', function() {
       describe('error', function() {
         var error = new Error('Error.');
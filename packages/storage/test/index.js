@@ -49,7 +49,17 @@ var fakeStreamRouter = {
   }
 };
 
-var fakeUtil = extend({}, util);
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class, options) {
+    if (Class.name !== 'Storage') {
+      return;
+    }
+
+    promisified = true;
+    assert.deepEqual(options.exclude, ['bucket', 'channel', 'getBuckets']);
+  }
+});
 
 describe('Storage', function() {
   var PROJECT_ID = 'project-id';
@@ -74,6 +84,10 @@ describe('Storage', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should extend the correct methods', function() {
       assert(extended); // See `fakeStreamRouter.extend`
     });
@@ -110,6 +124,29 @@ describe('Storage', function() {
       ]);
       assert.deepEqual(calledWith.packageJson, require('../package.json'));
     });
+
+    it('should create a Cloud Pub/Sub service', function() {
+      var options = {
+        projectId: PROJECT_ID,
+        apiEndpoint: 'http://localhost:8080'
+      };
+      var storage = new Storage(options);
+
+      assert(storage.pubsub_ instanceof Service);
+
+      var calledWith = storage.pubsub_.calledWith_;
+
+      assert.deepEqual(calledWith[0], {
+        baseUrl: 'https://pubsub.googleapis.com/v1',
+        projectIdRequired: false,
+        scopes: [
+          'https://www.googleapis.com/auth/pubsub'
+        ],
+        packageJson: require('../package.json')
+      });
+      assert.strictEqual(calledWith[1], options);
+      assert.strictEqual(storage.pubsub_.baseUrl, 'http://localhost:8080/v1');
+    });
   });
 
   describe('bucket', function() {
@@ -241,6 +278,20 @@ describe('Storage', function() {
       };
       storage.createBucket(BUCKET_NAME, { dra: true }, function() {});
     });
+
+    it('should expand the default Cloud KMS key option', function(done) {
+      storage.request = function(reqOpts) {
+        var body = reqOpts.json;
+        assert.strictEqual(body.defaultKmsKeyName, undefined);
+        assert.deepEqual(body.encryption, {
+          defaultKmsKeyName: 'kms-key-name'
+        });
+        done();
+      };
+      storage.createBucket(BUCKET_NAME, {
+        defaultKmsKeyName: 'kms-key-name'
+      }, function() {});
+    });
   });
 
   describe('getBuckets', function() {
@@ -343,4 +394,128 @@ describe('Storage', function() {
       });
     });
   });
+
+  describe('getServiceAccount', function() {
+    it('should make the correct request', function(done) {
+      storage.request = function(reqOpts) {
+        assert.strictEqual(
+          reqOpts.uri,
+          '/projects/' + PROJECT_ID + '/serviceAccount'
+        );
+        done();
+      };
+
+      storage.getServiceAccount(assert.ifError);
+    });
+
+    it('should execute callback with error & API response', function(done) {
+      var error = new Error('Error.');
+      var apiResponse = {};
+
+      storage.request = function(reqOpts, callback) {
+        callback(error, apiResponse);
+      };
+
+      storage.getServiceAccount(function(err, serviceAccount, apiResponse_) {
+        assert.strictEqual(err, error);
+        assert.strictEqual(serviceAccount, null);
+        assert.strictEqual(apiResponse_, apiResponse);
+        done();
+      });
+    });
+
+    it('should return the email address', function(done) {
+      var apiResponse = {
+        kind: 'storage#serviceAccount',
+        email_address: 'service-0@gs-project-accounts.iam.gserviceaccount.com'
+      };
+
+      storage.request = function(reqOpts, callback) {
+        callback(null, apiResponse);
+      };
+
+      storage.getServiceAccount(function(err, serviceAccount, apiResponse_) {
+        assert.ifError(err);
+        assert.deepEqual(serviceAccount, {
+          emailAddress: apiResponse.email_address
+        });
+        assert.strictEqual(apiResponse_, apiResponse);
+        done();
+      });
+    });
+  });
+
+  describe('request', function() {
+    var request = FakeService.prototype.request;
+
+    afterEach(function() {
+      FakeService.prototype.request = request;
+    });
+
+    it('should make the request', function(done) {
+      var reqOpts = {};
+      var body = {};
+      var response = {};
+
+      FakeService.prototype.request = function(reqOpts_, callback) {
+        assert.strictEqual(this, storage);
+        assert.strictEqual(reqOpts_, reqOpts);
+        callback(null, body, response);
+      };
+
+      storage.request(reqOpts, function(err, body_, response_) {
+        assert.ifError(err);
+        assert.strictEqual(body_, body);
+        assert.strictEqual(response_, response);
+        done();
+      });
+    });
+
+    it('should return a PreconditionFailedError', function(done) {
+      var error = new Error('Precondition Failed');
+      error.code = 412;
+      error.errors = [{ reason: 'conditionNotMet' }];
+
+      var apiResponse = {};
+
+      FakeService.prototype.request = function(reqOpts, callback) {
+        callback(error, apiResponse);
+      };
+
+      storage.request({}, function(err, apiResponse_) {
+        assert(err instanceof Storage.PreconditionFailedError);
+        assert.strictEqual(err.name, 'PreconditionFailedError');
+        assert.strictEqual(err.code, 412);
+        assert.strictEqual(err.errors, error.errors);
+        assert.strictEqual(err.message, 'Precondition Failed');
+        assert.strictEqual(apiResponse_, apiResponse);
+        done();
+      });
+    });
+
+    it('should return other errors as they are', function(done) {
+      var error = new Error('Not Found');
+      error.code = 404;
+
+      FakeService.prototype.request = function(reqOpts, callback) {
+        callback(error);
+      };
+
+      storage.request({}, function(err) {
+        assert.strictEqual(err, error);
+        done();
+      });
+    });
+
+    it('should return the request stream', function() {
+      var requestStream = {};
+
+      FakeService.prototype.request = function(reqOpts, callback) {
+        assert.strictEqual(callback, undefined);
+        return requestStream;
+      };
+
+      assert.strictEqual(storage.request({}), requestStream);
+    });
+  });
 });
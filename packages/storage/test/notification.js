@@ -0,0 +1,87 @@
+/*!
+ * Copyright 2017 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var extend = require('extend');
+var nodeutil = require('util');
+var proxyquire = require('proxyquire');
+var ServiceObject = require('@google-cloud/common').ServiceObject;
+var util = require('@google-cloud/common').util;
+
+function FakeServiceObject() {
+  this.calledWith_ = arguments;
+  ServiceObject.apply(this, arguments);
+}
+
+nodeutil.inherits(FakeServiceObject, ServiceObject);
+
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class) {
+    if (Class.name === 'Notification') {
+      promisified = true;
+    }
+  }
+});
+
+describe('Notification', function() {
+  var BUCKET = {};
+  var ID = '1';
+
+  var Notification;
+  var notification;
+
+  before(function() {
+    Notification = proxyquire('../src/notification.js', {
+      '@google-cloud/common': {
+        ServiceObject: FakeServiceObject,
+        util: fakeUtil
+      }
+    });
+  });
+
+  beforeEach(function() {
+    notification = new Notification(BUCKET, ID);
+  });
+
+  describe('initialization', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
+    it('should localize the bucket', function() {
+      assert.strictEqual(notification.bucket, BUCKET);
+    });
+
+    it('should inherit from ServiceObject', function() {
+      assert(notification instanceof ServiceObject);
+
+      var calledWith = notification.calledWith_[0];
+
+      assert.strictEqual(calledWith.parent, BUCKET);
+      assert.strictEqual(calledWith.baseUrl, '/notificationConfigs');
+      assert.strictEqual(calledWith.id, ID);
+      assert.deepEqual(calledWith.methods, {
+        delete: true,
+        exists: true,
+        get: true,
+        getMetadata: true
+      });
+    });
+  });
+});
@@ -0,0 +1,53 @@
+/*!
+ * Copyright 2017 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var assert = require('assert');
+
+var PreconditionFailedError = require('../src/precondition-failed-error.js');
+
+describe('PreconditionFailedError', function() {
+  var API_ERROR = {
+    code: 412,
+    errors: [
+      {
+        reason: 'conditionNotMet'
+      }
+    ],
+    response: {},
+    message: 'Precondition Failed'
+  };
+
+  var error;
+
+  beforeEach(function() {
+    error = new PreconditionFailedError(API_ERROR);
+  });
+
+  it('should be an Error', function() {
+    assert(error instanceof Error);
+    assert.strictEqual(error.name, 'PreconditionFailedError');
+    assert(error.stack);
+  });
+
+  it('should keep the details of the API error', function() {
+    assert.strictEqual(error.code, API_ERROR.code);
+    assert.strictEqual(error.errors, API_ERROR.errors);
+    assert.strictEqual(error.response, API_ERROR.response);
+    assert.strictEqual(error.message, API_ERROR.message);
+  });
+});
@@ -28,6 +28,12 @@ var prop = require('propprop');
 
 var PKG = require('../package.json');
 
+/**
+ * @const {string}
+ * @private
+ */
+var BASE_URL = 'https://www.googleapis.com/language/translate/v2';
+
 /**
  * With [Google Translate](https://cloud.google.com/translate), you can
  * dynamically translate text between thousands of language pairs.
@@ -52,6 +58,8 @@ var PKG = require('../package.json');
  *
  * @param {object} options - [Configuration object](#/docs).
  * @param {string} options.key - An API key.
+ * @param {string=} options.apiEndpoint - Send requests to this endpoint
+ *     instead, e.g. "http://localhost:8080".
  */
 function Translate(options) {
   if (!(this instanceof Translate)) {
@@ -67,6 +75,15 @@ function Translate(options) {
 
   this.options = options;
   this.key = options.key;
+
+  this.baseUrl = BASE_URL;
+
+  if (options.apiEndpoint) {
+    this.baseUrl = common.Service.resolveApiEndpoint_(
+      BASE_URL,
+      options.apiEndpoint
+    );
+  }
 }
 
 /**
@@ -375,9 +392,7 @@ Translate.prototype.translate = function(input, options, callback) {
  * @param {function} callback - The callback function passed to `request`.
  */
 Translate.prototype.request = function(reqOpts, callback) {
-  var BASE_URL = 'https://www.googleapis.com/language/translate/v2';
-
-  reqOpts.uri = BASE_URL + reqOpts.uri;
+  reqOpts.uri = this.baseUrl + reqOpts.uri;
 
   reqOpts = extend(true, {}, reqOpts, {
     qs: {
@@ -391,4 +406,11 @@ Translate.prototype.request = function(reqOpts, callback) {
   common.util.makeRequest(reqOpts, this.options, callback);
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Translate);
+
 module.exports = Translate;
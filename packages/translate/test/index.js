@@ -22,7 +22,13 @@ var proxyquire = require('proxyquire');
 var util = require('@google-cloud/common').util;
 
 var makeRequestOverride;
+var promisified = false;
 var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class) {
+    if (Class.name === 'Translate') {
+      promisified = true;
+    }
+  },
   makeRequest: function() {
     if (makeRequestOverride) {
       return makeRequestOverride.apply(null, arguments);
@@ -55,6 +61,10 @@ describe('Translate', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should normalize the arguments', function() {
       var normalizeArguments = fakeUtil.normalizeArguments;
       var normalizeArgumentsCalled = false;
@@ -90,6 +100,25 @@ describe('Translate', function() {
     it('should localize the api key', function() {
       assert.equal(translate.key, API_KEY);
     });
+
+    it('should default to the Translate API base URL', function() {
+      assert.strictEqual(
+        translate.baseUrl,
+        'https://www.googleapis.com/language/translate/v2'
+      );
+    });
+
+    it('should point the base URL at a custom apiEndpoint', function() {
+      var translate = new Translate({
+        key: API_KEY,
+        apiEndpoint: 'http://localhost:8080'
+      });
+
+      assert.strictEqual(
+        translate.baseUrl,
+        'http://localhost:8080/language/translate/v2'
+      );
+    });
   });
 
   describe('detect', function() {
@@ -411,8 +440,7 @@ describe('Translate', function() {
           'User-Agent': userAgent
         }
       });
-      var BASE_URL = 'https://www.googleapis.com/language/translate/v2';
-      expectedReqOpts.uri = BASE_URL + reqOpts.uri;
+      expectedReqOpts.uri = translate.baseUrl + reqOpts.uri;
 
       makeRequestOverride = function(reqOpts, options, callback) {
         assert.deepEqual(reqOpts, expectedReqOpts);
@@ -1547,5 +1547,12 @@ Vision.formatSafeSearchAnnotation_ = function(ssAnnotation, options) {
   return ssAnnotation;
 };
 
+/*! Developer Documentation
+ *
+ * All async methods (except for streams) will return a Promise in the event
+ * that a callback is omitted.
+ */
+common.util.promisifyAll(Vision);
+
 module.exports = Vision;
 module.exports.v1 = require('./v1');
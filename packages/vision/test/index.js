@@ -29,7 +29,14 @@ var Service = require('@google-cloud/common').Service;
 var tmp = require('tmp');
 var util = require('@google-cloud/common').util;
 
-var fakeUtil = extend({}, util);
+var promisified = false;
+var fakeUtil = extend({}, util, {
+  promisifyAll: function(Class) {
+    if (Class.name === 'Vision') {
+      promisified = true;
+    }
+  }
+});
 
 function FakeService() {
   this.calledWith_ = arguments;
@@ -69,6 +76,10 @@ describe('Vision', function() {
   });
 
   describe('instantiation', function() {
+    it('should promisify all the things', function() {
+      assert(promisified);
+    });
+
     it('should normalize the arguments', function() {
       var normalizeArguments = fakeUtil.normalizeArguments;
       var normalizeArgumentsCalled = false;